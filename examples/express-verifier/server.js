@@ -8,6 +8,7 @@
 import express from 'express';
 import cors from 'cors';
 import { randomBytes, createVerify } from 'node:crypto';
+import { createMemoryStore, scoreResults, attestationStrength, DEFAULT_PASS_THRESHOLD } from 'aap-agent-server';
 
 const app = express();
 
@@ -34,6 +35,10 @@ const PORT = process.env.PORT || 3000;
 const BATCH_SIZE = 7;                    // v2.6: 5 → 7
 const MAX_RESPONSE_TIME_MS = 6000;       // v2.6: 8s → 6s
 const CHALLENGE_EXPIRY_MS = 60000;
+const GENERATOR_VERSION = '2.6-extreme';  // Bump when a generator's output changes
+// Count (e.g. 6) or fraction (e.g. 0.8) of challenges that must pass; all by default
+const PASS_THRESHOLD = Number(process.env.PASS_THRESHOLD) || DEFAULT_PASS_THRESHOLD;
+const WEIGHTS = { nlp_multistep: 2 };     // Harder types count more towards confidence
 
 // ============== WORD POOLS ==============
 const WORD_POOLS = {
@@ -215,42 +220,66 @@ Response format: {"salt": "${salt}", "result": number}`,
 };
 
 // ============== STORAGE (with DoS protection) ==============
+// Only plain records are stored ({ types, generatorVersion, ... }), so
+// createRedisStore(redis) works too when several replicas share challenges.
 const MAX_CHALLENGES = 10000;
-const challenges = new Map();
-
-function cleanup() {
-  const now = Date.now();
-  for (const [nonce, data] of challenges.entries()) {
-    if (now > data.expiresAt) challenges.delete(nonce);
-  }
-  // Emergency cleanup if too many
-  if (challenges.size > MAX_CHALLENGES) {
-    const entries = [...challenges.entries()]
+const challenges = createMemoryStore();
+
+async function cleanup() {
+  await challenges.cleanup();
+  // Emergency cleanup if too many: keep the newest half
+  if (await challenges.size() > MAX_CHALLENGES) {
+    const entries = await Promise.all(
+      (await challenges.keys()).map(async (nonce) => [nonce, await challenges.get(nonce)])
+    );
+    const stale = entries
+      .filter(([, data]) => data)
       .sort((a, b) => b[1].timestamp - a[1].timestamp)
-      .slice(0, MAX_CHALLENGES / 2);
-    challenges.clear();
-    entries.forEach(([k, v]) => challenges.set(k, v));
+      .slice(MAX_CHALLENGES / 2);
+    await Promise.all(stale.map(([nonce]) => challenges.delete(nonce)));
   }
 }
 
+function challengeNonce(nonce, index) {
+  return nonce.slice(index * 2) + nonce.slice(0, index * 2);
+}
+
 function generateBatch(nonce) {
   const types = Object.keys(CHALLENGE_TYPES);
   const batch = [];
-  const validators = [];
 
   for (let i = 0; i < BATCH_SIZE; i++) {
-    const offsetNonce = nonce.slice(i * 2) + nonce.slice(0, i * 2);
     const type = types[i % types.length];
-    const { challenge_string, validate } = CHALLENGE_TYPES[type](offsetNonce);
+    const { challenge_string } = CHALLENGE_TYPES[type](challengeNonce(nonce, i));
     batch.push({ id: i, type, challenge_string });
-    validators.push(validate);
   }
 
-  return { batch, validators };
+  return { batch, types: batch.map(c => c.type) };
+}
+
+// Generators are deterministic given the nonce, so validators are rebuilt
+// from the stored record instead of being kept in memory
+function rebuildValidators(nonce, { types, generatorVersion }) {
+  if (generatorVersion !== GENERATOR_VERSION) return null;
+  return types.map((type, i) => CHALLENGE_TYPES[type](challengeNonce(nonce, i)).validate);
 }
 
 // ============== ROUTES ==============
 
+// Express 4 does not catch rejected promises, so a failing store would leave
+// the request hanging; answer with a 500 instead
+function asyncHandler(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      console.error(`[AAP] ${req.method} ${req.path} failed:`, error.message);
+      if (res.headersSent) return next(error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -264,18 +293,19 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.post('/challenge', (req, res) => {
-  cleanup();
+app.post('/challenge', asyncHandler(async (req, res) => {
+  await cleanup();
 
   const nonce = randomBytes(16).toString('hex');
   const timestamp = Date.now();
-  const { batch, validators } = generateBatch(nonce);
+  const { batch, types } = generateBatch(nonce);
 
-  challenges.set(nonce, {
-    validators,
+  await challenges.set(nonce, {
+    types,
+    generatorVersion: GENERATOR_VERSION,
     timestamp,
     expiresAt: timestamp + CHALLENGE_EXPIRY_MS
-  });
+  }, CHALLENGE_EXPIRY_MS);
 
   res.json({
     nonce,
@@ -285,9 +315,9 @@ app.post('/challenge', (req, res) => {
     expiresAt: timestamp + CHALLENGE_EXPIRY_MS,
     maxResponseTimeMs: MAX_RESPONSE_TIME_MS
   });
-});
+}));
 
-app.post('/verify', (req, res) => {
+app.post('/verify', asyncHandler(async (req, res) => {
   const { solutions, signature, publicKey, publicId, nonce, timestamp, responseTimeMs } = req.body;
 
   // Input validation (security)
@@ -304,21 +334,21 @@ app.post('/verify', (req, res) => {
     return res.status(400).json({ verified: false, error: 'Invalid publicKey format' });
   }
 
-  // Check challenge exists
-  const challenge = challenges.get(nonce);
+  // Take the challenge out in one step: concurrent requests with the
+  // same nonce get null, so a nonce can never be redeemed twice
+  const challenge = await challenges.consume(nonce);
   if (!challenge) {
     return res.status(400).json({ verified: false, error: 'Challenge not found or expired' });
   }
 
-  // Check expiry BEFORE delete (race condition fix)
   if (Date.now() > challenge.expiresAt) {
-    challenges.delete(nonce);
     return res.status(400).json({ verified: false, error: 'Challenge expired' });
   }
-  
-  // Now safe to delete
-  const { validators } = challenge;
-  challenges.delete(nonce);
+
+  const validators = rebuildValidators(nonce, challenge);
+  if (!validators) {
+    return res.status(400).json({ verified: false, error: 'Challenge issued by an incompatible server version' });
+  }
 
   // Check solutions
   if (!solutions || !Array.isArray(solutions) || solutions.length !== BATCH_SIZE) {
@@ -327,20 +357,22 @@ app.post('/verify', (req, res) => {
 
   // Validate each solution
   const results = [];
-  let passed = 0;
   for (let i = 0; i < BATCH_SIZE; i++) {
     const sol = typeof solutions[i] === 'string' ? solutions[i] : JSON.stringify(solutions[i]);
-    const valid = validators[i](sol);
-    results.push({ id: i, valid });
-    if (valid) passed++;
+    results.push({ id: i, valid: Boolean(validators[i](sol)) });
   }
 
-  if (passed < BATCH_SIZE) {
+  const { passed, confidence, verified } = scoreResults(results, {
+    types: challenge.types,
+    weights: WEIGHTS,
+    passThreshold: PASS_THRESHOLD
+  });
+  if (!verified) {
     metrics.verifications.failed++;
     return res.status(400).json({
       verified: false,
       error: `Proof of Intelligence failed: ${passed}/${BATCH_SIZE} correct`,
-      batchResult: { passed, total: BATCH_SIZE, results }
+      batchResult: { passed, total: BATCH_SIZE, confidence, results }
     });
   }
 
@@ -381,10 +413,11 @@ app.post('/verify', (req, res) => {
     verified: true,
     role: 'AI_AGENT',
     publicId,
-    batchResult: { passed, total: BATCH_SIZE, results },
-    responseTimeMs: effectiveTime
+    batchResult: { passed, total: BATCH_SIZE, confidence, results },
+    responseTimeMs: effectiveTime,
+    strength: attestationStrength({ confidence, responseTimeMs: effectiveTime, timeBudgetMs: MAX_RESPONSE_TIME_MS })
   });
-});
+}));
 
 // ============== METRICS ==============
 const metrics = {
@@ -395,17 +428,17 @@ const metrics = {
   responseTimes: []
 };
 
-app.get('/metrics', (req, res) => {
+app.get('/metrics', asyncHandler(async (req, res) => {
   const uptime = Math.floor((Date.now() - metrics.startTime) / 1000);
   res.json({
     uptime,
-    activeChallenges: challenges.size,
+    activeChallenges: await challenges.size(),
     requests: metrics.requests,
     verifications: metrics.verifications,
     avgResponseTimeMs: metrics.avgResponseTime,
     successRate: metrics.verifications.success / (metrics.verifications.success + metrics.verifications.failed) || 0
   });
-});
+}));
 
 // Track metrics middleware
 app.use((req, res, next) => {
@@ -70,6 +70,9 @@ export interface AAPClientOptions {
   serverUrl?: string;
   storagePath?: string;
   llmCallback?: LLMCallback | BatchLLMCallback;
+  mode?: 'batch' | 'sequential';
+  /** Challenge language requested in `ready` (server default if omitted) */
+  locale?: 'en' | 'ko' | 'ja' | 'es';
 }
 
 export interface VerificationResult {
@@ -80,9 +83,13 @@ export interface VerificationResult {
     passed: number;
     total: number;
     allPassed: boolean;
+    /** Weighted share that passed (0-1) */
+    confidence?: number;
     results: { id: number; valid: boolean }[];
   };
   responseTimeMs?: number;
+  /** Confidence discounted by response time (0-1) */
+  strength?: number;
   checks?: Record<string, boolean>;
   timing?: { client: number; server: number };
   error?: string;
@@ -42,6 +42,8 @@ export class AAPClient {
     this.serverUrl = options.serverUrl || 'ws://localhost:3000/aap';
     this.identity = options.identity || generateIdentity();
     this.solver = options.solver || null;
+    this.mode = options.mode || null;  // 'batch' | 'sequential' (server default if null)
+    this.locale = options.locale || null;  // 'en' | 'ko' | 'ja' | 'es' (server default if null)
   }
 
   get publicKey() { return this.identity.publicKey; }
@@ -49,6 +51,8 @@ export class AAPClient {
 
   /**
    * Connect and verify with signature
+   * In sequential mode the solver is called once per challenge with a
+   * one-element array, so the same solver works for both modes.
    * @param {Function} [solver] - async (challenges) => answers[]
    * @returns {Promise<Object>} Verification result
    */
@@ -68,13 +72,54 @@ export class AAPClient {
           const msg = JSON.parse(data.toString());
 
           switch (msg.type) {
-            case 'handshake':
-              // Send ready with public key
-              ws.send(JSON.stringify({
-                type: 'ready',
-                publicKey
-              }));
+            case 'handshake': {
+              // Negotiate mode (servers before mode negotiation only do batch)
+              const ready = { type: 'ready', publicKey };
+              if (Array.isArray(msg.modes)) {
+                const wanted = this.mode || msg.mode;
+                if (!msg.modes.includes(wanted)) {
+                  reject(new Error(`Server does not support mode "${wanted}"`));
+                  ws.close();
+                  break;
+                }
+                ready.mode = wanted;
+              } else if (this.mode && this.mode !== 'batch') {
+                reject(new Error(`Server does not support mode "${this.mode}"`));
+                ws.close();
+                break;
+              }
+              // Negotiate locale (servers before locale packs only speak English)
+              if (this.locale) {
+                const locales = Array.isArray(msg.locales) ? msg.locales : ['en'];
+                if (!locales.includes(this.locale)) {
+                  reject(new Error(`Server does not support locale "${this.locale}"`));
+                  ws.close();
+                  break;
+                }
+                ready.locale = this.locale;
+              }
+              ws.send(JSON.stringify(ready));
+              break;
+            }
+
+            case 'challenge': {
+              // Sequential mode: one challenge, one signed answer
+              nonce = msg.nonce;
+              const { id } = msg.challenge;
+              let answer = null;
+              if (solve) {
+                try {
+                  [answer] = await solve([msg.challenge]);
+                } catch (e) {
+                  answer = null;
+                }
+              }
+              const timestamp = Date.now();
+              const proofData = JSON.stringify({ nonce, id, answer, publicId, timestamp });
+              const signature = sign(proofData, privateKey);
+              ws.send(JSON.stringify({ type: 'answer', id, answer, signature, timestamp }));
               break;
+            }
 
             case 'challenges':
               nonce = msg.nonce;
@@ -111,10 +156,14 @@ export class AAPClient {
               result = msg;
               break;
 
-            case 'error':
-              reject(new Error(msg.message || 'Unknown error'));
+            case 'error': {
+              const error = new Error(msg.message || 'Unknown error');
+              error.code = msg.code;
+              if (msg.retryAfterMs !== undefined) error.retryAfterMs = msg.retryAfterMs;
+              reject(error);
               ws.close();
               break;
+            }
           }
         } catch (e) {
           reject(e);
@@ -44,7 +44,11 @@ export const CHALLENGE_TYPES = [
   'nlp_transform',
   'nlp_multistep',
   'nlp_pattern',
-  'nlp_analysis'
+  'nlp_analysis',
+  'nlp_table',
+  'nlp_code',
+  'nlp_instruct',
+  'nlp_grid'
 ];
 
 // Key format markers
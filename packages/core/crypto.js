@@ -119,6 +119,81 @@ export function createProofData({ nonce, solution, publicId, timestamp }) {
   return JSON.stringify({ nonce, solution, publicId, timestamp });
 }
 
+/**
+ * Create the canonical key rotation data signed by the outgoing key
+ * @param {Object} params
+ * @param {string} params.oldPublicId - Public ID of the outgoing key
+ * @param {string} params.newPublicKey - PEM-encoded incoming public key
+ * @param {number} params.effectiveAt - Unix timestamp in ms the new key takes over
+ * @returns {string} JSON string for signing
+ */
+export function createRotationData({ oldPublicId, newPublicKey, effectiveAt }) {
+  return JSON.stringify({ oldPublicId, newPublicKey, effectiveAt });
+}
+
+/**
+ * Create a key rotation statement signed by the outgoing key
+ * @param {Object} params
+ * @param {string} params.oldPublicKey - PEM-encoded outgoing public key
+ * @param {string} params.oldPrivateKey - PEM-encoded outgoing private key
+ * @param {string} params.newPublicKey - PEM-encoded incoming public key
+ * @param {number} [params.effectiveAt=Date.now()] - When the new key takes over
+ * @returns {Object} Rotation statement
+ */
+export function createRotationStatement({ oldPublicKey, oldPrivateKey, newPublicKey, effectiveAt = Date.now() }) {
+  const oldPublicId = derivePublicId(oldPublicKey);
+  return {
+    type: 'AAP_KEY_ROTATION',
+    oldPublicId,
+    oldPublicKey,
+    newPublicId: derivePublicId(newPublicKey),
+    newPublicKey,
+    effectiveAt,
+    signature: sign(createRotationData({ oldPublicId, newPublicKey, effectiveAt }), oldPrivateKey)
+  };
+}
+
+/**
+ * Check that a public ID belongs to a public key.
+ * Accepts the 20-char core ID and the 16-char ID used by the WebSocket
+ * server (both are prefixes of the same SHA-256).
+ * @param {string} publicKey - PEM-encoded public key
+ * @param {string} publicId - Claimed public ID
+ * @returns {boolean}
+ */
+export function matchesPublicId(publicKey, publicId) {
+  if (typeof publicId !== 'string' || publicId.length < 16) return false;
+  const hash = createHash('sha256').update(publicKey).digest('hex');
+  return hash.startsWith(publicId);
+}
+
+/**
+ * Verify a key rotation statement (signature and ID binding)
+ * @param {Object} statement - From createRotationStatement()
+ * @returns {Object} { valid, error? }
+ */
+export function verifyRotationStatement(statement) {
+  const { type, oldPublicId, oldPublicKey, newPublicKey, effectiveAt, signature } = statement || {};
+
+  if (type !== 'AAP_KEY_ROTATION') {
+    return { valid: false, error: 'Not a rotation statement' };
+  }
+  if (typeof oldPublicKey !== 'string' || typeof newPublicKey !== 'string' || typeof effectiveAt !== 'number') {
+    return { valid: false, error: 'Malformed rotation statement' };
+  }
+  if (oldPublicKey === newPublicKey) {
+    return { valid: false, error: 'New key must differ from old key' };
+  }
+  if (!matchesPublicId(oldPublicKey, oldPublicId)) {
+    return { valid: false, error: 'oldPublicId does not match oldPublicKey' };
+  }
+  if (!verify(createRotationData({ oldPublicId, newPublicKey, effectiveAt }), signature, oldPublicKey)) {
+    return { valid: false, error: 'Invalid rotation signature' };
+  }
+
+  return { valid: true };
+}
+
 export default {
   generateKeyPair,
   derivePublicId,
@@ -126,5 +201,9 @@ export default {
   verify,
   generateNonce,
   safeCompare,
-  createProofData
+  createProofData,
+  createRotationData,
+  createRotationStatement,
+  matchesPublicId,
+  verifyRotationStatement
 };
@@ -7,7 +7,13 @@
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { homedir } from 'node:os';
 import { join, dirname } from 'node:path';
-import { generateKeyPair, derivePublicId, sign as cryptoSign, verify as cryptoVerify } from './crypto.js';
+import {
+  generateKeyPair,
+  derivePublicId,
+  sign as cryptoSign,
+  verify as cryptoVerify,
+  createRotationStatement
+} from './crypto.js';
 
 /**
  * Identity manager class
@@ -57,12 +63,18 @@ export class Identity {
       version: '1.0.0'
     };
 
-    // Save to file with secure permissions
+    this.save();
+
+    return this.getPublic();
+  }
+
+  /**
+   * Save identity to file with secure permissions
+   */
+  save() {
     writeFileSync(this.storagePath, JSON.stringify(this.identity, null, 2), {
       mode: 0o600
     });
-
-    return this.getPublic();
   }
 
   /**
@@ -79,10 +91,69 @@ export class Identity {
       publicId: this.identity.publicId,
       createdAt: this.identity.createdAt,
       protocol: this.identity.protocol,
-      version: this.identity.version
+      version: this.identity.version,
+      agentId: this.identity.agentId || this.identity.publicId
     };
   }
 
+  /**
+   * Rotate to a fresh key pair.
+   * The old key signs a rotation statement for the new key and is archived
+   * (public part only). Present the statement to verifiers so they keep
+   * mapping the stable agentId to the new key.
+   * @param {Object} [options]
+   * @param {number} [options.effectiveAt=Date.now()] - When the new key takes over
+   * @returns {Object} Rotation statement
+   */
+  rotate(options = {}) {
+    if (!this.identity) {
+      this.init();
+    }
+
+    const old = this.identity;
+    const { publicKey, privateKey } = generateKeyPair();
+    const statement = createRotationStatement({
+      oldPublicKey: old.publicKey,
+      oldPrivateKey: old.privateKey,
+      newPublicKey: publicKey,
+      effectiveAt: options.effectiveAt ?? Date.now()
+    });
+
+    this.identity = {
+      ...old,
+      publicKey,
+      privateKey,
+      publicId: derivePublicId(publicKey),
+      createdAt: new Date().toISOString(),
+      agentId: old.agentId || old.publicId,
+      archivedKeys: [
+        ...(old.archivedKeys || []),
+        {
+          publicKey: old.publicKey,
+          publicId: old.publicId,
+          createdAt: old.createdAt,
+          retiredAt: new Date(statement.effectiveAt).toISOString()
+        }
+      ],
+      rotations: [...(old.rotations || []), statement]
+    };
+
+    this.save();
+
+    return statement;
+  }
+
+  /**
+   * Get all rotation statements, oldest first
+   * @returns {Object[]}
+   */
+  getRotations() {
+    if (!this.identity) {
+      this.init();
+    }
+    return this.identity.rotations || [];
+  }
+
   /**
    * Sign data with the identity's private key
    * @param {string} data - Data to sign
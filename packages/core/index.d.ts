@@ -17,7 +17,8 @@ export const MAX_CHALLENGES_STORED: 10000;
 
 export const CHALLENGE_TYPES: [
   'nlp_math', 'nlp_logic', 'nlp_extract', 'nlp_count',
-  'nlp_transform', 'nlp_multistep', 'nlp_pattern', 'nlp_analysis'
+  'nlp_transform', 'nlp_multistep', 'nlp_pattern', 'nlp_analysis',
+  'nlp_table', 'nlp_code', 'nlp_instruct', 'nlp_grid'
 ];
 
 // ============== Crypto ==============
@@ -43,6 +44,79 @@ export interface ProofDataParams {
 
 export function createProofData(params: ProofDataParams): string;
 
+export interface RotationStatement {
+  type: 'AAP_KEY_ROTATION';
+  oldPublicId: string;
+  oldPublicKey: string;
+  newPublicId: string;
+  newPublicKey: string;
+  effectiveAt: number;
+  signature: string;
+}
+
+export function createRotationData(params: { oldPublicId: string; newPublicKey: string; effectiveAt: number }): string;
+export function createRotationStatement(params: {
+  oldPublicKey: string;
+  oldPrivateKey: string;
+  newPublicKey: string;
+  effectiveAt?: number;
+}): RotationStatement;
+export function matchesPublicId(publicKey: string, publicId: string): boolean;
+export function verifyRotationStatement(statement: RotationStatement): { valid: boolean; error?: string };
+
+// ============== Attestation Tokens ==============
+
+export const TOKEN_ALGORITHM: 'ES256K';
+export const TOKEN_TYPE: 'JWT';
+
+export interface Jwk {
+  kty: 'EC';
+  crv: 'secp256k1';
+  x: string;
+  y: string;
+  kid: string;
+  alg: 'ES256K';
+  use: 'sig';
+}
+
+export interface Jwks {
+  keys: Jwk[];
+}
+
+export interface AttestationClaims {
+  iss?: string;
+  sub?: string;
+  iat?: number;
+  exp?: number;
+  nbf?: number;
+  jti?: string;
+  publicId: string;
+  verifiedAt: number;
+  expiresAt: number;
+  responseTimeMs: number;
+  protocol: 'AAP';
+  version: string;
+  [claim: string]: any;
+}
+
+export interface TokenVerificationOptions {
+  issuer?: string;
+  now?: number;
+  clockToleranceMs?: number;
+}
+
+export interface TokenVerificationResult {
+  valid: boolean;
+  payload?: AttestationClaims;
+  error?: string;
+}
+
+export function publicKeyToJwk(publicKey: string): Jwk;
+export function createJwks(publicKeys: string | string[]): Jwks;
+export function createAttestationToken(claims: AttestationClaims, privateKey: string, options?: { kid?: string }): string;
+export function verifyAttestationToken(token: string, keyOrJwks: string | Jwk | Jwks, options?: TokenVerificationOptions): TokenVerificationResult;
+export function decodeAttestationToken(token: string): { header: object; payload: AttestationClaims } | null;
+
 // ============== Identity ==============
 
 export interface IdentityOptions {
@@ -55,12 +129,17 @@ export interface PublicIdentity {
   createdAt: string;
   protocol: 'AAP';
   version: '2.5.0';
+  /** Stable ID across key rotations (publicId of the first key) */
+  agentId: string;
 }
 
 export class Identity {
   constructor(options?: IdentityOptions);
   init(): PublicIdentity;
   getPublic(): PublicIdentity;
+  save(): void;
+  rotate(options?: { effectiveAt?: number }): RotationStatement;
+  getRotations(): RotationStatement[];
   sign(data: string): string;
   exists(): boolean;
   delete(): void;
@@ -76,6 +155,11 @@ export default {
   verify: typeof verify;
   generateNonce: typeof generateNonce;
   createProofData: typeof createProofData;
+  createRotationStatement: typeof createRotationStatement;
+  verifyRotationStatement: typeof verifyRotationStatement;
+  createAttestationToken: typeof createAttestationToken;
+  verifyAttestationToken: typeof verifyAttestationToken;
+  createJwks: typeof createJwks;
   Identity: typeof Identity;
   PROTOCOL_VERSION: typeof PROTOCOL_VERSION;
   CHALLENGE_EXPIRY_MS: typeof CHALLENGE_EXPIRY_MS;
@@ -7,12 +7,14 @@
 
 export * from './crypto.js';
 export * from './identity.js';
+export * from './token.js';
 
 // Re-export defaults
 import crypto from './crypto.js';
 import identity from './identity.js';
+import token from './token.js';
 
-export { crypto, identity };
+export { crypto, identity, token };
 
 // Protocol constants (v2.5.0)
 export const PROTOCOL_VERSION = '2.5.0';
@@ -24,12 +26,14 @@ export const BATCH_SIZE = 5;
 // Challenge types (v2.5)
 export const CHALLENGE_TYPES = [
   'nlp_math', 'nlp_logic', 'nlp_extract', 'nlp_count',
-  'nlp_transform', 'nlp_multistep', 'nlp_pattern', 'nlp_analysis'
+  'nlp_transform', 'nlp_multistep', 'nlp_pattern', 'nlp_analysis',
+  'nlp_table', 'nlp_code', 'nlp_instruct', 'nlp_grid'
 ];
 
 export default {
   ...crypto,
   ...identity,
+  ...token,
   PROTOCOL_VERSION,
   DEFAULT_CHALLENGE_EXPIRY_MS,
   DEFAULT_MAX_RESPONSE_TIME_MS,
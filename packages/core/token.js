@@ -0,0 +1,192 @@
+/**
+ * @aap/core - Attestation Tokens
+ *
+ * Self-contained session tokens issued by a verifier after a successful
+ * attestation. Tokens are compact JWS (JWT) signed with ES256K over the
+ * verifier's own secp256k1 key, so any downstream service can validate
+ * them offline with the verifier's public key (PEM, JWK or JWKS).
+ */
+
+import {
+  createHash,
+  createPublicKey,
+  createPrivateKey,
+  sign as cryptoSign,
+  verify as cryptoVerify
+} from 'node:crypto';
+
+export const TOKEN_ALGORITHM = 'ES256K';
+export const TOKEN_TYPE = 'JWT';
+
+/**
+ * Base64url helpers
+ */
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Convert a PEM public key to a JWK with a stable key ID
+ * @param {string} publicKey - PEM-encoded secp256k1 public key
+ * @returns {Object} { kty, crv, x, y, kid, alg, use }
+ */
+export function publicKeyToJwk(publicKey) {
+  const { kty, crv, x, y } = createPublicKey(publicKey).export({ format: 'jwk' });
+  // RFC 7638 thumbprint: required members in lexicographic order
+  const kid = createHash('sha256')
+    .update(JSON.stringify({ crv, kty, x, y }))
+    .digest('base64url');
+
+  return { kty, crv, x, y, kid, alg: TOKEN_ALGORITHM, use: 'sig' };
+}
+
+/**
+ * Build a JWKS document for one or more verifier public keys
+ * @param {string|string[]} publicKeys - PEM-encoded public key(s)
+ * @returns {Object} { keys: [...] }
+ */
+export function createJwks(publicKeys) {
+  const list = Array.isArray(publicKeys) ? publicKeys : [publicKeys];
+  return { keys: list.map(publicKeyToJwk) };
+}
+
+/**
+ * Sign an attestation token
+ * @param {Object} claims - JWT payload
+ * @param {string} privateKey - PEM-encoded secp256k1 private key
+ * @param {Object} [options]
+ * @param {string} [options.kid] - Key ID placed in the header
+ * @returns {string} Compact JWS
+ */
+export function createAttestationToken(claims, privateKey, options = {}) {
+  const key = createPrivateKey(privateKey);
+  const kid = options.kid || publicKeyToJwk(createPublicKey(key)).kid;
+
+  const header = { alg: TOKEN_ALGORITHM, typ: TOKEN_TYPE, kid };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = cryptoSign('sha256', Buffer.from(signingInput), {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Resolve the verification key from a PEM, JWK or JWKS
+ */
+function resolveKey(keyOrJwks, kid) {
+  if (typeof keyOrJwks === 'string') {
+    return createPublicKey(keyOrJwks);
+  }
+
+  if (Array.isArray(keyOrJwks?.keys)) {
+    const jwk = keyOrJwks.keys.find(k => !kid || k.kid === kid);
+    if (!jwk) return null;
+    return createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  if (keyOrJwks?.kty) {
+    if (kid && keyOrJwks.kid && keyOrJwks.kid !== kid) return null;
+    return createPublicKey({ key: keyOrJwks, format: 'jwk' });
+  }
+
+  return null;
+}
+
+/**
+ * Verify an attestation token offline
+ * @param {string} token - Compact JWS from the verifier
+ * @param {string|Object} keyOrJwks - Verifier public key (PEM, JWK or JWKS)
+ * @param {Object} [options]
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @param {number} [options.now=Date.now()] - Current time in ms
+ * @param {number} [options.clockToleranceMs=0] - Allowed clock skew
+ * @returns {Object} { valid, payload?, error? }
+ */
+export function verifyAttestationToken(token, keyOrJwks, options = {}) {
+  const { issuer, now = Date.now(), clockToleranceMs = 0 } = options;
+
+  if (typeof token !== 'string') {
+    return { valid: false, error: 'Token must be a string' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  if (header.alg !== TOKEN_ALGORITHM) {
+    return { valid: false, error: `Unsupported algorithm: ${header.alg}` };
+  }
+
+  try {
+    const key = resolveKey(keyOrJwks, header.kid);
+    if (!key) {
+      return { valid: false, error: 'No matching key' };
+    }
+
+    const signatureValid = cryptoVerify(
+      'sha256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!signatureValid) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+  } catch {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  const nowSec = Math.floor(now / 1000);
+  const toleranceSec = Math.floor(clockToleranceMs / 1000);
+
+  if (typeof payload.exp === 'number' && nowSec > payload.exp + toleranceSec) {
+    return { valid: false, error: 'Token expired', payload };
+  }
+  if (typeof payload.nbf === 'number' && nowSec + toleranceSec < payload.nbf) {
+    return { valid: false, error: 'Token not yet valid', payload };
+  }
+  if (issuer && payload.iss !== issuer) {
+    return { valid: false, error: 'Issuer mismatch', payload };
+  }
+
+  return { valid: true, payload };
+}
+
+/**
+ * Decode a token without verifying it (inspection only)
+ * @param {string} token
+ * @returns {Object|null} { header, payload }
+ */
+export function decodeAttestationToken(token) {
+  try {
+    const [header, payload] = token.split('.');
+    return { header: decodeSegment(header), payload: decodeSegment(payload) };
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  TOKEN_ALGORITHM,
+  TOKEN_TYPE,
+  publicKeyToJwk,
+  createJwks,
+  createAttestationToken,
+  verifyAttestationToken,
+  decodeAttestationToken
+};
@@ -0,0 +1,282 @@
+/**
+ * AAP Answerability Audit
+ *
+ * Checks one generated challenge for ways its expected answer can be
+ * ambiguous or easy to get wrong for a careful reader:
+ * - a word that belongs to the target category and another one in play
+ *   ("orange" among fruits and colors)
+ * - a fractional answer where the wording implies a whole number
+ * - a rounding instruction that lands exactly on .5
+ * - repeated items, tied answers or sequences that fit two rules
+ * - program steps whose result depends on the language (nlp_code)
+ * - shapes that meet only at a corner (nlp_grid)
+ *
+ * Types opt in with an `audit(instance, { difficulty, locale })` function on
+ * their definition; generation draws again until the audit passes (see
+ * drawChallenge() in challenges.js). The built-in audits read the `facts`
+ * each built-in generator returns next to its challenge. Word checks run
+ * against every locale pack, so a nonce is kept or redrawn the same way in
+ * every language.
+ */
+
+import { LOCALES, compareWords } from './locales/index.js';
+
+/**
+ * Why an instance was flagged
+ */
+export const AUDIT_CODES = {
+  CATEGORY_COLLISION: 'CATEGORY_COLLISION', // A target word also belongs to another category in the text
+  DUPLICATE_ITEMS: 'DUPLICATE_ITEMS',       // The same item appears twice
+  NON_INTEGER: 'NON_INTEGER',               // A fraction where the wording implies whole numbers
+  ROUNDING_TIE: 'ROUNDING_TIE',             // Rounding lands on .5 (half up or half to even?)
+  TIED_ANSWER: 'TIED_ANSWER',               // Several items qualify as "the" answer
+  AMBIGUOUS_PATTERN: 'AMBIGUOUS_PATTERN',   // The sequence fits rules with different continuations
+  INDEX_BASE: 'INDEX_BASE',                 // Positions without saying where counting starts
+  EMPTY_ANSWER: 'EMPTY_ANSWER',             // The expected answer is an empty string
+  NEGATIVE_MODULO: 'NEGATIVE_MODULO',       // A remainder of a negative number (its sign differs between languages)
+  CORNER_CONTACT: 'CORNER_CONTACT'          // Two shapes meet only at a corner (one shape or two?)
+};
+
+const CATEGORIES = ['animals', 'fruits', 'colors', 'countries'];
+
+// Math templates whose wording asks for rounding, by index
+// (same order as the locale pack's math templates)
+const ROUNDED_MATH_TEMPLATES = {
+  1: 2,  // Two decimal places
+  3: 0   // Nearest integer
+};
+
+const LOGIC_HALF_THRESHOLD_TEMPLATE = 3;  // Shows threshold / 2
+const TRANSFORM_POSITION_TEMPLATE = 3;    // Even and odd positions
+const MULTISTEP_SORTED_TEMPLATE = 1;      // Second-smallest and second-largest
+const MULTISTEP_ROUNDED_TEMPLATE = 2;     // Rounds the sum of two averages
+const ANALYSIS_LONGEST_TEMPLATE = 0;      // Longest word (1: shortest)
+const ANALYSIS_ALPHABETICAL_TEMPLATE = 2; // First alphabetically
+const TABLE_COUNT_TEMPLATE = 1;           // Filters on country, not color
+const TABLE_TOP_ITEM_TEMPLATE = 2;        // Item with the largest total
+const GRID_DIAGONAL_TEMPLATE = 2;         // Most frequent letter on the diagonal
+const GRID_SHAPES_TEMPLATE = 3;           // Shapes of "#" cells
+const ZERO_BASED_HINT = /0\s*[,、]\s*2/;   // "(0,2,4...)"
+
+function issue(code, detail) {
+  return { code, detail };
+}
+
+function isHalf(value, places = 0) {
+  const scaled = Math.abs(value * 10 ** places);
+  return Math.abs(scaled - Math.floor(scaled) - 0.5) < 1e-9;
+}
+
+/**
+ * Target words that, in some locale, also belong to another category in play
+ * @param {string} target - Target category
+ * @param {number[]} positions - Indices of the target words in the target pool
+ * @param {string[]} inPlay - Categories the other words come from
+ * @returns {Object[]} Issues
+ */
+export function categoryCollisions(target, positions, inPlay) {
+  const others = inPlay.filter(category => category !== target && CATEGORIES.includes(category));
+  return Object.values(LOCALES).flatMap(pack => positions.flatMap(i => {
+    const word = pack.words[target][i];
+    const also = others.filter(category => pack.words[category].includes(word));
+    return also.length > 0
+      ? [issue(AUDIT_CODES.CATEGORY_COLLISION, `"${word}" (${pack.code}) is ${target} and ${also.join(', ')}`)]
+      : [];
+  }));
+}
+
+/**
+ * Items that appear more than once (case-insensitively)
+ * @param {Array} items
+ * @returns {Object[]} Issues
+ */
+export function duplicateItems(items) {
+  const seen = new Set();
+  const repeated = new Set();
+  for (const item of items) {
+    const key = String(item).toLowerCase();
+    if (seen.has(key)) repeated.add(item);
+    seen.add(key);
+  }
+  return [...repeated].map(item => issue(AUDIT_CODES.DUPLICATE_ITEMS, `"${item}" appears more than once`));
+}
+
+/**
+ * Continuations of a 4-number sequence under each rule the generators use
+ * @param {number[]} sequence
+ * @returns {Object} { [rule]: [next1, next2] } for the rules it fits
+ */
+export function sequenceRules(sequence) {
+  const [s0, s1, s2, s3] = sequence;
+  const rules = {};
+  if (s1 - s0 === s2 - s1 && s2 - s1 === s3 - s2) {
+    rules.arithmetic = [s3 + (s1 - s0), s3 + 2 * (s1 - s0)];
+  }
+  if (s0 !== 0 && s1 === s0 * 2 && s2 === s1 * 2 && s3 === s2 * 2) {
+    rules.doubling = [s3 * 2, s3 * 4];
+  }
+  if (s2 === s0 + s1 && s3 === s1 + s2) {
+    rules.fibonacci = [s2 + s3, s2 + 2 * s3];
+  }
+  return rules;
+}
+
+/**
+ * Number of shapes of "#" cells in a grid
+ * @param {string[]} rows - Grid rows, one character per cell
+ * @param {Object} [options]
+ * @param {boolean} [options.corners=false] - Cells touching at a corner belong to the same shape
+ * @returns {number}
+ */
+export function shapeCount(rows, { corners = false } = {}) {
+  const steps = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  if (corners) steps.push([-1, -1], [-1, 1], [1, -1], [1, 1]);
+  const seen = new Set();
+  let shapes = 0;
+  rows.forEach((row, r) => [...row].forEach((cell, c) => {
+    if (cell !== '#' || seen.has(`${r},${c}`)) return;
+    shapes++;
+    const stack = [[r, c]];
+    seen.add(`${r},${c}`);
+    while (stack.length > 0) {
+      const [y, x] = stack.pop();
+      for (const [dy, dx] of steps) {
+        const key = `${y + dy},${x + dx}`;
+        if (rows[y + dy]?.[x + dx] === '#' && !seen.has(key)) {
+          seen.add(key);
+          stack.push([y + dy, x + dx]);
+        }
+      }
+    }
+  }));
+  return shapes;
+}
+
+// ============== BUILT-IN AUDITS ==============
+
+/**
+ * Audits for the challenges.js types, keyed by type: (instance) => issues
+ */
+export const BUILTIN_AUDITS = {
+  nlp_extract: ({ facts }) => categoryCollisions(facts.category, facts.targets, [facts.distractorCategory]),
+
+  nlp_count: ({ facts }) => categoryCollisions(facts.category, facts.targets, facts.categories),
+
+  nlp_math: ({ facts }) => {
+    const places = ROUNDED_MATH_TEMPLATES[facts.template];
+    if (places === undefined) {
+      return Number.isInteger(facts.value)
+        ? []
+        : [issue(AUDIT_CODES.NON_INTEGER, `${facts.value} with no rounding asked for`)];
+    }
+    return isHalf(facts.value, places)
+      ? [issue(AUDIT_CODES.ROUNDING_TIE, `${facts.value} rounded to ${places} decimal places`)]
+      : [];
+  },
+
+  nlp_transform: ({ facts, expected }) => {
+    const issues = [];
+    if (facts.template === TRANSFORM_POSITION_TEMPLATE) {
+      for (const pack of Object.values(LOCALES)) {
+        if (!ZERO_BASED_HINT.test(pack.transform[facts.template](facts.input))) {
+          issues.push(issue(AUDIT_CODES.INDEX_BASE, `Even and odd positions without a 0-based example (${pack.code})`));
+        }
+      }
+    }
+    if (expected.output === '') {
+      issues.push(issue(AUDIT_CODES.EMPTY_ANSWER, `"${facts.input}" leaves nothing to output`));
+    }
+    return issues;
+  },
+
+  nlp_logic: ({ facts }) => facts.template === LOGIC_HALF_THRESHOLD_TEMPLATE && facts.threshold % 2 !== 0
+    ? [issue(AUDIT_CODES.NON_INTEGER, `Half of ${facts.threshold} is ${facts.threshold / 2}`)]
+    : [],
+
+  nlp_multistep: ({ facts }) => {
+    if (facts.template === MULTISTEP_SORTED_TEMPLATE) {
+      // "The second-smallest" of [3, 3, 5, 8] could be 3 or 5
+      return duplicateItems(facts.numbers);
+    }
+    return facts.template === MULTISTEP_ROUNDED_TEMPLATE && isHalf(facts.value)
+      ? [issue(AUDIT_CODES.ROUNDING_TIE, `${facts.value} rounded to the nearest integer`)]
+      : [];
+  },
+
+  nlp_pattern: ({ facts }) => {
+    const continuations = new Set(Object.values(sequenceRules(facts.sequence)).map(next => next.join(',')));
+    return continuations.size > 1
+      ? [issue(AUDIT_CODES.AMBIGUOUS_PATTERN, `[${facts.sequence.join(', ')}] fits ${continuations.size} rules`)]
+      : [];
+  },
+
+  nlp_analysis: ({ facts }) => Object.values(LOCALES).flatMap(pack => {
+    const pool = [...pack.words.animals, ...pack.words.fruits];
+    const words = facts.positions.map(i => pool[i]);
+    let ties;
+    if (facts.template === ANALYSIS_ALPHABETICAL_TEMPLATE) {
+      const compare = compareWords(pack);
+      const first = [...words].sort(compare)[0];
+      ties = words.filter(w => compare(w, first) === 0);
+    } else {
+      const lengths = words.map(w => w.length);
+      const best = facts.template === ANALYSIS_LONGEST_TEMPLATE ? Math.max(...lengths) : Math.min(...lengths);
+      ties = words.filter(w => w.length === best);
+    }
+    return [
+      ...duplicateItems(words),
+      ...(ties.length > 1 ? [issue(AUDIT_CODES.TIED_ANSWER, `${ties.join(', ')} all qualify (${pack.code})`)] : [])
+    ];
+  }),
+
+  nlp_table: ({ facts }) => {
+    if (facts.template === TABLE_TOP_ITEM_TEMPLATE) {
+      const totals = new Map();
+      for (const { item, qty } of facts.rows) totals.set(item, (totals.get(item) || 0) + qty);
+      const best = Math.max(...totals.values());
+      const tied = [...totals.values()].filter(total => total === best).length;
+      return tied > 1 ? [issue(AUDIT_CODES.TIED_ANSWER, `${tied} items share the largest total (${best})`)] : [];
+    }
+    // "orange items" could mean the fruit
+    return facts.template === TABLE_COUNT_TEMPLATE ? [] : categoryCollisions('colors', [facts.color], ['fruits']);
+  },
+
+  // Both ways: a target that is also a distractor word, and a distractor that also fits the target category
+  nlp_instruct: ({ facts }) => facts.category
+    ? [
+      ...categoryCollisions(facts.category, facts.targets, [facts.distractorCategory]),
+      ...categoryCollisions(facts.distractorCategory, facts.distractors, [facts.category])
+    ]
+    : [],
+
+  // Hazards are reported by runProgram() (see programs.js)
+  nlp_code: ({ facts, expected }) => [
+    ...facts.hazards.map(({ code, detail }) => issue(code, detail)),
+    ...(expected.answer === '' ? [issue(AUDIT_CODES.EMPTY_ANSWER, 'The program leaves an empty string')] : [])
+  ],
+
+  nlp_grid: ({ facts }) => {
+    if (facts.template === GRID_DIAGONAL_TEMPLATE) {
+      const counts = new Map();
+      for (const letter of facts.diagonal) counts.set(letter, (counts.get(letter) || 0) + 1);
+      const best = Math.max(...counts.values());
+      const tied = [...counts].filter(([, count]) => count === best).map(([letter]) => letter);
+      return tied.length > 1 ? [issue(AUDIT_CODES.TIED_ANSWER, `${tied.join(', ')} each appear ${best} times on the diagonal`)] : [];
+    }
+    if (facts.template === GRID_SHAPES_TEMPLATE) {
+      const sides = shapeCount(facts.rows);
+      const corners = shapeCount(facts.rows, { corners: true });
+      return sides !== corners ? [issue(AUDIT_CODES.CORNER_CONTACT, `${sides} shapes, or ${corners} if corners connect`)] : [];
+    }
+    return [];
+  }
+};
+
+export default {
+  AUDIT_CODES,
+  BUILTIN_AUDITS,
+  categoryCollisions,
+  duplicateItems,
+  sequenceRules,
+  shapeCount
+};
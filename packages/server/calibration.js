@@ -0,0 +1,437 @@
+/**
+ * AAP Challenge Calibration
+ *
+ * Offline self-test for challenge generators: generate N batches, run them
+ * through a pluggable solver and report how each type and template fares.
+ * No network access is needed, so generator changes can be checked for
+ * solvability before a release.
+ *
+ * Solvers are { name, solve(challenge) } where `challenge` is
+ * { id, type, version, challenge_string, difficulty, locale, expected }
+ * and solve() returns the answer string (or a promise of it). Built in:
+ * - createOracleSolver(): answers with the generator's expected answer
+ * - createNoisySolver(base): corrupts a share of another solver's answers
+ * - createReplaySolver(transcript): replays recorded answers
+ *
+ * auditGenerators() sweeps the generators themselves: it draws many
+ * instances per type without regeneration and reports what each type's
+ * answerability audit flags (see audit.js).
+ */
+
+import { randomBytes } from 'node:crypto';
+import { createPrng } from './prng.js';
+import {
+  generateBatch,
+  validateBatch,
+  drawChallenge,
+  defaultRegistry,
+  DEFAULT_DIFFICULTY,
+  MAX_DRAWS
+} from './challenges.js';
+import { DEFAULT_LOCALE, LOCALES } from './locales/index.js';
+import { canonicalize } from './paraphrase.js';
+
+export const DEFAULT_BATCHES = 50;
+export const DEFAULT_MIN_PASS_RATE = 0.95;   // Templates below this are reported as ambiguous
+export const DEFAULT_AUDIT_NONCES = 500;
+
+// ============== SOLVERS ==============
+
+/**
+ * Oracle solver: answers with the generator's expected answer.
+ * Any failure means a generator and its validator disagree.
+ * @returns {Object} Solver
+ */
+export function createOracleSolver() {
+  return {
+    name: 'oracle',
+    solve: (challenge) => challenge.expected === undefined ? '' : JSON.stringify(challenge.expected)
+  };
+}
+
+/**
+ * Noisy solver: wraps another solver and corrupts a share of its answers
+ * (a wrong value, a dropped salt or prose without JSON), the way a flaky
+ * model would. Deterministic for a given seed.
+ * @param {Object} base - Solver whose answers are corrupted
+ * @param {Object} [options]
+ * @param {number} [options.errorRate=0.2] - Share of answers to corrupt
+ * @param {string} [options.seed='noisy'] - PRNG seed
+ * @returns {Object} Solver
+ */
+export function createNoisySolver(base, options = {}) {
+  const { errorRate = 0.2, seed = 'noisy' } = options;
+  if (!(errorRate >= 0 && errorRate <= 1)) {
+    throw new Error(`Invalid errorRate: ${errorRate}. Use a number between 0 and 1`);
+  }
+  const rng = createPrng(seed, { secret: 'calibration', label: 'noisy' });
+
+  return {
+    name: `noisy(${base.name}, ${errorRate})`,
+    solve: async (challenge) => {
+      const answer = await base.solve(challenge);
+      if (rng.float() >= errorRate) return answer;
+      return corrupt(answer, rng);
+    }
+  };
+}
+
+/**
+ * Replay solver: answers with a recorded transcript
+ * (runCalibration({ record: true }).transcript, or answers collected from
+ * a real model). Challenges missing from the transcript get no answer.
+ * @param {Object[]} transcript - [{ challenge_string, answer }]
+ * @returns {Object} Solver
+ */
+export function createReplaySolver(transcript) {
+  if (!Array.isArray(transcript)) {
+    throw new Error('Transcript must be an array of { challenge_string, answer }');
+  }
+  const answers = new Map(transcript.map(entry => [entry.challenge_string, entry.answer]));
+
+  return {
+    name: 'replay',
+    solve: (challenge) => answers.get(challenge.challenge_string) ?? ''
+  };
+}
+
+/**
+ * Corrupt one answer
+ */
+function corrupt(answer, rng) {
+  let obj = null;
+  try {
+    obj = JSON.parse(answer);
+  } catch {
+    // Not JSON: treat as prose below
+  }
+  if (!obj || typeof obj !== 'object') {
+    return 'I am not sure about this one.';
+  }
+
+  const fields = Object.keys(obj).filter(key => key !== 'salt');
+  switch (rng.int(0, 2)) {
+    case 0: {
+      const { salt, ...rest } = obj;
+      return JSON.stringify(rest);
+    }
+    case 1:
+      return `The answer is ${fields.map(key => obj[key]).join(', ')}.`;
+    default: {
+      const field = fields.length > 0 ? rng.pick(fields) : 'salt';
+      return JSON.stringify({ ...obj, [field]: wrongValue(obj[field]) });
+    }
+  }
+}
+
+function wrongValue(value) {
+  if (typeof value === 'number') return value + 1;
+  if (Array.isArray(value)) return value.slice(0, -1);
+  return `${value}?`;
+}
+
+// ============== HARNESS ==============
+
+/**
+ * Template signature of a challenge: the text back in template wording
+ * (see canonicalize() in paraphrase.js) with its salt, numbers, quoted
+ * inputs and pool words replaced, so challenges drawn from the same
+ * template group together (a heuristic, not the generator's template index)
+ * @param {string} text - challenge_string
+ * @param {string} [locale='en']
+ * @returns {string}
+ */
+export function templateSignature(text, locale = DEFAULT_LOCALE) {
+  const pack = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const words = Object.values(pack.words).flat().sort((a, b) => b.length - a.length);
+
+  let signature = canonicalize(text.split('\n')[0], { locale: pack.code })
+    .replace(/\[REQ-[^\]]*\]\s*/, '')
+    .replace(/"[^"]*"/g, '"…"');
+  for (const word of words) {
+    signature = signature.split(word).join('*');
+  }
+  return signature
+    .replace(/-?\d+(?:[.,]\d+)?/g, '#')
+    .replace(/[*#](?:\s*(?:[,、]|and|y)\s*[*#])+/g, '*')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Run challenges through a solver and report pass rates
+ * @param {Object} [options]
+ * @param {Object} [options.solver=createOracleSolver()] - { name, solve(challenge) }
+ * @param {number} [options.batches=50] - Batches to generate
+ * @param {number} [options.count] - Challenges per batch (default: the difficulty profile's)
+ * @param {string} [options.difficulty='extreme']
+ * @param {string} [options.locale='en']
+ * @param {string|Object} [options.strictness] - As for generateBatch
+ * @param {Object} [options.registry] - Registry to draw from (default registry otherwise)
+ * @param {string} [options.seed] - Seed for the batch nonces (random by default). The same
+ *   seed and options give the same challenges, so a recorded transcript can be replayed.
+ * @param {string|Buffer} [options.secret] - Generator secret (derived from the seed by default)
+ * @param {boolean} [options.paraphrase=true] - Reword instructions as generateBatch does
+ * @param {number} [options.minPassRate=0.95] - Templates below this are listed as ambiguous
+ * @param {boolean} [options.record=false] - Keep every challenge and answer in `transcript`
+ * @returns {Promise<Object>} Report (see formatReport)
+ */
+export async function runCalibration(options = {}) {
+  const {
+    solver = createOracleSolver(),
+    batches = DEFAULT_BATCHES,
+    count,
+    difficulty = DEFAULT_DIFFICULTY,
+    locale = DEFAULT_LOCALE,
+    strictness,
+    registry,
+    seed = randomBytes(8).toString('hex'),
+    secret = `calibration:${seed}`,
+    paraphrase = true,
+    minPassRate = DEFAULT_MIN_PASS_RATE,
+    record = false
+  } = options;
+
+  const nonces = createPrng(seed, { secret: 'calibration', label: 'nonces' });
+  const types = {};
+  const templates = new Map();  // `${type}|${signature}` -> stats
+  const transcript = [];
+  let total = 0;
+  let passedTotal = 0;
+
+  for (let b = 0; b < batches; b++) {
+    const nonce = nonces.string(32);
+    const batch = generateBatch(nonce, count, { difficulty, locale, strictness, registry, secret, paraphrase });
+
+    const answers = [];
+    for (const [i, c] of batch.challenges.entries()) {
+      answers.push(await solver.solve({
+        id: c.id,
+        type: c.type,
+        version: c.version,
+        challenge_string: c.challenge_string,
+        difficulty,
+        locale,
+        expected: batch.expected[i]
+      }));
+    }
+
+    const { results } = validateBatch(batch.validators, answers, { diagnostics: true });
+    results.forEach((result, i) => {
+      const { type, version, challenge_string } = batch.challenges[i];
+      const answer = typeof answers[i] === 'string' ? answers[i] : JSON.stringify(answers[i] ?? '');
+      const stats = types[type] ??= { version, attempts: 0, passed: 0, reasons: {}, lengths: [] };
+      stats.attempts++;
+      stats.lengths.push(answer.length);
+      if (result.valid) stats.passed++;
+      else stats.reasons[result.reason] = (stats.reasons[result.reason] || 0) + 1;
+
+      const signature = templateSignature(challenge_string, locale);
+      const key = `${type}|${signature}`;
+      const template = templates.get(key) ?? { type, template: signature, attempts: 0, passed: 0, sample: null };
+      template.attempts++;
+      if (result.valid) template.passed++;
+      else template.sample ??= { challenge_string, answer, reason: result.reason, field: result.field };
+      templates.set(key, template);
+
+      if (record) transcript.push({ nonce, type, version, challenge_string, answer, valid: result.valid });
+      total++;
+      if (result.valid) passedTotal++;
+    });
+  }
+
+  const byType = {};
+  for (const [type, stats] of Object.entries(types).sort(([a], [b]) => a.localeCompare(b))) {
+    byType[type] = {
+      version: stats.version,
+      attempts: stats.attempts,
+      passed: stats.passed,
+      passRate: rate(stats.passed, stats.attempts),
+      reasons: stats.reasons,
+      answerLength: distribution(stats.lengths)
+    };
+  }
+
+  const ambiguous = [...templates.values()]
+    .map(t => ({ ...t, passRate: rate(t.passed, t.attempts) }))
+    .filter(t => t.passRate < minPassRate)
+    .sort((a, b) => a.passRate - b.passRate);
+
+  return {
+    solver: solver.name,
+    seed,
+    batches,
+    difficulty,
+    locale,
+    challenges: total,
+    passed: passedTotal,
+    passRate: rate(passedTotal, total),
+    types: byType,
+    templates: templates.size,
+    ambiguous,
+    ...(record && { transcript })
+  };
+}
+
+/**
+ * Plain-text summary of a calibration report
+ * @param {Object} report - From runCalibration
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Solver: ${report.solver}  (seed ${report.seed}, ${report.batches} batches, ${report.difficulty}/${report.locale})`,
+    `Overall: ${report.passed}/${report.challenges} passed (${pct(report.passRate)})`,
+    '',
+    'Type              Pass     Answer length (min/p50/p90/max)  Failures'
+  ];
+
+  for (const [type, stats] of Object.entries(report.types)) {
+    const { min, p50, p90, max } = stats.answerLength;
+    const reasons = Object.entries(stats.reasons).map(([code, n]) => `${code}×${n}`).join(' ') || '-';
+    lines.push(`${type.padEnd(18)}${pct(stats.passRate).padStart(6)}   ${`${min}/${p50}/${p90}/${max}`.padEnd(33)}${reasons}`);
+  }
+
+  lines.push('', `Templates: ${report.templates}, ambiguous: ${report.ambiguous.length}`);
+  for (const t of report.ambiguous) {
+    lines.push(`  [${t.type}] ${pct(t.passRate)} of ${t.attempts}: ${t.template}`);
+    if (t.sample) {
+      lines.push(`    e.g. ${t.sample.reason}${t.sample.field ? ` (${t.sample.field})` : ''}: ${t.sample.answer.slice(0, 120)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// ============== AUDIT ==============
+
+/**
+ * Sweep the generators with their answerability audits. Each nonce is drawn
+ * the way generation does (drawChallenge) and the first draw's issues are
+ * counted, so the report shows how often a type would serve a bad instance
+ * without the audit and how many draws replacing them takes.
+ * @param {Object} [options]
+ * @param {number} [options.nonces=500] - Nonces per type
+ * @param {string} [options.difficulty='extreme']
+ * @param {string} [options.locale='en']
+ * @param {Object} [options.registry] - Registry to sweep (default registry otherwise)
+ * @param {string[]} [options.types] - Types to sweep (all by default)
+ * @param {string} [options.seed] - Seed for the nonces (random by default)
+ * @returns {Object} { seed, nonces, difficulty, locale, types: { [type]: { audited, draws,
+ *   flagged, flagRate, issues, templates, maxDraws, exhausted, sample } } }
+ */
+export function auditGenerators(options = {}) {
+  const {
+    nonces = DEFAULT_AUDIT_NONCES,
+    difficulty = DEFAULT_DIFFICULTY,
+    locale = DEFAULT_LOCALE,
+    registry = defaultRegistry,
+    seed = randomBytes(8).toString('hex')
+  } = options;
+  const types = options.types ?? registry.getTypes();
+  const secret = `audit:${seed}`;
+
+  const report = {};
+  for (const type of types) {
+    const definition = registry.get(type);
+    if (!definition) {
+      throw new Error(`Challenge type "${type}" is not registered`);
+    }
+    const stream = createPrng(seed, { secret: 'calibration', label: `audit:${type}` });
+    const stats = {
+      audited: Boolean(definition.audit),
+      draws: nonces,
+      flagged: 0,
+      flagRate: 0,
+      issues: {},
+      templates: {},
+      maxDraws: 1,
+      exhausted: 0,
+      sample: null
+    };
+
+    for (let n = 0; n < nonces; n++) {
+      const nonce = stream.string(32);
+      let drawn;
+      try {
+        drawn = drawChallenge(definition, nonce, { secret, difficulty, locale, paraphrase: false });
+      } catch {
+        stats.exhausted++;
+        stats.maxDraws = MAX_DRAWS;
+        continue;
+      }
+
+      const { result, rejected } = drawn;
+      const first = rejected[0] ?? { instance: result, issues: [] };
+      const template = String(first.instance.facts?.template ?? '-');
+      const counts = stats.templates[template] ??= { draws: 0, flagged: 0 };
+      counts.draws++;
+      stats.maxDraws = Math.max(stats.maxDraws, rejected.length + 1);
+      if (first.issues.length > 0) {
+        stats.flagged++;
+        counts.flagged++;
+        for (const { code } of first.issues) stats.issues[code] = (stats.issues[code] || 0) + 1;
+        stats.sample ??= { challenge_string: first.instance.challenge_string, issues: first.issues };
+      }
+    }
+    stats.flagRate = rate(stats.flagged, stats.draws);
+    report[type] = stats;
+  }
+
+  return { seed, nonces, difficulty, locale, types: report };
+}
+
+/**
+ * Plain-text summary of an audit report
+ * @param {Object} report - From auditGenerators
+ * @returns {string}
+ */
+export function formatAuditReport(report) {
+  const lines = [
+    `Audit: ${report.nonces} nonces per type  (seed ${report.seed}, ${report.difficulty}/${report.locale})`,
+    '',
+    'Type              Flagged  Max draws  Issues'
+  ];
+  for (const [type, stats] of Object.entries(report.types)) {
+    const issues = stats.audited
+      ? Object.entries(stats.issues).map(([code, n]) => `${code}×${n}`).join(' ') || '-'
+      : '(no audit)';
+    const flagged = `${(stats.flagRate * 100).toFixed(1)}%`;
+    lines.push(`${type.padEnd(18)}${flagged.padStart(7)}  ${String(stats.maxDraws).padStart(9)}  ${issues}`);
+    if (stats.exhausted > 0) {
+      lines.push(`  ${stats.exhausted} nonce(s) still flagged after ${MAX_DRAWS} draws: generation would fail`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function rate(passed, attempts) {
+  return attempts > 0 ? Math.round(passed / attempts * 1000) / 1000 : 0;
+}
+
+function distribution(values) {
+  if (values.length === 0) return { min: 0, p50: 0, p90: 0, max: 0, mean: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    min: sorted[0],
+    p50: at(0.5),
+    p90: at(0.9),
+    max: sorted[sorted.length - 1],
+    mean: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length * 10) / 10
+  };
+}
+
+export default {
+  DEFAULT_BATCHES,
+  DEFAULT_MIN_PASS_RATE,
+  DEFAULT_AUDIT_NONCES,
+  createOracleSolver,
+  createNoisySolver,
+  createReplaySolver,
+  templateSignature,
+  runCalibration,
+  formatReport,
+  auditGenerators,
+  formatAuditReport
+};
@@ -1,11 +1,57 @@
 /**
- * @aap/server - Challenge Generator v2.6
+ * @aap/server - Challenge Generator v2.15
  * 
  * "Burst Mode with Entropy Injection"
  * - 7 challenges in 6 seconds (humans cannot pass)
  * - Salt injection prevents caching attacks
  * - Natural language instructions (requires LLM)
  * 
+ * v2.15 Changes:
+ * - nlp_grid: spatial questions over an ASCII grid (letters in a row,
+ *   column or on the diagonal, shapes of "#" cells, shortest path
+ *   through a maze); plain text, no images
+ * 
+ * v2.14 Changes:
+ * - Paraphrased instructions (see paraphrase.js): synonyms, clause order,
+ *   digits or number words, punctuation and irrelevant sentences vary with
+ *   the nonce, so one fixed regex per template no longer reads a challenge;
+ *   answers are unchanged
+ * 
+ * v2.13 Changes:
+ * - nlp_instruct: instruction following with format constraints (words
+ *   from given initials, a JSON tally of colors, sorted picks from a list,
+ *   multiples in a range); validators check each constraint instead of
+ *   comparing with one answer (see constraints() in normalize.js)
+ * 
+ * v2.12 Changes:
+ * - nlp_code: short loops, string building and conditionals rendered as
+ *   JavaScript or pseudo-code; answers come from running the program's
+ *   syntax tree (see programs.js), never from eval()
+ * 
+ * v2.11 Changes:
+ * - nlp_table: filter, aggregate and join questions over a generated
+ *   orders table, rendered as JSON records or CSV
+ * 
+ * v2.10 Changes:
+ * - Answerability audit (see audit.js): instances with category collisions,
+ *   fractions under whole-number wording, rounding ties, repeated items or
+ *   tied answers are drawn again from the nonce's next stream
+ * 
+ * v2.9 Changes:
+ * - Locale packs (en, ko, ja, es) for word pools and templates; validators
+ *   accept full-width digits, counter suffixes, decimal commas and
+ *   spelled-out numbers (see locales/)
+ * 
+ * v2.8 Changes:
+ * - Difficulty levels (easy/normal/hard/extreme) scale operand sizes,
+ *   distractor counts and step counts; batch size and time follow the level
+ * - "extreme" keeps the v2.7 parameter ranges and stays the default
+ * 
+ * v2.7 Changes:
+ * - Parameters drawn from a keyed PRNG (HMAC-SHA256 counter mode, see prng.js)
+ *   instead of nonce slices: uniform, independent, unpredictable without the secret
+ * - Batch type order shuffled by the PRNG
+ * 
  * v2.6 Changes:
  * - BATCH_SIZE: 5 → 7 (more problems = harder for humans)
  * - MAX_RESPONSE_TIME_MS: 8000 → 6000 (tighter window)
@@ -17,102 +63,296 @@
  * - Salt injection in challenges (must be echoed back)
  */
 
-import { createHash } from 'node:crypto';
+import { createPrng } from './prng.js';
+import { paraphrase as rephrase } from './paraphrase.js';
+import { LOCALES, DEFAULT_LOCALE, getLocale, compareWords } from './locales/index.js';
+import {
+  DEFAULT_STRICTNESS,
+  REASON_CODES,
+  checkStrictness,
+  createAnswerMatcher,
+  strictnessFor,
+  diagnoseAnswer,
+  resolveDiagnostics
+} from './normalize.js';
+import { scoreResults } from './scoring.js';
+import { BUILTIN_AUDITS } from './audit.js';
+import {
+  PROGRAM_LANGUAGES,
+  lit,
+  ref,
+  op,
+  length,
+  charAt,
+  assign,
+  loop,
+  when,
+  print,
+  runProgram,
+  renderProgram
+} from './programs.js';
+
+// ============== Difficulty ==============
 
 /**
- * Word pools for dynamic challenge generation
+ * Difficulty levels, easiest first
  */
-const WORD_POOLS = {
-  animals: ['cat', 'dog', 'rabbit', 'tiger', 'lion', 'elephant', 'giraffe', 'penguin', 'eagle', 'shark', 'wolf', 'bear', 'fox', 'deer', 'owl'],
-  fruits: ['apple', 'banana', 'orange', 'grape', 'strawberry', 'watermelon', 'peach', 'kiwi', 'mango', 'cherry', 'lemon', 'lime', 'pear', 'plum'],
-  colors: ['red', 'blue', 'yellow', 'green', 'purple', 'orange', 'pink', 'black', 'white', 'brown', 'gray', 'cyan', 'magenta'],
-  countries: ['Korea', 'Japan', 'USA', 'UK', 'France', 'Germany', 'Australia', 'Canada', 'Brazil', 'India', 'Italy', 'Spain', 'Mexico'],
-  verbs: ['runs', 'eats', 'sleeps', 'plays', 'works', 'studies', 'travels', 'cooks', 'reads', 'writes', 'sings', 'dances'],
-  adjectives: ['big', 'small', 'fast', 'slow', 'beautiful', 'cute', 'delicious', 'interesting', 'bright', 'dark']
-};
+export const DIFFICULTY_LEVELS = ['easy', 'normal', 'hard', 'extreme'];
+export const DEFAULT_DIFFICULTY = 'extreme';
 
 /**
- * Select random items from array using nonce as seed
+ * Position of a level in DIFFICULTY_LEVELS (throws on unknown levels)
+ * @param {string} difficulty
+ * @returns {number}
  */
-function seededSelect(arr, nonce, count, offset = 0) {
-  const seed = parseInt(nonce.slice(offset, offset + 4), 16);
-  const results = [];
-  const used = new Set();
-  
-  for (let i = 0; i < count && i < arr.length; i++) {
-    let idx = (seed + i * 7) % arr.length;
-    while (used.has(idx)) {
-      idx = (idx + 1) % arr.length;
-    }
-    used.add(idx);
-    results.push(arr[idx]);
+export function difficultyIndex(difficulty) {
+  const index = DIFFICULTY_LEVELS.indexOf(difficulty);
+  if (index === -1) {
+    throw new Error(`Unknown difficulty level: ${difficulty}. Use ${DIFFICULTY_LEVELS.join(', ')}`);
   }
-  return results;
+  return index;
 }
 
 /**
- * Generate a random number from nonce
+ * Pick the value for a level from [easy, normal, hard, extreme]
  */
-function seededNumber(nonce, offset, min, max) {
-  const seed = parseInt(nonce.slice(offset, offset + 4), 16);
-  return (seed % (max - min + 1)) + min;
+function scaled(difficulty, values) {
+  return values[difficultyIndex(difficulty)];
 }
 
 /**
- * Generate salt from nonce (for entropy injection)
- * @param {string} nonce - Base nonce
- * @param {number} offset - Offset for variation
+ * Uniform integer from the [min, max] range for a level
+ */
+function scaledInt(rng, difficulty, ranges) {
+  const [min, max] = scaled(difficulty, ranges);
+  return rng.int(min, max);
+}
+
+/**
+ * Keyed random stream for one challenge (see prng.js).
+ * The type is mixed in so different types on the same nonce are independent.
+ * @param {string} type - Challenge type
+ * @param {string} nonce - Challenge nonce
+ * @param {string|Buffer} [secret] - Server secret
+ * @param {number} [attempt=1] - Draw number (see drawChallenge)
+ */
+function seeded(type, nonce, secret, attempt = 1) {
+  return createPrng(nonce, { secret, label: attempt === 1 ? type : `${type}#${attempt}` });
+}
+
+/**
+ * Generate salt (for entropy injection)
+ * @param {Object} rng - Challenge PRNG
  * @returns {string} 6-character salt
  */
-function generateSalt(nonce, offset = 0) {
-  return nonce.slice(offset, offset + 6).toUpperCase();
+function generateSalt(rng) {
+  return rng.string(6, '0123456789ABCDEF');
+}
+
+/**
+ * Formats nlp_table renders its tables in
+ */
+const TABLE_FORMATS = ['JSON', 'CSV'];
+
+/**
+ * Render records as a JSON array (one record per line) or as CSV with a header row
+ * @param {Object[]} records - Flat records with the same keys
+ * @param {string} format - 'JSON' or 'CSV'
+ * @returns {string}
+ */
+function renderTable(records, format) {
+  if (format === 'JSON') {
+    return `[\n${records.map(record => `  ${JSON.stringify(record)}`).join(',\n')}\n]`;
+  }
+  const columns = Object.keys(records[0]);
+  return [columns.join(','), ...records.map(record => columns.map(column => record[column]).join(','))].join('\n');
+}
+
+/**
+ * Variable names for nlp_code programs (drawn, so a solver cannot key on them)
+ */
+const PROGRAM_NAMES = ['x', 'y', 'n', 'total', 'acc', 'count', 'val', 'res', 'out', 'tmp', 'a', 'b'];
+const LOOP_NAMES = ['i', 'j', 'k'];
+const PROGRAM_LABELS = [['HIGH', 'MID', 'LOW'], ['RED', 'AMBER', 'GREEN'], ['ALPHA', 'BETA', 'GAMMA']];
+
+/**
+ * Letters nlp_instruct asks words for, each with the word of its expected answer
+ */
+const INITIAL_WORDS = {
+  A: 'anchor', B: 'bridge', C: 'candle', D: 'desert', E: 'engine', F: 'forest', G: 'garden',
+  H: 'harbor', I: 'island', J: 'jacket', K: 'kettle', L: 'ladder', M: 'mirror', N: 'needle',
+  O: 'orbit', P: 'pencil', R: 'river', S: 'saddle', T: 'tunnel', W: 'window'
+};
+
+/**
+ * Cells of nlp_grid grids. Letter grids leave out I, O and Q (they read like
+ * digits) and S and E (the maze's start and end).
+ */
+const GRID_LETTERS = 'ABCDFGHJKLMNPRTUWXYZ';
+const GRID_WALL = '#';
+const GRID_OPEN = '.';
+const GRID_SIDES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const GRID_AROUND = [...GRID_SIDES, [-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+/**
+ * Render a grid one row per line. Letter grids are spaced and numbered
+ * (rows and columns from 1); shapes and mazes are drawn as they are.
+ * @param {string[][]} cells
+ * @param {Object} [options]
+ * @param {boolean} [options.numbered=false]
+ * @returns {string}
+ */
+function renderGrid(cells, { numbered = false } = {}) {
+  if (!numbered) return cells.map(row => row.join('')).join('\n');
+  return [
+    `  ${cells[0].map((_, c) => c + 1).join(' ')}`,
+    ...cells.map((row, r) => `${r + 1} ${row.join(' ')}`)
+  ].join('\n');
+}
+
+/**
+ * Place shapes of wall cells on an open grid, each grown one cell at a time
+ * from a random start. A shape never touches another one, not even at a
+ * corner, so the count is the same however "touching" is read.
+ * @returns {Object} { cells, count } - count is how many shapes fit
+ */
+function placeShapes(rng, rows, cols, shapes, maxSize) {
+  const owner = Array.from({ length: rows }, () => Array(cols).fill(-1));
+  const free = ([r, c], shape) => r >= 0 && r < rows && c >= 0 && c < cols && owner[r][c] === -1 &&
+    GRID_AROUND.every(([dr, dc]) => [undefined, -1, shape].includes(owner[r + dr]?.[c + dc]));
+
+  let count = 0;
+  for (let shape = 0; shape < shapes; shape++) {
+    const starts = owner.flatMap((row, r) => row.map((_, c) => [r, c])).filter(cell => free(cell, shape));
+    if (starts.length === 0) break;
+    const body = [rng.pick(starts)];
+    const size = rng.int(1, maxSize);
+    owner[body[0][0]][body[0][1]] = shape;
+    while (body.length < size) {
+      const next = body
+        .flatMap(([r, c]) => GRID_SIDES.map(([dr, dc]) => [r + dr, c + dc]))
+        .filter(cell => free(cell, shape));
+      if (next.length === 0) break;
+      const [r, c] = rng.pick(next);
+      owner[r][c] = shape;
+      body.push([r, c]);
+    }
+    count++;
+  }
+  return { cells: owner.map(row => row.map(shape => shape === -1 ? GRID_OPEN : GRID_WALL)), count };
+}
+
+/**
+ * Carve a maze of height x width rooms (randomized depth-first search), then
+ * knock down `loops` inner walls so more than one way may lead through.
+ * "S" opens on the left edge and "E" on the right, in another row.
+ * @returns {Object} { cells, steps } - steps on the shortest path from S to E
+ */
+function carveMaze(rng, height, width, loops) {
+  const cells = Array.from({ length: 2 * height + 1 }, () => Array(2 * width + 1).fill(GRID_WALL));
+  const visited = new Set(['0,0']);
+  const stack = [[0, 0]];
+  cells[1][1] = GRID_OPEN;
+  while (stack.length > 0) {
+    const [r, c] = stack[stack.length - 1];
+    const next = GRID_SIDES
+      .map(([dr, dc]) => [r + dr, c + dc])
+      .filter(([nr, nc]) => nr >= 0 && nr < height && nc >= 0 && nc < width && !visited.has(`${nr},${nc}`));
+    if (next.length === 0) {
+      stack.pop();
+      continue;
+    }
+    const [nr, nc] = rng.pick(next);
+    cells[r + nr + 1][c + nc + 1] = GRID_OPEN;
+    cells[2 * nr + 1][2 * nc + 1] = GRID_OPEN;
+    visited.add(`${nr},${nc}`);
+    stack.push([nr, nc]);
+  }
+
+  // Walls between two rooms: one coordinate odd, the other even and inside the border
+  const inner = cells.flatMap((row, r) => row.map((cell, c) => [r, c]))
+    .filter(([r, c]) => cells[r][c] === GRID_WALL && r > 0 && c > 0 && r < 2 * height && c < 2 * width && (r + c) % 2 === 1);
+  for (const [r, c] of rng.sample(inner, Math.min(loops, inner.length))) cells[r][c] = GRID_OPEN;
+
+  // Different rows, so the answer is never just the width
+  const [startRoom, endRoom] = rng.sample([...Array(height).keys()], 2);
+  const start = [2 * startRoom + 1, 0];
+  const end = [2 * endRoom + 1, 2 * width];
+  cells[start[0]][start[1]] = 'S';
+  cells[end[0]][end[1]] = 'E';
+
+  // Breadth-first search from S
+  const distance = new Map([[start.join(), 0]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const [r, c] = queue.shift();
+    for (const [dr, dc] of GRID_SIDES) {
+      const key = `${r + dr},${c + dc}`;
+      const cell = cells[r + dr]?.[c + dc];
+      if (cell !== undefined && cell !== GRID_WALL && !distance.has(key)) {
+        distance.set(key, distance.get(`${r},${c}`) + 1);
+        queue.push([r + dr, c + dc]);
+      }
+    }
+  }
+  return { cells, steps: distance.get(end.join()) };
 }
 
 /**
  * Challenge type definitions
+ *
+ * generate(nonce, rng, { difficulty, locale, strictness }) draws every
+ * parameter from `rng`; when it is omitted the stream is derived from the
+ * nonce with the per-process secret. `difficulty` (default "extreme") scales
+ * the parameter ranges, `locale` (default "en") picks the locale pack for the
+ * text and `strictness` (default "standard") sets how answers may be written
+ * (see normalize.js).
+ * The `difficulty` field of a definition is only a label for how hard the
+ * type is compared to the others.
  */
 export const CHALLENGE_TYPES = {
   /**
    * Extract entities from natural language sentence (HARD - more distractors)
    */
   nlp_extract: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 0);
-      const category = ['animals', 'fruits', 'colors'][parseInt(nonce[0], 16) % 3];
-      const pool = WORD_POOLS[category];
-      const targets = seededSelect(pool, nonce, 3, 0);  // 3 targets now
-      const distractorPool = category === 'animals' ? 'fruits' : category === 'fruits' ? 'colors' : 'animals';
-      const distractors = seededSelect(WORD_POOLS[distractorPool], nonce, 2, 8);
-      const verb = seededSelect(WORD_POOLS.verbs, nonce, 1, 4)[0];
-      const adj = seededSelect(WORD_POOLS.adjectives, nonce, 1, 6)[0];
+    difficulty: 'hard',
+    tags: ['nlp', 'extraction'],
+    audit: BUILTIN_AUDITS.nlp_extract,
+    generate: (nonce, rng = seeded('nlp_extract', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const { words } = pack;
+      const salt = generateSalt(rng);
+      const category = rng.pick(['animals', 'fruits', 'colors']);
+      const distractorCategory = category === 'animals' ? 'fruits' : category === 'fruits' ? 'colors' : 'animals';
+      const pool = words[category];
+      const targets = rng.sample(pool, scaled(difficulty, [2, 2, 3, 3]));
+      // 'orange' is both a fruit and a color
+      const distractors = rng.sample(words[distractorCategory].filter(w => !pool.includes(w)), scaled(difficulty, [1, 2, 2, 3]));
+      const verb = rng.pick(words.verbs);
+      const adj = rng.pick(words.adjectives);
       
       // Complex sentence with distractors mixed in
-      const templates = [
-        `The ${adj} ${targets[0]}, a ${distractors[0]}, the ${targets[1]}, and ${targets[2]} all ${verb} near the ${distractors[1]}.`,
-        `I saw ${targets[0]} and ${distractors[0]} yesterday, but today only ${targets[1]}, ${targets[2]}, and a ${distractors[1]} appeared.`,
-        `Between the ${distractors[0]} and ${distractors[1]}, there were ${targets[0]}, ${targets[1]}, and ${targets[2]} ${verb}ing.`
-      ];
-      const sentence = templates[parseInt(nonce[12], 16) % templates.length];
+      const mixed = rng.shuffle([...targets, ...distractors]);
+      const half = Math.ceil(mixed.length / 2);
+      const sentence = rng.pick(pack.extract.sentences)({
+        adj,
+        verb,
+        all: pack.list(mixed),
+        first: pack.list(mixed.slice(0, half)),
+        second: pack.list(mixed.slice(half))
+      });
+      const itemFormat = targets.map((_, i) => `"item${i + 1}"`).join(', ');
       
       return {
-        challenge_string: `[REQ-${salt}] Extract ONLY the ${category} from this sentence (ignore other categories).
-Sentence: "${sentence}"
-Response format: {"salt": "${salt}", "items": ["item1", "item2", "item3"]}`,
+        challenge_string: `[REQ-${salt}] ${pack.extract.instruction(pack.categories[category])}
+${pack.extract.label}: "${sentence}"
+${pack.responseFormat}: {"salt": "${salt}", "items": [${itemFormat}]}`,
         expected: { salt, items: targets.map(s => s.toLowerCase()).sort() },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            // Check salt
-            if (obj.salt !== salt) return false;
-            
-            const items = (obj.items || obj.animals || obj.fruits || obj.colors || []).map(s => s.toLowerCase()).sort();
-            const expected = targets.map(s => s.toLowerCase()).sort();
-            return JSON.stringify(items) === JSON.stringify(expected);
-          } catch { return false; }
-        }
+        facts: { category, distractorCategory, targets: targets.map(w => pool.indexOf(w)) },
+        validate: answers.validator(salt, {
+          'items|animals|fruits|colors': (value) => answers.list(value, targets, { ordered: false })
+        })
       };
     }
   },
@@ -121,60 +361,40 @@ Response format: {"salt": "${salt}", "items": ["item1", "item2", "item3"]}`,
    * Math problem expressed in natural language (EXTREME)
    */
   nlp_math: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 2);
-      const a = seededNumber(nonce, 0, 50, 200);
-      const b = seededNumber(nonce, 2, 10, 50);
-      const c = seededNumber(nonce, 4, 2, 9);
-      const d = seededNumber(nonce, 6, 5, 25);
-      const e = seededNumber(nonce, 8, 2, 6);
+    difficulty: 'extreme',
+    tags: ['nlp', 'math'],
+    audit: BUILTIN_AUDITS.nlp_math,
+    generate: (nonce, rng = seeded('nlp_math', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const salt = generateSalt(rng);
+      const a = scaledInt(rng, difficulty, [[10, 40], [20, 100], [30, 150], [50, 200]]);
+      const b = scaledInt(rng, difficulty, [[2, 9], [5, 20], [10, 40], [10, 50]]);
+      const c = scaledInt(rng, difficulty, [[2, 4], [2, 6], [2, 9], [2, 9]]);
+      const d = scaledInt(rng, difficulty, [[1, 10], [5, 15], [5, 25], [5, 25]]);
+      const e = scaledInt(rng, difficulty, [[2, 3], [2, 4], [2, 6], [2, 6]]);
       
-      const templates = [
-        {
-          text: `Start with ${a}. Subtract ${b}. Multiply that by ${c}. Divide the result by ${e}. Finally, add ${d}. What's the final value?`,
-          answer: (((a - b) * c) / e) + d
-        },
-        {
-          text: `Compute: ((${a} + ${b}) × ${c} - ${d}) ÷ ${e}. Give the result rounded to two decimal places.`,
-          answer: ((a + b) * c - d) / e
-        },
-        {
-          text: `Take the sum of ${a} and ${b}. Square root of that sum, rounded down. Then multiply by ${c} and subtract ${d}.`,
-          answer: Math.floor(Math.sqrt(a + b)) * c - d
-        },
-        {
-          text: `${a} divided by ${c}, plus ${b} divided by ${e}, minus ${d}. Round to nearest integer.`,
-          answer: Math.round(a / c + b / e - d)
-        },
-        {
-          text: `Triple ${a}, halve that result, add ${b}, then take away ${d}. Multiply everything by ${e}. Final answer?`,
-          answer: ((a * 3 / 2) + b - d) * e
-        },
-        {
-          text: `What is ${a} mod ${c} (remainder), plus ${b} mod ${e}, times ${d}?`,
-          answer: ((a % c) + (b % e)) * d
-        }
+      // Same order as the locale pack's math templates
+      const results = [
+        (((a - b) * c) / e) + d,
+        ((a + b) * c - d) / e,
+        Math.floor(Math.sqrt(a + b)) * c - d,
+        Math.round(a / c + b / e - d),
+        ((a * 3 / 2) + b - d) * e,
+        ((a % c) + (b % e)) * d
       ];
       
-      const template = templates[parseInt(nonce[10], 16) % templates.length];
-      const expected = Math.round(template.answer * 100) / 100;
+      const index = rng.int(0, results.length - 1);
+      const expected = Math.round(results[index] * 100) / 100;
       
       return {
-        challenge_string: `[REQ-${salt}] ${template.text}
-Response format: {"salt": "${salt}", "result": number}`,
+        challenge_string: `[REQ-${salt}] ${pack.math[index]({ a, b, c, d, e })}
+${pack.responseFormat}: {"salt": "${salt}", "result": number}`,
         expected: { salt, result: expected },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            const result = parseFloat(obj.result);
-            return Math.abs(result - expected) < 0.01;
-          } catch { return false; }
-        }
+        facts: { template: index, value: results[index] },
+        validate: answers.validator(salt, {
+          result: (value) => answers.number(value, expected)
+        })
       };
     }
   },
@@ -183,41 +403,41 @@ Response format: {"salt": "${salt}", "result": number}`,
    * String transformation described in natural language (EXTREME - multi-step transforms)
    */
   nlp_transform: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 4);
-      const input = nonce.slice(6, 16);  // Longer input: 10 chars
-      const transformType = parseInt(nonce[16], 16) % 6;
+    difficulty: 'extreme',
+    tags: ['string'],
+    audit: BUILTIN_AUDITS.nlp_transform,
+    generate: (nonce, rng = seeded('nlp_transform', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const salt = generateSalt(rng);
+      const input = rng.string(scaled(difficulty, [6, 7, 8, 10]));  // hex chars
+      const transformType = rng.int(0, 5);
       
-      let instruction, expected;
+      let expected;
       
       switch (transformType) {
         case 0:
           // Reverse → uppercase → take first 5
           expected = input.split('').reverse().join('').toUpperCase().slice(0, 5);
-          instruction = `Take "${input}": reverse it, convert to uppercase, then return only the first 5 characters.`;
           break;
         case 1:
           // Extract digits → sum → return as string with prefix
           const digitSum = input.split('').filter(c => /\d/.test(c)).reduce((a, b) => a + parseInt(b), 0);
           expected = `SUM:${digitSum}`;
-          instruction = `From "${input}": extract all digits, sum them, and format as "SUM:X" where X is the total.`;
           break;
         case 2:
           // Letters only → sort → reverse → join with dots
           expected = input.split('').filter(c => /[a-zA-Z]/.test(c)).sort().reverse().join('.');
-          instruction = `From "${input}": extract letters only, sort alphabetically, reverse that order, join with dots.`;
           break;
         case 3:
           // Alternate case: odd positions uppercase, even lowercase
           expected = input.split('').map((c, i) => i % 2 === 0 ? c.toLowerCase() : c.toUpperCase()).join('');
-          instruction = `Transform "${input}": characters at even positions (0,2,4...) lowercase, odd positions (1,3,5...) uppercase.`;
           break;
         case 4:
           // Count each char type
           const letters = input.split('').filter(c => /[a-zA-Z]/.test(c)).length;
           const digits = input.split('').filter(c => /\d/.test(c)).length;
           expected = `L${letters}D${digits}`;
-          instruction = `Analyze "${input}": count letters and digits. Format answer as "LxDy" where x=letter count, y=digit count.`;
           break;
         case 5:
           // Replace vowels with *, consonants with #, keep digits
@@ -226,26 +446,17 @@ Response format: {"salt": "${salt}", "result": number}`,
             if (/[a-zA-Z]/.test(c)) return '#';
             return c;
           }).join('');
-          instruction = `Transform "${input}": replace vowels with "*", consonants with "#", keep digits unchanged.`;
           break;
       }
       
       return {
-        challenge_string: `[REQ-${salt}] ${instruction}
-Response format: {"salt": "${salt}", "output": "result"}`,
+        challenge_string: `[REQ-${salt}] ${pack.transform[transformType](input)}
+${pack.responseFormat}: {"salt": "${salt}", "output": "result"}`,
         expected: { salt, output: expected },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            const output = String(obj.output);
-            return output === String(expected) || output.toLowerCase() === String(expected).toLowerCase();
-          } catch { return false; }
-        }
+        facts: { template: transformType, input },
+        validate: answers.validator(salt, {
+          output: (value) => answers.text(value, expected)
+        })
       };
     }
   },
@@ -254,84 +465,68 @@ Response format: {"salt": "${salt}", "output": "result"}`,
    * Conditional logic (EXTREME - multi-layer nested conditions)
    */
   nlp_logic: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 6);
-      const a = seededNumber(nonce, 0, 20, 150);
-      const b = seededNumber(nonce, 2, 20, 150);
-      const c = seededNumber(nonce, 4, 20, 100);
-      const d = seededNumber(nonce, 6, 10, 50);
-      const threshold = seededNumber(nonce, 8, 40, 100);
+    difficulty: 'extreme',
+    tags: ['logic'],
+    audit: BUILTIN_AUDITS.nlp_logic,
+    generate: (nonce, rng = seeded('nlp_logic', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const salt = generateSalt(rng);
+      const operandRanges = [[1, 30], [10, 60], [20, 100], [20, 150]];
+      const a = scaledInt(rng, difficulty, operandRanges);
+      const b = scaledInt(rng, difficulty, operandRanges);
+      const c = scaledInt(rng, difficulty, [[1, 30], [10, 60], [20, 80], [20, 100]]);
+      const d = scaledInt(rng, difficulty, [[1, 20], [5, 30], [10, 40], [10, 50]]);
+      const threshold = scaledInt(rng, difficulty, [[10, 30], [20, 60], [30, 80], [40, 100]]);
       
-      const templates = [
-        {
-          text: `Let X=${a}, Y=${b}, Z=${c}, W=${d}. If (X > Y AND Z > W) OR (X < Y AND Z < W), answer "CONSISTENT". If (X > Y AND Z < W) OR (X < Y AND Z > W), answer "CROSSED". Otherwise, answer "EQUAL".`,
-          answer: ((a > b && c > d) || (a < b && c < d)) ? "CONSISTENT" : ((a > b && c < d) || (a < b && c > d)) ? "CROSSED" : "EQUAL"
-        },
-        {
-          text: `Given four numbers [${a}, ${b}, ${c}, ${d}]: Count how many are divisible by 3. If count is 0, say "NONE". If 1-2, say "FEW". If 3-4, say "MANY".`,
-          answer: (() => {
-            const count = [a, b, c, d].filter(n => n % 3 === 0).length;
-            return count === 0 ? "NONE" : count <= 2 ? "FEW" : "MANY";
-          })()
-        },
-        {
-          text: `Evaluate: Is (${a} + ${b}) greater than (${c} + ${d})? AND is (${a} × ${d}) less than (${b} × ${c})? If BOTH true: "ALPHA". If NEITHER true: "GAMMA". Otherwise: "BETA".`,
-          answer: (() => {
-            const cond1 = (a + b) > (c + d);
-            const cond2 = (a * d) < (b * c);
-            return (cond1 && cond2) ? "ALPHA" : (!cond1 && !cond2) ? "GAMMA" : "BETA";
-          })()
-        },
-        {
-          text: `Numbers: ${a}, ${b}, ${c}, ${d}. First, find the median (average of middle two when sorted). If median > ${threshold}, output "HIGH". If median < ${threshold / 2}, output "LOW". Otherwise, output "MID".`,
-          answer: (() => {
-            const sorted = [a, b, c, d].sort((x, y) => x - y);
-            const median = (sorted[1] + sorted[2]) / 2;
-            return median > threshold ? "HIGH" : median < (threshold / 2) ? "LOW" : "MID";
-          })()
-        },
-        {
-          text: `Check these conditions for [${a}, ${b}, ${c}, ${d}]: (1) Sum > ${threshold * 3}? (2) Product of smallest two < ${threshold * 10}? (3) Largest is even? Count TRUE conditions. Answer with the count (0-3).`,
-          answer: (() => {
-            const sorted = [a, b, c, d].sort((x, y) => x - y);
-            let count = 0;
-            if (a + b + c + d > threshold * 3) count++;
-            if (sorted[0] * sorted[1] < threshold * 10) count++;
-            if (sorted[3] % 2 === 0) count++;
-            return String(count);
-          })()
-        },
-        {
-          text: `If ${a} AND ${b} are both prime, answer "TWIN". If exactly one is prime, answer "SOLO". If neither is prime, answer "NONE". (Hint: primes are only divisible by 1 and themselves)`,
-          answer: (() => {
-            const isPrime = n => {
-              if (n < 2) return false;
-              for (let i = 2; i <= Math.sqrt(n); i++) if (n % i === 0) return false;
-              return true;
-            };
-            const ap = isPrime(a), bp = isPrime(b);
-            return (ap && bp) ? "TWIN" : (ap || bp) ? "SOLO" : "NONE";
-          })()
-        }
+      // Same order as the locale pack's logic templates
+      const outcomes = [
+        ((a > b && c > d) || (a < b && c < d)) ? "CONSISTENT" : ((a > b && c < d) || (a < b && c > d)) ? "CROSSED" : "EQUAL",
+        (() => {
+          const count = [a, b, c, d].filter(n => n % 3 === 0).length;
+          return count === 0 ? "NONE" : count <= 2 ? "FEW" : "MANY";
+        })(),
+        (() => {
+          const cond1 = (a + b) > (c + d);
+          const cond2 = (a * d) < (b * c);
+          return (cond1 && cond2) ? "ALPHA" : (!cond1 && !cond2) ? "GAMMA" : "BETA";
+        })(),
+        (() => {
+          const sorted = [a, b, c, d].sort((x, y) => x - y);
+          const median = (sorted[1] + sorted[2]) / 2;
+          return median > threshold ? "HIGH" : median < (threshold / 2) ? "LOW" : "MID";
+        })(),
+        (() => {
+          const sorted = [a, b, c, d].sort((x, y) => x - y);
+          let count = 0;
+          if (a + b + c + d > threshold * 3) count++;
+          if (sorted[0] * sorted[1] < threshold * 10) count++;
+          if (sorted[3] % 2 === 0) count++;
+          return String(count);
+        })(),
+        (() => {
+          const isPrime = n => {
+            if (n < 2) return false;
+            for (let i = 2; i <= Math.sqrt(n); i++) if (n % i === 0) return false;
+            return true;
+          };
+          const ap = isPrime(a), bp = isPrime(b);
+          return (ap && bp) ? "TWIN" : (ap || bp) ? "SOLO" : "NONE";
+        })()
       ];
       
-      const template = templates[parseInt(nonce[10], 16) % templates.length];
+      // Easier levels skip the nested and arithmetic-heavy conditions
+      const index = rng.int(0, scaled(difficulty, [2, 4, 6, 6]) - 1);
+      const answer = outcomes[index];
       
       return {
-        challenge_string: `[REQ-${salt}] ${template.text}
-Response format: {"salt": "${salt}", "answer": "your answer"}`,
-        expected: { salt, answer: template.answer },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            return obj.answer?.toUpperCase() === template.answer.toUpperCase();
-          } catch { return false; }
-        }
+        challenge_string: `[REQ-${salt}] ${pack.logic[index]({ a, b, c, d, threshold })}
+${pack.responseFormat}: {"salt": "${salt}", "answer": "your answer"}`,
+        expected: { salt, answer },
+        facts: { template: index, threshold },
+        validate: answers.validator(salt, {
+          answer: (value) => answers.text(value, answer)
+        })
       };
     }
   },
@@ -340,76 +535,67 @@ Response format: {"salt": "${salt}", "answer": "your answer"}`,
    * Counting task (EXTREME - multiple categories, complex sentences)
    */
   nlp_count: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 8);
-      const targetCategory = ['animals', 'fruits', 'colors'][parseInt(nonce[0], 16) % 3];
-      const pool = WORD_POOLS[targetCategory];
-      const targetCount = seededNumber(nonce, 0, 3, 6);
+    difficulty: 'extreme',
+    tags: ['nlp', 'counting'],
+    audit: BUILTIN_AUDITS.nlp_count,
+    generate: (nonce, rng = seeded('nlp_count', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const { words } = pack;
+      const salt = generateSalt(rng);
+      const targetCategory = rng.pick(['animals', 'fruits', 'colors']);
+      const targetCount = scaledInt(rng, difficulty, [[2, 3], [2, 4], [3, 5], [3, 6]]);
       
       // Add distractors from OTHER categories
       const distractor1Cat = targetCategory === 'animals' ? 'fruits' : 'animals';
       const distractor2Cat = targetCategory === 'colors' ? 'fruits' : 'colors';
-      const distractorCount1 = seededNumber(nonce, 2, 2, 4);
-      const distractorCount2 = seededNumber(nonce, 4, 2, 3);
+      const distractorCount1 = scaledInt(rng, difficulty, [[1, 2], [1, 3], [2, 3], [2, 4]]);
+      const distractorCount2 = scaledInt(rng, difficulty, [[0, 1], [1, 2], [1, 3], [2, 3]]);
       
-      const targets = seededSelect(pool, nonce, targetCount, 0);
-      const distractors1 = seededSelect(WORD_POOLS[distractor1Cat], nonce, distractorCount1, 6);
-      const distractors2 = seededSelect(WORD_POOLS[distractor2Cat], nonce, distractorCount2, 10);
-      const countryDistractors = seededSelect(WORD_POOLS.countries, nonce, 2, 14);
+      const pool = words[targetCategory];
+      // 'orange' is both a fruit and a color
+      const notTarget = (w) => !pool.includes(w);
+      const targets = rng.sample(pool, targetCount);
+      const distractors1 = rng.sample(words[distractor1Cat].filter(notTarget), distractorCount1);
+      const distractors2 = rng.sample(words[distractor2Cat].filter(notTarget), distractorCount2)
+        .filter(w => !distractors1.includes(w));
+      const countryDistractors = rng.sample(words.countries, scaled(difficulty, [0, 1, 1, 2]));
       
       // Mix everything together
-      const allItems = [...targets, ...distractors1, ...distractors2, ...countryDistractors];
-      // Shuffle using nonce
-      for (let i = allItems.length - 1; i > 0; i--) {
-        const j = parseInt(nonce.slice(i % 28, (i % 28) + 2), 16) % (i + 1);
-        [allItems[i], allItems[j]] = [allItems[j], allItems[i]];
-      }
-      
-      const templates = [
-        `At the market, I noticed: ${allItems.join(', ')}. Quite a mix!`,
-        `The list contains: ${allItems.join(', ')}. Some things don't belong.`,
-        `Inventory check: ${allItems.join(', ')}. Sort by category mentally.`,
-        `Mixed bag: ${allItems.join(', ')}. Focus on what matters.`
-      ];
-      const sentence = templates[parseInt(nonce[20], 16) % templates.length];
+      const allItems = rng.shuffle([...targets, ...distractors1, ...distractors2, ...countryDistractors]);
+      const sentence = rng.pick(pack.count.sentences)(allItems.join(pack.separator));
       
       return {
-        challenge_string: `[REQ-${salt}] Count ONLY the ${targetCategory} in this text. Ignore all other categories (other nouns are distractors).
-Text: "${sentence}"
-Response format: {"salt": "${salt}", "count": number}`,
+        challenge_string: `[REQ-${salt}] ${pack.count.instruction(pack.categories[targetCategory])}
+${pack.count.label}: "${sentence}"
+${pack.responseFormat}: {"salt": "${salt}", "count": number}`,
         expected: { salt, count: targetCount },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            return parseInt(obj.count) === targetCount;
-          } catch { return false; }
-        }
+        facts: { category: targetCategory, categories: [distractor1Cat, distractor2Cat], targets: targets.map(w => pool.indexOf(w)) },
+        validate: answers.validator(salt, {
+          count: (value) => answers.number(value, targetCount)
+        })
       };
     }
   },
 
   /**
-   * Multi-step instruction following (EXTREME - 5-6 steps)
+   * Multi-step instruction following (EXTREME - 5-8 steps)
    */
   nlp_multistep: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 10);
-      const numbers = [
-        seededNumber(nonce, 0, 5, 30),
-        seededNumber(nonce, 2, 5, 30),
-        seededNumber(nonce, 4, 5, 30),
-        seededNumber(nonce, 6, 5, 30),
-        seededNumber(nonce, 8, 5, 30),
-        seededNumber(nonce, 10, 5, 30)
-      ];
+    difficulty: 'extreme',
+    tags: ['math', 'instructions'],
+    audit: BUILTIN_AUDITS.nlp_multistep,
+    generate: (nonce, rng = seeded('nlp_multistep', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const text = pack.multistep;
+      const salt = generateSalt(rng);
+      // Even lengths so the list splits into halves and has two middle numbers
+      const length = scaled(difficulty, [4, 4, 6, 6]);
+      const numbers = Array.from({ length }, () => scaledInt(rng, difficulty, [[2, 12], [5, 20], [5, 25], [5, 30]]));
       
-      const templateType = parseInt(nonce[12], 16) % 4;
-      let instructions, final;
+      const templateType = rng.int(0, 3);
+      let steps, final, value;
       
       if (templateType === 0) {
         // Complex: filter → transform → aggregate → adjust
@@ -419,38 +605,28 @@ Response format: {"salt": "${salt}", "count": number}`,
         const oddsSum = odds.reduce((a, b) => a + b, 0);
         const diff = Math.abs(evensProduct - oddsSum);
         final = diff % 100;  // Keep manageable
-        instructions = `1. From [${numbers.join(', ')}], separate even and odd numbers.
-2. Calculate the PRODUCT of all even numbers (or 0 if none).
-3. Calculate the SUM of all odd numbers.
-4. Find the absolute difference between these two results.
-5. Take that difference modulo 100 (remainder when divided by 100).`;
+        steps = text.evenOdd(numbers);
       } else if (templateType === 1) {
         // Sort → pair operations → combine
         const sorted = [...numbers].sort((a, b) => a - b);
-        const pair1 = sorted[0] * sorted[5];  // smallest × largest
-        const pair2 = sorted[1] + sorted[4];  // 2nd smallest + 2nd largest
-        const pair3 = sorted[2] - sorted[3];  // middle pair difference (might be negative)
+        const mid = length / 2;
+        const pair1 = sorted[0] * sorted[length - 1];  // smallest × largest
+        const pair2 = sorted[1] + sorted[length - 2];  // 2nd smallest + 2nd largest
+        const pair3 = sorted[mid - 1] - sorted[mid];   // middle pair difference (might be negative)
         final = pair1 + pair2 + Math.abs(pair3);
-        instructions = `1. Sort [${numbers.join(', ')}] from smallest to largest.
-2. Multiply the smallest by the largest.
-3. Add the second-smallest to the second-largest.
-4. Find absolute difference between the two middle numbers.
-5. Sum all three results from steps 2, 3, and 4.`;
+        steps = text.sortPairs(numbers);
       } else if (templateType === 2) {
         // Chunked processing
-        const chunk1 = numbers.slice(0, 3);
-        const chunk2 = numbers.slice(3, 6);
-        const avg1 = chunk1.reduce((a, b) => a + b, 0) / 3;
-        const avg2 = chunk2.reduce((a, b) => a + b, 0) / 3;
+        const half = length / 2;
+        const chunk1 = numbers.slice(0, half);
+        const chunk2 = numbers.slice(half);
+        const avg1 = chunk1.reduce((a, b) => a + b, 0) / half;
+        const avg2 = chunk2.reduce((a, b) => a + b, 0) / half;
         const max1 = Math.max(...chunk1);
         const max2 = Math.max(...chunk2);
-        final = Math.round((avg1 + avg2) * (max1 > max2 ? 2 : 1));
-        instructions = `1. Split [${numbers.join(', ')}] into two groups: first 3 and last 3.
-2. Calculate average of first group: [${chunk1.join(', ')}].
-3. Calculate average of second group: [${chunk2.join(', ')}].
-4. Add both averages together.
-5. If max of first group > max of second group, double the sum. Otherwise keep as is.
-6. Round to nearest integer.`;
+        value = (avg1 + avg2) * (max1 > max2 ? 2 : 1);
+        final = Math.round(value);
+        steps = text.chunks({ numbers, half, chunk1, chunk2 });
       } else {
         // Recursive-style
         let val = numbers[0];
@@ -459,33 +635,27 @@ Response format: {"salt": "${salt}", "count": number}`,
           else val -= numbers[i];
         }
         val = Math.abs(val);
-        final = val * (numbers.length);
-        instructions = `1. Start with the first number from [${numbers.join(', ')}].
-2. Add the 2nd number.
-3. Subtract the 3rd number.
-4. Add the 4th number.
-5. Subtract the 5th number.
-6. Add the 6th number.
-7. Take absolute value of result.
-8. Multiply by 6 (the count of numbers).`;
+        final = val * length;
+        // One step per number, so longer lists mean longer instructions
+        const { start, add, subtract, abs, multiply } = text.alternating;
+        steps = [start(numbers)];
+        for (let i = 1; i < length; i++) {
+          const ordinal = pack.ordinal(i + 1);
+          steps.push(i % 2 === 1 ? add(ordinal) : subtract(ordinal));
+        }
+        steps.push(abs, multiply(length));
       }
+      const instructions = steps.map((step, i) => `${i + 1}. ${step}`).join('\n');
       
       return {
-        challenge_string: `[REQ-${salt}] Execute these steps IN ORDER:
+        challenge_string: `[REQ-${salt}] ${text.header}
 ${instructions}
-Response format: {"salt": "${salt}", "result": final_value}`,
+${pack.responseFormat}: {"salt": "${salt}", "result": final_value}`,
         expected: { salt, result: final },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            return parseInt(obj.result) === final;
-          } catch { return false; }
-        }
+        facts: { template: templateType, numbers, value: value ?? final },
+        validate: answers.validator(salt, {
+          result: (value) => answers.number(value, final)
+        })
       };
     }
   },
@@ -494,50 +664,43 @@ Response format: {"salt": "${salt}", "result": final_value}`,
    * Pattern recognition and completion
    */
   nlp_pattern: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 12);
-      const start = seededNumber(nonce, 0, 1, 10);
-      const step = seededNumber(nonce, 2, 2, 5);
-      const patternType = parseInt(nonce[4], 16) % 3;
+    difficulty: 'normal',
+    tags: ['math', 'sequence'],
+    audit: BUILTIN_AUDITS.nlp_pattern,
+    generate: (nonce, rng = seeded('nlp_pattern', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const salt = generateSalt(rng);
+      const start = scaledInt(rng, difficulty, [[1, 5], [1, 10], [1, 10], [1, 10]]);
+      const step = scaledInt(rng, difficulty, [[2, 3], [2, 4], [2, 5], [2, 5]]);
+      // No Fibonacci-like sequences at the easiest level
+      const patternType = rng.int(0, scaled(difficulty, [1, 2, 2, 2]));
       
-      let sequence, next2, instruction;
+      let sequence, next2;
       
       switch (patternType) {
         case 0: // Arithmetic
           sequence = [start, start + step, start + step * 2, start + step * 3];
           next2 = [start + step * 4, start + step * 5];
-          instruction = `Find the pattern and provide the next 2 numbers: [${sequence.join(', ')}, ?, ?]`;
           break;
         case 1: // Geometric (doubling)
           sequence = [start, start * 2, start * 4, start * 8];
           next2 = [start * 16, start * 32];
-          instruction = `Find the pattern and provide the next 2 numbers: [${sequence.join(', ')}, ?, ?]`;
           break;
         case 2: // Fibonacci-like
           sequence = [start, step, start + step, step + (start + step)];
           next2 = [sequence[2] + sequence[3], sequence[3] + (sequence[2] + sequence[3])];
-          instruction = `Find the pattern and provide the next 2 numbers: [${sequence.join(', ')}, ?, ?]`;
           break;
       }
       
       return {
-        challenge_string: `[REQ-${salt}] ${instruction}
-Response format: {"salt": "${salt}", "next": [number1, number2]}`,
+        challenge_string: `[REQ-${salt}] ${pack.pattern(sequence)}
+${pack.responseFormat}: {"salt": "${salt}", "next": [number1, number2]}`,
         expected: { salt, next: next2 },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            const next = obj.next;
-            return Array.isArray(next) && 
-                   parseInt(next[0]) === next2[0] && 
-                   parseInt(next[1]) === next2[1];
-          } catch { return false; }
-        }
+        facts: { sequence },
+        validate: answers.validator(salt, {
+          next: (value) => answers.list(value, next2, { items: 'number' })
+        })
       };
     }
   },
@@ -546,44 +709,437 @@ Response format: {"salt": "${salt}", "next": [number1, number2]}`,
    * Text analysis - find specific properties
    */
   nlp_analysis: {
-    generate: (nonce) => {
-      const salt = generateSalt(nonce, 14);
-      const words = seededSelect([...WORD_POOLS.animals, ...WORD_POOLS.fruits], nonce, 5, 0);
-      const analysisType = parseInt(nonce[8], 16) % 3;
+    difficulty: 'normal',
+    tags: ['nlp', 'words'],
+    audit: BUILTIN_AUDITS.nlp_analysis,
+    generate: (nonce, rng = seeded('nlp_analysis', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const salt = generateSalt(rng);
+      const candidates = [...pack.words.animals, ...pack.words.fruits];
+      const words = rng.sample(candidates, scaled(difficulty, [3, 4, 4, 5]));
+      const analysisType = rng.int(0, 2);
       
-      let instruction, expected;
-      const wordList = words.join(', ');
+      let expected;
       
       switch (analysisType) {
         case 0: // Longest word
           expected = words.reduce((a, b) => a.length >= b.length ? a : b);
-          instruction = `Find the longest word from the following list: ${wordList}`;
           break;
         case 1: // Shortest word
           expected = words.reduce((a, b) => a.length <= b.length ? a : b);
-          instruction = `Find the shortest word from the following list: ${wordList}`;
           break;
-        case 2: // First alphabetically
-          expected = [...words].sort()[0];
-          instruction = `Find the word that comes first alphabetically from the following list: ${wordList}`;
+        case 2: // First alphabetically (in the locale's own order)
+          expected = [...words].sort(compareWords(pack))[0];
           break;
       }
       
       return {
-        challenge_string: `[REQ-${salt}] ${instruction}
-Response format: {"salt": "${salt}", "answer": "word"}`,
+        challenge_string: `[REQ-${salt}] ${pack.analysis[analysisType](words.join(pack.separator))}
+${pack.responseFormat}: {"salt": "${salt}", "answer": "word"}`,
         expected: { salt, answer: expected },
-        validate: (solution) => {
-          try {
-            const match = solution.match(/\{[\s\S]*\}/);
-            if (!match) return false;
-            const obj = JSON.parse(match[0]);
-            
-            if (obj.salt !== salt) return false;
-            
-            return obj.answer?.toLowerCase() === expected.toLowerCase();
-          } catch { return false; }
+        facts: { template: analysisType, positions: words.map(w => candidates.indexOf(w)) },
+        validate: answers.validator(salt, {
+          answer: (value) => answers.text(value, expected)
+        })
+      };
+    }
+  },
+
+  /**
+   * Structured data - filter, aggregate and join over a generated orders table
+   */
+  nlp_table: {
+    difficulty: 'hard',
+    tags: ['data', 'tables'],
+    audit: BUILTIN_AUDITS.nlp_table,
+    generate: (nonce, rng = seeded('nlp_table', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const { words } = pack;
+      const text = pack.table;
+      const salt = generateSalt(rng);
+      const format = rng.pick(TABLE_FORMATS);
+      // Easier levels skip the group-by and join questions
+      const questionType = rng.int(0, scaled(difficulty, [2, 3, 4, 4]) - 1);
+      const joined = questionType === 3;
+      const qtyRange = [[1, 9], [1, 20], [1, 50], [5, 99]];
+
+      const items = rng.sample(words.fruits, scaled(difficulty, [3, 3, 4, 5]));
+      const colors = rng.sample(words.colors, scaled(difficulty, [2, 3, 3, 4]));
+      const countries = rng.sample(words.countries, scaled(difficulty, [2, 3, 3, 4]));
+      // Join questions move the country into a customers table
+      const customers = joined
+        ? Array.from({ length: scaled(difficulty, [3, 3, 4, 5]) }, (_, i) => ({ customer: `C${i + 1}`, country: rng.pick(countries) }))
+        : [];
+      const countryOf = (row) => joined ? customers.find(c => c.customer === row.customer).country : row.country;
+      const rows = Array.from({ length: scaled(difficulty, [4, 6, 8, 10]) }, (_, i) => {
+        const item = rng.pick(items);
+        const color = rng.pick(colors);
+        const destination = joined ? { customer: rng.pick(customers).customer } : { country: rng.pick(countries) };
+        return { id: i + 1, item, color, ...destination, qty: scaledInt(rng, difficulty, qtyRange) };
+      });
+
+      // Filters come from a row in the table, so they always match something
+      const pivot = rng.pick(rows);
+      const color = pivot.color;
+      const country = countryOf(pivot);
+      const limit = scaledInt(rng, difficulty, qtyRange);
+      const sumQty = (list) => list.reduce((total, row) => total + row.qty, 0);
+
+      let answer;
+
+      switch (questionType) {
+        case 0: // Filter → sum
+          answer = sumQty(rows.filter(row => row.color === color));
+          break;
+        case 1: // Two filters → count
+          answer = rows.filter(row => countryOf(row) === country && row.qty > limit).length;
+          break;
+        case 2: { // Group by item → largest total
+          const totals = items.map(item => sumQty(rows.filter(row => row.item === item)));
+          answer = items[totals.indexOf(Math.max(...totals))];
+          break;
         }
+        case 3: // Join on customer → filter → sum
+          answer = sumQty(rows.filter(row => row.color === color && countryOf(row) === country));
+          break;
+      }
+
+      const tables = [`${text.orders(format)}\n${renderTable(rows, format)}`];
+      if (joined) tables.push(`${text.customers(format)}\n${renderTable(customers, format)}`);
+      const isWord = typeof answer === 'string';
+
+      return {
+        challenge_string: `[REQ-${salt}] ${text.questions[questionType]({ color, country, limit })}
+${tables.join('\n')}
+${pack.responseFormat}: {"salt": "${salt}", "answer": ${isWord ? '"item"' : 'number'}}`,
+        expected: { salt, answer },
+        facts: {
+          template: questionType,
+          color: words.colors.indexOf(color),
+          rows: rows.map(row => ({ item: words.fruits.indexOf(row.item), qty: row.qty }))
+        },
+        validate: answers.validator(salt, {
+          answer: (value) => isWord ? answers.text(value, answer) : answers.number(value, answer)
+        })
+      };
+    }
+  },
+
+  /**
+   * Code comprehension - printed output or final value of a short program
+   */
+  nlp_code: {
+    difficulty: 'hard',
+    tags: ['code', 'reasoning'],
+    audit: BUILTIN_AUDITS.nlp_code,
+    generate: (nonce, rng = seeded('nlp_code', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const text = pack.program;
+      const salt = generateSalt(rng);
+      const language = rng.pick(PROGRAM_LANGUAGES);
+      const asks = rng.pick(['print', 'value']);
+      // Easier levels skip the recurrence and the halve-or-triple loop
+      const templateType = rng.int(0, scaled(difficulty, [3, 4, 5, 5]) - 1);
+      const [v1, v2, v3] = rng.sample(PROGRAM_NAMES, 3);
+      const i = rng.pick(LOOP_NAMES);
+      const rounds = scaledInt(rng, difficulty, [[3, 4], [4, 5], [4, 6], [5, 8]]);
+
+      let program, target;
+
+      switch (templateType) {
+        case 0: { // Nested conditionals → label
+          const [high, mid, low] = rng.pick(PROGRAM_LABELS);
+          const p = scaledInt(rng, difficulty, [[2, 6], [2, 9], [3, 12], [3, 15]]);
+          const q = scaledInt(rng, difficulty, [[2, 6], [2, 9], [3, 12], [3, 15]]);
+          const r = rng.int(1, 20);
+          const lower = rng.int(0, p * q);
+          const upper = lower + rng.int(5, 30);
+          program = [
+            assign(v1, op('-', op('*', lit(p), lit(q)), lit(r))),
+            assign(v2, lit('')),
+            when(op('>', ref(v1), lit(upper)),
+              [assign(v2, lit(high))],
+              [when(op('>', ref(v1), lit(lower)), [assign(v2, lit(mid))], [assign(v2, lit(low))])])
+          ];
+          target = v2;
+          break;
+        }
+        case 1: { // Loop with a condition on the counter → running total
+          const divisor = rng.int(2, 3);
+          program = [
+            assign(v1, lit(scaledInt(rng, difficulty, [[1, 10], [1, 20], [5, 50], [10, 99]]))),
+            loop(i, lit(1), lit(rounds), [
+              when(op(rng.pick(['===', '!==']), op('%', ref(i), lit(divisor)), lit(0)),
+                [assign(v1, op('+', ref(v1), op('*', ref(i), lit(rng.int(2, 5)))))],
+                [assign(v1, op('-', ref(v1), lit(rng.int(1, 9))))])
+            ])
+          ];
+          target = v1;
+          break;
+        }
+        case 2: { // Walk a string, prepending or appending each character
+          const divisor = rng.int(2, 3);
+          program = [
+            assign(v1, lit(rng.string(scaled(difficulty, [4, 5, 6, 8])))),
+            assign(v2, lit('')),
+            loop(i, lit(0), length(ref(v1)), [
+              when(op('===', op('%', ref(i), lit(divisor)), lit(rng.int(0, divisor - 1))),
+                [assign(v2, op('+', charAt(ref(v1), ref(i)), ref(v2)))],
+                [assign(v2, op('+', ref(v2), charAt(ref(v1), ref(i))))])
+            ], { below: true })
+          ];
+          target = v2;
+          break;
+        }
+        case 3: { // Two-variable recurrence with a modulus
+          program = [
+            assign(v1, lit(rng.int(1, 9))),
+            assign(v2, lit(rng.int(1, 9))),
+            assign(v3, lit(0)),
+            loop(i, lit(1), lit(rounds), [
+              assign(v3, op('%', op('+', ref(v1), op('*', ref(v2), lit(rng.int(2, 3)))), lit(scaled(difficulty, [10, 50, 100, 100])))),
+              assign(v1, ref(v2)),
+              assign(v2, ref(v3))
+            ])
+          ];
+          target = rng.pick([v1, v2]);
+          break;
+        }
+        case 4: { // Halve when even, otherwise triple and add
+          program = [
+            assign(v1, lit(scaledInt(rng, difficulty, [[3, 20], [5, 40], [10, 99], [10, 199]]))),
+            loop(i, lit(1), lit(rounds), [
+              when(op('===', op('%', ref(v1), lit(2)), lit(0)),
+                [assign(v1, op('/', ref(v1), lit(2)))],
+                [assign(v1, op('+', op('*', ref(v1), lit(3)), lit(rng.pick([1, 3, 5]))))])
+            ])
+          ];
+          target = v1;
+          break;
+        }
+      }
+
+      if (asks === 'print') program.push(print(ref(target)));
+      const { output, vars, hazards } = runProgram(program);
+      const answer = asks === 'print' ? output.join('\n') : vars[target];
+      const isNumber = typeof vars[target] === 'number';
+      const languageName = text.languages[language];
+      const question = asks === 'print' ? text.print(languageName) : text.value(languageName, target);
+
+      return {
+        challenge_string: `[REQ-${salt}] ${question}
+${renderProgram(program, language)}
+${pack.responseFormat}: {"salt": "${salt}", "answer": ${isNumber ? 'number' : '"text"'}}`,
+        expected: { salt, answer: isNumber ? Number(answer) : answer },
+        facts: { template: templateType, language, hazards },
+        validate: answers.validator(salt, {
+          answer: (value) => isNumber ? answers.number(value, Number(answer)) : answers.text(value, answer)
+        })
+      };
+    }
+  },
+
+  /**
+   * Instruction following - any answer that meets every format constraint passes
+   */
+  nlp_instruct: {
+    difficulty: 'normal',
+    tags: ['instructions', 'format'],
+    audit: BUILTIN_AUDITS.nlp_instruct,
+    generate: (nonce, rng = seeded('nlp_instruct', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const { words } = pack;
+      const text = pack.instruct;
+      const salt = generateSalt(rng);
+      // Easier levels skip the pick-from-a-list and multiples tasks
+      const taskType = rng.int(0, scaled(difficulty, [2, 3, 4, 4]) - 1);
+      const direction = rng.pick(['asc', 'desc']);
+      const count = scaledInt(rng, difficulty, [[2, 3], [3, 4], [3, 5], [4, 6]]);
+      const sorted = (list, compare) => {
+        const result = [...list].sort(compare);
+        return direction === 'desc' ? result.reverse() : result;
+      };
+
+      // `answer` is one answer that meets the constraints, for the oracle and debug diagnostics
+      let question, body, format, constraints, answer, facts;
+      let items = 'text';
+
+      switch (taskType) {
+        case 0: { // Words starting with given letters, sorted
+          const letters = rng.sample(Object.keys(INITIAL_WORDS), count);
+          question = text.questions[0]({ count, letters, order: text.orders.letters[direction] });
+          format = '["word", ...]';
+          constraints = [
+            { type: 'count', n: count },
+            { type: 'word' },
+            { type: 'distinct' },
+            { type: 'initials', letters },
+            { type: 'order', direction }
+          ];
+          answer = sorted(letters.map(letter => INITIAL_WORDS[letter]), compareWords(pack));
+          facts = { template: taskType };
+          break;
+        }
+        case 1: { // Tally the colors in a list, as a JSON object
+          const colors = rng.sample(words.colors, scaled(difficulty, [2, 2, 3, 4]));
+          const distractorCategory = rng.pick(['animals', 'fruits']);
+          const distractors = rng.sample(words[distractorCategory], scaled(difficulty, [1, 2, 3, 4]));
+          const tally = colors.map(() => rng.int(1, scaled(difficulty, [2, 3, 4, 5])));
+          const mentions = rng.shuffle([...colors.flatMap((color, i) => Array(tally[i]).fill(color)), ...distractors]);
+          question = text.questions[1]();
+          body = `${text.mentions}: ${mentions.join(pack.separator)}`;
+          format = '{"color": number, ...}';
+          answer = Object.fromEntries(colors.map((color, i) => [color, tally[i]]));
+          constraints = [
+            { type: 'keys', values: colors },
+            { type: 'entries', expected: answer }
+          ];
+          facts = {
+            template: taskType,
+            category: 'colors',
+            targets: colors.map(color => words.colors.indexOf(color)),
+            distractorCategory,
+            distractors: distractors.map(word => words[distractorCategory].indexOf(word))
+          };
+          break;
+        }
+        case 2: { // Pick some of one category from a mixed list, sorted
+          const [category, distractorCategory] = rng.sample(['animals', 'fruits', 'colors'], 2);
+          const targets = rng.sample(words[category], count + rng.int(1, 2));
+          const distractors = rng.sample(words[distractorCategory], scaled(difficulty, [2, 3, 4, 5]));
+          question = text.questions[2]({ count, category: pack.categories[category], order: text.orders.words[direction] });
+          body = `${text.list}: ${rng.shuffle([...targets, ...distractors]).join(pack.separator)}`;
+          format = '["item", ...]';
+          constraints = [
+            { type: 'count', n: count },
+            { type: 'distinct' },
+            { type: 'oneOf', values: targets },
+            { type: 'order', direction }
+          ];
+          answer = sorted(rng.sample(targets, count), compareWords(pack));
+          facts = {
+            template: taskType,
+            category,
+            targets: targets.map(word => words[category].indexOf(word)),
+            distractorCategory,
+            distractors: distractors.map(word => words[distractorCategory].indexOf(word))
+          };
+          break;
+        }
+        case 3: { // Multiples in a range, sorted
+          const divisor = rng.int(3, scaled(difficulty, [5, 7, 9, 12]));
+          const min = scaledInt(rng, difficulty, [[1, 20], [1, 50], [10, 99], [10, 199]]);
+          const first = Math.ceil(min / divisor) * divisor;
+          // A few more multiples in range than asked for, so answers differ
+          const multiples = Array.from({ length: count + rng.int(1, 3) }, (_, k) => first + k * divisor);
+          const max = multiples[multiples.length - 1] + rng.int(0, divisor - 1);
+          question = text.questions[3]({ count, min, max, divisor, order: text.orders.numbers[direction] });
+          format = '[number, ...]';
+          items = 'number';
+          constraints = [
+            { type: 'count', n: count },
+            { type: 'integer' },
+            { type: 'distinct' },
+            { type: 'range', min, max },
+            { type: 'multipleOf', n: divisor },
+            { type: 'order', direction }
+          ];
+          answer = sorted(rng.sample(multiples, count), (a, b) => a - b);
+          facts = { template: taskType };
+          break;
+        }
+      }
+
+      return {
+        challenge_string: `[REQ-${salt}] ${question}
+${body ? `${body}\n` : ''}${pack.responseFormat}: {"salt": "${salt}", "answer": ${format}}`,
+        expected: { salt, answer },
+        facts,
+        validate: answers.validator(salt, {
+          answer: (value) => answers.constraints(value, constraints, { items })
+        })
+      };
+    }
+  },
+
+  /**
+   * Spatial reasoning - letters, shapes and a maze drawn as an ASCII grid
+   */
+  nlp_grid: {
+    difficulty: 'hard',
+    tags: ['spatial', 'grids'],
+    audit: BUILTIN_AUDITS.nlp_grid,
+    generate: (nonce, rng = seeded('nlp_grid', nonce), { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, strictness = DEFAULT_STRICTNESS } = {}) => {
+      const pack = getLocale(locale);
+      const answers = createAnswerMatcher({ strictness, locale });
+      const text = pack.grid;
+      const salt = generateSalt(rng);
+      // Easier levels skip the shapes and the maze
+      const questionType = rng.int(0, scaled(difficulty, [3, 4, 5, 5]) - 1);
+
+      let cells, answer, numbered = false;
+      let params = {};
+      let facts = { template: questionType };
+
+      switch (questionType) {
+        case 0: // Count a letter in a column
+        case 1: // ... or in a row
+        case 2: { // Most frequent letter on the diagonal
+          const size = scaled(difficulty, [4, 5, 6, 7]);
+          const letters = rng.sample([...GRID_LETTERS], scaled(difficulty, [3, 4, 4, 5]));
+          cells = Array.from({ length: size }, () => Array.from({ length: size }, () => rng.pick(letters)));
+          numbered = true;
+          if (questionType === 2) {
+            // A strict majority of the diagonal, so no other letter ties it
+            answer = rng.pick(letters);
+            for (const i of rng.sample([...cells.keys()], Math.floor(size / 2) + 1)) cells[i][i] = answer;
+            facts.diagonal = cells.map((row, i) => row[i]);
+          } else {
+            const symbol = rng.pick(letters);
+            const line = rng.int(1, size);
+            const picked = questionType === 0 ? cells.map(row => row[line - 1]) : cells[line - 1];
+            answer = picked.filter(cell => cell === symbol).length;
+            params = { symbol, column: line, row: line };
+          }
+          break;
+        }
+        case 3: { // Count shapes of "#" cells
+          const shapes = placeShapes(rng,
+            scaled(difficulty, [5, 6, 7, 8]),
+            scaled(difficulty, [6, 8, 10, 12]),
+            scaledInt(rng, difficulty, [[2, 3], [2, 4], [3, 5], [4, 6]]),
+            scaled(difficulty, [3, 4, 5, 6]));
+          cells = shapes.cells;
+          answer = shapes.count;
+          facts.rows = cells.map(row => row.join(''));
+          break;
+        }
+        case 4: { // Fewest steps through a maze
+          const maze = carveMaze(rng,
+            scaled(difficulty, [2, 3, 3, 4]),
+            scaled(difficulty, [3, 3, 4, 5]),
+            scaled(difficulty, [0, 1, 2, 3]));
+          cells = maze.cells;
+          answer = maze.steps;
+          break;
+        }
+      }
+
+      const isLetter = typeof answer === 'string';
+
+      return {
+        challenge_string: `[REQ-${salt}] ${text.questions[questionType](params)}
+${renderGrid(cells, { numbered })}
+${pack.responseFormat}: {"salt": "${salt}", "answer": ${isLetter ? '"letter"' : 'number'}}`,
+        expected: { salt, answer },
+        facts,
+        validate: answers.validator(salt, {
+          answer: (value) => isLetter ? answers.text(value, answer) : answers.number(value, answer)
+        })
       };
     }
   }
@@ -598,70 +1154,377 @@ export const BATCH_SIZE = 7;               // 7 challenges per batch (v2.6: was
 export const MAX_RESPONSE_TIME_MS = 6000;  // 6 seconds total (v2.6: was 8)
 export const CHALLENGE_EXPIRY_MS = 60000;  // 60 seconds
 
+/**
+ * Batch size and time budget per difficulty level (v2.8).
+ * "extreme" is the v2.6 burst; easier levels ask fewer questions with more time.
+ */
+export const DIFFICULTY_PROFILES = {
+  easy:    { count: 4, totalTimeMs: 10000 },
+  normal:  { count: 5, totalTimeMs: 8000 },
+  hard:    { count: 6, totalTimeMs: 7000 },
+  extreme: { count: BATCH_SIZE, totalTimeMs: MAX_RESPONSE_TIME_MS }
+};
+
+/**
+ * Version of the batch layout (PRNG, type order, per-challenge nonces) and
+ * of the built-in generators above. Stored challenge records carry it so a
+ * replica running different code refuses to rebuild their validators.
+ * Bump whenever a built-in generator's output for a given nonce changes.
+ */
+export const GENERATOR_VERSION = '2.15';
+
+// ============== Challenge Registry ==============
+
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/i;
+
+/**
+ * Check and fill in a challenge type definition
+ */
+function normalizeDefinition(name, definition) {
+  if (typeof name !== 'string' || !TYPE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid challenge type name: ${name}`);
+  }
+  if (typeof definition?.generate !== 'function') {
+    throw new Error(`Challenge type "${name}" needs a generate(nonce, rng) function`);
+  }
+  if (definition.audit !== undefined && typeof definition.audit !== 'function') {
+    throw new Error(`Challenge type "${name}" audit must be a function`);
+  }
+
+  const {
+    generate,
+    audit = null,
+    version = '1',
+    difficulty = 'normal',
+    tags = [],
+    strictness = DEFAULT_STRICTNESS,
+    paraphrase = false
+  } = definition;
+  return {
+    name,
+    generate,
+    audit,
+    version: String(version),
+    difficulty,
+    tags: [...tags],
+    strictness: checkStrictness(strictness),
+    paraphrase: Boolean(paraphrase)
+  };
+}
+
+/**
+ * Create a challenge type registry
+ * @param {Object} [options]
+ * @param {boolean} [options.builtins=true] - Start with the built-in NLP types
+ * @param {Object} [options.types] - Extra definitions ({ name: { generate, version, difficulty, tags, strictness, paraphrase } })
+ * @returns {Object} Registry
+ */
+export function createChallengeRegistry(options = {}) {
+  const { builtins = true, types = {} } = options;
+  const definitions = new Map();  // name -> { name, generate, audit, version, difficulty, tags, strictness, paraphrase }
+
+  const registry = {
+    /**
+     * Register a challenge type
+     * @param {string} name - Type name (letters, digits, underscores)
+     * @param {Object} definition
+     * @param {Function} definition.generate - (nonce, rng, { difficulty, locale, strictness }) => { challenge_string, validate, expected? }
+     * @param {Function} [definition.audit] - (instance, { difficulty, locale }) => issues[]; flagged
+     *   instances are drawn again from the same `rng` (see audit.js)
+     * @param {string} [definition.version='1'] - Bump when output for a nonce changes
+     * @param {string} [definition.difficulty='normal'] - Difficulty label (how hard the type is)
+     * @param {string[]} [definition.tags=[]] - Free-form tags
+     * @param {string} [definition.strictness='standard'] - How answers may be written (see normalize.js)
+     * @param {boolean} [definition.paraphrase=false] - Reword the first line of each challenge with the
+     *   locale pack's paraphrase table (see paraphrase.js); the built-in types opt in
+     * @param {Object} [registerOptions]
+     * @param {boolean} [registerOptions.replace=false] - Allow overriding an existing type
+     * @returns {Object} The registry (chainable)
+     */
+    register(name, definition, registerOptions = {}) {
+      if (definitions.has(name) && !registerOptions.replace) {
+        throw new Error(`Challenge type "${name}" is already registered`);
+      }
+      definitions.set(name, normalizeDefinition(name, definition));
+      return registry;
+    },
+
+    /**
+     * Remove a challenge type
+     * @param {string} name
+     * @returns {boolean} Whether it was registered
+     */
+    unregister(name) {
+      return definitions.delete(name);
+    },
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+      return definitions.has(name);
+    },
+
+    /**
+     * Get a type definition
+     * @param {string} name
+     * @returns {Object|null} { name, generate, audit, version, difficulty, tags, strictness, paraphrase }
+     */
+    get(name) {
+      return definitions.get(name) || null;
+    },
+
+    /**
+     * Registered type names
+     * @returns {string[]}
+     */
+    getTypes() {
+      return [...definitions.keys()];
+    },
+
+    /**
+     * Type metadata (without generators)
+     * @returns {Object[]} [{ name, version, difficulty, tags, strictness, paraphrase }]
+     */
+    list() {
+      return [...definitions.values()].map(({ generate, audit, ...meta }) => meta);
+    }
+  };
+
+  if (builtins) {
+    for (const [name, definition] of Object.entries(CHALLENGE_TYPES)) {
+      registry.register(name, { version: GENERATOR_VERSION, paraphrase: true, ...definition });
+    }
+  }
+  for (const [name, definition] of Object.entries(types)) {
+    registry.register(name, definition, { replace: true });
+  }
+
+  return registry;
+}
+
+/**
+ * Check whether a value is a registry from createChallengeRegistry()
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isChallengeRegistry(value) {
+  return typeof value?.get === 'function' && typeof value?.getTypes === 'function';
+}
+
+/**
+ * Process-wide registry used when no registry is passed
+ */
+export const defaultRegistry = createChallengeRegistry();
+
+/**
+ * Register a challenge type in the default registry
+ * @param {string} name
+ * @param {Object} definition - { generate, version?, difficulty?, tags?, strictness?, paraphrase? }
+ * @param {Object} [options] - { replace }
+ */
+export function registerChallengeType(name, definition, options) {
+  defaultRegistry.register(name, definition, options);
+}
+
+/**
+ * Remove a challenge type from the default registry
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function unregisterChallengeType(name) {
+  return defaultRegistry.unregister(name);
+}
+
+/**
+ * Pick the registry for an options object ({ registry } or a plain `types` map)
+ */
+function resolveRegistry(options = {}) {
+  if (options.registry) return options.registry;
+  if (options.types) {
+    return isChallengeRegistry(options.types)
+      ? options.types
+      : createChallengeRegistry({ builtins: false, types: options.types });
+  }
+  return defaultRegistry;
+}
+
+// ============== Generation & Validation ==============
+
+/**
+ * Most instances drawn for one challenge before giving up on the type's audit
+ */
+export const MAX_DRAWS = 100;
+
+/**
+ * Generate one challenge through its type's audit (see audit.js). A flagged
+ * instance is replaced by a draw from the next stream derived from the nonce,
+ * so the nonce alone still decides the outcome, rebuilt validators match and
+ * every locale lands on the same draw. Types with `paraphrase` then get
+ * their instruction reworded from a stream of its own (see paraphrase.js).
+ * @param {Object} definition - Registry definition (registry.get(type))
+ * @param {string} nonce - Challenge nonce
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.secret] - Server secret for the PRNG
+ * @param {string} [options.difficulty='extreme']
+ * @param {string} [options.locale='en']
+ * @param {string} [options.strictness] - Answer strictness (default: the type's own)
+ * @param {boolean} [options.paraphrase=true] - Reword types that opt in (false keeps the template wording)
+ * @returns {Object} { result, rejected } - The generator result, and the
+ *   [{ instance, issues }] drawn before it
+ */
+export function drawChallenge(definition, nonce, options = {}) {
+  const {
+    secret,
+    difficulty = DEFAULT_DIFFICULTY,
+    locale = DEFAULT_LOCALE,
+    strictness = definition.strictness,
+    paraphrase = true
+  } = options;
+  const context = { difficulty, locale, strictness };
+  const rejected = [];
+  for (let attempt = 1; attempt <= MAX_DRAWS; attempt++) {
+    const result = definition.generate(nonce, seeded(definition.name, nonce, secret, attempt), context);
+    const issues = definition.audit ? definition.audit(result, context) : [];
+    if (issues.length > 0) {
+      rejected.push({ instance: result, issues });
+      continue;
+    }
+    if (paraphrase && definition.paraphrase) {
+      const rng = seeded(`${definition.name}:paraphrase`, nonce, secret);
+      return { result: { ...result, challenge_string: rephrase(result.challenge_string, rng, { locale }) }, rejected };
+    }
+    return { result, rejected };
+  }
+  throw new Error(`Challenge type "${definition.name}" failed its audit ${MAX_DRAWS} times: ${rejected[0].issues[0].code}`);
+}
+
 /**
  * Get list of available challenge types
+ * @param {Object} [options]
+ * @param {Object} [options.registry=defaultRegistry]
  * @returns {string[]}
  */
-export function getTypes() {
-  return Object.keys(CHALLENGE_TYPES);
+export function getTypes(options = {}) {
+  return resolveRegistry(options).getTypes();
 }
 
 /**
  * Generate a single random challenge
  * @param {string} nonce - The nonce to incorporate
  * @param {string} [type] - Specific type (random if not specified)
- * @returns {Object} { type, challenge_string, validate, expected }
+ * @param {Object} [options]
+ * @param {Object} [options.registry=defaultRegistry] - Challenge registry
+ * @param {string|Buffer} [options.secret] - Server secret for the PRNG
+ * @param {string} [options.difficulty='extreme'] - Difficulty level
+ * @param {string} [options.locale='en'] - Locale pack for the challenge text
+ * @param {string|Object} [options.strictness] - Answer strictness, one level or { [type]: level }
+ *   (default: the type's own `strictness`)
+ * @param {boolean} [options.paraphrase=true] - Reword the instruction (types with `paraphrase` only)
+ * @returns {Object} { type, version, difficulty, locale, strictness, challenge_string, validate, expected }
  */
-export function generate(nonce, type) {
-  const types = getTypes();
+export function generate(nonce, type, options = {}) {
+  const { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE } = options;
+  difficultyIndex(difficulty);
+  getLocale(locale);
+  const registry = resolveRegistry(options);
+  const types = registry.getTypes();
   const selectedType = type && types.includes(type) 
     ? type 
     : types[Math.floor(Math.random() * types.length)];
   
-  const generator = CHALLENGE_TYPES[selectedType];
-  const result = generator.generate(nonce);
+  const definition = registry.get(selectedType);
+  const strictness = strictnessFor(options.strictness, selectedType, definition.strictness);
+  const { result } = drawChallenge(definition, nonce, {
+    secret: options.secret,
+    difficulty,
+    locale,
+    strictness,
+    paraphrase: options.paraphrase
+  });
   
   return {
     type: selectedType,
+    version: definition.version,
+    difficulty,
+    locale,
+    strictness,
     challenge_string: result.challenge_string,
     validate: result.validate,
     expected: result.expected  // For debugging only
   };
 }
 
+/**
+ * Nonce used for the challenge at a batch position
+ * @param {string} nonce - Base nonce
+ * @param {number} index - Position in the batch
+ * @returns {string}
+ */
+export function challengeNonce(nonce, index) {
+  return nonce.slice(index * 2) + nonce.slice(0, index * 2);
+}
+
 /**
  * Generate a batch of challenges (Burst Mode)
  * @param {string} nonce - Base nonce
- * @param {number} [count=BATCH_SIZE] - Number of challenges
- * @returns {Object} { challenges: [...], validators: [...] }
+ * @param {number} [count] - Number of challenges (default: the difficulty profile's count, BATCH_SIZE at "extreme")
+ * @param {Object} [options]
+ * @param {string} [options.difficulty='extreme'] - Difficulty level (resolve a per-agent
+ *   level with createDifficultyPolicy().resolve() first)
+ * @param {string} [options.locale='en'] - Locale pack for the challenge text (see getLocales())
+ * @param {string|Object} [options.strictness] - Answer strictness, one level or { [type]: level }
+ *   (default: each type's own `strictness`)
+ * @param {Object} [options.registry=defaultRegistry] - Challenge registry to draw from
+ * @param {Object} [options.types] - Plain generator map ({ name: { generate(nonce, rng) } }) instead of a registry
+ * @param {string|Buffer} [options.secret] - Server secret for the PRNG (share it between replicas)
+ * @param {boolean} [options.paraphrase=true] - Reword instructions (see paraphrase.js); validators
+ *   do not depend on it
+ * @returns {Object} { challenges: [...], validators: [...], record, difficulty, locale, totalTimeMs }
+ *   Each challenge carries its generator `version`. `record`
+ *   ({ nonce, types, versions, strictness, difficulty, locale, generatorVersion }) is what to persist;
+ *   rebuild the validators from it with rebuildValidators(). `totalTimeMs` is
+ *   the level's time budget.
  */
-export function generateBatch(nonce, count = BATCH_SIZE) {
-  const types = getTypes();
-  const usedTypes = new Set();
+export function generateBatch(nonce, count, options = {}) {
+  const { secret, difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE, paraphrase } = options;
+  difficultyIndex(difficulty);
+  getLocale(locale);
+  const profile = DIFFICULTY_PROFILES[difficulty];
+  const size = count ?? profile.count;
+  const registry = resolveRegistry(options);
+  const types = registry.getTypes();
+  if (types.length === 0) {
+    throw new Error('No challenge types registered');
+  }
+
+  const rng = createPrng(nonce, { secret, label: 'batch' });
   const challenges = [];
   const validators = [];
   const expected = [];
+  const levels = [];  // Strictness per challenge
+  let order = [];
   
-  for (let i = 0; i < count; i++) {
+  for (let i = 0; i < size; i++) {
     // Use different nonce offset for each challenge
-    const offsetNonce = nonce.slice(i * 2) + nonce.slice(0, i * 2);
+    const offsetNonce = challengeNonce(nonce, i);
     
-    // Select different type for each challenge (ensure variety)
-    let selectedType;
-    let attempts = 0;
-    do {
-      const seed = parseInt(offsetNonce.slice(0, 4), 16);
-      selectedType = types[(seed + i * 3 + attempts) % types.length];
-      attempts++;
-    } while (usedTypes.has(selectedType) && usedTypes.size < types.length);
-    usedTypes.add(selectedType);
+    // Each type once before any repeats (ensure variety)
+    if (i % types.length === 0) {
+      order = rng.shuffle(types);
+    }
+    const selectedType = order[i % types.length];
     
-    const generator = CHALLENGE_TYPES[selectedType];
-    const result = generator.generate(offsetNonce);
+    const definition = registry.get(selectedType);
+    const strictness = strictnessFor(options.strictness, selectedType, definition.strictness);
+    const { result } = drawChallenge(definition, offsetNonce, { secret, difficulty, locale, strictness, paraphrase });
     
+    levels.push(strictness);
     challenges.push({
       id: i,
       type: selectedType,
+      version: definition.version,
       challenge_string: result.challenge_string
     });
     
@@ -672,34 +1535,128 @@ export function generateBatch(nonce, count = BATCH_SIZE) {
   return {
     challenges,
     validators,  // Keep on server, don't send to client
-    expected     // For debugging
+    expected,    // For debugging
+    difficulty,
+    locale,
+    totalTimeMs: profile.totalTimeMs,
+    record: {
+      nonce,
+      types: challenges.map(c => c.type),
+      versions: challenges.map(c => c.version),
+      strictness: levels,
+      difficulty,
+      locale,
+      generatorVersion: GENERATOR_VERSION
+    }
   };
 }
 
+let warnedProcessSecret = false;
+
+/**
+ * Rebuild batch validators from a stored record (after a restart or on
+ * another replica). Generators are deterministic given the nonce and secret.
+ * Without a configured secret only records from this process verify, so the
+ * first such call warns.
+ * @param {Object} record - { nonce, types, versions, strictness, difficulty, locale, generatorVersion } from generateBatch
+ * @param {Object} [options]
+ * @param {Object} [options.registry=defaultRegistry] - Registry the batch was drawn from
+ * @param {Object} [options.types] - Plain generator map instead of a registry
+ * @param {string|Buffer} [options.secret] - Server secret the batch was generated with
+ *   (the per-process secret by default)
+ * @returns {Function[]} Validators for validateBatch
+ */
+export function rebuildValidators(record, options = {}) {
+  if (options.secret === undefined && !warnedProcessSecret) {
+    warnedProcessSecret = true;
+    console.warn('[AAP] rebuildValidators() without a secret: records from a restart or another replica will not verify. Pass the secret the batches were generated with.');
+  }
+
+  const {
+    nonce,
+    types,
+    versions = [],
+    strictness = [],
+    difficulty = DEFAULT_DIFFICULTY,
+    locale = DEFAULT_LOCALE,
+    generatorVersion
+  } = record || {};
+
+  if (generatorVersion !== GENERATOR_VERSION) {
+    throw new Error(`Challenge generator version mismatch: ${generatorVersion} (server: ${GENERATOR_VERSION})`);
+  }
+  if (typeof nonce !== 'string' || !Array.isArray(types) || !DIFFICULTY_LEVELS.includes(difficulty) ||
+      !Object.hasOwn(LOCALES, locale)) {
+    throw new Error('Invalid challenge record');
+  }
+
+  const registry = resolveRegistry(options);
+  types.forEach((type, i) => {
+    const definition = registry.get(type);
+    if (!definition) {
+      throw new Error(`Challenge type "${type}" is not registered`);
+    }
+    if (versions[i] !== undefined && versions[i] !== definition.version) {
+      throw new Error(`Challenge type "${type}" version mismatch: ${versions[i]} (server: ${definition.version})`);
+    }
+    if (strictness[i] !== undefined) checkStrictness(strictness[i]);
+  });
+
+  return types.map((type, i) => buildValidator(type, challengeNonce(nonce, i), {
+    ...options,
+    registry,
+    difficulty,
+    locale,
+    strictness: strictness[i] ?? options.strictness
+  }));
+}
+
 /**
  * Validate batch solutions
  * @param {Array} validators - Validator functions from generateBatch
  * @param {Array} solutions - Array of solutions from client
- * @returns {Object} { passed, total, results: [{id, valid}] }
+ * @param {Object} [options]
+ * @param {boolean|string} [options.diagnostics=false] - true / 'codes' adds `reason` (see
+ *   REASON_CODES), `field` and `constraint` to failed results; 'debug' also adds `expected`
+ *   (ignored when NODE_ENV is "production")
+ * @param {Array} [options.expected] - Expected answers for 'debug' (generateBatch().expected)
+ * @param {number|null} [options.passThreshold] - Count of passed challenges or fraction of the
+ *   weighted score that must pass (see scoring.js; default all)
+ * @param {Object} [options.weights] - { [type]: weight } for the confidence score
+ * @param {string[]} [options.types] - Challenge type of each validator (record.types), for weights
+ * @returns {Object} { passed, total, allPassed, confidence, verified, results: [{id, valid, reason?, field?, constraint?, expected?}] }
+ *   `verified` is true when the batch meets passThreshold
  */
-export function validateBatch(validators, solutions) {
+export function validateBatch(validators, solutions, options = {}) {
+  const diagnostics = resolveDiagnostics(options.diagnostics);
   const results = [];
   let passed = 0;
   
   for (let i = 0; i < validators.length; i++) {
     const solution = solutions[i];
-    const valid = solution && validators[i](
-      typeof solution === 'string' ? solution : JSON.stringify(solution)
-    );
+    const verdict = solution
+      ? diagnoseAnswer(validators[i], typeof solution === 'string' ? solution : JSON.stringify(solution))
+      : { valid: false, reason: REASON_CODES.PARSE_ERROR };
+    const valid = Boolean(verdict.valid);
     
-    results.push({ id: i, valid });
+    const result = { id: i, valid };
+    if (diagnostics && !valid) {
+      result.reason = verdict.reason;
+      if (verdict.field) result.field = verdict.field;
+      if (verdict.constraint) result.constraint = verdict.constraint;
+      if (diagnostics === 'debug' && options.expected) result.expected = options.expected[i];
+    }
+    results.push(result);
     if (valid) passed++;
   }
   
+  const { confidence, verified } = scoreResults(results, options);
   return {
     passed,
     total: validators.length,
     allPassed: passed === validators.length,
+    confidence,
+    verified,
     results
   };
 }
@@ -709,16 +1666,35 @@ export function validateBatch(validators, solutions) {
  * @param {string} type - Challenge type
  * @param {string} nonce - Original nonce
  * @param {string} solution - Agent's solution
+ * @param {Object} [options]
+ * @param {Object} [options.registry=defaultRegistry] - Challenge registry
+ * @param {Object} [options.types] - Plain generator map instead of a registry
+ * @param {string|Buffer} [options.secret] - Server secret for the PRNG
+ * @param {string} [options.difficulty='extreme'] - Level the challenge was generated at
+ * @param {string} [options.locale='en'] - Locale the challenge was generated in
+ * @param {string|Object} [options.strictness] - Answer strictness, one level or { [type]: level }
  * @returns {boolean}
  */
-export function validate(type, nonce, solution) {
-  const generator = CHALLENGE_TYPES[type];
-  if (!generator) {
-    return false;
+export function validate(type, nonce, solution, options = {}) {
+  const validator = buildValidator(type, nonce, options);
+  return validator ? Boolean(validator(solution)) : false;
+}
+
+/**
+ * Regenerate the validator of one challenge
+ * @returns {Function|null} Validator (with .diagnose for built-in types), or null for unknown types
+ */
+function buildValidator(type, nonce, options = {}) {
+  const { difficulty = DEFAULT_DIFFICULTY, locale = DEFAULT_LOCALE } = options;
+  const definition = resolveRegistry(options).get(type);
+  if (!definition) {
+    return null;
   }
   
-  const { validate: validateFn } = generator.generate(nonce);
-  return validateFn(solution);
+  const strictness = strictnessFor(options.strictness, type, definition.strictness);
+  // The wording does not change the answer, so skip paraphrasing
+  return drawChallenge(definition, nonce, { secret: options.secret, difficulty, locale, strictness, paraphrase: false })
+    .result.validate;
 }
 
 export default {
@@ -726,9 +1702,23 @@ export default {
   BATCH_SIZE,
   MAX_RESPONSE_TIME_MS,
   CHALLENGE_EXPIRY_MS,
+  GENERATOR_VERSION,
+  MAX_DRAWS,
+  DIFFICULTY_LEVELS,
+  DEFAULT_DIFFICULTY,
+  DIFFICULTY_PROFILES,
+  difficultyIndex,
+  createChallengeRegistry,
+  isChallengeRegistry,
+  defaultRegistry,
+  registerChallengeType,
+  unregisterChallengeType,
   getTypes,
   generate,
+  drawChallenge,
+  challengeNonce,
   generateBatch,
+  rebuildValidators,
   validateBatch,
   validate
 };
@@ -0,0 +1,140 @@
+/**
+ * AAP Adaptive Difficulty
+ *
+ * Picks the challenge difficulty level for each attempt:
+ * - Recent failures from an IP or publicId escalate the level
+ * - A long run of clean verifications by a publicId relaxes it
+ *
+ * Counters use the rate limiter's store interface (ratelimit.js), so a
+ * Redis limit store shares them between verifier processes.
+ */
+
+import { createMemoryLimitStore } from './ratelimit.js';
+import { DIFFICULTY_LEVELS, difficultyIndex } from './challenges.js';
+
+export const FAILURE_WINDOW_MS = 60 * 60 * 1000;           // Failures count for 1 hour
+export const CLEAN_HISTORY_MS = 7 * 24 * 60 * 60 * 1000;   // Clean streaks survive 7 idle days
+
+/**
+ * Create an adaptive difficulty policy
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Counter store from ratelimit.js (memory by default)
+ * @param {string} [options.base='hard'] - Level for agents without history
+ * @param {string} [options.min='normal'] - Lowest level a clean history can relax to
+ * @param {string} [options.max='extreme'] - Highest level failures can escalate to
+ * @param {number} [options.escalateAfter=1] - Recent failures per level step up
+ * @param {number} [options.relaxAfter=20] - Consecutive verifications per level step down
+ * @param {number} [options.failureWindowMs=3600000] - How long failures count
+ * @param {number} [options.cleanHistoryMs=604800000] - Idle time after which a clean streak is forgotten
+ */
+export function createDifficultyPolicy(options = {}) {
+  const {
+    store = createMemoryLimitStore(),
+    base = 'hard',
+    min = 'normal',
+    max = 'extreme',
+    escalateAfter = 1,
+    relaxAfter = 20,
+    failureWindowMs = FAILURE_WINDOW_MS,
+    cleanHistoryMs = CLEAN_HISTORY_MS
+  } = options;
+
+  const baseIndex = difficultyIndex(base);
+  const minIndex = difficultyIndex(min);
+  const maxIndex = difficultyIndex(max);
+  if (minIndex > maxIndex) {
+    throw new Error(`Difficulty min "${min}" is above max "${max}"`);
+  }
+
+  const subjects = ({ ip, publicId } = {}) =>
+    [ip && `ip:${ip}`, publicId && `id:${publicId}`].filter(Boolean);
+
+  return {
+    store,
+    base,
+
+    /**
+     * Level for the next attempt by an IP / publicId
+     * @param {Object} params
+     * @param {string} [params.ip]
+     * @param {string} [params.publicId] - Only pass IDs backed by a public key
+     * @returns {Promise<string>} One of DIFFICULTY_LEVELS
+     */
+    async resolve({ ip, publicId } = {}, now = Date.now()) {
+      let failures = 0;
+      for (const subject of subjects({ ip, publicId })) {
+        const entry = await store.peek(`difficulty:fail:${subject}`, now);
+        failures = Math.max(failures, entry?.count || 0);
+      }
+
+      let index = baseIndex;
+      if (failures > 0) {
+        index += Math.floor(failures / escalateAfter);
+      } else if (publicId) {
+        // Clean history is tracked per agent only (IPs are shared)
+        const clean = await store.peek(`difficulty:clean:id:${publicId}`, now);
+        index -= Math.floor((clean?.count || 0) / relaxAfter);
+      }
+
+      return DIFFICULTY_LEVELS[Math.min(Math.max(index, minIndex), maxIndex)];
+    },
+
+    /**
+     * Record a failed attempt (also ends the publicId's clean streak)
+     * @param {Object} params
+     * @param {string} [params.ip]
+     * @param {string} [params.publicId]
+     */
+    async recordFailure({ ip, publicId } = {}, now = Date.now()) {
+      for (const subject of subjects({ ip, publicId })) {
+        await store.hit(`difficulty:fail:${subject}`, failureWindowMs, now);
+      }
+      if (publicId) await store.reset(`difficulty:clean:id:${publicId}`);
+    },
+
+    /**
+     * Record a successful verification
+     * @param {Object} params
+     * @param {string} [params.publicId]
+     */
+    async recordSuccess({ publicId } = {}, now = Date.now()) {
+      if (!publicId) return;
+      const key = `difficulty:clean:id:${publicId}`;
+      const streak = await store.peek(key, now);
+      await store.put(key, (streak?.count || 0) + 1, cleanHistoryMs, now);
+    },
+
+    /**
+     * Forget the history of an IP / publicId (admin use)
+     * @param {Object} params
+     * @param {string} [params.ip]
+     * @param {string} [params.publicId]
+     */
+    async reset({ ip, publicId } = {}) {
+      for (const subject of subjects({ ip, publicId })) {
+        await store.reset(`difficulty:fail:${subject}`);
+      }
+      if (publicId) await store.reset(`difficulty:clean:id:${publicId}`);
+    },
+
+    async cleanup(now = Date.now()) {
+      return store.cleanup(now);
+    }
+  };
+}
+
+/**
+ * Check whether a value is a policy from createDifficultyPolicy()
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isDifficultyPolicy(value) {
+  return typeof value?.resolve === 'function' && typeof value?.recordFailure === 'function';
+}
+
+export default {
+  createDifficultyPolicy,
+  isDifficultyPolicy,
+  FAILURE_WINDOW_MS,
+  CLEAN_HISTORY_MS
+};
@@ -3,12 +3,327 @@
  */
 
 import { Router, Request, Response, NextFunction } from 'express';
+import { RotationStatement } from 'aap-agent-core';
 
 // ============== Constants ==============
 
 export const BATCH_SIZE: 5;
 export const MAX_RESPONSE_TIME_MS: 8000;
 export const CHALLENGE_EXPIRY_MS: 60000;
+export const GENERATOR_VERSION: string;
+/** Most instances drawn for one challenge before its audit gives up */
+export const MAX_DRAWS: number;
+
+// ============== Difficulty ==============
+
+export type DifficultyLevel = 'easy' | 'normal' | 'hard' | 'extreme';
+
+export const DIFFICULTY_LEVELS: DifficultyLevel[];
+export const DEFAULT_DIFFICULTY: 'extreme';
+/** Batch size and time budget per level */
+export const DIFFICULTY_PROFILES: Record<DifficultyLevel, { count: number; totalTimeMs: number }>;
+
+// ============== Locales ==============
+
+export type LocaleCode = 'en' | 'ko' | 'ja' | 'es';
+
+/** Word pools, templates and number words for one language */
+export interface LocalePack {
+  code: LocaleCode | string;
+  name: string;
+  words: Record<'animals' | 'fruits' | 'colors' | 'countries' | 'verbs' | 'adjectives', string[]>;
+  /** Spelled-out numbers accepted as numeric answers */
+  numbers: Record<string, number>;
+  /** Counter suffixes stripped from numeric answers ('개', '個') */
+  counters: string[];
+  decimalComma: boolean;
+  foldAccents: boolean;
+  /** Surface variants for paraphrase.js */
+  paraphrase?: ParaphraseTable;
+  [key: string]: any;
+}
+
+export interface ParaphraseTable {
+  /** Interchangeable phrases; the first of each group is the one the templates use */
+  synonyms: string[][];
+  /** Prefixes of closing sentences that may move to the front */
+  movable: string[];
+  /** Lead-ins put before the instruction ("Task: ") */
+  leads: string[];
+  /** Irrelevant sentences inserted between sentences */
+  fillers: string[];
+  /** Write small numbers as words from `numbers` (default false) */
+  numberWords?: boolean;
+  /** Phrases only match whole words (default false) */
+  boundaries?: boolean;
+  /** Between sentences (default ' ') */
+  gap?: string;
+}
+
+export const LOCALES: Record<LocaleCode, LocalePack>;
+export const DEFAULT_LOCALE: 'en';
+export function getLocale(code?: LocaleCode | string): LocalePack;
+export function getLocales(): LocaleCode[];
+
+// ============== Answer Normalization ==============
+
+export type Strictness = 'strict' | 'standard' | 'lenient';
+/** One level for every type, or a level per type name */
+export type StrictnessOption = Strictness | Record<string, Strictness>;
+
+export interface StrictnessPolicy {
+  /** 'exact': the whole answer is a JSON object; 'embedded': prose and code fences allowed */
+  json: 'exact' | 'embedded';
+  unicode: boolean;
+  trim: boolean;
+  caseFold: boolean;
+  foldAccents: boolean;
+  numericStrings: boolean;
+  /** Largest accepted |actual - expected| (exclusive) */
+  tolerance: number;
+  /** Accept sets written as "a, b, c" */
+  listStrings: boolean;
+}
+
+export const STRICTNESS_LEVELS: Strictness[];
+export const DEFAULT_STRICTNESS: 'standard';
+export const STRICTNESS_POLICIES: Record<Strictness, StrictnessPolicy>;
+
+export interface AnswerMatcher {
+  strictness: Strictness;
+  policy: StrictnessPolicy;
+  parse(solution: string | object): Record<string, any> | null;
+  text(actual: any, expected: string): boolean;
+  number(actual: any, expected: number, options?: { tolerance?: number }): boolean;
+  list(actual: any, expected: any[], options?: { ordered?: boolean; items?: 'text' | 'number' }): boolean;
+  constraints(actual: any, constraints: Constraint[], options?: { items?: 'text' | 'number' }): boolean | { constraint: ConstraintType };
+  check(solution: string | object, salt: string, fields: Record<string, FieldCheck>): AnswerVerdict;
+  validator(salt: string, fields: Record<string, FieldCheck>): DiagnosableValidator;
+}
+
+/** A field check returns a boolean or the verdict of AnswerMatcher.constraints() */
+export type FieldCheck = (value: any) => boolean | { constraint: ConstraintType };
+
+export type ConstraintType =
+  | 'count'
+  | 'distinct'
+  | 'word'
+  | 'initials'
+  | 'oneOf'
+  | 'integer'
+  | 'range'
+  | 'multipleOf'
+  | 'order'
+  | 'keys'
+  | 'entries';
+
+export type Constraint =
+  | { type: 'count'; n: number }
+  | { type: 'distinct' | 'word' | 'integer' }
+  | { type: 'initials'; letters: string[] }
+  | { type: 'oneOf'; values: any[] }
+  | { type: 'range'; min: number; max: number }
+  | { type: 'multipleOf'; n: number }
+  | { type: 'order'; direction: 'asc' | 'desc' }
+  | { type: 'keys'; values: string[] }
+  | { type: 'entries'; expected: Record<string, number> };
+
+export type ReasonCode = 'PARSE_ERROR' | 'MISSING_FIELD' | 'SALT_MISMATCH' | 'WRONG_VALUE' | 'CONSTRAINT_FAILED' | 'TIMEOUT';
+/** true is 'codes'; 'debug' also reports expected answers (never in production) */
+export type DiagnosticsOption = boolean | 'codes' | 'debug';
+
+export interface AnswerVerdict {
+  valid: boolean;
+  reason?: ReasonCode;
+  /** Field the reason refers to */
+  field?: string;
+  /** Constraint the field breaks (CONSTRAINT_FAILED) */
+  constraint?: ConstraintType;
+}
+
+export interface DiagnosableValidator {
+  (solution: string): boolean;
+  diagnose(solution: string): AnswerVerdict;
+}
+
+/** Entry of `results` (reason, field, constraint and expected only with diagnostics, on failures) */
+export interface AnswerResult {
+  id: number;
+  valid: boolean;
+  reason?: ReasonCode;
+  field?: string;
+  constraint?: ConstraintType;
+  expected?: any;
+}
+
+export const REASON_CODES: { [K in ReasonCode]: K };
+export const CONSTRAINT_TYPES: ConstraintType[];
+export const DIAGNOSTICS_LEVELS: ('codes' | 'debug')[];
+
+export function extractJson(solution: string | object, options?: { json?: 'exact' | 'embedded' }): Record<string, any> | null;
+export function createAnswerMatcher(options?: { strictness?: Strictness; locale?: LocaleCode }): AnswerMatcher;
+export function strictnessFor(option: StrictnessOption | undefined, type: string, fallback?: Strictness): Strictness;
+export function diagnoseAnswer(validator: (solution: string) => boolean, solution: string): AnswerVerdict;
+/** Effective level; 'debug' becomes 'codes' when NODE_ENV is "production" */
+export function resolveDiagnostics(option?: DiagnosticsOption): 'codes' | 'debug' | null;
+
+// ============== Scoring ==============
+
+export interface BatchScore {
+  passed: number;
+  total: number;
+  /** Weighted share of the batch that passed (0-1) */
+  confidence: number;
+  /** Share of the weighted score needed to pass */
+  required: number;
+  verified: boolean;
+}
+
+/** null: every challenge in the batch must pass */
+export const DEFAULT_PASS_THRESHOLD: null;
+export const DEFAULT_TIME_WEIGHT: number;
+/** Share a batch of `total` needs: of its challenges for a count >= 1 or null (all), of the weighted score for a fraction < 1 */
+export function requiredScore(threshold: number | null | undefined, total: number): number;
+export function scoreResults(
+  results: { valid: boolean }[],
+  options?: { types?: string[]; weights?: Record<string, number>; passThreshold?: number | null }
+): BatchScore;
+export function attestationStrength(
+  params: { confidence: number; responseTimeMs: number; timeBudgetMs: number },
+  options?: { timeWeight?: number }
+): number;
+
+// ============== Calibration ==============
+
+export interface CalibrationChallenge {
+  id: number;
+  type: string;
+  version: string;
+  challenge_string: string;
+  difficulty: DifficultyLevel;
+  locale: LocaleCode;
+  /** Generator's expected answer (only the oracle solver should read it) */
+  expected?: any;
+}
+
+export interface CalibrationSolver {
+  name: string;
+  solve(challenge: CalibrationChallenge): string | Promise<string>;
+}
+
+export interface CalibrationTypeStats {
+  version: string;
+  attempts: number;
+  passed: number;
+  passRate: number;
+  /** Failures per reason code */
+  reasons: Partial<Record<ReasonCode, number>>;
+  /** Answer length in characters */
+  answerLength: { min: number; p50: number; p90: number; max: number; mean: number };
+}
+
+export interface CalibrationReport {
+  solver: string;
+  seed: string;
+  batches: number;
+  difficulty: DifficultyLevel;
+  locale: LocaleCode;
+  challenges: number;
+  passed: number;
+  passRate: number;
+  types: Record<string, CalibrationTypeStats>;
+  /** Distinct template signatures seen */
+  templates: number;
+  /** Templates below minPassRate, worst first */
+  ambiguous: {
+    type: string;
+    template: string;
+    attempts: number;
+    passed: number;
+    passRate: number;
+    sample: { challenge_string: string; answer: string; reason: ReasonCode; field?: string } | null;
+  }[];
+  transcript?: { nonce: string; type: string; version: string; challenge_string: string; answer: string; valid: boolean }[];
+}
+
+export function createOracleSolver(): CalibrationSolver;
+export function createNoisySolver(base: CalibrationSolver, options?: { errorRate?: number; seed?: string }): CalibrationSolver;
+export function createReplaySolver(transcript: { challenge_string: string; answer: string }[]): CalibrationSolver;
+export function templateSignature(text: string, locale?: LocaleCode): string;
+export function runCalibration(options?: {
+  solver?: CalibrationSolver;
+  batches?: number;
+  count?: number;
+  difficulty?: DifficultyLevel;
+  locale?: LocaleCode;
+  strictness?: StrictnessOption;
+  registry?: ChallengeTypeRegistry;
+  seed?: string;
+  secret?: string | Buffer;
+  /** Reword instructions as generateBatch does (default true) */
+  paraphrase?: boolean;
+  minPassRate?: number;
+  record?: boolean;
+}): Promise<CalibrationReport>;
+export function formatReport(report: CalibrationReport): string;
+
+export interface AuditTypeStats {
+  /** Whether the type has an audit */
+  audited: boolean;
+  draws: number;
+  /** First draws the audit flagged */
+  flagged: number;
+  flagRate: number;
+  issues: Partial<Record<AuditCode, number>>;
+  templates: Record<string, { draws: number; flagged: number }>;
+  /** Most draws one nonce needed */
+  maxDraws: number;
+  /** Nonces still flagged after MAX_DRAWS draws (generation would throw) */
+  exhausted: number;
+  sample: { challenge_string: string; issues: AuditIssue[] } | null;
+}
+
+export interface AuditReport {
+  seed: string;
+  nonces: number;
+  difficulty: DifficultyLevel;
+  locale: LocaleCode;
+  types: Record<string, AuditTypeStats>;
+}
+
+export const DEFAULT_AUDIT_NONCES: 500;
+export function auditGenerators(options?: {
+  nonces?: number;
+  difficulty?: DifficultyLevel;
+  locale?: LocaleCode;
+  registry?: ChallengeTypeRegistry;
+  types?: string[];
+  seed?: string;
+}): AuditReport;
+export function formatAuditReport(report: AuditReport): string;
+
+// ============== Answerability Audit ==============
+
+export type AuditCode =
+  | 'CATEGORY_COLLISION'
+  | 'DUPLICATE_ITEMS'
+  | 'NON_INTEGER'
+  | 'ROUNDING_TIE'
+  | 'TIED_ANSWER'
+  | 'AMBIGUOUS_PATTERN'
+  | 'INDEX_BASE'
+  | 'EMPTY_ANSWER'
+  | 'NEGATIVE_MODULO'
+  | 'CORNER_CONTACT';
+
+export interface AuditIssue {
+  code: AuditCode | string;
+  detail?: string;
+}
+
+export const AUDIT_CODES: Record<AuditCode, AuditCode>;
+/** Audits of the built-in types, keyed by type */
+export const BUILTIN_AUDITS: Record<string, (instance: any) => AuditIssue[]>;
 
 // ============== Challenges ==============
 
@@ -20,39 +335,392 @@ export type ChallengeType =
   | 'nlp_transform' 
   | 'nlp_multistep' 
   | 'nlp_pattern' 
-  | 'nlp_analysis';
+  | 'nlp_analysis'
+  | 'nlp_table'
+  | 'nlp_code'
+  | 'nlp_instruct'
+  | 'nlp_grid';
 
 export interface Challenge {
   id: number;
-  type: ChallengeType;
+  type: ChallengeType | string;
+  /** Generator version of the type that produced it */
+  version: string;
   challenge_string: string;
 }
 
 export interface ChallengeResult {
-  type: ChallengeType;
+  type: ChallengeType | string;
+  version: string;
+  difficulty: DifficultyLevel;
+  locale: LocaleCode;
+  strictness: Strictness;
   challenge_string: string;
   validate: (solution: string) => boolean;
   expected: any;
 }
 
+/** Serializable batch description; validators are rebuilt from it */
+export interface ChallengeRecord {
+  nonce: string;
+  types: string[];
+  versions?: string[];
+  /** Strictness per challenge */
+  strictness?: Strictness[];
+  difficulty?: DifficultyLevel;
+  locale?: LocaleCode;
+  generatorVersion: string;
+}
+
 export interface BatchChallengeResult {
   challenges: Challenge[];
   validators: ((solution: string) => boolean)[];
   expected: any[];
+  difficulty: DifficultyLevel;
+  locale: LocaleCode;
+  /** Time budget of the level */
+  totalTimeMs: number;
+  record: ChallengeRecord;
 }
 
 export interface BatchValidationResult {
   passed: number;
   total: number;
   allPassed: boolean;
-  results: { id: number; valid: boolean }[];
+  /** Weighted share of the batch that passed (0-1) */
+  confidence: number;
+  /** The batch meets passThreshold (all challenges by default) */
+  verified: boolean;
+  results: AnswerResult[];
 }
 
-export function getTypes(): ChallengeType[];
-export function generate(nonce: string, type?: ChallengeType): ChallengeResult;
-export function generateBatch(nonce: string, count?: number): BatchChallengeResult;
-export function validateBatch(validators: ((s: string) => boolean)[], solutions: any[]): BatchValidationResult;
-export function validate(type: ChallengeType, nonce: string, solution: string): boolean;
+/** Keyed deterministic random stream (HMAC-SHA256 counter mode) */
+export interface Prng {
+  uint32(): number;
+  int(min: number, max: number): number;
+  float(): number;
+  bool(): boolean;
+  pick<T>(arr: T[]): T;
+  shuffle<T>(arr: T[]): T[];
+  sample<T>(arr: T[], count: number): T[];
+  string(length: number, alphabet?: string): string;
+}
+
+export function createPrng(seed: string, options?: { secret?: string | Buffer; label?: string }): Prng;
+
+// ============== Paraphrasing ==============
+
+/** Reword the instruction line of a challenge (data lines and answers stay the same) */
+export function paraphrase(text: string, rng: Prng, options?: { locale?: LocaleCode }): string;
+
+export interface ChallengeOptions {
+  registry?: ChallengeTypeRegistry;
+  /** Plain generator map instead of a registry */
+  types?: ChallengeRegistry;
+  /** Server secret keying the PRNG; replicas sharing records must share it */
+  secret?: string | Buffer;
+  /** Difficulty level (default 'extreme') */
+  difficulty?: DifficultyLevel;
+  /** Locale pack for the challenge text (default 'en') */
+  locale?: LocaleCode;
+  /** Answer strictness (default: each type's own) */
+  strictness?: StrictnessOption;
+  /** Reword instructions of types with `paraphrase` (default true); validators do not depend on it */
+  paraphrase?: boolean;
+}
+
+export interface ChallengeGenerator {
+  generate(nonce: string, rng?: Prng, context?: { difficulty: DifficultyLevel; locale: LocaleCode; strictness: Strictness }): { challenge_string: string; validate: (solution: string) => boolean; expected?: any };
+}
+
+/** Plain generator map shaped like CHALLENGE_TYPES */
+export type ChallengeRegistry = Record<string, ChallengeGenerator>;
+
+export interface ChallengeTypeDefinition extends ChallengeGenerator {
+  /** Bump when the output for a nonce changes (default '1') */
+  version?: string;
+  /** Flag ambiguous instances; generation draws again until none are returned */
+  audit?(instance: any, context: { difficulty: DifficultyLevel; locale: LocaleCode; strictness: Strictness }): AuditIssue[];
+  difficulty?: string;
+  tags?: string[];
+  /** How answers may be written (default 'standard') */
+  strictness?: Strictness;
+  /** Reword the first line with the locale's paraphrase table (default false; built-in types opt in) */
+  paraphrase?: boolean;
+}
+
+export interface ChallengeTypeInfo {
+  name: string;
+  version: string;
+  difficulty: string;
+  tags: string[];
+  strictness: Strictness;
+  paraphrase: boolean;
+}
+
+export interface ChallengeTypeRegistry {
+  register(name: string, definition: ChallengeTypeDefinition, options?: { replace?: boolean }): ChallengeTypeRegistry;
+  unregister(name: string): boolean;
+  has(name: string): boolean;
+  get(name: string): (ChallengeTypeInfo & ChallengeGenerator) | null;
+  getTypes(): string[];
+  list(): ChallengeTypeInfo[];
+}
+
+export function createChallengeRegistry(options?: { builtins?: boolean; types?: Record<string, ChallengeTypeDefinition> }): ChallengeTypeRegistry;
+export function isChallengeRegistry(value: any): value is ChallengeTypeRegistry;
+export const defaultRegistry: ChallengeTypeRegistry;
+export function registerChallengeType(name: string, definition: ChallengeTypeDefinition, options?: { replace?: boolean }): void;
+export function unregisterChallengeType(name: string): boolean;
+
+export function getTypes(options?: { registry?: ChallengeTypeRegistry }): string[];
+export function generate(nonce: string, type?: ChallengeType | string, options?: { registry?: ChallengeTypeRegistry; secret?: string | Buffer; difficulty?: DifficultyLevel; locale?: LocaleCode; strictness?: StrictnessOption; paraphrase?: boolean }): ChallengeResult;
+
+export function generateBatch(nonce: string, count?: number, options?: ChallengeOptions): BatchChallengeResult;
+export function validateBatch(
+  validators: ((s: string) => boolean)[],
+  solutions: any[],
+  options?: {
+    diagnostics?: DiagnosticsOption;
+    expected?: any[];
+    passThreshold?: number | null;
+    weights?: Record<string, number>;
+    /** Challenge type of each validator (record.types) */
+    types?: string[];
+  }
+): BatchValidationResult;
+export function validate(type: ChallengeType | string, nonce: string, solution: string, options?: ChallengeOptions): boolean;
+export function challengeNonce(nonce: string, index: number): string;
+export function rebuildValidators(record: ChallengeRecord, options?: ChallengeOptions): ((s: string) => boolean)[];
+
+// ============== WebSocket Server ==============
+
+export interface AAPWebSocketOptions {
+  port?: number;
+  server?: import('http').Server;
+  path?: string;
+  challengeCount?: number;
+  totalTimeMs?: number;
+  connectionTimeoutMs?: number;
+  requireSignature?: boolean;
+  mode?: 'batch' | 'sequential';
+  modes?: ('batch' | 'sequential')[];
+  stepTimeMs?: number;
+  challengeSource?: 'simple' | 'nlp' | ChallengeTypeRegistry | ChallengeRegistry;
+  /** Reword each instruction from its nonce so fixed-regex solvers fail (default true) */
+  paraphrase?: boolean;
+  /** PRNG secret for challenge generation (per-process random by default) */
+  secret?: string | Buffer;
+  /** Fixed level or adaptive policy; its profile sets challengeCount/totalTimeMs unless given */
+  difficulty?: DifficultyLevel | DifficultyPolicy;
+  /** Locale advertised in the handshake (default: first of `locales`) */
+  locale?: LocaleCode;
+  /** Locales clients may negotiate (default ['en']; others need a registry challengeSource) */
+  locales?: LocaleCode[];
+  /** Answer strictness for both challenge sources (default: each type's own) */
+  strictness?: StrictnessOption;
+  /** Explain failed answers in `results` (default false) */
+  diagnostics?: DiagnosticsOption;
+  /** Count of passed challenges (capped at the batch size) or fraction of the weighted score (default null: all) */
+  passThreshold?: number | null;
+  /** Weight per challenge type for the confidence score (default 1) */
+  weights?: Record<string, number>;
+  /** How much response time discounts the attestation strength (0-1, default 0.25) */
+  timeWeight?: number;
+  rateLimit?: boolean | RateLimiterOptions | RateLimiter;
+  getIp?: (req: import('http').IncomingMessage) => string;
+  whitelist?: Whitelist;
+  keyRotation?: KeyRotation;
+  signingKey?: { publicKey: string; privateKey: string };
+  issuer?: string;
+  sessionStore?: Store;
+  sessionTtlMs?: number;
+  sweepIntervalMs?: number;
+  onVerified?: (result: WebSocketResult) => void;
+  onFailed?: (result: WebSocketResult) => void;
+}
+
+export interface WebSocketResult {
+  type: 'result';
+  verified: boolean;
+  message: string;
+  code?: string;
+  publicId: string;
+  /** Stable agent ID (follows key rotations when keyRotation is configured) */
+  agentId?: string;
+  mode?: 'batch' | 'sequential';
+  passed?: number;
+  total?: number;
+  /** Level of the batch (when the `difficulty` option is set) */
+  difficulty?: DifficultyLevel;
+  locale?: LocaleCode;
+  /** Weighted share of the batch that passed (0-1) */
+  confidence?: number;
+  /** Confidence discounted by response time (verified results) */
+  strength?: number;
+  /** Also sent with TOO_SLOW when diagnostics are on (TIMEOUT entries) */
+  results?: AnswerResult[];
+  responseTimeMs?: number;
+  step?: number;
+  timings?: { id: number; sentAt: number; receivedAt: number; responseTimeMs: number }[];
+  role?: 'AI_AGENT';
+  sessionToken?: string;
+  expiresAt?: number;
+}
+
+export interface SessionRecord {
+  publicId: string;
+  agentId: string;
+  publicKey: string | null;
+  nonce: string;
+  verifiedAt: number;
+  expiresAt: number;
+  responseTimeMs: number;
+  difficulty?: DifficultyLevel;
+  locale?: LocaleCode;
+  confidence?: number;
+  /** Attestation strength (0-1): confidence discounted by response time */
+  strength?: number;
+}
+
+export interface AAPWebSocketServer {
+  wss: any;
+  sessionStore: Store;
+  rateLimiter: RateLimiter | null;
+  /** Challenge registry in use (null for the built-in simple set) */
+  registry: ChallengeTypeRegistry | null;
+  difficultyPolicy: DifficultyPolicy | null;
+  close(): void;
+  /** Whether a token belongs to a live session */
+  checkSession(token: string): Promise<boolean>;
+  /** Live session for a token (expired ones count as missing) */
+  getSessionAsync(token: string): Promise<SessionRecord | null>;
+  /** @deprecated Removed in 4.0 and throws; use checkSession() */
+  isVerified(token: string): never;
+  /** @deprecated Removed in 4.0 and throws; use getSessionAsync() */
+  getSession(token: string): never;
+  revokeSession(token: string): Promise<boolean>;
+  listSessions(publicId: string): Promise<(SessionRecord & { token: string })[]>;
+  publicKey: string;
+  getJwks(): import('aap-agent-core').Jwks;
+  verifyToken(token: string): import('aap-agent-core').TokenVerificationResult;
+}
+
+export function createAAPWebSocket(options?: AAPWebSocketOptions): AAPWebSocketServer;
+
+// ============== Whitelist & Key Rotation ==============
+
+export interface WhitelistOptions {
+  enabled?: boolean;
+  allowedIds?: string[];
+  /** Dedicated store (createStore()); loaded at startup, written through on change */
+  store?: Store;
+  onNewAgent?: (publicId: string, details: object) => void;
+  /** Pending approvals kept; the oldest make room (default 1000) */
+  maxPending?: number;
+  /** Pending approvals expire this long after the last attempt (default 7 days) */
+  pendingTtlMs?: number;
+  /** Repeat attempts are written to the store at most this often (default 60000) */
+  pendingWriteIntervalMs?: number;
+}
+
+export interface WhitelistDocument {
+  version: 1;
+  allowed: string[];
+  pending?: {
+    publicId: string;
+    firstSeen: number;
+    lastSeen: number;
+    expiresAt: number;
+    attempts: number;
+    lastDetails: object | null;
+  }[];
+}
+
+export interface Whitelist {
+  ready: Promise<void>;
+  flush(): Promise<void>;
+  isAllowed(publicId: string): boolean;
+  add(publicId: string): void;
+  remove(publicId: string): void;
+  list(): string[];
+  recordAttempt(publicId: string, details?: object): void;
+  getPending(): NonNullable<WhitelistDocument['pending']>;
+  exportJSON(options?: { includePending?: boolean }): string;
+  importJSON(json: string | WhitelistDocument, options?: { replace?: boolean }): { added: string[]; removed: string[] };
+  middleware(): (req: Request, res: Response, next: NextFunction) => void;
+  isEnabled(): boolean;
+  stats(): { enabled: boolean; whitelistedCount: number; pendingCount: number };
+}
+
+export interface KeyRotationOptions {
+  maxKeyAge?: number;
+  verifiedOnly?: boolean;
+  allowGenesis?: boolean;
+  store?: Store;
+  onRotationNeeded?: (publicId: string, age: number) => void;
+  onRotated?: (agentId: string, statement: RotationStatement) => void;
+}
+
+export interface KeyRecord {
+  publicKey: string;
+  createdAt: number;
+  revokedAt: number | null;
+  revokedReason?: 'rotated';
+  statement?: RotationStatement;
+}
+
+export interface RotationResult {
+  accepted: boolean;
+  agentId?: string;
+  error?: string;
+}
+
+export interface KeyRotation {
+  ready: Promise<void>;
+  flush(): Promise<void>;
+  registerKey(publicId: string, publicKey: string, createdAt?: number): void;
+  rotate(statements: RotationStatement | RotationStatement[], now?: number): RotationResult;
+  resolveAgent(publicKeyOrId: string): string | null;
+  getCurrentKey(publicId: string): string | null;
+  needsRotation(publicId: string): boolean;
+  revokeKey(publicId: string, keyIndex: number): void;
+  isRevoked(publicKey: string, now?: number): boolean;
+  getHistory(publicId: string): KeyRecord[];
+}
+
+export function createWhitelist(options?: WhitelistOptions): Whitelist;
+export function createKeyRotation(options?: KeyRotationOptions): KeyRotation;
+/** Public ID of a key as the WebSocket server derives it (whitelist entries and agent IDs) */
+export function derivePublicId(publicKey: string): string;
+
+// ============== Persistence ==============
+
+export interface Store {
+  type: 'memory' | 'file' | 'redis';
+  get(key: string): Promise<any | null>;
+  set(key: string, data: any, ttlMs?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** Get and delete atomically; a key can only be consumed once */
+  consume(key: string): Promise<any | null>;
+  has(key: string): Promise<boolean>;
+  size(): Promise<number>;
+  keys(): Promise<string[]>;
+  clear(): Promise<void>;
+  cleanup(now?: number): Promise<number>;
+  close?(): void;
+}
+
+export interface StoreOptions {
+  type?: 'memory' | 'file' | 'redis';
+  filePath?: string;
+  redisClient?: any;
+}
+
+export function createStore(options?: StoreOptions): Store;
+export function createMemoryStore(): Store;
+export function createFileStore(filePath?: string): Store;
+export function createRedisStore(redisClient: any, prefix?: string): Store;
 
 // ============== Middleware ==============
 
@@ -91,21 +759,78 @@ export function createRouter(options?: MiddlewareOptions): Promise<Router>;
 
 // ============== Rate Limiting ==============
 
+export interface LimitStore {
+  type: 'memory' | 'redis';
+  hit(key: string, windowMs: number, now?: number): Promise<{ count: number; resetAt: number }>;
+  peek(key: string, now?: number): Promise<{ count: number; resetAt: number } | null>;
+  put(key: string, count: number, ttlMs: number, now?: number): Promise<void>;
+  reset(key: string): Promise<void>;
+  cleanup(now?: number): Promise<number>;
+}
+
 export interface RateLimiterOptions {
+  store?: LimitStore;
   windowMs?: number;
-  max?: number;
-  message?: string;
+  maxConnectionsPerIp?: number;
+  maxFailuresPerIp?: number;
+  maxFailuresPerPublicId?: number;
+  lockoutMs?: number;
+  maxLockoutMs?: number;
+  strikeWindowMs?: number;
+  onLimited?: (verdict: RateLimitVerdict) => void;
 }
 
-export function createRateLimiter(options?: RateLimiterOptions): (req: Request, res: Response, next: NextFunction) => void;
+export interface RateLimitVerdict {
+  allowed: boolean;
+  subject?: string;
+  reason?: 'TOO_MANY_CONNECTIONS' | 'TOO_MANY_FAILURES' | 'LOCKED_OUT';
+  retryAfterMs?: number;
+  strikes?: number;
+}
+
+export interface RateLimiter {
+  store: LimitStore;
+  checkConnection(ip: string, now?: number): Promise<RateLimitVerdict>;
+  checkPublicId(publicId: string, now?: number): Promise<RateLimitVerdict>;
+  recordFailure(params: { ip?: string; publicId?: string }, now?: number): Promise<RateLimitVerdict[]>;
+  reset(params: { ip?: string; publicId?: string }): Promise<void>;
+  cleanup(now?: number): Promise<number>;
+}
+
+export function createRateLimiter(options?: RateLimiterOptions): RateLimiter;
+export function createMemoryLimitStore(): LimitStore;
+export function createRedisLimitStore(redisClient: any, prefix?: string): LimitStore;
+
+// ============== Adaptive Difficulty ==============
+
+export interface DifficultyPolicyOptions {
+  store?: LimitStore;
+  /** Level for agents without history (default 'hard') */
+  base?: DifficultyLevel;
+  /** Lowest level a clean history relaxes to (default 'normal') */
+  min?: DifficultyLevel;
+  /** Highest level failures escalate to (default 'extreme') */
+  max?: DifficultyLevel;
+  /** Recent failures per level step up (default 1) */
+  escalateAfter?: number;
+  /** Consecutive verifications per level step down (default 20) */
+  relaxAfter?: number;
+  failureWindowMs?: number;
+  cleanHistoryMs?: number;
+}
 
-export interface FailureLimiter {
-  middleware: (req: Request, res: Response, next: NextFunction) => void;
-  recordFailure: (req: Request) => void;
-  clearFailures: (req: Request) => void;
+export interface DifficultyPolicy {
+  store: LimitStore;
+  base: DifficultyLevel;
+  resolve(params: { ip?: string; publicId?: string }, now?: number): Promise<DifficultyLevel>;
+  recordFailure(params: { ip?: string; publicId?: string }, now?: number): Promise<void>;
+  recordSuccess(params: { publicId?: string }, now?: number): Promise<void>;
+  reset(params: { ip?: string; publicId?: string }): Promise<void>;
+  cleanup(now?: number): Promise<number>;
 }
 
-export function createFailureLimiter(options?: RateLimiterOptions): FailureLimiter;
+export function createDifficultyPolicy(options?: DifficultyPolicyOptions): DifficultyPolicy;
+export function isDifficultyPolicy(value: any): value is DifficultyPolicy;
 
 // ============== Errors ==============
 
@@ -13,14 +13,64 @@ export {
   generate, 
   generateBatch, 
   validateBatch, 
+  validate,
+  rebuildValidators,
+  challengeNonce,
   getTypes,
+  createChallengeRegistry,
+  isChallengeRegistry,
+  defaultRegistry,
+  registerChallengeType,
+  unregisterChallengeType,
   BATCH_SIZE,
-  CHALLENGE_TYPES
+  CHALLENGE_TYPES,
+  GENERATOR_VERSION,
+  MAX_DRAWS,
+  DIFFICULTY_LEVELS,
+  DEFAULT_DIFFICULTY,
+  DIFFICULTY_PROFILES
 } from './challenges.js';
 
 // Optional utilities
-export { createWhitelist, createKeyRotation } from './whitelist.js';
+export { createWhitelist, createKeyRotation, derivePublicId } from './whitelist.js';
 export { createStore, createMemoryStore, createFileStore, createRedisStore } from './persistence.js';
+export { createRateLimiter, createMemoryLimitStore, createRedisLimitStore } from './ratelimit.js';
+export { createDifficultyPolicy, isDifficultyPolicy } from './difficulty.js';
+export { createPrng } from './prng.js';
+export { paraphrase } from './paraphrase.js';
+export { LOCALES, DEFAULT_LOCALE, getLocale, getLocales } from './locales/index.js';
+export {
+  STRICTNESS_LEVELS,
+  DEFAULT_STRICTNESS,
+  STRICTNESS_POLICIES,
+  REASON_CODES,
+  CONSTRAINT_TYPES,
+  DIAGNOSTICS_LEVELS,
+  extractJson,
+  createAnswerMatcher,
+  strictnessFor,
+  diagnoseAnswer,
+  resolveDiagnostics
+} from './normalize.js';
+export {
+  DEFAULT_PASS_THRESHOLD,
+  DEFAULT_TIME_WEIGHT,
+  requiredScore,
+  scoreResults,
+  attestationStrength
+} from './scoring.js';
+export {
+  createOracleSolver,
+  createNoisySolver,
+  createReplaySolver,
+  templateSignature,
+  runCalibration,
+  formatReport,
+  auditGenerators,
+  formatAuditReport,
+  DEFAULT_AUDIT_NONCES
+} from './calibration.js';
+export { AUDIT_CODES, BUILTIN_AUDITS } from './audit.js';
 export * as logger from './logger.js';
 
 // Constants
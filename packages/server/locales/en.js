@@ -0,0 +1,240 @@
+/**
+ * English locale pack
+ *
+ * Word pools are index-aligned across packs: the same PRNG draw picks the
+ * same concept in every locale.
+ */
+
+export default {
+  code: 'en',
+  name: 'English',
+
+  words: {
+    animals: ['cat', 'dog', 'rabbit', 'tiger', 'lion', 'elephant', 'giraffe', 'penguin', 'eagle', 'shark', 'wolf', 'bear', 'fox', 'deer', 'owl'],
+    fruits: ['apple', 'banana', 'orange', 'grape', 'strawberry', 'watermelon', 'peach', 'kiwi', 'mango', 'cherry', 'lemon', 'lime', 'pear', 'plum'],
+    colors: ['red', 'blue', 'yellow', 'green', 'purple', 'orange', 'pink', 'black', 'white', 'brown', 'gray', 'cyan', 'magenta'],
+    countries: ['Korea', 'Japan', 'USA', 'UK', 'France', 'Germany', 'Australia', 'Canada', 'Brazil', 'India', 'Italy', 'Spain', 'Mexico'],
+    verbs: ['runs', 'eats', 'sleeps', 'plays', 'works', 'studies', 'travels', 'cooks', 'reads', 'writes', 'sings', 'dances'],
+    adjectives: ['big', 'small', 'fast', 'slow', 'beautiful', 'cute', 'delicious', 'interesting', 'bright', 'dark']
+  },
+
+  categories: { animals: 'animals', fruits: 'fruits', colors: 'colors' },
+
+  // Accepted as numeric answers
+  numbers: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+  },
+  counters: [],
+  decimalComma: false,
+  foldAccents: false,
+
+  separator: ', ',
+  list: (words) => words.length <= 2
+    ? words.join(' and ')
+    : `${words.slice(0, -1).join(', ')}, and ${words[words.length - 1]}`,
+  ordinal: (n) => n === 1 ? '1st' : n === 2 ? '2nd' : n === 3 ? '3rd' : `${n}th`,
+
+  responseFormat: 'Response format',
+
+  extract: {
+    instruction: (category) => `Extract ONLY the ${category} from this sentence (ignore other categories).`,
+    label: 'Sentence',
+    sentences: [
+      ({ adj, verb, all }) => `The ${adj} ${all} all ${verb} near the river.`,
+      ({ first, second }) => `I saw ${first} yesterday, but today only ${second} appeared.`,
+      ({ adj, verb, all }) => `Around the ${adj} square, there were ${all}, each one ${verb} quietly.`
+    ]
+  },
+
+  math: [
+    ({ a, b, c, d, e }) => `Start with ${a}. Subtract ${b}. Multiply that by ${c}. Divide the result by ${e}. Finally, add ${d}. What's the final value?`,
+    ({ a, b, c, d, e }) => `Compute: ((${a} + ${b}) × ${c} - ${d}) ÷ ${e}. Give the result rounded to two decimal places.`,
+    ({ a, b, c, d }) => `Take the sum of ${a} and ${b}. Square root of that sum, rounded down. Then multiply by ${c} and subtract ${d}.`,
+    ({ a, b, c, d, e }) => `${a} divided by ${c}, plus ${b} divided by ${e}, minus ${d}. Round to nearest integer.`,
+    ({ a, b, d, e }) => `Triple ${a}, halve that result, add ${b}, then take away ${d}. Multiply everything by ${e}. Final answer?`,
+    ({ a, b, c, d, e }) => `What is ${a} mod ${c} (remainder), plus ${b} mod ${e}, times ${d}?`
+  ],
+
+  transform: [
+    (input) => `Take "${input}": reverse it, convert to uppercase, then return only the first 5 characters.`,
+    (input) => `From "${input}": extract all digits, sum them, and format as "SUM:X" where X is the total.`,
+    (input) => `From "${input}": extract letters only, sort alphabetically, reverse that order, join with dots.`,
+    (input) => `Transform "${input}": characters at even positions (0,2,4...) lowercase, odd positions (1,3,5...) uppercase.`,
+    (input) => `Analyze "${input}": count letters and digits. Format answer as "LxDy" where x=letter count, y=digit count.`,
+    (input) => `Transform "${input}": replace vowels with "*", consonants with "#", keep digits unchanged.`
+  ],
+
+  logic: [
+    ({ a, b, c, d }) => `Let X=${a}, Y=${b}, Z=${c}, W=${d}. If (X > Y AND Z > W) OR (X < Y AND Z < W), answer "CONSISTENT". If (X > Y AND Z < W) OR (X < Y AND Z > W), answer "CROSSED". Otherwise, answer "EQUAL".`,
+    ({ a, b, c, d }) => `Given four numbers [${a}, ${b}, ${c}, ${d}]: Count how many are divisible by 3. If count is 0, say "NONE". If 1-2, say "FEW". If 3-4, say "MANY".`,
+    ({ a, b, c, d }) => `Evaluate: Is (${a} + ${b}) greater than (${c} + ${d})? AND is (${a} × ${d}) less than (${b} × ${c})? If BOTH true: "ALPHA". If NEITHER true: "GAMMA". Otherwise: "BETA".`,
+    ({ a, b, c, d, threshold }) => `Numbers: ${a}, ${b}, ${c}, ${d}. First, find the median (average of middle two when sorted). If median > ${threshold}, output "HIGH". If median < ${threshold / 2}, output "LOW". Otherwise, output "MID".`,
+    ({ a, b, c, d, threshold }) => `Check these conditions for [${a}, ${b}, ${c}, ${d}]: (1) Sum > ${threshold * 3}? (2) Product of smallest two < ${threshold * 10}? (3) Largest is even? Count TRUE conditions. Answer with the count (0-3).`,
+    ({ a, b }) => `If ${a} AND ${b} are both prime, answer "TWIN". If exactly one is prime, answer "SOLO". If neither is prime, answer "NONE". (Hint: primes are only divisible by 1 and themselves)`
+  ],
+
+  count: {
+    instruction: (category) => `Count ONLY the ${category} in this text. Ignore all other categories (other nouns are distractors).`,
+    label: 'Text',
+    sentences: [
+      (items) => `At the market, I noticed: ${items}. Quite a mix!`,
+      (items) => `The list contains: ${items}. Some things don't belong.`,
+      (items) => `Inventory check: ${items}. Sort by category mentally.`,
+      (items) => `Mixed bag: ${items}. Focus on what matters.`
+    ]
+  },
+
+  multistep: {
+    header: 'Execute these steps IN ORDER:',
+    evenOdd: (numbers) => [
+      `From [${numbers.join(', ')}], separate even and odd numbers.`,
+      'Calculate the PRODUCT of all even numbers (or 0 if none).',
+      'Calculate the SUM of all odd numbers.',
+      'Find the absolute difference between these two results.',
+      'Take that difference modulo 100 (remainder when divided by 100).'
+    ],
+    sortPairs: (numbers) => [
+      `Sort [${numbers.join(', ')}] from smallest to largest.`,
+      'Multiply the smallest by the largest.',
+      'Add the second-smallest to the second-largest.',
+      'Find absolute difference between the two middle numbers.',
+      'Sum all three results from steps 2, 3, and 4.'
+    ],
+    chunks: ({ numbers, half, chunk1, chunk2 }) => [
+      `Split [${numbers.join(', ')}] into two groups: first ${half} and last ${half}.`,
+      `Calculate average of first group: [${chunk1.join(', ')}].`,
+      `Calculate average of second group: [${chunk2.join(', ')}].`,
+      'Add both averages together.',
+      'If max of first group > max of second group, double the sum. Otherwise keep as is.',
+      'Round to nearest integer.'
+    ],
+    alternating: {
+      start: (numbers) => `Start with the first number from [${numbers.join(', ')}].`,
+      add: (ordinal) => `Add the ${ordinal} number.`,
+      subtract: (ordinal) => `Subtract the ${ordinal} number.`,
+      abs: 'Take absolute value of result.',
+      multiply: (length) => `Multiply by ${length} (the count of numbers).`
+    }
+  },
+
+  pattern: (sequence) => `Find the pattern and provide the next 2 numbers: [${sequence.join(', ')}, ?, ?]`,
+
+  analysis: [
+    (list) => `Find the longest word from the following list: ${list}`,
+    (list) => `Find the shortest word from the following list: ${list}`,
+    (list) => `Find the word that comes first alphabetically from the following list: ${list}`
+  ],
+
+  table: {
+    orders: (format) => `Orders (${format}):`,
+    customers: (format) => `Customers (${format}):`,
+    questions: [
+      ({ color }) => `Using the orders table, what is the total quantity (qty) of ${color} items?`,
+      ({ country, limit }) => `Using the orders table, how many orders shipped to ${country} have a quantity (qty) greater than ${limit}?`,
+      () => 'Using the orders table, which item has the largest total quantity (qty) across all orders?',
+      ({ color, country }) => `Using both tables, what is the total quantity (qty) of ${color} items shipped to customers in ${country}? Match each order's customer to the customers table.`
+    ]
+  },
+
+  program: {
+    languages: {
+      javascript: 'JavaScript',
+      pseudo: 'pseudo-code (← assigns, MOD is the remainder, strings are indexed from 0)'
+    },
+    print: (language) => `What does this ${language} program print?`,
+    value: (language, name) => `What is the value of ${name} after this ${language} program runs?`
+  },
+
+  instruct: {
+    orders: {
+      letters: { asc: 'in alphabetical order', desc: 'in reverse alphabetical order' },
+      words: { asc: 'in alphabetical order', desc: 'in reverse alphabetical order' },
+      numbers: { asc: 'from smallest to largest', desc: 'from largest to smallest' }
+    },
+    mentions: 'Mentioned',
+    list: 'List',
+    questions: [
+      ({ count, letters, order }) => `Write exactly ${count} different English words, one starting with each of the letters ${letters.join(', ')}, ${order}.`,
+      () => 'Answer with a JSON object whose keys are the colors mentioned below and whose values are how many times each color is mentioned.',
+      ({ count, category, order }) => `From the list below, give exactly ${count} different ${category}, ${order}.`,
+      ({ count, min, max, divisor, order }) => `Give exactly ${count} different whole numbers from ${min} to ${max} that are multiples of ${divisor}, ${order}.`
+    ]
+  },
+
+  grid: {
+    questions: [
+      ({ symbol, column }) => `In the letter grid below, how many times does "${symbol}" appear in column ${column}?`,
+      ({ symbol, row }) => `In the letter grid below, how many times does "${symbol}" appear in row ${row}?`,
+      () => 'In the letter grid below, which letter appears most often on the diagonal from the top-left corner to the bottom-right corner?',
+      () => 'How many separate shapes made of "#" are in the grid below? Cells in the same shape touch up, down, left or right.',
+      () => 'What is the fewest number of steps from "S" to "E" in the maze below? Move up, down, left or right onto "." cells; "#" is a wall.'
+    ]
+  },
+  // Surface variants for paraphrase.js. The first phrase of each synonym
+  // group is the one the templates above use.
+  paraphrase: {
+    synonyms: [
+      ['What is the value of', 'What value is stored in'],
+      ['What is', "What's"],
+      ['What does this', 'What will this'],
+      ['Answer with', 'Reply with', 'Respond with'],
+      ['Answer', 'Reply'],
+      ['answer', 'reply'],
+      ['Extract ONLY', 'Extract only', 'Pull out only', 'List only'],
+      ['from this sentence', 'from the sentence below'],
+      ['Count ONLY', 'Count only', 'Tally only'],
+      ['in this text', 'in the text below'],
+      ['Ignore all other categories', 'Disregard every other category', 'Skip all other categories'],
+      ['Compute', 'Calculate', 'Work out'],
+      ['Give the result rounded to', 'Round the result to'],
+      ['Find the pattern and provide', 'Work out the rule and give', 'Identify the pattern and give'],
+      ['Find the longest word', 'Pick the longest word', 'Name the longest word'],
+      ['Find the shortest word', 'Pick the shortest word', 'Name the shortest word'],
+      ['Find the word that comes first alphabetically', 'Pick the word that comes first alphabetically', 'Name the word that sorts first alphabetically'],
+      ['from the following list', 'from this list', 'out of this list'],
+      ['Using the orders table', 'Based on the orders table', 'From the orders table'],
+      ['Using both tables', 'Based on both tables', 'With both tables'],
+      ['Execute these steps IN ORDER', 'Carry out these steps IN ORDER', 'Follow these steps IN ORDER'],
+      ['Otherwise', 'In any other case'],
+      ['greater than', 'larger than'],
+      ['less than', 'smaller than'],
+      ['Write exactly', 'Produce exactly'],
+      ['Give exactly', 'Provide exactly', 'List exactly'],
+      ['different', 'distinct'],
+      ['whole numbers', 'integers'],
+      ['In the letter grid below', 'In the grid of letters below', 'Looking at the letter grid below'],
+      ['how many times does', 'how often does'],
+      ['appears most often', 'appears the most times'],
+      ['separate shapes', 'individual shapes'],
+      ['What is the fewest number of steps', 'What is the smallest number of steps'],
+      // The simple set (websocket.js)
+      ['Count animals', 'Count the animals', 'Tally the animals'],
+      ['Next', 'Give the next', 'Continue with the next'],
+      ['Reverse the string', 'Reverse this string', 'Write this string backwards'],
+      ['Extract the color', 'Name the color in', 'Which color appears in'],
+      ['Find longest word', 'Find the longest of', 'Pick the longest of'],
+      [': ', ' — ']
+    ],
+    // Closing sentences that may also open the instruction
+    movable: [
+      'Give the result rounded',
+      'Round to nearest integer',
+      'Ignore all other categories',
+      'Match each order',
+      'Final answer?',
+      'Cells in the same shape',
+      'Move up, down'
+    ],
+    leads: ['Task: ', 'Question: ', 'Quick check: '],
+    fillers: [
+      'Read the whole task before answering.',
+      'This is a routine check.',
+      'Work carefully.',
+      'This sentence can be ignored.',
+      'Accuracy matters more than style.'
+    ],
+    numberWords: true,
+    boundaries: true
+  }
+};
@@ -0,0 +1,219 @@
+/**
+ * Spanish locale pack (Español)
+ *
+ * Word pools are index-aligned with en.js. Adjectives are gender-invariant
+ * so templates never need agreement. Answers are compared without accents.
+ */
+
+export default {
+  code: 'es',
+  name: 'Español',
+
+  words: {
+    animals: ['gato', 'perro', 'conejo', 'tigre', 'león', 'elefante', 'jirafa', 'pingüino', 'águila', 'tiburón', 'lobo', 'oso', 'zorro', 'ciervo', 'búho'],
+    fruits: ['manzana', 'plátano', 'naranja', 'uva', 'fresa', 'sandía', 'melocotón', 'kiwi', 'mango', 'cereza', 'limón', 'lima', 'pera', 'ciruela'],
+    colors: ['rojo', 'azul', 'amarillo', 'verde', 'morado', 'naranja', 'rosa', 'negro', 'blanco', 'marrón', 'gris', 'cian', 'magenta'],
+    countries: ['Corea', 'Japón', 'Estados Unidos', 'Reino Unido', 'Francia', 'Alemania', 'Australia', 'Canadá', 'Brasil', 'India', 'Italia', 'España', 'México'],
+    verbs: ['corren', 'comen', 'duermen', 'juegan', 'trabajan', 'estudian', 'viajan', 'cocinan', 'leen', 'escriben', 'cantan', 'bailan'],
+    adjectives: ['grande', 'enorme', 'alegre', 'amable', 'brillante', 'elegante', 'interesante', 'feliz', 'veloz', 'increíble']
+  },
+
+  categories: { animals: 'animales', fruits: 'frutas', colors: 'colores' },
+
+  numbers: {
+    cero: 0, uno: 1, una: 1, un: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6,
+    siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12
+  },
+  counters: [],
+  decimalComma: true,
+  foldAccents: true,
+
+  separator: ', ',
+  list: (words) => words.length <= 2
+    ? words.join(' y ')
+    : `${words.slice(0, -1).join(', ')} y ${words[words.length - 1]}`,
+  ordinal: (n) => `${n}.º`,
+
+  responseFormat: 'Formato de respuesta',
+
+  extract: {
+    instruction: (category) => `Extrae SOLO los elementos de la categoría ${category} de esta oración (ignora las demás categorías).`,
+    label: 'Oración',
+    sentences: [
+      ({ adj, verb, all }) => `En un parque ${adj}, ${all} ${verb} cerca del río.`,
+      ({ first, second }) => `Ayer vi ${first}, pero hoy solo aparecieron ${second}.`,
+      ({ adj, verb, all }) => `Alrededor de un mercado ${adj} estaban ${all}, y todos ${verb} en silencio.`
+    ]
+  },
+
+  math: [
+    ({ a, b, c, d, e }) => `Empieza con ${a}. Resta ${b}. Multiplica eso por ${c}. Divide el resultado entre ${e}. Por último, suma ${d}. ¿Cuál es el valor final?`,
+    ({ a, b, c, d, e }) => `Calcula: ((${a} + ${b}) × ${c} - ${d}) ÷ ${e}. Da el resultado redondeado a dos decimales.`,
+    ({ a, b, c, d }) => `Toma la suma de ${a} y ${b}. Calcula la raíz cuadrada de esa suma, redondeada hacia abajo. Luego multiplica por ${c} y resta ${d}.`,
+    ({ a, b, c, d, e }) => `${a} dividido entre ${c}, más ${b} dividido entre ${e}, menos ${d}. Redondea al entero más cercano.`,
+    ({ a, b, d, e }) => `Triplica ${a}, divide ese resultado a la mitad, suma ${b} y luego quita ${d}. Multiplica todo por ${e}. ¿Respuesta final?`,
+    ({ a, b, c, d, e }) => `¿Cuánto es ${a} mod ${c} (el resto), más ${b} mod ${e}, por ${d}?`
+  ],
+
+  transform: [
+    (input) => `Toma "${input}": inviértelo, conviértelo a mayúsculas y devuelve solo los primeros 5 caracteres.`,
+    (input) => `De "${input}": extrae todos los dígitos, súmalos y escribe el resultado como "SUM:X", donde X es el total.`,
+    (input) => `De "${input}": extrae solo las letras, ordénalas alfabéticamente, invierte ese orden y únelas con puntos.`,
+    (input) => `Transforma "${input}": los caracteres en posiciones pares (0,2,4...) en minúscula y los de posiciones impares (1,3,5...) en mayúscula.`,
+    (input) => `Analiza "${input}": cuenta letras y dígitos. Responde con el formato "LxDy", donde x=número de letras e y=número de dígitos.`,
+    (input) => `Transforma "${input}": sustituye las vocales por "*", las consonantes por "#" y deja los dígitos igual.`
+  ],
+
+  logic: [
+    ({ a, b, c, d }) => `Sea X=${a}, Y=${b}, Z=${c}, W=${d}. Si se cumple (X > Y, además de Z > W) o bien (X < Y, además de Z < W), responde "CONSISTENT". Si se cumple (X > Y, además de Z < W) o bien (X < Y, además de Z > W), responde "CROSSED". En otro caso, responde "EQUAL".`,
+    ({ a, b, c, d }) => `Dados cuatro números [${a}, ${b}, ${c}, ${d}]: cuenta cuántos son divisibles entre 3. Si son 0, di "NONE". Si son 1-2, di "FEW". Si son 3-4, di "MANY".`,
+    ({ a, b, c, d }) => `Evalúa: ¿es (${a} + ${b}) mayor que (${c} + ${d})? ¿Y es (${a} × ${d}) menor que (${b} × ${c})? Si AMBAS son ciertas: "ALPHA". Si NINGUNA lo es: "GAMMA". En otro caso: "BETA".`,
+    ({ a, b, c, d, threshold }) => `Números: ${a}, ${b}, ${c}, ${d}. Primero, halla la mediana (promedio de los dos del medio una vez ordenados). Si la mediana > ${threshold}, escribe "HIGH". Si la mediana < ${threshold / 2}, escribe "LOW". En otro caso, escribe "MID".`,
+    ({ a, b, c, d, threshold }) => `Comprueba estas condiciones para [${a}, ${b}, ${c}, ${d}]: (1) ¿Suma > ${threshold * 3}? (2) ¿Producto de los dos menores < ${threshold * 10}? (3) ¿El mayor es par? Cuenta las condiciones VERDADERAS. Responde con ese número (0-3).`,
+    ({ a, b }) => `Si ${a} Y ${b} son ambos primos, responde "TWIN". Si exactamente uno es primo, responde "SOLO". Si ninguno es primo, responde "NONE". (Pista: los primos solo son divisibles entre 1 y ellos mismos)`
+  ],
+
+  count: {
+    instruction: (category) => `Cuenta SOLO los elementos de la categoría ${category} en este texto. Ignora las demás categorías (los otros sustantivos son distractores).`,
+    label: 'Texto',
+    sentences: [
+      (items) => `En el mercado vi: ${items}. ¡Menuda mezcla!`,
+      (items) => `La lista contiene: ${items}. Algunas cosas no encajan.`,
+      (items) => `Revisión de inventario: ${items}. Clasifica mentalmente por categoría.`,
+      (items) => `Bolsa mezclada: ${items}. Céntrate en lo importante.`
+    ]
+  },
+
+  multistep: {
+    header: 'Ejecuta estos pasos EN ORDEN:',
+    evenOdd: (numbers) => [
+      `De [${numbers.join(', ')}], separa los números pares y los impares.`,
+      'Calcula el PRODUCTO de todos los pares (o 0 si no hay ninguno).',
+      'Calcula la SUMA de todos los impares.',
+      'Halla la diferencia absoluta entre esos dos resultados.',
+      'Toma esa diferencia módulo 100 (el resto al dividir entre 100).'
+    ],
+    sortPairs: (numbers) => [
+      `Ordena [${numbers.join(', ')}] de menor a mayor.`,
+      'Multiplica el menor por el mayor.',
+      'Suma el segundo menor y el segundo mayor.',
+      'Halla la diferencia absoluta entre los dos números del medio.',
+      'Suma los tres resultados de los pasos 2, 3 y 4.'
+    ],
+    chunks: ({ numbers, half, chunk1, chunk2 }) => [
+      `Divide [${numbers.join(', ')}] en dos grupos: los primeros ${half} y los últimos ${half}.`,
+      `Calcula el promedio del primer grupo: [${chunk1.join(', ')}].`,
+      `Calcula el promedio del segundo grupo: [${chunk2.join(', ')}].`,
+      'Suma ambos promedios.',
+      'Si el máximo del primer grupo > el máximo del segundo grupo, duplica la suma. Si no, déjala igual.',
+      'Redondea al entero más cercano.'
+    ],
+    alternating: {
+      start: (numbers) => `Empieza con el primer número de [${numbers.join(', ')}].`,
+      add: (ordinal) => `Suma el ${ordinal} número.`,
+      subtract: (ordinal) => `Resta el ${ordinal} número.`,
+      abs: 'Toma el valor absoluto del resultado.',
+      multiply: (length) => `Multiplica por ${length} (la cantidad de números).`
+    }
+  },
+
+  pattern: (sequence) => `Encuentra el patrón y da los 2 números siguientes: [${sequence.join(', ')}, ?, ?]`,
+
+  analysis: [
+    (list) => `Encuentra la palabra más larga de la siguiente lista: ${list}`,
+    (list) => `Encuentra la palabra más corta de la siguiente lista: ${list}`,
+    (list) => `Encuentra la palabra que va primero en orden alfabético en la siguiente lista: ${list}`
+  ],
+
+  table: {
+    orders: (format) => `Pedidos (${format}):`,
+    customers: (format) => `Clientes (${format}):`,
+    questions: [
+      ({ color }) => `Usando la tabla de pedidos, ¿cuál es la cantidad total (qty) de artículos de color ${color}?`,
+      ({ country, limit }) => `Usando la tabla de pedidos, ¿cuántos pedidos enviados a ${country} tienen una cantidad (qty) mayor que ${limit}?`,
+      () => 'Usando la tabla de pedidos, ¿qué artículo (item) tiene la mayor cantidad total (qty) sumando todos los pedidos?',
+      ({ color, country }) => `Usando ambas tablas, ¿cuál es la cantidad total (qty) de artículos de color ${color} enviados a clientes de ${country}? Relaciona el customer de cada pedido con la tabla de clientes.`
+    ]
+  },
+
+  program: {
+    languages: {
+      javascript: 'JavaScript',
+      pseudo: 'pseudocódigo (← asigna, MOD es el resto, las cadenas se indexan desde 0)'
+    },
+    print: (language) => `¿Qué imprime este programa en ${language}?`,
+    value: (language, name) => `¿Cuál es el valor de ${name} después de ejecutar este programa en ${language}?`
+  },
+
+  instruct: {
+    orders: {
+      letters: { asc: 'en orden alfabético', desc: 'en orden alfabético inverso' },
+      words: { asc: 'en orden alfabético', desc: 'en orden alfabético inverso' },
+      numbers: { asc: 'de menor a mayor', desc: 'de mayor a menor' }
+    },
+    mentions: 'Mencionados',
+    list: 'Lista',
+    questions: [
+      ({ count, letters, order }) => `Escribe exactamente ${count} palabras distintas en inglés, una que empiece por cada una de las letras ${letters.join(', ')}, ${order}.`,
+      () => 'Responde con un objeto JSON cuyas claves sean los colores mencionados abajo y cuyos valores sean cuántas veces se menciona cada color.',
+      ({ count, category, order }) => `De la lista de abajo, da exactamente ${count} elementos distintos que sean ${category}, ${order}.`,
+      ({ count, min, max, divisor, order }) => `Da exactamente ${count} números enteros distintos del ${min} al ${max} que sean múltiplos de ${divisor}, ${order}.`
+    ]
+  },
+
+  grid: {
+    questions: [
+      ({ symbol, column }) => `En la cuadrícula de letras de abajo, ¿cuántas veces aparece "${symbol}" en la columna ${column}?`,
+      ({ symbol, row }) => `En la cuadrícula de letras de abajo, ¿cuántas veces aparece "${symbol}" en la fila ${row}?`,
+      () => 'En la cuadrícula de letras de abajo, ¿qué letra aparece más veces en la diagonal que va de la esquina superior izquierda a la esquina inferior derecha?',
+      () => '¿Cuántas figuras separadas formadas por "#" hay en la cuadrícula de abajo? Las celdas de la misma figura se tocan arriba, abajo, a la izquierda o a la derecha.',
+      () => '¿Cuál es el menor número de pasos de "S" a "E" en el laberinto de abajo? Muévete arriba, abajo, a la izquierda o a la derecha solo por celdas "."; "#" es una pared.'
+    ]
+  },
+  // Surface variants for paraphrase.js. The first phrase of each synonym
+  // group is the one the templates above use.
+  paraphrase: {
+    synonyms: [
+      ['Extrae SOLO', 'Extrae solo', 'Saca solo'],
+      ['Cuenta SOLO', 'Cuenta solo'],
+      ['Ignora las demás categorías', 'No tengas en cuenta las demás categorías'],
+      ['ignora las demás categorías', 'no tengas en cuenta las demás categorías'],
+      ['Calcula', 'Halla', 'Obtén'],
+      ['Da el resultado redondeado', 'Redondea el resultado'],
+      ['Encuentra', 'Busca', 'Identifica'],
+      ['Responde', 'Contesta'],
+      ['responde', 'contesta'],
+      ['En otro caso', 'En cualquier otro caso', 'De lo contrario'],
+      ['mayor que', 'más grande que'],
+      ['menor que', 'más pequeño que'],
+      ['Usando la tabla de pedidos', 'Con la tabla de pedidos', 'A partir de la tabla de pedidos'],
+      ['Usando ambas tablas', 'Con ambas tablas', 'A partir de ambas tablas'],
+      ['Ejecuta estos pasos EN ORDEN', 'Sigue estos pasos EN ORDEN', 'Realiza estos pasos EN ORDEN'],
+      ['distintos', 'diferentes'],
+      ['En la cuadrícula de letras de abajo', 'En la siguiente cuadrícula de letras'],
+      ['cuántas veces aparece', 'cuántas veces sale'],
+      ['el menor número de pasos', 'el mínimo número de pasos'],
+      [': ', ' — ']
+    ],
+    // Closing sentences that may also open the instruction
+    movable: [
+      'Da el resultado redondeado',
+      'Redondea al entero más cercano',
+      'Ignora las demás categorías',
+      'Relaciona el customer',
+      '¿Respuesta final?',
+      'Las celdas de la misma figura',
+      'Muévete arriba'
+    ],
+    leads: ['Tarea: ', 'Pregunta: ', 'Comprobación: '],
+    fillers: [
+      'Lee toda la tarea antes de responder.',
+      'Esta comprobación es rutinaria.',
+      'Trabaja con cuidado.',
+      'Puedes ignorar esta frase.',
+      'La precisión importa más que el estilo.'
+    ],
+    numberWords: true,
+    boundaries: true
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * AAP Locale Packs
+ *
+ * Word pools, templates and number words for localized challenges, plus
+ * the answer parsing that goes with them (full-width digits, decimal
+ * commas, counter suffixes, spelled-out numbers, accents).
+ *
+ * Salt, JSON keys and answer keywords ("CONSISTENT", "SUM:X") stay ASCII
+ * in every locale so validators compare the same values.
+ */
+
+import en from './en.js';
+import ko from './ko.js';
+import ja from './ja.js';
+import es from './es.js';
+
+export const LOCALES = { en, ko, ja, es };
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Get a locale pack
+ * @param {string} [code='en'] - Locale code
+ * @returns {Object} Locale pack
+ */
+export function getLocale(code = DEFAULT_LOCALE) {
+  const pack = LOCALES[code];
+  if (!pack) {
+    throw new Error(`Unknown locale: ${code}. Use ${Object.keys(LOCALES).join(', ')}`);
+  }
+  return pack;
+}
+
+/**
+ * Available locale codes
+ * @returns {string[]}
+ */
+export function getLocales() {
+  return Object.keys(LOCALES);
+}
+
+/**
+ * Fold width variants (full-width digits and letters) and trim
+ * @param {*} value
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  return String(value ?? '').normalize('NFKC').trim();
+}
+
+/**
+ * Canonical form of a word answer: width-folded, lowercased and,
+ * for locales that ask for it, without accents
+ * @param {*} value
+ * @param {Object} pack - Locale pack
+ * @returns {string}
+ */
+export function normalizeWord(value, pack) {
+  const word = normalizeText(value).toLowerCase();
+  return pack.foldAccents
+    ? word.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC')
+    : word;
+}
+
+/**
+ * Read a numeric answer the way a speaker of the locale might write it:
+ * 12, "１２", "12개", "3,5" (es), "cinco", "ふたつ"
+ * @param {*} value
+ * @param {Object} pack - Locale pack
+ * @returns {number} NaN when unreadable
+ */
+export function parseNumber(value, pack) {
+  if (typeof value === 'number') return value;
+
+  let text = normalizeWord(value, pack);
+  const spelled = (word) => Object.hasOwn(pack.numbers, word) ? pack.numbers[word] : undefined;
+
+  if (spelled(text) !== undefined) return spelled(text);
+
+  const counter = pack.counters.find(suffix => text.endsWith(suffix) && text.length > suffix.length);
+  if (counter) {
+    text = text.slice(0, -counter.length).trim();
+    if (spelled(text) !== undefined) return spelled(text);
+  }
+
+  if (pack.decimalComma && /^-?\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+  // The whole answer must be the number: "12 or 13" and "12abc" are unreadable
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Word order for "first alphabetically" in the locale
+ * (gojūon for ja, ganada for ko)
+ * @param {Object} pack - Locale pack
+ * @returns {Function} (a, b) => number
+ */
+export function compareWords(pack) {
+  return new Intl.Collator(pack.code).compare;
+}
+
+export default {
+  LOCALES,
+  DEFAULT_LOCALE,
+  getLocale,
+  getLocales,
+  normalizeText,
+  normalizeWord,
+  parseNumber,
+  compareWords
+};
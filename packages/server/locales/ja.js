@@ -0,0 +1,217 @@
+/**
+ * Japanese locale pack (日本語)
+ *
+ * Word pools are index-aligned with en.js. Animals and fruits are written
+ * in kana so that gojūon order is well defined for nlp_analysis.
+ */
+
+export default {
+  code: 'ja',
+  name: '日本語',
+
+  words: {
+    animals: ['ねこ', 'いぬ', 'うさぎ', 'とら', 'ライオン', 'ぞう', 'キリン', 'ペンギン', 'わし', 'サメ', 'おおかみ', 'くま', 'きつね', 'しか', 'ふくろう'],
+    fruits: ['りんご', 'バナナ', 'オレンジ', 'ぶどう', 'いちご', 'すいか', 'もも', 'キウイ', 'マンゴー', 'さくらんぼ', 'レモン', 'ライム', 'なし', 'すもも'],
+    colors: ['あか', 'あお', 'きいろ', 'みどり', 'むらさき', 'オレンジ', 'ピンク', 'くろ', 'しろ', 'ちゃいろ', 'はいいろ', 'みずいろ', 'マゼンタ'],
+    countries: ['韓国', '日本', 'アメリカ', 'イギリス', 'フランス', 'ドイツ', 'オーストラリア', 'カナダ', 'ブラジル', 'インド', 'イタリア', 'スペイン', 'メキシコ'],
+    verbs: ['走る', '食べる', '眠る', '遊ぶ', '働く', '勉強する', '旅をする', '料理する', '本を読む', '字を書く', '歌う', '踊る'],
+    adjectives: ['大きな', '小さな', '速い', '遅い', '美しい', 'かわいい', 'おいしそうな', '面白い', '明るい', '暗い']
+  },
+
+  categories: { animals: '動物', fruits: '果物', colors: '色' },
+
+  numbers: {
+    ゼロ: 0, れい: 0, 零: 0,
+    一: 1, いち: 1, ひとつ: 1, 一つ: 1,
+    二: 2, に: 2, ふたつ: 2, 二つ: 2,
+    三: 3, さん: 3, みっつ: 3, 三つ: 3,
+    四: 4, よん: 4, よっつ: 4, 四つ: 4,
+    五: 5, ご: 5, いつつ: 5, 五つ: 5,
+    六: 6, ろく: 6, むっつ: 6, 六つ: 6,
+    七: 7, なな: 7, ななつ: 7, 七つ: 7,
+    八: 8, はち: 8, やっつ: 8, 八つ: 8,
+    九: 9, きゅう: 9, ここのつ: 9, 九つ: 9,
+    十: 10, じゅう: 10, とお: 10,
+    十一: 11, 十二: 12
+  },
+  counters: ['個', 'つ', '匹', '頭', '羽', '本', '件', '番目', '番'],
+  decimalComma: false,
+  foldAccents: false,
+
+  separator: '、',
+  list: (words) => words.join('、'),
+  ordinal: (n) => `${n}番目`,
+
+  responseFormat: '回答形式',
+
+  extract: {
+    instruction: (category) => `次の文から${category}だけを抜き出してください（他のカテゴリーは無視してください）。`,
+    label: '文',
+    sentences: [
+      ({ adj, verb, all }) => `${adj}${all}がみんな川のそばで${verb}。`,
+      ({ first, second }) => `昨日は${first}を見たが、今日は${second}だけが現れた。`,
+      ({ adj, verb, all }) => `${adj}広場のまわりに${all}がいて、それぞれ静かに${verb}。`
+    ]
+  },
+
+  math: [
+    ({ a, b, c, d, e }) => `${a}から始めます。${b}を引きます。それに${c}を掛けます。結果を${e}で割ります。最後に${d}を足します。最終的な値はいくつですか？`,
+    ({ a, b, c, d, e }) => `計算してください: ((${a} + ${b}) × ${c} - ${d}) ÷ ${e}。結果は小数第2位まで四捨五入してください。`,
+    ({ a, b, c, d }) => `${a}と${b}の和を求めます。その和の平方根を切り捨てます。それに${c}を掛けて${d}を引きます。`,
+    ({ a, b, c, d, e }) => `${a}割る${c}、足す${b}割る${e}、引く${d}。最も近い整数に四捨五入してください。`,
+    ({ a, b, d, e }) => `${a}を3倍し、その結果を半分にし、${b}を足してから${d}を引きます。全体に${e}を掛けます。最終的な答えは？`,
+    ({ a, b, c, d, e }) => `${a}を${c}で割った余りと、${b}を${e}で割った余りを足し、${d}を掛けるといくつですか？`
+  ],
+
+  transform: [
+    (input) => `"${input}"を逆順にし、大文字に変換してから、最初の5文字だけを返してください。`,
+    (input) => `"${input}"からすべての数字を取り出して合計し、合計をXとして"SUM:X"の形式で書いてください。`,
+    (input) => `"${input}"から英字だけを取り出し、アルファベット順に並べ、その順序を逆にしてからドット(.)でつないでください。`,
+    (input) => `"${input}"を変換してください: 偶数番目の位置(0,2,4...)の文字は小文字、奇数番目の位置(1,3,5...)の文字は大文字にします。`,
+    (input) => `"${input}"を分析してください: 英字と数字の数を数え、"LxDy"の形式で答えてください（x=英字の数、y=数字の数）。`,
+    (input) => `"${input}"を変換してください: 母音は"*"、子音は"#"に置き換え、数字はそのままにします。`
+  ],
+
+  logic: [
+    ({ a, b, c, d }) => `X=${a}、Y=${b}、Z=${c}、W=${d}とします。(X > Y かつ Z > W) または (X < Y かつ Z < W) なら"CONSISTENT"と答えてください。(X > Y かつ Z < W) または (X < Y かつ Z > W) なら"CROSSED"と答えてください。それ以外は"EQUAL"と答えてください。`,
+    ({ a, b, c, d }) => `4つの数 [${a}, ${b}, ${c}, ${d}] のうち、3で割り切れるものはいくつありますか。0個なら"NONE"、1-2個なら"FEW"、3-4個なら"MANY"と答えてください。`,
+    ({ a, b, c, d }) => `判定してください: (${a} + ${b}) は (${c} + ${d}) より大きいですか？ かつ (${a} × ${d}) は (${b} × ${c}) より小さいですか？ 両方とも真なら"ALPHA"、両方とも偽なら"GAMMA"、それ以外は"BETA"。`,
+    ({ a, b, c, d, threshold }) => `数: ${a}、${b}、${c}、${d}。まず中央値（並べ替えたときの中央2つの平均）を求めます。中央値 > ${threshold} なら"HIGH"、中央値 < ${threshold / 2} なら"LOW"、それ以外は"MID"と出力してください。`,
+    ({ a, b, c, d, threshold }) => `[${a}, ${b}, ${c}, ${d}] について次の条件を確認してください: (1) 合計 > ${threshold * 3}？ (2) 小さい方から2つの数の積 < ${threshold * 10}？ (3) 最大の数は偶数？ 真である条件の数(0-3)で答えてください。`,
+    ({ a, b }) => `${a}と${b}が両方とも素数なら"TWIN"、ちょうど一方だけが素数なら"SOLO"、どちらも素数でなければ"NONE"と答えてください。（ヒント: 素数は1と自分自身でしか割り切れません）`
+  ],
+
+  count: {
+    instruction: (category) => `この文章の中の${category}だけを数えてください。他のカテゴリーはすべて無視してください（他の名詞は紛らわしい要素です）。`,
+    label: '文章',
+    sentences: [
+      (items) => `市場で見かけたもの: ${items}。いろいろありますね！`,
+      (items) => `リストの中身: ${items}。場違いなものも混じっています。`,
+      (items) => `在庫チェック: ${items}。頭の中でカテゴリー別に分けてください。`,
+      (items) => `ごちゃまぜの袋: ${items}。大事なものに集中してください。`
+    ]
+  },
+
+  multistep: {
+    header: '次の手順を順番どおりに実行してください:',
+    evenOdd: (numbers) => [
+      `[${numbers.join(', ')}] を偶数と奇数に分けます。`,
+      'すべての偶数の積を求めます（偶数がなければ0）。',
+      'すべての奇数の和を求めます。',
+      '2つの結果の差の絶対値を求めます。',
+      'その差を100で割った余りを求めます。'
+    ],
+    sortPairs: (numbers) => [
+      `[${numbers.join(', ')}] を小さい順に並べます。`,
+      '最小の数と最大の数を掛けます。',
+      '2番目に小さい数と2番目に大きい数を足します。',
+      '中央の2つの数の差の絶対値を求めます。',
+      '手順2、3、4の3つの結果をすべて足します。'
+    ],
+    chunks: ({ numbers, half, chunk1, chunk2 }) => [
+      `[${numbers.join(', ')}] を前半${half}個と後半${half}個の2つのグループに分けます。`,
+      `1つ目のグループ [${chunk1.join(', ')}] の平均を求めます。`,
+      `2つ目のグループ [${chunk2.join(', ')}] の平均を求めます。`,
+      '2つの平均を足します。',
+      '1つ目のグループの最大値 > 2つ目のグループの最大値なら、和を2倍にします。そうでなければそのままにします。',
+      '最も近い整数に四捨五入します。'
+    ],
+    alternating: {
+      start: (numbers) => `[${numbers.join(', ')}] の最初の数から始めます。`,
+      add: (ordinal) => `${ordinal}の数を足します。`,
+      subtract: (ordinal) => `${ordinal}の数を引きます。`,
+      abs: '結果の絶対値をとります。',
+      multiply: (length) => `${length}（数の個数）を掛けます。`
+    }
+  },
+
+  pattern: (sequence) => `規則を見つけて、次の2つの数を答えてください: [${sequence.join(', ')}, ?, ?]`,
+
+  analysis: [
+    (list) => `次のリストから文字数が最も多い単語を見つけてください: ${list}`,
+    (list) => `次のリストから文字数が最も少ない単語を見つけてください: ${list}`,
+    (list) => `次のリストから五十音順で最初に来る単語を見つけてください: ${list}`
+  ],
+
+  table: {
+    orders: (format) => `注文 (${format}):`,
+    customers: (format) => `顧客 (${format}):`,
+    questions: [
+      ({ color }) => `注文表を使って答えてください: 色(color)が${color}の注文の数量(qty)の合計はいくつですか？`,
+      ({ country, limit }) => `注文表を使って答えてください: ${country}に発送された注文のうち、数量(qty)が${limit}より大きいものは何件ですか？`,
+      () => '注文表を使って答えてください: 全注文の数量(qty)を品目ごとに合計したとき、合計が最も大きい品目(item)はどれですか？',
+      ({ color, country }) => `両方の表を使って答えてください: 色(color)が${color}で、${country}の顧客に発送された注文の数量(qty)の合計はいくつですか？ 各注文のcustomerを顧客表と照合してください。`
+    ]
+  },
+
+  program: {
+    languages: {
+      javascript: 'JavaScript',
+      pseudo: '擬似コード(←は代入、MODは剰余、文字列の添字は0から)'
+    },
+    print: (language) => `この${language}のプログラムは何を出力しますか？`,
+    value: (language, name) => `この${language}のプログラムを実行した後、${name}の値は何ですか？`
+  },
+
+  instruct: {
+    orders: {
+      letters: { asc: 'アルファベット順に', desc: 'アルファベットの逆順に' },
+      words: { asc: '五十音順に', desc: '五十音の逆順に' },
+      numbers: { asc: '小さい順に', desc: '大きい順に' }
+    },
+    mentions: '出てくる語',
+    list: 'リスト',
+    questions: [
+      ({ count, letters, order }) => `異なる英単語をちょうど${count}個書いてください。${letters.join(', ')}の各文字で始まる単語を1つずつ、${order}並べてください。`,
+      () => '下に出てくる色をキー、各色が出てくる回数を値とするJSONオブジェクトで答えてください。',
+      ({ count, category, order }) => `下のリストから異なる${category}をちょうど${count}個選び、${order}並べてください。`,
+      ({ count, min, max, divisor, order }) => `${min}から${max}までの整数のうち${divisor}の倍数を、異なるものをちょうど${count}個選び、${order}並べてください。`
+    ]
+  },
+
+  grid: {
+    questions: [
+      ({ symbol, column }) => `下の文字グリッドを見て答えてください: ${column}列目に"${symbol}"は何回現れますか？`,
+      ({ symbol, row }) => `下の文字グリッドを見て答えてください: ${row}行目に"${symbol}"は何回現れますか？`,
+      () => '下の文字グリッドを見て答えてください: 左上の角から右下の角への対角線上に最も多く現れる文字はどれですか？',
+      () => '下のグリッドに"#"でできた図形はいくつありますか？ 同じ図形のマスは上下左右で接しています。',
+      () => '下の迷路で"S"から"E"まで行くには最短で何歩かかりますか？ 上下左右の"."のマスにだけ移動でき、"#"は壁です。'
+    ]
+  },
+  // Surface variants for paraphrase.js. The first phrase of each synonym
+  // group is the one the templates above use.
+  paraphrase: {
+    synonyms: [
+      ['抜き出してください', '取り出してください'],
+      ['無視してください', '気にしないでください'],
+      ['計算してください', '計算しなさい'],
+      ['答えてください', '回答してください'],
+      ['見つけてください', '探してください'],
+      ['それ以外は', 'それ以外の場合は'],
+      ['四捨五入してください', '四捨五入しなさい'],
+      ['使って答えてください', 'もとに答えてください'],
+      ['順番どおりに実行してください', '順番に実行してください'],
+      ['何回現れますか', '何回出てきますか'],
+      [': ', '：']
+    ],
+    // Closing sentences that may also open the instruction
+    movable: [
+      '結果は小数第2位まで',
+      '最も近い整数に四捨五入',
+      '他のカテゴリーはすべて無視',
+      '各注文のcustomerを',
+      '最終的な答えは？',
+      '同じ図形のマスは',
+      '上下左右の'
+    ],
+    leads: ['課題: ', '問題: ', '確認: '],
+    fillers: [
+      '落ち着いて読んでください。',
+      'これは通常の確認です。',
+      'この文は無視してかまいません。',
+      '文体より正確さが大切です。'
+    ],
+    numberWords: false,
+    gap: ''
+  }
+};
@@ -0,0 +1,219 @@
+/**
+ * Korean locale pack (한국어)
+ *
+ * Word pools are index-aligned with en.js.
+ */
+
+export default {
+  code: 'ko',
+  name: '한국어',
+
+  words: {
+    animals: ['고양이', '개', '토끼', '호랑이', '사자', '코끼리', '기린', '펭귄', '독수리', '상어', '늑대', '곰', '여우', '사슴', '부엉이'],
+    fruits: ['사과', '바나나', '오렌지', '포도', '딸기', '수박', '복숭아', '키위', '망고', '체리', '레몬', '라임', '석류', '자두'],
+    colors: ['빨강', '파랑', '노랑', '초록', '보라', '주황', '분홍', '검정', '하양', '갈색', '회색', '하늘색', '자홍색'],
+    countries: ['한국', '일본', '미국', '영국', '프랑스', '독일', '호주', '캐나다', '브라질', '인도', '이탈리아', '스페인', '멕시코'],
+    verbs: ['달린다', '먹는다', '잔다', '논다', '일한다', '공부한다', '여행한다', '요리한다', '읽는다', '쓴다', '노래한다', '춤춘다'],
+    adjectives: ['큰', '작은', '빠른', '느린', '아름다운', '귀여운', '맛있는', '흥미로운', '밝은', '어두운']
+  },
+
+  categories: { animals: '동물', fruits: '과일', colors: '색깔' },
+
+  // Native and Sino-Korean numerals, including counting forms (한 개, 두 마리)
+  numbers: {
+    영: 0, 공: 0,
+    하나: 1, 한: 1, 일: 1,
+    둘: 2, 두: 2, 이: 2,
+    셋: 3, 세: 3, 삼: 3,
+    넷: 4, 네: 4, 사: 4,
+    다섯: 5, 오: 5,
+    여섯: 6, 육: 6,
+    일곱: 7, 칠: 7,
+    여덟: 8, 팔: 8,
+    아홉: 9, 구: 9,
+    열: 10, 십: 10,
+    열하나: 11, 열한: 11, 십일: 11,
+    열둘: 12, 열두: 12, 십이: 12
+  },
+  counters: ['개', '마리', '가지', '건', '번째', '번'],
+  decimalComma: false,
+  foldAccents: false,
+
+  separator: ', ',
+  list: (words) => words.join(', '),
+  ordinal: (n) => `${n}번째`,
+
+  responseFormat: '응답 형식',
+
+  extract: {
+    instruction: (category) => `이 문장에서 ${category}만 추출하세요 (다른 범주는 무시하세요).`,
+    label: '문장',
+    sentences: [
+      ({ adj, verb, all }) => `${adj} ${all}이(가) 모두 강가에서 ${verb}.`,
+      ({ first, second }) => `어제는 ${first}을(를) 보았지만, 오늘은 ${second}만 나타났다.`,
+      ({ adj, verb, all }) => `${adj} 광장 주변에 ${all}이(가) 있었고, 저마다 조용히 ${verb}.`
+    ]
+  },
+
+  math: [
+    ({ a, b, c, d, e }) => `${a}에서 시작하세요. ${b}을(를) 빼세요. 그 값에 ${c}을(를) 곱하세요. 결과를 ${e}(으)로 나누세요. 마지막으로 ${d}을(를) 더하세요. 최종 값은 무엇입니까?`,
+    ({ a, b, c, d, e }) => `계산하세요: ((${a} + ${b}) × ${c} - ${d}) ÷ ${e}. 결과를 소수점 둘째 자리까지 반올림하세요.`,
+    ({ a, b, c, d }) => `${a}와(과) ${b}의 합을 구하세요. 그 합의 제곱근을 내림하세요. 그런 다음 ${c}을(를) 곱하고 ${d}을(를) 빼세요.`,
+    ({ a, b, c, d, e }) => `${a} 나누기 ${c}, 더하기 ${b} 나누기 ${e}, 빼기 ${d}. 가장 가까운 정수로 반올림하세요.`,
+    ({ a, b, d, e }) => `${a}을(를) 세 배로 하고, 그 결과를 반으로 나눈 뒤, ${b}을(를) 더하고 ${d}을(를) 빼세요. 전체에 ${e}을(를) 곱하세요. 최종 답은?`,
+    ({ a, b, c, d, e }) => `${a}을(를) ${c}(으)로 나눈 나머지와 ${b}을(를) ${e}(으)로 나눈 나머지를 더한 뒤 ${d}을(를) 곱하면 얼마입니까?`
+  ],
+
+  transform: [
+    (input) => `"${input}"을(를) 뒤집고, 대문자로 바꾼 다음, 앞의 5글자만 반환하세요.`,
+    (input) => `"${input}"에서 모든 숫자를 추출해 더하고, 합계를 X라 할 때 "SUM:X" 형식으로 쓰세요.`,
+    (input) => `"${input}"에서 영문자만 추출해 알파벳순으로 정렬하고, 그 순서를 뒤집은 뒤 점(.)으로 이어 붙이세요.`,
+    (input) => `"${input}"을(를) 변환하세요: 짝수 위치(0,2,4...)의 문자는 소문자로, 홀수 위치(1,3,5...)의 문자는 대문자로.`,
+    (input) => `"${input}"을(를) 분석하세요: 영문자와 숫자의 개수를 세어 "LxDy" 형식으로 답하세요 (x=영문자 수, y=숫자 수).`,
+    (input) => `"${input}"을(를) 변환하세요: 모음은 "*", 자음은 "#"로 바꾸고 숫자는 그대로 두세요.`
+  ],
+
+  logic: [
+    ({ a, b, c, d }) => `X=${a}, Y=${b}, Z=${c}, W=${d}라고 하자. (X > Y 그리고 Z > W) 또는 (X < Y 그리고 Z < W)이면 "CONSISTENT"라고 답하세요. (X > Y 그리고 Z < W) 또는 (X < Y 그리고 Z > W)이면 "CROSSED"라고 답하세요. 그 밖의 경우에는 "EQUAL"이라고 답하세요.`,
+    ({ a, b, c, d }) => `네 수 [${a}, ${b}, ${c}, ${d}] 중 3으로 나누어떨어지는 수가 몇 개인지 세세요. 0개면 "NONE", 1-2개면 "FEW", 3-4개면 "MANY"라고 답하세요.`,
+    ({ a, b, c, d }) => `판단하세요: (${a} + ${b})이(가) (${c} + ${d})보다 큽니까? 그리고 (${a} × ${d})이(가) (${b} × ${c})보다 작습니까? 둘 다 참이면 "ALPHA", 둘 다 거짓이면 "GAMMA", 그 밖에는 "BETA".`,
+    ({ a, b, c, d, threshold }) => `수: ${a}, ${b}, ${c}, ${d}. 먼저 중앙값(정렬했을 때 가운데 두 수의 평균)을 구하세요. 중앙값 > ${threshold}이면 "HIGH", 중앙값 < ${threshold / 2}이면 "LOW", 그 밖에는 "MID"를 출력하세요.`,
+    ({ a, b, c, d, threshold }) => `[${a}, ${b}, ${c}, ${d}]에 대해 다음 조건을 확인하세요: (1) 합 > ${threshold * 3}? (2) 가장 작은 두 수의 곱 < ${threshold * 10}? (3) 가장 큰 수가 짝수? 참인 조건의 개수(0-3)로 답하세요.`,
+    ({ a, b }) => `${a}와(과) ${b}이(가) 모두 소수이면 "TWIN", 하나만 소수이면 "SOLO", 둘 다 소수가 아니면 "NONE"이라고 답하세요. (힌트: 소수는 1과 자기 자신으로만 나누어떨어집니다)`
+  ],
+
+  count: {
+    instruction: (category) => `이 글에서 ${category}만 세세요. 다른 범주는 모두 무시하세요 (다른 명사는 방해 요소입니다).`,
+    label: '글',
+    sentences: [
+      (items) => `시장에서 본 것들: ${items}. 정말 다양하네요!`,
+      (items) => `목록에 있는 것: ${items}. 어울리지 않는 것도 있습니다.`,
+      (items) => `재고 확인: ${items}. 머릿속으로 범주별로 나눠 보세요.`,
+      (items) => `뒤섞인 꾸러미: ${items}. 중요한 것에 집중하세요.`
+    ]
+  },
+
+  multistep: {
+    header: '다음 단계를 순서대로 수행하세요:',
+    evenOdd: (numbers) => [
+      `[${numbers.join(', ')}]에서 짝수와 홀수를 나누세요.`,
+      '모든 짝수의 곱을 구하세요 (짝수가 없으면 0).',
+      '모든 홀수의 합을 구하세요.',
+      '두 결과의 차의 절댓값을 구하세요.',
+      '그 차를 100으로 나눈 나머지를 구하세요.'
+    ],
+    sortPairs: (numbers) => [
+      `[${numbers.join(', ')}]을(를) 작은 수부터 큰 수 순으로 정렬하세요.`,
+      '가장 작은 수와 가장 큰 수를 곱하세요.',
+      '두 번째로 작은 수와 두 번째로 큰 수를 더하세요.',
+      '가운데 두 수의 차의 절댓값을 구하세요.',
+      '2, 3, 4단계의 세 결과를 모두 더하세요.'
+    ],
+    chunks: ({ numbers, half, chunk1, chunk2 }) => [
+      `[${numbers.join(', ')}]을(를) 앞의 ${half}개와 뒤의 ${half}개, 두 그룹으로 나누세요.`,
+      `첫 번째 그룹 [${chunk1.join(', ')}]의 평균을 구하세요.`,
+      `두 번째 그룹 [${chunk2.join(', ')}]의 평균을 구하세요.`,
+      '두 평균을 더하세요.',
+      '첫 번째 그룹의 최댓값 > 두 번째 그룹의 최댓값이면 합을 두 배로 하세요. 아니면 그대로 두세요.',
+      '가장 가까운 정수로 반올림하세요.'
+    ],
+    alternating: {
+      start: (numbers) => `[${numbers.join(', ')}]의 첫 번째 수에서 시작하세요.`,
+      add: (ordinal) => `${ordinal} 수를 더하세요.`,
+      subtract: (ordinal) => `${ordinal} 수를 빼세요.`,
+      abs: '결과의 절댓값을 구하세요.',
+      multiply: (length) => `${length}(수의 개수)을(를) 곱하세요.`
+    }
+  },
+
+  pattern: (sequence) => `규칙을 찾아 다음 두 수를 구하세요: [${sequence.join(', ')}, ?, ?]`,
+
+  analysis: [
+    (list) => `다음 목록에서 글자 수가 가장 많은 단어를 찾으세요: ${list}`,
+    (list) => `다음 목록에서 글자 수가 가장 적은 단어를 찾으세요: ${list}`,
+    (list) => `다음 목록에서 가나다순으로 가장 먼저 오는 단어를 찾으세요: ${list}`
+  ],
+
+  table: {
+    orders: (format) => `주문 (${format}):`,
+    customers: (format) => `고객 (${format}):`,
+    questions: [
+      ({ color }) => `주문 표를 보고 답하세요: 색(color)이 ${color}인 주문의 수량(qty) 합계는 얼마입니까?`,
+      ({ country, limit }) => `주문 표를 보고 답하세요: ${country}(으)로 배송된 주문 중 수량(qty)이 ${limit}보다 큰 주문은 몇 건입니까?`,
+      () => '주문 표를 보고 답하세요: 모든 주문의 수량(qty)을 품목별로 합쳤을 때 합계가 가장 큰 품목(item)은 무엇입니까?',
+      ({ color, country }) => `두 표를 보고 답하세요: 색(color)이 ${color}이고 ${country}의 고객에게 배송된 주문의 수량(qty) 합계는 얼마입니까? 각 주문의 customer를 고객 표와 대조하세요.`
+    ]
+  },
+
+  program: {
+    languages: {
+      javascript: 'JavaScript',
+      pseudo: '의사 코드(←는 대입, MOD는 나머지, 문자열 인덱스는 0부터)'
+    },
+    print: (language) => `이 ${language} 프로그램은 무엇을 출력합니까?`,
+    value: (language, name) => `이 ${language} 프로그램을 실행한 뒤 ${name}의 값은 무엇입니까?`
+  },
+
+  instruct: {
+    orders: {
+      letters: { asc: '알파벳순으로', desc: '알파벳 역순으로' },
+      words: { asc: '가나다순으로', desc: '가나다 역순으로' },
+      numbers: { asc: '작은 수부터', desc: '큰 수부터' }
+    },
+    mentions: '언급',
+    list: '목록',
+    questions: [
+      ({ count, letters, order }) => `서로 다른 영어 단어를 정확히 ${count}개 쓰세요. 각 단어는 ${letters.join(', ')} 중 한 글자로 시작하고 글자마다 한 단어씩, ${order} 나열하세요.`,
+      () => '아래에 언급된 색깔을 키로, 각 색깔이 언급된 횟수를 값으로 하는 JSON 객체로 답하세요.',
+      ({ count, category, order }) => `아래 목록에서 서로 다른 ${category}을(를) 정확히 ${count}개 골라 ${order} 나열하세요.`,
+      ({ count, min, max, divisor, order }) => `${min}부터 ${max}까지의 정수 중 ${divisor}의 배수를 서로 다르게 정확히 ${count}개 골라 ${order} 나열하세요.`
+    ]
+  },
+
+  grid: {
+    questions: [
+      ({ symbol, column }) => `아래 문자 격자를 보고 답하세요: ${column}열에 "${symbol}"은(는) 몇 번 나옵니까?`,
+      ({ symbol, row }) => `아래 문자 격자를 보고 답하세요: ${row}행에 "${symbol}"은(는) 몇 번 나옵니까?`,
+      () => '아래 문자 격자를 보고 답하세요: 왼쪽 위 모서리에서 오른쪽 아래 모서리로 가는 대각선에 가장 많이 나오는 문자는 무엇입니까?',
+      () => '아래 격자에서 "#"으로 이루어진 도형은 모두 몇 개입니까? 같은 도형의 칸은 위, 아래, 왼쪽, 오른쪽으로 맞닿아 있습니다.',
+      () => '아래 미로에서 "S"부터 "E"까지 가는 데 필요한 최소 걸음 수는 얼마입니까? 위, 아래, 왼쪽, 오른쪽의 "." 칸으로만 이동할 수 있고 "#"은 벽입니다.'
+    ]
+  },
+  // Surface variants for paraphrase.js. The first phrase of each synonym
+  // group is the one the templates above use.
+  paraphrase: {
+    synonyms: [
+      ['추출하세요', '뽑아내세요', '골라내세요'],
+      ['무시하세요', '신경 쓰지 마세요'],
+      ['계산하세요', '계산해 보세요'],
+      ['구하세요', '알아내세요'],
+      ['찾으세요', '고르세요'],
+      ['답하세요', '대답하세요'],
+      ['반올림하세요', '반올림해 주세요'],
+      ['그 밖의 경우에는', '나머지 경우에는'],
+      ['그 밖에는', '그 외에는'],
+      ['보고 답하세요', '참고해 답하세요'],
+      ['순서대로 수행하세요', '차례대로 실행하세요'],
+      ['몇 번 나옵니까', '몇 번 나타납니까'],
+      [': ', ' — ']
+    ],
+    // Closing sentences that may also open the instruction
+    movable: [
+      '결과를 소수점 둘째 자리까지',
+      '가장 가까운 정수로 반올림',
+      '다른 범주는 모두 무시',
+      '각 주문의 customer를',
+      '최종 답은?',
+      '같은 도형의 칸은',
+      '위, 아래, 왼쪽, 오른쪽의'
+    ],
+    leads: ['과제: ', '문제: ', '확인: '],
+    fillers: [
+      '이것은 일상적인 확인입니다.',
+      '차분하게 풀어 보세요.',
+      '이 문장은 무시해도 됩니다.',
+      '문체보다 정확성이 중요합니다.'
+    ],
+    numberWords: false
+  }
+};
@@ -0,0 +1,447 @@
+/**
+ * AAP Answer Normalization
+ *
+ * One place that decides what counts as "the same answer", shared by the
+ * challenges.js generators and the built-in simple set in websocket.js.
+ *
+ * - JSON extraction: the answer object may be bare, embedded in prose or
+ *   inside a fenced ```json block (strict: the whole answer must be JSON)
+ * - Numbers: JSON numbers, numeric strings ("42", "１２", "3,5" in es,
+ *   "ふたつ"), compared within `tolerance`
+ * - Text: Unicode NFKC, trimmed, case-folded (lenient: accents folded too)
+ * - Lists: ordered lists must match position by position; sets compare as
+ *   multisets. No policy relaxes an ordered list.
+ * - Constraints: answers with many right values (nlp_instruct) are checked
+ *   rule by rule instead of against one expected value (see CONSTRAINT_TYPES)
+ *
+ * Strictness only changes how an answer may be written, never which
+ * value is accepted.
+ *
+ * Validators built with matcher.validator() also explain failures with a
+ * reason code (see REASON_CODES); servers show them behind `diagnostics`.
+ */
+
+import { DEFAULT_LOCALE, getLocale, parseNumber, compareWords } from './locales/index.js';
+
+/**
+ * Strictness levels, strictest first
+ */
+export const STRICTNESS_LEVELS = ['strict', 'standard', 'lenient'];
+export const DEFAULT_STRICTNESS = 'standard';
+
+/**
+ * What each level accepts
+ * - json: 'exact' (whole answer is a JSON object) or 'embedded' (fences, prose)
+ * - unicode: NFKC-fold strings (full-width digits and letters)
+ * - trim: ignore surrounding whitespace in strings
+ * - caseFold: compare text case-insensitively
+ * - foldAccents: ignore accents (always on for locales that ask for it)
+ * - numericStrings: accept numbers written as strings or locale words
+ * - tolerance: largest accepted |actual - expected| for numbers (exclusive)
+ * - listStrings: accept a set written as "a, b, c"
+ */
+export const STRICTNESS_POLICIES = {
+  strict: {
+    json: 'exact',
+    unicode: false,
+    trim: false,
+    caseFold: false,
+    foldAccents: false,
+    numericStrings: false,
+    tolerance: 0,
+    listStrings: false
+  },
+  standard: {
+    json: 'embedded',
+    unicode: true,
+    trim: true,
+    caseFold: true,
+    foldAccents: false,
+    numericStrings: true,
+    tolerance: 0.01,
+    listStrings: false
+  },
+  lenient: {
+    json: 'embedded',
+    unicode: true,
+    trim: true,
+    caseFold: true,
+    foldAccents: true,
+    numericStrings: true,
+    tolerance: 0.01,
+    listStrings: true
+  }
+};
+
+/**
+ * Why an answer failed
+ */
+export const REASON_CODES = {
+  PARSE_ERROR: 'PARSE_ERROR',       // No answer, or no JSON object in it
+  MISSING_FIELD: 'MISSING_FIELD',   // A required field (the salt included) is absent
+  SALT_MISMATCH: 'SALT_MISMATCH',   // The echoed salt is wrong
+  WRONG_VALUE: 'WRONG_VALUE',       // A field is present but not the answer
+  CONSTRAINT_FAILED: 'CONSTRAINT_FAILED', // A field breaks one of its constraints (`constraint` names it)
+  TIMEOUT: 'TIMEOUT'                // The answer arrived after its deadline
+};
+
+/**
+ * Rules matcher.constraints() checks, as { type, ...params }
+ * - count { n }: exactly n items
+ * - distinct: no item twice
+ * - word: every item is a single word of letters (2 or more)
+ * - initials { letters }: the first letters of the items are these letters, in any order
+ * - oneOf { values }: every item is one of these values
+ * - integer: every item is a whole number
+ * - range { min, max }: every item is within [min, max]
+ * - multipleOf { n }: every item is a multiple of n
+ * - order { direction }: items sorted 'asc' or 'desc' (text in the locale's collation)
+ * - keys { values }: an object with exactly these keys
+ * - entries { expected }: an object whose value at each expected key is that number
+ */
+export const CONSTRAINT_TYPES = [
+  'count', 'distinct', 'word', 'initials', 'oneOf', 'integer', 'range', 'multipleOf', 'order', 'keys', 'entries'
+];
+
+// Constraints on an object answer; the others check a list
+const OBJECT_CONSTRAINTS = ['keys', 'entries'];
+
+/**
+ * Detail levels of the `diagnostics` option
+ * - codes: reason code and field of each failed answer
+ * - debug: also the expected answer (never in production, see resolveDiagnostics)
+ */
+export const DIAGNOSTICS_LEVELS = ['codes', 'debug'];
+
+/**
+ * Check a strictness level name (throws on unknown levels)
+ * @param {string} strictness
+ * @returns {string} The level
+ */
+export function checkStrictness(strictness) {
+  if (!STRICTNESS_LEVELS.includes(strictness)) {
+    throw new Error(`Unknown strictness: ${strictness}. Use ${STRICTNESS_LEVELS.join(', ')}`);
+  }
+  return strictness;
+}
+
+/**
+ * Strictness for one challenge type from a `strictness` option
+ * @param {string|Object} [option] - One level for every type, or { [type]: level }
+ * @param {string} type - Challenge type
+ * @param {string} [fallback='standard'] - Level when the option does not name the type
+ * @returns {string}
+ */
+export function strictnessFor(option, type, fallback = DEFAULT_STRICTNESS) {
+  const level = typeof option === 'string' ? option : option?.[type] ?? fallback;
+  return checkStrictness(level);
+}
+
+/**
+ * Pull the answer object out of a solution
+ * @param {string|Object} solution - Raw answer (objects are returned as they are)
+ * @param {Object} [options]
+ * @param {'exact'|'embedded'} [options.json='embedded'] - Whether prose and code fences may surround it
+ * @returns {Object|null} Parsed object, or null when there is none
+ */
+export function extractJson(solution, options = {}) {
+  const { json = 'embedded' } = options;
+  if (isPlainObject(solution)) return solution;
+  if (typeof solution !== 'string') return null;
+
+  if (json === 'exact') {
+    return parseObject(solution);
+  }
+
+  const fenced = solution.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : solution;
+  const braces = text.match(/\{[\s\S]*\}/);
+  return parseObject(text) ?? (braces ? parseObject(braces[0]) : null);
+}
+
+/**
+ * Create the comparison helpers for one challenge
+ * @param {Object} [options]
+ * @param {string} [options.strictness='standard'] - See STRICTNESS_POLICIES
+ * @param {string} [options.locale='en'] - Locale pack for number words and accents
+ * @returns {Object} { strictness, policy, parse, text, number, list, constraints, check, validator }
+ */
+export function createAnswerMatcher(options = {}) {
+  const { strictness = DEFAULT_STRICTNESS, locale = DEFAULT_LOCALE } = options;
+  const policy = STRICTNESS_POLICIES[checkStrictness(strictness)];
+  const pack = getLocale(locale);
+  const foldAccents = policy.foldAccents || (pack.foldAccents && policy.unicode);
+
+  /**
+   * Canonical form of a text value, or null for non-text
+   */
+  const canonicalText = (value) => {
+    if (typeof value === 'number' && policy.numericStrings) value = String(value);
+    if (typeof value !== 'string') return null;
+
+    let text = value;
+    if (policy.unicode) text = text.normalize('NFKC');
+    if (policy.trim) text = text.trim();
+    if (policy.caseFold) text = text.toLowerCase();
+    if (foldAccents) text = text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+    return text;
+  };
+
+  /**
+   * Numeric value of an answer, or NaN
+   */
+  const numericValue = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !policy.numericStrings) return NaN;
+    return parseNumber(value, pack);
+  };
+
+  /**
+   * Items of a list answer; sets may be written as "a, b, c" when the policy allows
+   */
+  const listValues = (value, ordered) => {
+    if (typeof value === 'string' && policy.listStrings && !ordered) {
+      return value.split(/[,、]/).filter(item => item.trim() !== '');
+    }
+    return value;
+  };
+
+  /**
+   * One check per CONSTRAINT_TYPES entry: (values, constraint, key, items) => boolean,
+   * where `key` maps an item to its canonical text or number (null/NaN when it is neither)
+   */
+  const satisfies = {
+    count: (values, { n }) => values.length === n,
+    distinct: (values, _, key) => new Set(values.map(key)).size === values.length,
+    word: (values) => values.every(value => /^\p{L}{2,}$/u.test(canonicalText(value) ?? '')),
+    // Letter case is never part of the rule, whatever the policy
+    initials: (values, { letters }) => matcher.list(
+      values.map(value => (canonicalText(value) ?? '').charAt(0).toLowerCase()),
+      letters.map(letter => letter.toLowerCase()),
+      { ordered: false }),
+    oneOf: (values, { values: allowed }, key) => values.every(value => allowed.some(item => key(item) === key(value))),
+    integer: (values) => values.every(value => Number.isInteger(numericValue(value))),
+    range: (values, { min, max }) => values.every(value => numericValue(value) >= min && numericValue(value) <= max),
+    multipleOf: (values, { n }) => values.every(value => numericValue(value) % n === 0),
+    order: (values, { direction }, key, items) => {
+      const keys = values.map(key);
+      const compare = items === 'number' ? (a, b) => a - b : compareWords(pack);
+      const sign = direction === 'desc' ? -1 : 1;
+      return keys.every((value, i) => i === 0 || sign * compare(keys[i - 1], value) <= 0);
+    },
+    keys: (record, { values }) => {
+      const keys = Object.keys(record).map(canonicalText);
+      return new Set(keys).size === keys.length && matcher.list(keys, values, { ordered: false });
+    },
+    entries: (record, { expected }) => Object.entries(expected).every(([name, count]) => {
+      const field = Object.keys(record).find(key => matcher.text(key, name));
+      return field !== undefined && matcher.number(record[field], count);
+    })
+  };
+
+  const matcher = {
+    strictness,
+    policy,
+
+    /**
+     * Answer object of a solution (see extractJson)
+     * @param {string|Object} solution
+     * @returns {Object|null}
+     */
+    parse(solution) {
+      return extractJson(solution, { json: policy.json });
+    },
+
+    /**
+     * Compare text answers
+     * @param {*} actual - Value from the answer
+     * @param {string} expected
+     * @returns {boolean}
+     */
+    text(actual, expected) {
+      const value = canonicalText(actual);
+      return value !== null && value === canonicalText(String(expected));
+    },
+
+    /**
+     * Compare numeric answers
+     * @param {*} actual - Value from the answer
+     * @param {number} expected
+     * @param {Object} [compareOptions]
+     * @param {number} [compareOptions.tolerance] - Overrides the policy's tolerance
+     * @returns {boolean}
+     */
+    number(actual, expected, compareOptions = {}) {
+      const { tolerance = policy.tolerance } = compareOptions;
+      const value = numericValue(actual);
+      if (!Number.isFinite(value)) return false;
+      return value === expected || Math.abs(value - expected) < tolerance;
+    },
+
+    /**
+     * Check an answer field by field
+     * @param {string|Object} solution
+     * @param {string} salt - Salt the answer must echo
+     * @param {Object} fields - { name: (value) => boolean or a constraints() verdict },
+     *   checked in order; 'items|animals' takes the first alias present in the answer
+     * @returns {Object} { valid, reason?, field?, constraint? }
+     */
+    check(solution, salt, fields) {
+      const obj = matcher.parse(solution);
+      if (!obj) return { valid: false, reason: REASON_CODES.PARSE_ERROR };
+      if (obj.salt === undefined) return { valid: false, reason: REASON_CODES.MISSING_FIELD, field: 'salt' };
+      if (!matcher.text(obj.salt, salt)) return { valid: false, reason: REASON_CODES.SALT_MISMATCH, field: 'salt' };
+
+      for (const [spec, isAnswer] of Object.entries(fields)) {
+        const aliases = spec.split('|');
+        const field = aliases.find(name => obj[name] !== undefined);
+        if (!field) return { valid: false, reason: REASON_CODES.MISSING_FIELD, field: aliases[0] };
+        const verdict = isAnswer(obj[field]);
+        if (verdict?.constraint) {
+          return { valid: false, reason: REASON_CODES.CONSTRAINT_FAILED, field, constraint: verdict.constraint };
+        }
+        if (!verdict) return { valid: false, reason: REASON_CODES.WRONG_VALUE, field };
+      }
+      return { valid: true };
+    },
+
+    /**
+     * Validator for a challenge (see check)
+     * @param {string} salt
+     * @param {Object} fields
+     * @returns {Function} (solution) => boolean, with .diagnose(solution) => { valid, reason?, field?, constraint? }
+     */
+    validator(salt, fields) {
+      const diagnose = (solution) => matcher.check(solution, salt, fields);
+      return Object.assign((solution) => diagnose(solution).valid, { diagnose });
+    },
+
+    /**
+     * Compare list answers
+     * @param {*} actual - Value from the answer
+     * @param {Array} expected
+     * @param {Object} [compareOptions]
+     * @param {boolean} [compareOptions.ordered=true] - false compares as multisets
+     * @param {'text'|'number'} [compareOptions.items='text'] - How items compare
+     * @returns {boolean}
+     */
+    list(actual, expected, compareOptions = {}) {
+      const { ordered = true, items = 'text' } = compareOptions;
+      const values = listValues(actual, ordered);
+      if (!Array.isArray(values) || values.length !== expected.length) return false;
+
+      const same = (a, b) => items === 'number' ? matcher.number(a, b) : matcher.text(a, b);
+      if (ordered) {
+        return expected.every((item, i) => same(values[i], item));
+      }
+
+      // Each expected item claims one matching answer item
+      const remaining = [...values];
+      return expected.every((item) => {
+        const index = remaining.findIndex(value => same(value, item));
+        if (index === -1) return false;
+        remaining.splice(index, 1);
+        return true;
+      });
+    },
+
+    /**
+     * Check an answer against constraints instead of one expected value
+     * @param {*} actual - Value from the answer: a list, or an object for keys/entries
+     * @param {Object[]} constraints - [{ type, ...params }] (see CONSTRAINT_TYPES), checked in order
+     * @param {Object} [compareOptions]
+     * @param {'text'|'number'} [compareOptions.items='text'] - How items compare
+     * @returns {boolean|Object} true, false when the value has the wrong shape,
+     *   or { constraint } naming the first constraint it breaks
+     */
+    constraints(actual, constraints, compareOptions = {}) {
+      const { items = 'text' } = compareOptions;
+      for (const { type } of constraints) {
+        if (!CONSTRAINT_TYPES.includes(type)) {
+          throw new Error(`Unknown constraint: ${type}. Use ${CONSTRAINT_TYPES.join(', ')}`);
+        }
+      }
+
+      let values;
+      if (constraints.some(({ type }) => OBJECT_CONSTRAINTS.includes(type))) {
+        if (!isPlainObject(actual)) return false;
+        values = actual;
+      } else {
+        values = listValues(actual, constraints.some(({ type }) => type === 'order'));
+        if (!Array.isArray(values)) return false;
+      }
+
+      const key = items === 'number' ? numericValue : canonicalText;
+      const broken = constraints.find(constraint => !satisfies[constraint.type](values, constraint, key, items));
+      return broken ? { constraint: broken.type } : true;
+    }
+  };
+
+  return matcher;
+}
+
+/**
+ * Verdict of a validator, with a reason code when it failed
+ * (validators without diagnose() report WRONG_VALUE)
+ * @param {Function} validator - (solution) => boolean, optionally with .diagnose
+ * @param {string} solution
+ * @returns {Object} { valid, reason?, field? }
+ */
+export function diagnoseAnswer(validator, solution) {
+  if (typeof validator.diagnose === 'function') {
+    return validator.diagnose(solution);
+  }
+  return validator(solution) ? { valid: true } : { valid: false, reason: REASON_CODES.WRONG_VALUE };
+}
+
+let warnedDebugInProduction = false;
+
+/**
+ * Effective detail level of a `diagnostics` option. Expected answers are
+ * never shown when NODE_ENV is "production": 'debug' drops to 'codes'.
+ * @param {boolean|string} [option] - false, true ('codes') or a DIAGNOSTICS_LEVELS entry
+ * @returns {string|null} 'codes', 'debug' or null (off)
+ */
+export function resolveDiagnostics(option) {
+  if (!option) return null;
+  const level = option === true ? 'codes' : option;
+  if (!DIAGNOSTICS_LEVELS.includes(level)) {
+    throw new Error(`Unknown diagnostics level: ${option}. Use true, ${DIAGNOSTICS_LEVELS.join(', ')}`);
+  }
+  if (level === 'debug' && process.env.NODE_ENV === 'production') {
+    if (!warnedDebugInProduction) {
+      console.warn('[AAP] diagnostics "debug" is disabled in production; reporting reason codes only');
+      warnedDebugInProduction = true;
+    }
+    return 'codes';
+  }
+  return level;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return isPlainObject(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  STRICTNESS_LEVELS,
+  DEFAULT_STRICTNESS,
+  STRICTNESS_POLICIES,
+  REASON_CODES,
+  CONSTRAINT_TYPES,
+  DIAGNOSTICS_LEVELS,
+  checkStrictness,
+  strictnessFor,
+  extractJson,
+  createAnswerMatcher,
+  diagnoseAnswer,
+  resolveDiagnostics
+};
@@ -0,0 +1,267 @@
+/**
+ * AAP Paraphrase Engine
+ *
+ * Rewrites the instruction line of a challenge into one of many equivalent
+ * surface forms, so a solver keyed to the exact template wording (one fixed
+ * regex per template) stops matching. Every choice comes from the PRNG the
+ * caller passes, so the nonce decides the wording:
+ * - synonyms for template phrases ("Compute" / "Calculate" / "Work out")
+ * - clause order: a closing sentence such as "Round to nearest integer."
+ *   may move to the front
+ * - number formats: digits or number words, in locales that spell them out
+ * - punctuation (": " or " — ")
+ * - irrelevant sentences and lead-ins ("Work carefully.", "Task: ")
+ *
+ * Only the first line changes, after the [REQ-xxx] salt. Data lines, the
+ * response format and quoted, bracketed or numbered segments ("abc",
+ * [3, 5, ?, ?], (0,2,4...)) are left alone, so answers never change.
+ *
+ * The variants live in each locale pack's `paraphrase` table. The first
+ * phrase of a synonym group is the one the templates use; canonicalize()
+ * maps any variant back to it (for the reference solver and calibration).
+ */
+
+import { getLocale } from './locales/index.js';
+
+const SALT_PREFIX = /^\[REQ-[^\]]*\]\s*/;
+// Quoted text, bracketed lists and parentheses with a number inside
+const PROTECTED = /"[^"]*"|\[[^\][]*\]|\([^()]*\d[^()]*\)|（[^（）]*\d[^（）]*）/u;
+// Private-use characters stand in for protected segments while the line is rewritten
+const PLACEHOLDER = 0xE000;
+const PLACEHOLDERS = /[\uE000-\uF8FF]/gu;
+const HAS_PLACEHOLDER = /[\uE000-\uF8FF]/u;
+const SENTENCE_END = /[.?!](?=\s|$)|[。？！]/g;
+const TERMINAL = /[.?!。？！]$/;
+const OPERATORS = '+-−×÷*/=<>%^';
+// Whole numbers with no letter, digit, sign or decimal part next to them
+const DIGITS = /(?<![\p{L}\p{N}.,\-−])\d+(?![\p{L}\p{N}]|[.,]\d)/gu;
+const MAX_NUMBER_WORD = 12;
+const MAX_FILLERS = 2;
+
+const compiled = new Map();
+
+// ============== TABLES ==============
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex for any of a list of phrases, longest first; with `boundaries`,
+ * a phrase that starts or ends with a letter only matches whole words
+ */
+function phrasePattern(phrases, boundaries, flags) {
+  const source = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => {
+      const before = boundaries && /^\p{L}/u.test(phrase) ? '(?<!\\p{L})' : '';
+      const after = boundaries && /\p{L}$/u.test(phrase) ? '(?!\\p{L})' : '';
+      return `${before}${escape(phrase)}${after}`;
+    })
+    .join('|');
+  return new RegExp(source, flags);
+}
+
+/**
+ * Prepare a locale pack's paraphrase table
+ * @param {Object} pack - Locale pack
+ * @returns {Object} { synonyms, groups, numbers, words, movable, leads, fillers, gap }
+ */
+function tableFor(pack) {
+  if (compiled.has(pack.code)) return compiled.get(pack.code);
+
+  const {
+    synonyms = [],
+    movable = [],
+    leads = [],
+    fillers = [],
+    numberWords = false,
+    boundaries = false,
+    gap = ' '
+  } = pack.paraphrase ?? {};
+
+  const groups = new Map();  // phrase -> its synonym group
+  for (const group of synonyms) {
+    for (const phrase of group) {
+      if (groups.has(phrase)) {
+        throw new Error(`Paraphrase phrase "${phrase}" (${pack.code}) is in more than one synonym group`);
+      }
+      groups.set(phrase, group);
+    }
+  }
+
+  const words = new Map();  // value -> the first word the pack lists for it
+  for (const [word, value] of Object.entries(pack.numbers)) {
+    if (!words.has(value)) words.set(value, word);
+  }
+
+  const table = {
+    synonyms: groups.size > 0 ? phrasePattern(groups.keys(), boundaries, 'gu') : null,
+    groups,
+    numbers: numberWords ? phrasePattern(Object.keys(pack.numbers), true, 'giu') : null,
+    words: numberWords ? words : null,
+    movable,
+    leads,
+    fillers,
+    gap
+  };
+  compiled.set(pack.code, table);
+  return table;
+}
+
+// ============== LINE STRUCTURE ==============
+
+/**
+ * Swap protected segments for placeholders (innermost first, so nested
+ * parentheses end up in one placeholder)
+ * @returns {Object} { text, segments }
+ */
+function protect(text) {
+  const segments = [];
+  let masked = text;
+  let match;
+  while ((match = masked.match(PROTECTED))) {
+    masked = masked.slice(0, match.index) +
+      String.fromCharCode(PLACEHOLDER + segments.length) +
+      masked.slice(match.index + match[0].length);
+    segments.push(match[0]);
+  }
+  return { text: masked, segments };
+}
+
+function restore(text, segments) {
+  let restored = text;
+  while (HAS_PLACEHOLDER.test(restored)) {
+    restored = restored.replace(PLACEHOLDERS, (c) => segments[c.charCodeAt(0) - PLACEHOLDER]);
+  }
+  return restored;
+}
+
+/**
+ * Split a (protected) line into sentences
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    sentences.push(text.slice(start, end).trim());
+    start = end;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(Boolean);
+}
+
+/**
+ * Pull the instruction line out of a challenge text
+ * @returns {Object} { salt, line, rest }
+ */
+function instructionLine(text) {
+  const [first, ...rest] = String(text).split('\n');
+  const salt = first.match(SALT_PREFIX)?.[0] ?? '';
+  return { salt, line: first.slice(salt.length), rest };
+}
+
+function isMovable(sentence, table) {
+  return table.movable.some(prefix => sentence.startsWith(prefix));
+}
+
+// ============== VARIATION ==============
+
+/**
+ * Replace digits with number words, each with even odds. Digits next to an
+ * operator ("× 3", "X=5", "1-2") stay, so expressions still read as math.
+ */
+function spellNumbers(sentence, rng, table) {
+  return sentence.replace(DIGITS, (digits, offset, whole) => {
+    const value = Number(digits);
+    if (value > MAX_NUMBER_WORD || (digits.length > 1 && digits[0] === '0')) return digits;
+    const before = whole.slice(0, offset).trimEnd().at(-1);
+    const after = whole.slice(offset + digits.length).trimStart()[0];
+    if (OPERATORS.includes(before ?? ' ') || OPERATORS.includes(after ?? ' ')) return digits;
+    if (!rng.bool()) return digits;
+
+    const word = table.words.get(value);
+    return offset === 0 ? word[0].toUpperCase() + word.slice(1) : word;
+  });
+}
+
+/**
+ * Paraphrase the instruction line of a challenge
+ * @param {string} text - Challenge text ([REQ-xxx] instruction, then data lines)
+ * @param {Object} rng - PRNG from createPrng(); decides every variation
+ * @param {Object} [options]
+ * @param {string} [options.locale='en'] - Locale pack whose `paraphrase` table to use
+ * @returns {string} The same challenge with a reworded first line
+ */
+export function paraphrase(text, rng, options = {}) {
+  const table = tableFor(getLocale(options.locale));
+  const { salt, line, rest } = instructionLine(text);
+  const { text: masked, segments } = protect(line);
+
+  let sentences = splitSentences(masked);
+  const last = sentences.at(-1);
+  if (sentences.length > 1 && isMovable(last, table) && rng.bool()) {
+    sentences = [last, ...sentences.slice(0, -1)];
+  }
+
+  sentences = sentences.map(sentence => {
+    let varied = table.synonyms
+      ? sentence.replace(table.synonyms, (phrase) => rng.pick(table.groups.get(phrase)))
+      : sentence;
+    if (table.words) varied = spellNumbers(varied, rng, table);
+    return varied;
+  });
+
+  // Irrelevant sentences go between whole sentences, never inside a clause
+  for (const filler of rng.sample(table.fillers, rng.int(0, MAX_FILLERS))) {
+    const spots = [];
+    for (let i = 0; i <= sentences.length; i++) {
+      if (i === 0 || TERMINAL.test(sentences[i - 1])) spots.push(i);
+    }
+    sentences.splice(rng.pick(spots), 0, filler);
+  }
+
+  const lead = table.leads.length > 0 && rng.bool() ? rng.pick(table.leads) : '';
+  return [salt + lead + restore(sentences.join(table.gap), segments), ...rest].join('\n');
+}
+
+/**
+ * Map a challenge text back to its template wording: drop lead-ins and
+ * irrelevant sentences, use the first phrase of every synonym group, digits
+ * for number words and the template's clause order.
+ * canonicalize(paraphrase(text)) === canonicalize(text) for built-in templates.
+ * Used by the reference solver and calibration; not exported from the package root.
+ * @param {string} text - Challenge text (or just its instruction line)
+ * @param {Object} [options]
+ * @param {string} [options.locale='en']
+ * @returns {string}
+ */
+export function canonicalize(text, options = {}) {
+  const pack = getLocale(options.locale);
+  const table = tableFor(pack);
+  const { salt, line, rest } = instructionLine(text);
+  const lead = table.leads.find(phrase => line.startsWith(phrase));
+  const { text: masked, segments } = protect(lead ? line.slice(lead.length) : line);
+
+  let sentences = splitSentences(masked)
+    .filter(sentence => !table.fillers.includes(sentence))
+    .map(sentence => {
+      let plain = table.synonyms
+        ? sentence.replace(table.synonyms, (phrase) => table.groups.get(phrase)[0])
+        : sentence;
+      if (table.numbers) plain = plain.replace(table.numbers, (word) => String(pack.numbers[word.toLowerCase()]));
+      return plain;
+    });
+  if (sentences.length > 1 && isMovable(sentences[0], table)) {
+    sentences = [...sentences.slice(1), sentences[0]];
+  }
+
+  return [salt + restore(sentences.join(table.gap), segments), ...rest].join('\n');
+}
+
+export default {
+  paraphrase,
+  canonicalize
+};
@@ -2,6 +2,11 @@
  * AAP Challenge Persistence
  * 
  * Optional: Persist challenges to survive server restarts
+ * Store the plain `record` from generateBatch() ({ nonce, types, generatorVersion })
+ * and rebuild the validators with rebuildValidators() when the answers arrive,
+ * so any replica sharing the generator secret can verify a challenge issued by another.
+ * Also backs verified WebSocket sessions (see createAAPWebSocket `sessionStore`)
+ * and whitelist / key history (see createWhitelist and createKeyRotation `store`)
  * Supports: Memory (default), File, Redis
  */
 
@@ -29,6 +34,16 @@ export function createMemoryStore() {
       challenges.delete(nonce);
     },
 
+    /**
+     * Get and delete in one step (single-use challenges).
+     * No await between read and delete, so only one caller gets the data.
+     */
+    async consume(nonce) {
+      const data = challenges.get(nonce) || null;
+      challenges.delete(nonce);
+      return data;
+    },
+
     async has(nonce) {
       return challenges.has(nonce);
     },
@@ -46,11 +61,14 @@ export function createMemoryStore() {
     },
 
     async cleanup(now = Date.now()) {
+      let cleaned = 0;
       for (const [nonce, data] of challenges.entries()) {
         if (now > data.expiresAt) {
           challenges.delete(nonce);
+          cleaned++;
         }
       }
+      return cleaned;
     }
   };
 }
@@ -82,10 +100,10 @@ export function createFileStore(filePath = '.aap/challenges.json') {
         mkdirSync(dir, { recursive: true });
       }
       
-      const data = Object.fromEntries(challenges);
-      // Remove validator functions (not serializable)
-      for (const key of Object.keys(data)) {
-        delete data[key].validators;
+      // Drop validator functions (not serializable) without touching live entries
+      const data = {};
+      for (const [key, { validators, ...storable }] of challenges) {
+        data[key] = storable;
       }
       
       writeFileSync(fullPath, JSON.stringify(data, null, 2));
@@ -114,6 +132,19 @@ export function createFileStore(filePath = '.aap/challenges.json') {
       save();
     },
 
+    /**
+     * Get and delete in one step (single-use challenges).
+     * Atomic within this process; the file is not shared between processes.
+     */
+    async consume(nonce) {
+      const data = challenges.get(nonce) || null;
+      if (data) {
+        challenges.delete(nonce);
+        save();
+      }
+      return data;
+    },
+
     async has(nonce) {
       return challenges.has(nonce);
     },
@@ -150,12 +181,36 @@ export function createFileStore(filePath = '.aap/challenges.json') {
   };
 }
 
+// Atomic get-and-delete for Redis servers without GETDEL
+const CONSUME_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value then redis.call('DEL', KEYS[1]) end
+return value
+`;
+
 /**
  * Create Redis-based store (for distributed deployments)
  * @param {Object} redisClient - Redis client instance (ioredis or redis)
  * @param {string} [prefix='aap:challenge:'] - Key prefix
  */
 export function createRedisStore(redisClient, prefix = 'aap:challenge:') {
+  // GETDEL needs Redis 6.2+; older servers fall back to the Lua script
+  let hasGetDel = typeof redisClient.getdel === 'function' || typeof redisClient.getDel === 'function';
+
+  const getAndDelete = async (key) => {
+    if (hasGetDel) {
+      try {
+        return typeof redisClient.getdel === 'function'
+          ? await redisClient.getdel(key)
+          : await redisClient.getDel(key);
+      } catch (error) {
+        if (!/unknown command/i.test(error.message)) throw error;
+        hasGetDel = false;
+      }
+    }
+    return redisClient.eval(CONSUME_SCRIPT, 1, key);
+  };
+
   return {
     type: 'redis',
     
@@ -165,8 +220,13 @@ export function createRedisStore(redisClient, prefix = 'aap:challenge:') {
     },
 
     async set(nonce, data, ttlMs = 60000) {
-      // Store without validators (not serializable)
+      // Store without validators (not serializable; see rebuildValidators)
       const { validators, ...storable } = data;
+      if (!ttlMs) {
+        // 0 = no expiry (whitelist, key history)
+        await redisClient.set(prefix + nonce, JSON.stringify(storable));
+        return;
+      }
       await redisClient.set(
         prefix + nonce,
         JSON.stringify(storable),
@@ -179,6 +239,15 @@ export function createRedisStore(redisClient, prefix = 'aap:challenge:') {
       await redisClient.del(prefix + nonce);
     },
 
+    /**
+     * Get and delete in one step (single-use challenges).
+     * Atomic on the Redis server, so safe across replicas.
+     */
+    async consume(nonce) {
+      const data = await getAndDelete(prefix + nonce);
+      return data ? JSON.parse(data) : null;
+    },
+
     async has(nonce) {
       return (await redisClient.exists(prefix + nonce)) === 1;
     },
@@ -0,0 +1,141 @@
+/**
+ * AAP Deterministic PRNG
+ *
+ * Keyed pseudo-random stream for challenge generation:
+ * HMAC-SHA256(secret, seed | label | counter) in counter mode.
+ *
+ * - Same secret + seed + label → same stream (validators can be rebuilt)
+ * - Every draw comes from fresh HMAC output, so parameters are independent
+ * - Without the secret, the public nonce says nothing about the answers
+ *
+ * Replicas that rebuild each other's challenges must share the secret.
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+
+/**
+ * Per-process secret used when none is configured.
+ * Fine for a single verifier; set a shared secret for multi-instance setups.
+ */
+const PROCESS_SECRET = randomBytes(32);
+
+const UINT32_RANGE = 2 ** 32;
+
+/**
+ * Create a deterministic random stream
+ * @param {string} seed - Usually the challenge nonce
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.secret] - Server secret (per-process random by default)
+ * @param {string} [options.label=''] - Domain separation (e.g. challenge type)
+ * @returns {Object} PRNG with uint32/int/float/bool/pick/sample/shuffle/string
+ */
+export function createPrng(seed, options = {}) {
+  const { secret = PROCESS_SECRET, label = '' } = options;
+
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  const refill = () => {
+    block = createHmac('sha256', secret)
+      .update(`${seed}|${label}|${counter++}`)
+      .digest();
+    offset = 0;
+  };
+
+  const prng = {
+    /**
+     * Next uniformly distributed 32-bit unsigned integer
+     * @returns {number}
+     */
+    uint32() {
+      if (offset + 4 > block.length) refill();
+      const value = block.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    },
+
+    /**
+     * Uniform integer in [min, max] (rejection sampling, no modulo bias)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+      const range = max - min + 1;
+      const limit = UINT32_RANGE - (UINT32_RANGE % range);
+      let value;
+      do {
+        value = prng.uint32();
+      } while (value >= limit);
+      return min + (value % range);
+    },
+
+    /**
+     * Uniform float in [0, 1)
+     * @returns {number}
+     */
+    float() {
+      return prng.uint32() / UINT32_RANGE;
+    },
+
+    /**
+     * Fair coin flip
+     * @returns {boolean}
+     */
+    bool() {
+      return (prng.uint32() & 1) === 1;
+    },
+
+    /**
+     * One element of an array
+     * @param {Array} arr
+     * @returns {*}
+     */
+    pick(arr) {
+      return arr[prng.int(0, arr.length - 1)];
+    },
+
+    /**
+     * Shuffled copy of an array (Fisher-Yates)
+     * @param {Array} arr
+     * @returns {Array}
+     */
+    shuffle(arr) {
+      const result = [...arr];
+      for (let i = result.length - 1; i > 0; i--) {
+        const j = prng.int(0, i);
+        [result[i], result[j]] = [result[j], result[i]];
+      }
+      return result;
+    },
+
+    /**
+     * `count` distinct elements of an array
+     * @param {Array} arr
+     * @param {number} count
+     * @returns {Array}
+     */
+    sample(arr, count) {
+      return prng.shuffle(arr).slice(0, Math.min(count, arr.length));
+    },
+
+    /**
+     * Random string over an alphabet
+     * @param {number} length
+     * @param {string} [alphabet='0123456789abcdef']
+     * @returns {string}
+     */
+    string(length, alphabet = '0123456789abcdef') {
+      let result = '';
+      for (let i = 0; i < length; i++) {
+        result += alphabet[prng.int(0, alphabet.length - 1)];
+      }
+      return result;
+    }
+  };
+
+  return prng;
+}
+
+export default { createPrng };
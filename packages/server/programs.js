@@ -0,0 +1,222 @@
+/**
+ * AAP Snippet Programs
+ *
+ * Tiny programs for nlp_code: built as a syntax tree, rendered as JavaScript
+ * or pseudo-code and run here by a small interpreter, so answers never come
+ * from eval(). The language is just big enough for the generator's loops,
+ * string building and conditionals:
+ *
+ * - expressions: numbers, strings, variables, + - * / %, comparisons,
+ *   string length and character at an index (0-based)
+ * - statements: assignment, counted for loop, if/else, print
+ *
+ * Running a program also reports hazards: steps whose result depends on the
+ * language (a division with a remainder, a remainder of a negative number).
+ * The generator avoids them; the nlp_code audit rejects any that slip through.
+ */
+
+import { AUDIT_CODES } from './audit.js';
+
+export const PROGRAM_LANGUAGES = ['javascript', 'pseudo'];
+
+// ============== BUILDERS ==============
+
+/** Number or string literal */
+export const lit = (value) => ({ lit: value });
+/** Variable reference */
+export const ref = (name) => ({ ref: name });
+/** Binary operation: + - * / % === !== < > <= >= */
+export const op = (operator, left, right) => ({ op: operator, left, right });
+/** Length of a string */
+export const length = (of) => ({ length: of });
+/** Character of a string at a 0-based index */
+export const charAt = (of, index) => ({ charAt: of, index });
+
+/** name = value */
+export const assign = (name, value) => ({ assign: name, value });
+/** for name from `from` to `to` (inclusive, or exclusive with { below: true }) */
+export const loop = (name, from, to, body, { below = false } = {}) => ({ loop: name, from, to, below, body });
+/** if cond then ... else ... */
+export const when = (cond, then, otherwise = []) => ({ when: cond, then, otherwise });
+/** Print a value on its own line */
+export const print = (value) => ({ print: value });
+
+// ============== INTERPRETER ==============
+
+const OPERATIONS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b
+};
+
+const MAX_STEPS = 10000;
+
+/**
+ * Run a program
+ * @param {Object[]} program - Statements
+ * @returns {Object} { output: string[], vars: { [name]: value }, hazards: [{ code, detail }] }
+ */
+export function runProgram(program) {
+  const vars = {};
+  const output = [];
+  const hazards = [];
+  let steps = 0;
+
+  const evaluate = (expr) => {
+    if ('lit' in expr) return expr.lit;
+    if ('ref' in expr) {
+      if (!Object.hasOwn(vars, expr.ref)) throw new Error(`Undefined variable: ${expr.ref}`);
+      return vars[expr.ref];
+    }
+    if ('length' in expr) return String(evaluate(expr.length)).length;
+    if ('charAt' in expr) {
+      const text = String(evaluate(expr.charAt));
+      const index = evaluate(expr.index);
+      if (index < 0 || index >= text.length) throw new Error(`Index ${index} outside "${text}"`);
+      return text[index];
+    }
+    const left = evaluate(expr.left);
+    const right = evaluate(expr.right);
+    if (expr.op === '/' && !Number.isInteger(left / right)) {
+      hazards.push({ code: AUDIT_CODES.NON_INTEGER, detail: `${left} / ${right}` });
+    }
+    if (expr.op === '%' && (left < 0 || right < 0)) {
+      hazards.push({ code: AUDIT_CODES.NEGATIVE_MODULO, detail: `${left} % ${right}` });
+    }
+    return OPERATIONS[expr.op](left, right);
+  };
+
+  const execute = (statements) => {
+    for (const statement of statements) {
+      if (++steps > MAX_STEPS) throw new Error('Program runs too long');
+      if ('assign' in statement) {
+        vars[statement.assign] = evaluate(statement.value);
+      } else if ('loop' in statement) {
+        vars[statement.loop] = evaluate(statement.from);
+        const inRange = () => statement.below
+          ? vars[statement.loop] < evaluate(statement.to)
+          : vars[statement.loop] <= evaluate(statement.to);
+        for (; inRange(); vars[statement.loop]++) execute(statement.body);
+      } else if ('when' in statement) {
+        execute(evaluate(statement.when) ? statement.then : statement.otherwise);
+      } else if ('print' in statement) {
+        output.push(String(evaluate(statement.print)));
+      }
+    }
+  };
+
+  execute(program);
+  return { output, vars, hazards };
+}
+
+// ============== RENDERING ==============
+
+const PRECEDENCE = { '===': 1, '!==': 1, '<': 1, '>': 1, '<=': 1, '>=': 1, '+': 2, '-': 2, '*': 3, '/': 3, '%': 3 };
+
+const SYNTAX = {
+  javascript: {
+    operators: {},
+    length: (of) => `${of}.length`,
+    charAt: (of, index) => `${of}[${index}]`,
+    indent: '  ',
+    block(statement, render, declared) {
+      if ('assign' in statement) {
+        const keyword = declared.has(statement.assign) ? '' : 'let ';
+        declared.add(statement.assign);
+        return [`${keyword}${statement.assign} = ${render(statement.value)};`];
+      }
+      if ('loop' in statement) {
+        const { loop: name } = statement;
+        return [
+          `for (let ${name} = ${render(statement.from)}; ${name} ${statement.below ? '<' : '<='} ${render(statement.to)}; ${name}++) {`,
+          statement.body,
+          '}'
+        ];
+      }
+      if ('when' in statement) {
+        return statement.otherwise.length > 0
+          ? [`if (${render(statement.when)}) {`, statement.then, '} else {', statement.otherwise, '}']
+          : [`if (${render(statement.when)}) {`, statement.then, '}'];
+      }
+      return [`console.log(${render(statement.print)});`];
+    }
+  },
+  pseudo: {
+    operators: { '===': '=', '!==': '≠', '<=': '≤', '>=': '≥', '%': 'MOD' },
+    length: (of) => `LENGTH(${of})`,
+    charAt: (of, index) => `${of}[${index}]`,
+    indent: '    ',
+    block(statement, render) {
+      if ('assign' in statement) return [`${statement.assign} ← ${render(statement.value)}`];
+      if ('loop' in statement) {
+        const to = statement.below ? op('-', statement.to, lit(1)) : statement.to;
+        return [`FOR ${statement.loop} FROM ${render(statement.from)} TO ${render(to)}`, statement.body, 'END FOR'];
+      }
+      if ('when' in statement) {
+        return statement.otherwise.length > 0
+          ? [`IF ${render(statement.when)} THEN`, statement.then, 'ELSE', statement.otherwise, 'END IF']
+          : [`IF ${render(statement.when)} THEN`, statement.then, 'END IF'];
+      }
+      return [`PRINT ${render(statement.print)}`];
+    }
+  }
+};
+
+/**
+ * Render a program as source text
+ * @param {Object[]} program - Statements
+ * @param {string} language - 'javascript' or 'pseudo'
+ * @returns {string}
+ */
+export function renderProgram(program, language) {
+  const syntax = SYNTAX[language];
+  if (!syntax) {
+    throw new Error(`Unknown program language: ${language}. Use ${PROGRAM_LANGUAGES.join(', ')}`);
+  }
+
+  const render = (expr, parent = 0, right = false) => {
+    if ('lit' in expr) return typeof expr.lit === 'string' ? JSON.stringify(expr.lit) : String(expr.lit);
+    if ('ref' in expr) return expr.ref;
+    if ('length' in expr) return syntax.length(render(expr.length, 4));
+    if ('charAt' in expr) return syntax.charAt(render(expr.charAt, 4), render(expr.index));
+    const precedence = PRECEDENCE[expr.op];
+    const text = `${render(expr.left, precedence)} ${syntax.operators[expr.op] ?? expr.op} ${render(expr.right, precedence, true)}`;
+    return precedence < parent || (right && precedence === parent) ? `(${text})` : text;
+  };
+
+  const declared = new Set();
+  const lines = [];
+  const emit = (statements, depth) => {
+    for (const statement of statements) {
+      for (const part of syntax.block(statement, (expr) => render(expr), declared)) {
+        if (Array.isArray(part)) emit(part, depth + 1);
+        else lines.push(syntax.indent.repeat(depth) + part);
+      }
+    }
+  };
+  emit(program, 0);
+  return lines.join('\n');
+}
+
+export default {
+  PROGRAM_LANGUAGES,
+  lit,
+  ref,
+  op,
+  length,
+  charAt,
+  assign,
+  loop,
+  when,
+  print,
+  runProgram,
+  renderProgram
+};
@@ -0,0 +1,269 @@
+/**
+ * AAP Rate Limiting
+ *
+ * Built-in limiter for the WebSocket verifier:
+ * - Connection attempts per IP
+ * - Failed verifications per IP and per publicId
+ * - Escalating lockout (each lockout doubles the next one)
+ *
+ * Counters live behind a small store interface so several verifier
+ * processes can share them through Redis.
+ */
+
+import {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX_REQUESTS,
+  RATE_LIMIT_MAX_FAILURES
+} from 'aap-agent-core/constants';
+
+export const LOCKOUT_MS = 60000;                      // First lockout: 1 minute
+export const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;    // Cap: 24 hours
+export const STRIKE_WINDOW_MS = 24 * 60 * 60 * 1000;  // Strikes decay after 24 hours
+
+/**
+ * Create in-memory counter store (single process)
+ */
+export function createMemoryLimitStore() {
+  const counters = new Map();  // key -> { count, resetAt }
+
+  const live = (key, now) => {
+    const entry = counters.get(key);
+    if (!entry) return null;
+    if (now >= entry.resetAt) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    type: 'memory',
+
+    async hit(key, windowMs, now = Date.now()) {
+      let entry = live(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+      return { ...entry };
+    },
+
+    async peek(key, now = Date.now()) {
+      const entry = live(key, now);
+      return entry ? { ...entry } : null;
+    },
+
+    async put(key, count, ttlMs, now = Date.now()) {
+      counters.set(key, { count, resetAt: now + ttlMs });
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    async cleanup(now = Date.now()) {
+      let cleaned = 0;
+      for (const [key, entry] of counters.entries()) {
+        if (now >= entry.resetAt) {
+          counters.delete(key);
+          cleaned++;
+        }
+      }
+      return cleaned;
+    }
+  };
+}
+
+// Atomic count-and-expire: a key never outlives its window without a TTL
+const HIT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return {count, ttl}
+`;
+
+/**
+ * Create Redis counter store (shared across processes)
+ * @param {Object} redisClient - Redis client instance (ioredis)
+ * @param {string} [prefix='aap:ratelimit:'] - Key prefix
+ */
+export function createRedisLimitStore(redisClient, prefix = 'aap:ratelimit:') {
+  const read = async (key, now) => {
+    const [count, ttl] = await Promise.all([
+      redisClient.get(prefix + key),
+      redisClient.pttl(prefix + key)
+    ]);
+    if (count === null || ttl < 0) return null;
+    return { count: parseInt(count, 10), resetAt: now + ttl };
+  };
+
+  return {
+    type: 'redis',
+
+    async hit(key, windowMs, now = Date.now()) {
+      const [count, ttl] = await redisClient.eval(HIT_SCRIPT, 1, prefix + key, windowMs);
+      return { count: Number(count), resetAt: now + Number(ttl) };
+    },
+
+    async peek(key, now = Date.now()) {
+      return read(key, now);
+    },
+
+    async put(key, count, ttlMs) {
+      await redisClient.set(prefix + key, String(count), 'PX', ttlMs);
+    },
+
+    async reset(key) {
+      await redisClient.del(prefix + key);
+    },
+
+    async cleanup() {
+      // Redis handles TTL automatically
+      return 0;
+    }
+  };
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Counter store (memory by default)
+ * @param {number} [options.windowMs=60000] - Counting window
+ * @param {number} [options.maxConnectionsPerIp=10] - Connection attempts per IP per window
+ * @param {number} [options.maxFailuresPerIp=5] - Failed verifications per IP per window
+ * @param {number} [options.maxFailuresPerPublicId=5] - Failed verifications per publicId per window
+ * @param {number} [options.lockoutMs=60000] - First lockout duration
+ * @param {number} [options.maxLockoutMs=86400000] - Longest lockout
+ * @param {number} [options.strikeWindowMs=86400000] - How long past lockouts count toward escalation
+ * @param {Function} [options.onLimited] - Callback (verdict) when something gets locked out
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    store = createMemoryLimitStore(),
+    windowMs = RATE_LIMIT_WINDOW_MS,
+    maxConnectionsPerIp = RATE_LIMIT_MAX_REQUESTS,
+    maxFailuresPerIp = RATE_LIMIT_MAX_FAILURES,
+    maxFailuresPerPublicId = RATE_LIMIT_MAX_FAILURES,
+    lockoutMs = LOCKOUT_MS,
+    maxLockoutMs = MAX_LOCKOUT_MS,
+    strikeWindowMs = STRIKE_WINDOW_MS,
+    onLimited = null
+  } = options;
+
+  /**
+   * Remaining lockout for a subject, if any
+   */
+  const lockedFor = async (subject, now) => {
+    const lock = await store.peek(`lock:${subject}`, now);
+    return lock ? lock.resetAt - now : 0;
+  };
+
+  /**
+   * Lock a subject out, doubling the duration for every recent strike
+   */
+  const lockOut = async (subject, reason, now) => {
+    const strikes = await store.hit(`strike:${subject}`, strikeWindowMs, now);
+    const duration = Math.min(lockoutMs * 2 ** (strikes.count - 1), maxLockoutMs);
+    await store.put(`lock:${subject}`, strikes.count, duration, now);
+
+    const verdict = { allowed: false, subject, reason, retryAfterMs: duration, strikes: strikes.count };
+    if (onLimited) onLimited(verdict);
+    return verdict;
+  };
+
+  const locked = (subject, retryAfterMs) => ({
+    allowed: false,
+    subject,
+    reason: 'LOCKED_OUT',
+    retryAfterMs
+  });
+
+  return {
+    store,
+
+    /**
+     * Count a connection attempt from an IP
+     * @param {string} ip
+     * @returns {Promise<Object>} { allowed, retryAfterMs?, reason?, subject? }
+     */
+    async checkConnection(ip, now = Date.now()) {
+      const subject = `ip:${ip}`;
+      const remaining = await lockedFor(subject, now);
+      if (remaining > 0) return locked(subject, remaining);
+
+      const { count } = await store.hit(`conn:${subject}`, windowMs, now);
+      if (count > maxConnectionsPerIp) {
+        await store.reset(`conn:${subject}`);
+        return lockOut(subject, 'TOO_MANY_CONNECTIONS', now);
+      }
+      return { allowed: true };
+    },
+
+    /**
+     * Check whether a publicId is currently locked out
+     * @param {string} publicId
+     * @returns {Promise<Object>} { allowed, retryAfterMs?, reason?, subject? }
+     */
+    async checkPublicId(publicId, now = Date.now()) {
+      const subject = `id:${publicId}`;
+      const remaining = await lockedFor(subject, now);
+      return remaining > 0 ? locked(subject, remaining) : { allowed: true };
+    },
+
+    /**
+     * Record a failed verification
+     * @param {Object} params
+     * @param {string} [params.ip]
+     * @param {string} [params.publicId]
+     * @returns {Promise<Object[]>} Lockouts triggered by this failure
+     */
+    async recordFailure({ ip, publicId } = {}, now = Date.now()) {
+      const triggered = [];
+      const subjects = [
+        ip && [`ip:${ip}`, maxFailuresPerIp],
+        publicId && [`id:${publicId}`, maxFailuresPerPublicId]
+      ].filter(Boolean);
+
+      for (const [subject, max] of subjects) {
+        const { count } = await store.hit(`fail:${subject}`, windowMs, now);
+        if (count >= max) {
+          await store.reset(`fail:${subject}`);
+          triggered.push(await lockOut(subject, 'TOO_MANY_FAILURES', now));
+        }
+      }
+      return triggered;
+    },
+
+    /**
+     * Lift a lockout and clear counters (admin use)
+     * @param {Object} params
+     * @param {string} [params.ip]
+     * @param {string} [params.publicId]
+     */
+    async reset({ ip, publicId } = {}) {
+      const subjects = [ip && `ip:${ip}`, publicId && `id:${publicId}`].filter(Boolean);
+      for (const subject of subjects) {
+        for (const prefix of ['lock', 'strike', 'fail', 'conn']) {
+          await store.reset(`${prefix}:${subject}`);
+        }
+      }
+    },
+
+    async cleanup(now = Date.now()) {
+      return store.cleanup(now);
+    }
+  };
+}
+
+export default {
+  createRateLimiter,
+  createMemoryLimitStore,
+  createRedisLimitStore,
+  LOCKOUT_MS,
+  MAX_LOCKOUT_MS,
+  STRIKE_WINDOW_MS
+};
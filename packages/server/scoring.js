@@ -0,0 +1,148 @@
+/**
+ * AAP Batch Scoring
+ *
+ * Turns per-challenge results into a verdict:
+ * - passThreshold: how much of a batch must pass, as a count of passed
+ *   challenges or a fraction of the weighted score
+ * - weights: how much each challenge type counts towards the score
+ * - confidence: weighted share of the batch that passed (0-1)
+ * - strength: confidence discounted by the share of the time budget used
+ *
+ * Without a threshold every challenge in the batch must pass, whatever its size.
+ */
+
+export const DEFAULT_PASS_THRESHOLD = null;  // Every challenge in the batch
+export const DEFAULT_TIME_WEIGHT = 0.25;     // A batch that uses its whole budget keeps 75% strength
+
+const EPSILON = 1e-9;
+
+/**
+ * Check a pass threshold (throws on invalid values)
+ * @param {number|null} threshold - Count (integer >= 1), fraction (0 < f < 1) or null (all)
+ * @returns {number|null} The threshold
+ */
+export function checkPassThreshold(threshold) {
+  if (threshold === null) return null;
+  const valid = typeof threshold === 'number' && threshold > 0 &&
+    (Number.isInteger(threshold) || threshold < 1);
+  if (!valid) {
+    throw new Error(`Invalid passThreshold: ${threshold}. Use a count (1, 2, ...) or a fraction between 0 and 1`);
+  }
+  return threshold;
+}
+
+/**
+ * Check per-type weights (throws on negative or non-numeric weights)
+ * @param {Object} [weights] - { [type]: weight }
+ * @returns {Object} The weights
+ */
+export function checkWeights(weights = {}) {
+  for (const [type, weight] of Object.entries(weights)) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for "${type}": ${weight}. Use a number >= 0`);
+    }
+  }
+  return weights;
+}
+
+/**
+ * Share a batch needs to pass: of its challenges for a count (capped at
+ * `total`) or no threshold, of the weighted score for a fraction
+ * @param {number|null} [threshold=null] - Count, fraction or null (all)
+ * @param {number} total - Batch size
+ * @returns {number} 0-1
+ */
+export function requiredScore(threshold = DEFAULT_PASS_THRESHOLD, total) {
+  checkPassThreshold(threshold);
+  if (!total || threshold === null) return 1;
+  return Number.isInteger(threshold) ? Math.min(threshold, total) / total : threshold;
+}
+
+/**
+ * Score a batch
+ * @param {Object[]} results - [{ id, valid }] from validateBatch
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Challenge type of each result (needed for weights)
+ * @param {Object} [options.weights] - { [type]: weight }; unlisted types weigh 1
+ * @param {number|null} [options.passThreshold=null] - Count of passed challenges, fraction of
+ *   the weighted score, or null for all of them (see requiredScore)
+ * @returns {Object} { passed, total, confidence, required, verified }
+ */
+export function scoreResults(results, options = {}) {
+  const { types = [], weights = {}, passThreshold = DEFAULT_PASS_THRESHOLD } = options;
+  checkWeights(weights);
+
+  let passed = 0;
+  let earned = 0;
+  let possible = 0;
+  results.forEach((result, i) => {
+    const type = types[i];
+    const weight = type !== undefined && Object.hasOwn(weights, type) ? weights[type] : 1;
+    possible += weight;
+    if (result.valid) {
+      passed++;
+      earned += weight;
+    }
+  });
+
+  const confidence = possible > 0 ? earned / possible : 0;
+  const total = results.length;
+  const required = requiredScore(passThreshold, total);
+  // Counts are met by passed challenges; weights only move a fractional threshold
+  const met = passThreshold === null || Number.isInteger(passThreshold)
+    ? passed >= Math.min(passThreshold ?? total, total)
+    : confidence >= required - EPSILON;
+  return {
+    passed,
+    total,
+    confidence: round(confidence),
+    required: round(required),
+    verified: total > 0 && met
+  };
+}
+
+/**
+ * Attestation strength: confidence discounted by the share of the time
+ * budget used. A perfect instant batch scores 1, a perfect batch that used
+ * the whole budget scores 1 - timeWeight.
+ * @param {Object} params
+ * @param {number} params.confidence - From scoreResults
+ * @param {number} params.responseTimeMs
+ * @param {number} params.timeBudgetMs
+ * @param {Object} [options]
+ * @param {number} [options.timeWeight=0.25] - How much speed counts (0 ignores it, 1 at most)
+ * @returns {number} 0-1
+ */
+export function attestationStrength({ confidence, responseTimeMs, timeBudgetMs }, options = {}) {
+  const { timeWeight = DEFAULT_TIME_WEIGHT } = options;
+  checkTimeWeight(timeWeight);
+  const used = timeBudgetMs > 0 ? Math.min(1, Math.max(0, responseTimeMs / timeBudgetMs)) : 1;
+  return round(confidence * (1 - timeWeight * used));
+}
+
+/**
+ * Check a time weight (throws outside 0-1)
+ * @param {number} timeWeight
+ * @returns {number} The weight
+ */
+export function checkTimeWeight(timeWeight) {
+  if (typeof timeWeight !== 'number' || !(timeWeight >= 0 && timeWeight <= 1)) {
+    throw new Error(`Invalid timeWeight: ${timeWeight}. Use a number between 0 and 1`);
+  }
+  return timeWeight;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  DEFAULT_PASS_THRESHOLD,
+  DEFAULT_TIME_WEIGHT,
+  checkPassThreshold,
+  checkWeights,
+  checkTimeWeight,
+  requiredScore,
+  scoreResults,
+  attestationStrength
+};
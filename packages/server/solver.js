@@ -0,0 +1,847 @@
+/**
+ * AAP Reference Solver (tests and staging only)
+ *
+ * Answers every built-in challenge by parsing its text: the challenges.js
+ * types in every locale and difficulty, and the simple set of websocket.js.
+ * Template wording is read from the locale packs, so reworded templates
+ * need no changes here; new templates or formulas do. Paraphrased
+ * instructions are mapped back to template wording first (canonicalize()
+ * in paraphrase.js).
+ *
+ * A solver that reads the templates proves nothing about the agent, so the
+ * factories throw when NODE_ENV is "production" and need { testOnly: true }
+ * everywhere else. Not exported from the package root: import it from
+ * "aap-agent-server/solver".
+ *
+ * - createReferenceSolver(): AAPClient `solver`, async (challenges) => answers
+ * - createReferenceLlm(): lib/prover.js `llmCallback`, async (prompt) => JSON array
+ */
+
+import { LOCALES, DEFAULT_LOCALE, compareWords } from './locales/index.js';
+import { canonicalize } from './paraphrase.js';
+import { lit, ref, op, length, charAt, assign, loop, when, print, runProgram } from './programs.js';
+
+// ============== GATE ==============
+
+let warned = false;
+
+/**
+ * Refuse to build a reference solver outside tests and staging
+ * @param {Object} options
+ * @param {string} factory - Name for the error message
+ */
+function assertTestOnly(options, factory) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${factory}() is for tests and staging and refuses to run when NODE_ENV is "production"`);
+  }
+  if (options.testOnly !== true) {
+    throw new Error(`${factory}() answers challenges from their templates and proves nothing; pass { testOnly: true } to use it in tests`);
+  }
+  if (!warned) {
+    console.warn('[AAP] Reference solver in use: answers come from the challenge templates, not a model');
+    warned = true;
+  }
+}
+
+// ============== TEMPLATE SHAPES ==============
+
+// Stand-ins rendered into a template to find where each parameter lands.
+// Numbers are large and distinct so derived values (threshold / 2) stay recognizable.
+const NUMBER_FACTORS = [1, 0.5, 2, 3, 10];
+const NUMBER_GROUP = '(-?\\d+(?:\\.\\d+)?)';
+const TOKEN = /\u0001(\d+)\u0001|\d+(?:\.\d+)?/g;
+
+const shapeCache = new Map();
+
+/**
+ * Turn a template into an anchored regex with one group per parameter
+ * @param {Function} render - (params) => text
+ * @param {Object} kinds - { [param]: 'number' | 'text' | 'list' | words[] }
+ * @returns {Object} { regex, slots }
+ */
+function shape(render, kinds) {
+  const names = Object.keys(kinds);
+  const params = {};
+  const sentinels = new Map();  // sentinel number -> param
+  names.forEach((name, k) => {
+    if (kinds[name] === 'number') {
+      const value = (k + 1) * 1000000 + 3;
+      params[name] = value;
+      sentinels.set(value, name);
+    } else {
+      const token = `\u0001${k}\u0001`;
+      params[name] = kinds[name] === 'list' ? { join: () => token } : token;
+    }
+  });
+
+  const rendered = render(params);
+  const slots = [];
+  let source = '';
+  let last = 0;
+  for (const match of rendered.matchAll(TOKEN)) {
+    let slot = null;
+    if (match[1] !== undefined) {
+      slot = { name: names[Number(match[1])], factor: null };
+    } else {
+      const value = Number(match[0]);
+      for (const [sentinel, name] of sentinels) {
+        const factor = NUMBER_FACTORS.find(f => sentinel * f === value);
+        if (factor !== undefined) slot = { name, factor };
+      }
+    }
+    if (!slot) continue;  // A literal number in the template
+
+    source += escape(rendered.slice(last, match.index));
+    source += group(kinds[slot.name]);
+    slots.push(slot);
+    last = match.index + match[0].length;
+  }
+  source += escape(rendered.slice(last));
+  return { regex: new RegExp(`^${source}$`, 'su'), slots };
+}
+
+/**
+ * Match text against a template shape
+ * @returns {Object|null} { [param]: value } (numbers as numbers)
+ */
+function read(text, template) {
+  const match = text.match(template.regex);
+  if (!match) return null;
+  const values = {};
+  template.slots.forEach(({ name, factor }, i) => {
+    const raw = match[i + 1];
+    if (Object.hasOwn(values, name)) return;
+    values[name] = factor === null ? raw : Number(raw) / factor;
+  });
+  return values;
+}
+
+/**
+ * Find which of a list of templates matches
+ * @returns {Object|null} { index, values }
+ */
+function readAny(text, key, templates, kinds) {
+  for (const [index, render] of templates.entries()) {
+    const cacheKey = `${key}:${index}`;
+    if (!shapeCache.has(cacheKey)) shapeCache.set(cacheKey, shape(render, kinds));
+    const values = read(text, shapeCache.get(cacheKey));
+    if (values) return { index, values };
+  }
+  return null;
+}
+
+function group(kind) {
+  if (kind === 'number') return NUMBER_GROUP;
+  if (Array.isArray(kind)) {
+    // One of these words, so a neighbouring free-text slot cannot swallow it
+    return `(${[...kind].sort((a, b) => b.length - a.length).map(escape).join('|')})`;
+  }
+  return '(.+?)';
+}
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Instruction templates in canonical wording, to match an instruction
+ * line that went through canonicalize()
+ */
+function worded(templates, pack) {
+  return templates.map(render => (params) => canonicalize(render(params), { locale: pack.code }));
+}
+
+function numbers(list) {
+  return list.split(/,\s*/).map(Number);
+}
+
+// ============== BUILT-IN TYPES ==============
+
+const CATEGORIES = ['animals', 'fruits', 'colors'];
+const TABLE_FORMATS = ['JSON', 'CSV'];
+// A word for every initial nlp_instruct may ask for (its own list, not the generator's)
+const WORDS_BY_INITIAL = {
+  A: 'amber', B: 'basket', C: 'cloud', D: 'dragon', E: 'echo', F: 'feather', G: 'glacier', H: 'hammer',
+  I: 'ivory', J: 'jungle', K: 'kingdom', L: 'lantern', M: 'meadow', N: 'nickel', O: 'ocean', P: 'pepper',
+  Q: 'quartz', R: 'rocket', S: 'silver', T: 'thunder', U: 'umbrella', V: 'velvet', W: 'wagon', X: 'xylophone',
+  Y: 'yogurt', Z: 'zipper'
+};
+
+/**
+ * Category named by an instruction template
+ */
+function categoryOf(line, pack, instruction) {
+  return CATEGORIES.find(category =>
+    line === canonicalize(instruction(pack.categories[category]), { locale: pack.code })) ?? null;
+}
+
+/**
+ * Pool words in a list, longest match first ("pineapple" is not "apple")
+ */
+function poolWords(text, pack) {
+  const words = Object.values(pack.words).flat().sort((a, b) => b.length - a.length);
+  const found = [];
+  let i = 0;
+  while (i < text.length) {
+    const word = words.find(w => text.startsWith(w, i));
+    if (word) {
+      found.push(word);
+      i += word.length;
+    } else {
+      i++;
+    }
+  }
+  return found;
+}
+
+/**
+ * Solvers for the challenges.js types: (lines, pack) => fields or null,
+ * where `lines` is the challenge text between the salt and the response format
+ */
+const NLP_SOLVERS = {
+  nlp_extract: (lines, pack) => {
+    const category = categoryOf(lines[0], pack, pack.extract.instruction);
+    const prefix = `${pack.extract.label}: "`;
+    if (!category || !lines[1]?.startsWith(prefix)) return null;
+
+    const sentence = lines[1].slice(prefix.length, -1);
+    const found = readAny(sentence, `${pack.code}:extract`, pack.extract.sentences,
+      { adj: pack.words.adjectives, verb: pack.words.verbs, all: 'text', first: 'text', second: 'text' });
+    if (!found) return null;
+
+    const { all = '', first = '', second = '' } = found.values;
+    const pool = pack.words[category];
+    const items = poolWords(`${all} ${first} ${second}`, pack).filter(w => pool.includes(w));
+    return { items: items.map(w => w.toLowerCase()).sort() };
+  },
+
+  nlp_math: (lines, pack) => {
+    const found = readAny(lines.join('\n'), `${pack.code}:math`, worded(pack.math, pack),
+      { a: 'number', b: 'number', c: 'number', d: 'number', e: 'number' });
+    if (!found) return null;
+
+    const { a, b, c, d, e } = found.values;
+    const results = [
+      () => (((a - b) * c) / e) + d,
+      () => ((a + b) * c - d) / e,
+      () => Math.floor(Math.sqrt(a + b)) * c - d,
+      () => Math.round(a / c + b / e - d),
+      () => ((a * 3 / 2) + b - d) * e,
+      () => ((a % c) + (b % e)) * d
+    ];
+    return { result: Math.round(results[found.index]() * 100) / 100 };
+  },
+
+  nlp_transform: (lines, pack) => {
+    const found = readAny(lines.join('\n'), `${pack.code}:transform`,
+      worded(pack.transform.map(render => ({ input }) => render(input)), pack), { input: 'text' });
+    if (!found) return null;
+
+    const chars = found.values.input.split('');
+    const letters = chars.filter(c => /[a-zA-Z]/.test(c));
+    const digits = chars.filter(c => /\d/.test(c));
+    const outputs = [
+      () => [...chars].reverse().join('').toUpperCase().slice(0, 5),
+      () => `SUM:${digits.reduce((sum, c) => sum + Number(c), 0)}`,
+      () => [...letters].sort().reverse().join('.'),
+      () => chars.map((c, i) => i % 2 === 0 ? c.toLowerCase() : c.toUpperCase()).join(''),
+      () => `L${letters.length}D${digits.length}`,
+      () => chars.map(c => /[aeiou]/i.test(c) ? '*' : /[a-z]/i.test(c) ? '#' : c).join('')
+    ];
+    return { output: outputs[found.index]() };
+  },
+
+  nlp_logic: (lines, pack) => {
+    const found = readAny(lines.join('\n'), `${pack.code}:logic`, worded(pack.logic, pack),
+      { a: 'number', b: 'number', c: 'number', d: 'number', threshold: 'number' });
+    if (!found) return null;
+
+    const { a, b, c, d, threshold } = found.values;
+    const sorted = () => [a, b, c, d].sort((x, y) => x - y);
+    const isPrime = (n) => {
+      if (n < 2) return false;
+      for (let i = 2; i <= Math.sqrt(n); i++) if (n % i === 0) return false;
+      return true;
+    };
+    const answers = [
+      () => ((a > b && c > d) || (a < b && c < d)) ? 'CONSISTENT'
+        : ((a > b && c < d) || (a < b && c > d)) ? 'CROSSED' : 'EQUAL',
+      () => {
+        const count = [a, b, c, d].filter(n => n % 3 === 0).length;
+        return count === 0 ? 'NONE' : count <= 2 ? 'FEW' : 'MANY';
+      },
+      () => {
+        const cond1 = (a + b) > (c + d);
+        const cond2 = (a * d) < (b * c);
+        return (cond1 && cond2) ? 'ALPHA' : (!cond1 && !cond2) ? 'GAMMA' : 'BETA';
+      },
+      () => {
+        const [, low, high] = sorted();
+        const median = (low + high) / 2;
+        return median > threshold ? 'HIGH' : median < threshold / 2 ? 'LOW' : 'MID';
+      },
+      () => {
+        const s = sorted();
+        return String([a + b + c + d > threshold * 3, s[0] * s[1] < threshold * 10, s[3] % 2 === 0]
+          .filter(Boolean).length);
+      },
+      () => {
+        const ap = isPrime(a);
+        const bp = isPrime(b);
+        return (ap && bp) ? 'TWIN' : (ap || bp) ? 'SOLO' : 'NONE';
+      }
+    ];
+    return { answer: answers[found.index]() };
+  },
+
+  nlp_count: (lines, pack) => {
+    const category = categoryOf(lines[0], pack, pack.count.instruction);
+    const prefix = `${pack.count.label}: "`;
+    if (!category || !lines[1]?.startsWith(prefix)) return null;
+
+    const found = readAny(lines[1].slice(prefix.length, -1), `${pack.code}:count`,
+      pack.count.sentences.map(render => ({ items }) => render(items)), { items: 'text' });
+    if (!found) return null;
+
+    const pool = pack.words[category];
+    return { count: found.values.items.split(pack.separator).filter(w => pool.includes(w)).length };
+  },
+
+  nlp_multistep: (lines, pack) => {
+    const text = pack.multistep;
+    if (lines[0] !== canonicalize(text.header, { locale: pack.code }) || !lines[1]?.startsWith('1. ')) return null;
+
+    const firstSteps = [
+      ({ numbers }) => text.evenOdd(numbers)[0],
+      ({ numbers }) => text.sortPairs(numbers)[0],
+      ({ numbers, half }) => text.chunks({ numbers, half, chunk1: [], chunk2: [] })[0],
+      ({ numbers }) => text.alternating.start(numbers)
+    ];
+    const found = readAny(lines[1].slice(3), `${pack.code}:multistep`, firstSteps, { numbers: 'list', half: 'text' });
+    if (!found) return null;
+
+    const list = numbers(found.values.numbers);
+    const length = list.length;
+    const sum = (values) => values.reduce((total, n) => total + n, 0);
+    const finals = [
+      () => {
+        const evens = list.filter(n => n % 2 === 0);
+        const product = evens.length > 0 ? evens.reduce((p, n) => p * n, 1) : 0;
+        return Math.abs(product - sum(list.filter(n => n % 2 !== 0))) % 100;
+      },
+      () => {
+        const sorted = [...list].sort((x, y) => x - y);
+        const mid = length / 2;
+        return sorted[0] * sorted[length - 1] + sorted[1] + sorted[length - 2] +
+          Math.abs(sorted[mid - 1] - sorted[mid]);
+      },
+      () => {
+        const half = length / 2;
+        const chunk1 = list.slice(0, half);
+        const chunk2 = list.slice(half);
+        const avg = sum(chunk1) / half + sum(chunk2) / half;
+        return Math.round(avg * (Math.max(...chunk1) > Math.max(...chunk2) ? 2 : 1));
+      },
+      () => Math.abs(list.reduce((val, n, i) => i === 0 ? n : i % 2 === 1 ? val + n : val - n, 0)) * length
+    ];
+    return { result: finals[found.index]() };
+  },
+
+  nlp_pattern: (lines, pack) => {
+    const found = readAny(lines.join('\n'), `${pack.code}:pattern`,
+      worded([({ sequence }) => pack.pattern(sequence)], pack), { sequence: 'list' });
+    if (!found) return null;
+
+    return { next: nextTwo(numbers(found.values.sequence)) };
+  },
+
+  nlp_analysis: (lines, pack) => {
+    const found = readAny(lines.join('\n'), `${pack.code}:analysis`,
+      worded(pack.analysis.map(render => ({ list }) => render(list)), pack), { list: 'text' });
+    if (!found) return null;
+
+    const words = found.values.list.split(pack.separator);
+    const answers = [
+      () => words.reduce((a, b) => a.length >= b.length ? a : b),
+      () => words.reduce((a, b) => a.length <= b.length ? a : b),
+      () => [...words].sort(compareWords(pack))[0]
+    ];
+    return { answer: answers[found.index]() };
+  },
+
+  nlp_table: (lines, pack) => {
+    const text = pack.table;
+    const found = readAny(lines[0], `${pack.code}:table`, worded(text.questions, pack),
+      { color: pack.words.colors, country: pack.words.countries, limit: 'number' });
+    if (!found) return null;
+
+    const tables = readTables(lines.slice(1), { orders: text.orders, customers: text.customers });
+    if (!tables.orders) return null;
+
+    const { color, country, limit } = found.values;
+    const rows = tables.orders;
+    const countries = new Map((tables.customers ?? []).map(c => [c.customer, c.country]));
+    const countryOf = (row) => row.country ?? countries.get(row.customer);
+    const sumQty = (list) => list.reduce((total, row) => total + row.qty, 0);
+    const answers = [
+      () => sumQty(rows.filter(row => row.color === color)),
+      () => rows.filter(row => countryOf(row) === country && row.qty > limit).length,
+      () => {
+        const totals = new Map();
+        for (const row of rows) totals.set(row.item, (totals.get(row.item) || 0) + row.qty);
+        return [...totals].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+      },
+      () => sumQty(rows.filter(row => row.color === color && countryOf(row) === country))
+    ];
+    return { answer: answers[found.index]() };
+  },
+
+  nlp_code: (lines, pack) => {
+    const text = pack.program;
+    const found = readAny(lines[0], `${pack.code}:code`,
+      worded([({ language }) => text.print(language), ({ language, name }) => text.value(language, name)], pack),
+      { language: Object.values(text.languages), name: 'text' });
+    if (!found) return null;
+
+    const language = Object.keys(text.languages).find(key => text.languages[key] === found.values.language);
+    const program = parseProgram(lines.slice(1), language);
+    if (!program) return null;
+
+    const { output, vars } = runProgram(program);
+    return { answer: found.index === 0 ? output.join('\n') : vars[found.values.name] };
+  },
+
+  nlp_instruct: (lines, pack) => {
+    const text = pack.instruct;
+    const phrases = Object.values(text.orders).flatMap(Object.values);
+    const found = readAny(lines[0], `${pack.code}:instruct`, worded(text.questions, pack), {
+      count: 'number', letters: 'list', order: phrases, category: Object.values(pack.categories),
+      min: 'number', max: 'number', divisor: 'number'
+    });
+    if (!found) return null;
+
+    const { count, letters, order, category, min, divisor } = found.values;
+    const orders = text.orders[['letters', null, 'words', 'numbers'][found.index]];
+    const sorted = (list, compare) => {
+      const result = [...list].sort(compare);
+      return orders.desc === order ? result.reverse() : result;
+    };
+    const listed = (label) => lines[1]?.startsWith(`${label}: `) ? lines[1].slice(label.length + 2).split(pack.separator) : [];
+
+    switch (found.index) {
+      case 0:
+        return { answer: sorted(letters.split(', ').map(letter => WORDS_BY_INITIAL[letter]), compareWords(pack)) };
+      case 1: {
+        const tally = {};
+        for (const word of listed(text.mentions)) {
+          if (pack.words.colors.includes(word)) tally[word] = (tally[word] || 0) + 1;
+        }
+        return { answer: tally };
+      }
+      case 2: {
+        const pool = pack.words[CATEGORIES.find(key => pack.categories[key] === category)];
+        return { answer: sorted(listed(text.list).filter(word => pool.includes(word)).slice(0, count), compareWords(pack)) };
+      }
+      default: {
+        const first = Math.ceil(min / divisor) * divisor;
+        return { answer: sorted(Array.from({ length: count }, (_, k) => first + k * divisor), (a, b) => a - b) };
+      }
+    }
+  },
+
+  nlp_grid: (lines, pack) => {
+    const found = readAny(lines[0], `${pack.code}:grid`, worded(pack.grid.questions, pack),
+      { symbol: 'text', column: 'number', row: 'number' });
+    if (!found) return null;
+
+    const { symbol, column, row } = found.values;
+    // Letter grids: a header of column numbers, then "1 A B C" rows
+    const letters = () => lines.slice(2).map(line => line.trim().split(/\s+/).slice(1));
+    const art = lines.slice(1).map(line => [...line]);
+    const answers = [
+      () => letters().filter(cells => cells[column - 1] === symbol).length,
+      () => letters()[row - 1].filter(cell => cell === symbol).length,
+      () => {
+        const diagonal = letters().map((cells, i) => cells[i]);
+        const count = (letter) => diagonal.filter(cell => cell === letter).length;
+        return diagonal.reduce((best, letter) => count(letter) > count(best) ? letter : best);
+      },
+      () => flood(art, '#').length,
+      () => shortestPath(art)
+    ];
+    return { answer: answers[found.index]() };
+  }
+};
+
+// ============== GRIDS ==============
+
+const SIDES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Groups of side-by-side cells holding `cell`
+ * @returns {Array[]} One list of [row, column] per group
+ */
+function flood(grid, cell) {
+  const seen = new Set();
+  const groups = [];
+  grid.forEach((cells, r) => cells.forEach((value, c) => {
+    if (value !== cell || seen.has(`${r},${c}`)) return;
+    const group = [];
+    const stack = [[r, c]];
+    seen.add(`${r},${c}`);
+    while (stack.length > 0) {
+      const [y, x] = stack.pop();
+      group.push([y, x]);
+      for (const [dy, dx] of SIDES) {
+        if (grid[y + dy]?.[x + dx] === cell && !seen.has(`${y + dy},${x + dx}`)) {
+          seen.add(`${y + dy},${x + dx}`);
+          stack.push([y + dy, x + dx]);
+        }
+      }
+    }
+    groups.push(group);
+  }));
+  return groups;
+}
+
+/**
+ * Steps from "S" to "E" through cells that are not "#" (breadth-first)
+ * @returns {number|null}
+ */
+function shortestPath(grid) {
+  const find = (target) => {
+    const r = grid.findIndex(cells => cells.includes(target));
+    return r < 0 ? null : [r, grid[r].indexOf(target)];
+  };
+  const start = find('S');
+  const end = find('E');
+  if (!start || !end) return null;
+
+  const steps = new Map([[start.join(), 0]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const [r, c] = queue.shift();
+    if (r === end[0] && c === end[1]) return steps.get(`${r},${c}`);
+    for (const [dr, dc] of SIDES) {
+      const key = `${r + dr},${c + dc}`;
+      const next = grid[r + dr]?.[c + dc];
+      if (next !== undefined && next !== '#' && !steps.has(key)) {
+        steps.set(key, steps.get(`${r},${c}`) + 1);
+        queue.push([r + dr, c + dc]);
+      }
+    }
+  }
+  return null;
+}
+
+// ============== PROGRAMS ==============
+
+// Source operators -> programs.js operators
+const PROGRAM_OPERATORS = {
+  '+': '+', '-': '-', '*': '*', '/': '/', '%': '%', MOD: '%',
+  '===': '===', '=': '===', '!==': '!==', '≠': '!==',
+  '<': '<', '>': '>', '<=': '<=', '≤': '<=', '>=': '>=', '≥': '>='
+};
+const PROGRAM_PRECEDENCE = { '===': 1, '!==': 1, '<': 1, '>': 1, '<=': 1, '>=': 1, '+': 2, '-': 2, '*': 3, '/': 3, '%': 3 };
+const PROGRAM_TOKEN = /\s*(\d+|"[^"]*"|===|!==|<=|>=|[A-Za-z_]\w*|[-+*\/%<>=≠≤≥()[\].])/y;
+
+const PROGRAM_LINES = {
+  javascript: [
+    [/^for \(let (\w+) = (.+); \1 (<=?) (.+); \1\+\+\) \{$/, ([, name, from, cmp, to]) => ({ open: 'loop', name, from, to, below: cmp === '<' })],
+    [/^if \((.+)\) \{$/, ([, cond]) => ({ open: 'when', cond })],
+    [/^\} else \{$/, () => ({ otherwise: true })],
+    [/^\}$/, () => ({ close: true })],
+    [/^console\.log\((.+)\);$/, ([, value]) => ({ print: value })],
+    [/^(?:let )?(\w+) = (.+);$/, ([, name, value]) => ({ assign: name, value })]
+  ],
+  pseudo: [
+    [/^FOR (\w+) FROM (.+) TO (.+)$/, ([, name, from, to]) => ({ open: 'loop', name, from, to, below: false })],
+    [/^IF (.+) THEN$/, ([, cond]) => ({ open: 'when', cond })],
+    [/^ELSE$/, () => ({ otherwise: true })],
+    [/^END (?:IF|FOR)$/, () => ({ close: true })],
+    [/^PRINT (.+)$/, ([, value]) => ({ print: value })],
+    [/^(\w+) ← (.+)$/, ([, name, value]) => ({ assign: name, value })]
+  ]
+};
+
+/**
+ * Read a rendered nlp_code program back into statements
+ * @param {string[]} lines - Source lines
+ * @param {string} language - 'javascript' or 'pseudo'
+ * @returns {Object[]|null} Statements for runProgram(), or null when unreadable
+ */
+function parseProgram(lines, language) {
+  const patterns = PROGRAM_LINES[language];
+  if (!patterns) return null;
+
+  const root = { body: [] };
+  const stack = [root];
+  try {
+    for (const line of lines) {
+      const source = line.trim();
+      const entry = patterns.find(([pattern]) => pattern.test(source));
+      if (!entry) return null;
+      const parsed = entry[1](source.match(entry[0]));
+      const top = stack[stack.length - 1];
+
+      if (parsed.open === 'loop') {
+        const statement = loop(parsed.name, parseExpression(parsed.from), parseExpression(parsed.to), [], { below: parsed.below });
+        top.body.push(statement);
+        stack.push({ body: statement.body });
+      } else if (parsed.open === 'when') {
+        const statement = when(parseExpression(parsed.cond), [], []);
+        top.body.push(statement);
+        stack.push({ body: statement.then, statement });
+      } else if (parsed.otherwise) {
+        top.body = top.statement.otherwise;
+      } else if (parsed.close) {
+        stack.pop();
+      } else if (parsed.print !== undefined) {
+        top.body.push(print(parseExpression(parsed.print)));
+      } else {
+        top.body.push(assign(parsed.assign, parseExpression(parsed.value)));
+      }
+    }
+  } catch {
+    return null;
+  }
+  return stack.length === 1 ? root.body : null;
+}
+
+/**
+ * Parse one expression (precedence climbing)
+ */
+function parseExpression(source) {
+  const tokens = [];
+  PROGRAM_TOKEN.lastIndex = 0;
+  while (PROGRAM_TOKEN.lastIndex < source.trimEnd().length) {
+    const match = PROGRAM_TOKEN.exec(source);
+    if (!match) throw new Error(`Unreadable expression: ${source}`);
+    tokens.push(match[1]);
+  }
+
+  let pos = 0;
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected ${token} in ${source}`);
+  };
+
+  const primary = () => {
+    const token = next();
+    let expr;
+    if (token === '(') {
+      expr = binary(0);
+      expect(')');
+    } else if (token === 'LENGTH') {
+      expect('(');
+      expr = length(binary(0));
+      expect(')');
+    } else if (/^\d+$/.test(token)) {
+      expr = lit(Number(token));
+    } else if (token?.startsWith('"')) {
+      expr = lit(token.slice(1, -1));
+    } else if (/^[A-Za-z_]\w*$/.test(token ?? '')) {
+      expr = ref(token);
+    } else {
+      throw new Error(`Unexpected ${token} in ${source}`);
+    }
+    // Postfix: .length and [index]
+    while (tokens[pos] === '.' || tokens[pos] === '[') {
+      if (next() === '.') {
+        expect('length');
+        expr = length(expr);
+      } else {
+        expr = charAt(expr, binary(0));
+        expect(']');
+      }
+    }
+    return expr;
+  };
+
+  const binary = (min) => {
+    let left = primary();
+    for (;;) {
+      const operator = PROGRAM_OPERATORS[tokens[pos]];
+      const precedence = PROGRAM_PRECEDENCE[operator];
+      if (!operator || precedence <= min) return left;
+      pos++;
+      left = op(operator, left, binary(precedence));
+    }
+  };
+
+  const expr = binary(0);
+  if (pos !== tokens.length) throw new Error(`Trailing tokens in ${source}`);
+  return expr;
+}
+
+/**
+ * Tables under their labels ("Orders (CSV):"), as records
+ * @param {string[]} lines - Lines after the question
+ * @param {Object} labels - { [name]: (format) => label }
+ * @returns {Object} { [name]: records }
+ */
+function readTables(lines, labels) {
+  const blocks = {};
+  let current = null;
+  for (const line of lines) {
+    const name = Object.keys(labels).find(key => TABLE_FORMATS.some(format => line === labels[key](format)));
+    if (name) {
+      current = blocks[name] = { format: TABLE_FORMATS.find(format => line === labels[name](format)), lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  const tables = {};
+  for (const [name, { format, lines: body }] of Object.entries(blocks)) {
+    if (format === 'JSON') {
+      try {
+        tables[name] = JSON.parse(body.join('\n'));
+      } catch {
+        return {};
+      }
+    } else {
+      const [header, ...records] = body.map(line => line.split(','));
+      tables[name] = records.map(cells => Object.fromEntries(header.map((column, i) => [
+        column,
+        /^\d+$/.test(cells[i]) ? Number(cells[i]) : cells[i]
+      ])));
+    }
+  }
+  return tables;
+}
+
+/**
+ * Next two numbers of an arithmetic, doubling or Fibonacci-like sequence
+ */
+function nextTwo(seq) {
+  const [s0, s1, s2, s3] = seq;
+  if (s1 - s0 === s2 - s1 && s2 - s1 === s3 - s2) {
+    const step = s1 - s0;
+    return [s3 + step, s3 + step * 2];
+  }
+  if (s1 === s0 * 2 && s2 === s1 * 2 && s3 === s2 * 2) {
+    return [s3 * 2, s3 * 4];
+  }
+  return [s2 + s3, s3 + s2 + s3];
+}
+
+/**
+ * Solvers for the websocket.js simple set (English only): [pattern, (match) => fields]
+ */
+const SIMPLE_SOLVERS = {
+  math: [/What is (\d+) ([+\-*]) (\d+)\?/, ([, a, op, b]) => ({
+    result: op === '+' ? Number(a) + Number(b) : op === '-' ? a - b : a * b
+  })],
+  logic: [/X=(\d+), Y=(\d+)\. Answer "GREATER"/, ([, x, y]) => ({
+    answer: Number(x) > Number(y) ? 'GREATER' : Number(x) < Number(y) ? 'LESS' : 'EQUAL'
+  })],
+  count: [/Count animals: (.+)/, ([, items]) => ({
+    count: items.split(', ').filter(i => ['cat', 'dog', 'bird', 'fish', 'lion'].includes(i)).length
+  })],
+  pattern: [/Next 2 numbers: \[(.+), \?, \?\]/, ([, seq]) => ({ next: nextTwo(numbers(seq)) })],
+  reverse: [/Reverse the string: "(.*)"/, ([, word]) => ({ result: word.split('').reverse().join('') })],
+  extract: [/Extract the color: "The (\S+) /, ([, color]) => ({ color })],
+  longest: [/Find longest word: (.+)/, ([, words]) => ({
+    answer: words.split(', ').reduce((a, b) => a.length >= b.length ? a : b)
+  })]
+};
+
+// ============== SOLVING ==============
+
+/**
+ * Answer one challenge (module-private: only the gated factories expose it)
+ * @param {string} text - Challenge text
+ * @param {Object} [hints]
+ * @param {string} [hints.type] - Challenge type, when known (tried first)
+ * @param {string} [hints.locale] - Locale, when known (detected otherwise)
+ * @returns {Object|null} Answer object ({ salt, ...fields }) or null when unrecognized
+ */
+function solveChallenge(text, hints = {}) {
+  const salt = text.match(/\[REQ-([0-9A-Za-z]+)\]/)?.[1];
+  if (!salt) return null;
+  const body = text.slice(text.indexOf(`[REQ-${salt}]`) + salt.length + 7);
+
+  if (/^Format: /m.test(body)) {
+    const plain = canonicalize(body, { locale: DEFAULT_LOCALE });
+    const order = Object.hasOwn(SIMPLE_SOLVERS, hints.type) ? [hints.type] : Object.keys(SIMPLE_SOLVERS);
+    for (const type of order) {
+      const [pattern, solve] = SIMPLE_SOLVERS[type];
+      const match = plain.match(pattern);
+      if (match) return { salt, ...solve(match) };
+    }
+    return null;
+  }
+
+  const packs = hints.locale && LOCALES[hints.locale] ? [LOCALES[hints.locale]] : Object.values(LOCALES);
+  for (const pack of packs) {
+    const lines = body.split('\n');
+    const end = lines.findIndex(line => line.startsWith(`${pack.responseFormat}:`));
+    if (end < 0) continue;
+    lines[0] = canonicalize(lines[0], { locale: pack.code });
+
+    const types = Object.keys(NLP_SOLVERS);
+    const order = types.includes(hints.type) ? [hints.type, ...types.filter(t => t !== hints.type)] : types;
+    for (const type of order) {
+      const fields = NLP_SOLVERS[type](lines.slice(0, end), pack);
+      if (fields) return { salt, ...fields };
+    }
+  }
+  return null;
+}
+
+/**
+ * Answer a list of challenges; unrecognized ones get an empty answer
+ */
+function solveAll(challenges, hints) {
+  return challenges.map(c => {
+    const answer = solveChallenge(c.text, { ...hints, type: c.type });
+    return answer ? JSON.stringify(answer) : '';
+  });
+}
+
+// ============== ADAPTERS ==============
+
+/**
+ * Solver for AAPClient (`new AAPClient({ solver })` or client.verify(solver)):
+ * takes the server's challenge frames { id, type, challenge } and returns
+ * one JSON answer string per frame.
+ * @param {Object} options
+ * @param {boolean} options.testOnly - Must be true (throws otherwise)
+ * @param {string} [options.locale] - Locale of the challenges (detected otherwise)
+ * @returns {Function} async (challenges) => answers[]
+ */
+export function createReferenceSolver(options = {}) {
+  assertTestOnly(options, 'createReferenceSolver');
+  const { locale } = options;
+
+  return async (challenges) => solveAll(
+    challenges.map(c => ({ text: c.challenge ?? c.challenge_string ?? '', type: c.type })),
+    { locale }
+  );
+}
+
+/**
+ * LLM stand-in for lib/prover.js generateBatchProof() and the client's
+ * createSolver(): reads the numbered challenges ("[0] [REQ-...] ...") out
+ * of the prompt and responds with a JSON array of answers.
+ * @param {Object} options
+ * @param {boolean} options.testOnly - Must be true (throws otherwise)
+ * @param {string} [options.locale] - Locale of the challenges (detected otherwise)
+ * @returns {Function} async (prompt) => response string
+ */
+export function createReferenceLlm(options = {}) {
+  assertTestOnly(options, 'createReferenceLlm');
+  const { locale } = options;
+
+  return async (prompt) => {
+    const parts = prompt.split(/^\[\d+\] (?=\[REQ-)/m).slice(1);
+    const answers = solveAll(parts.map(text => ({ text })), { locale });
+    return JSON.stringify(answers.map(answer => answer ? JSON.parse(answer) : {}));
+  };
+}
+
+export default {
+  createReferenceSolver,
+  createReferenceLlm
+};
@@ -1,18 +1,59 @@
 /**
  * AAP WebSocket Server v3.2
  * 
- * Batch challenge + mandatory signature verification.
+ * Batch or sequential challenges + mandatory signature verification.
  * No signature = no entry.
+ * Verified agents receive a signed attestation token (ES256K JWS).
  */
 
 import { WebSocketServer } from 'ws';
-import { randomBytes, createHash, createVerify } from 'node:crypto';
+import { randomBytes, createHash, createVerify, generateKeyPairSync } from 'node:crypto';
+import { createAttestationToken, verifyAttestationToken, createJwks } from 'aap-agent-core/token';
+import { createMemoryStore } from './persistence.js';
+import { createPrng } from './prng.js';
+import { paraphrase as rephrase } from './paraphrase.js';
+import {
+  generateBatch,
+  validateBatch,
+  createChallengeRegistry,
+  isChallengeRegistry,
+  defaultRegistry,
+  difficultyIndex,
+  DEFAULT_DIFFICULTY,
+  DIFFICULTY_PROFILES
+} from './challenges.js';
+import { createRateLimiter } from './ratelimit.js';
+import { derivePublicId } from './whitelist.js';
+import { isDifficultyPolicy } from './difficulty.js';
+import { DEFAULT_LOCALE, getLocale } from './locales/index.js';
+import {
+  REASON_CODES,
+  createAnswerMatcher,
+  strictnessFor,
+  checkStrictness,
+  resolveDiagnostics
+} from './normalize.js';
+import {
+  DEFAULT_PASS_THRESHOLD,
+  DEFAULT_TIME_WEIGHT,
+  checkPassThreshold,
+  checkWeights,
+  checkTimeWeight,
+  scoreResults,
+  attestationStrength
+} from './scoring.js';
 
 // ============== CONSTANTS ==============
 export const PROTOCOL_VERSION = '3.2.0';
 export const CHALLENGE_COUNT = 7;
 export const TOTAL_TIME_MS = 6000;
 export const CONNECTION_TIMEOUT_MS = 60000;
+export const SESSION_TTL_MS = 3600000;
+export const SESSION_SWEEP_INTERVAL_MS = 60000;
+export const STEP_TIME_MS = 3000;
+export const MODES = ['batch', 'sequential'];
+export const CHALLENGE_SOURCES = ['simple', 'nlp'];
+export const TOKEN_ISSUER = 'aap-agent-server';
 
 // ============== CHALLENGE GENERATORS ==============
 const GENERATORS = {
@@ -24,7 +65,8 @@ const GENERATORS = {
     const answer = op === '+' ? a + b : op === '-' ? a - b : a * b;
     return {
       q: `[REQ-${salt}] What is ${a} ${op} ${b}?\nFormat: {"salt":"${salt}","result":number}`,
-      v: (r) => r?.salt === salt && r?.result === answer
+      expected: { salt, result: answer },
+      fields: (is) => ({ result: (value) => is.number(value, answer) })
     };
   },
   
@@ -34,7 +76,8 @@ const GENERATORS = {
     const answer = x > y ? 'GREATER' : x < y ? 'LESS' : 'EQUAL';
     return {
       q: `[REQ-${salt}] X=${x}, Y=${y}. Answer "GREATER" if X>Y, "LESS" if X<Y, "EQUAL" if X=Y.\nFormat: {"salt":"${salt}","answer":"..."}`,
-      v: (r) => r?.salt === salt && r?.answer === answer
+      expected: { salt, answer: answer },
+      fields: (is) => ({ answer: (value) => is.text(value, answer) })
     };
   },
   
@@ -49,7 +92,8 @@ const GENERATORS = {
     const count = items.filter(i => animals.includes(i)).length;
     return {
       q: `[REQ-${salt}] Count animals: ${items.join(', ')}\nFormat: {"salt":"${salt}","count":number}`,
-      v: (r) => r?.salt === salt && r?.count === count
+      expected: { salt, count: count },
+      fields: (is) => ({ count: (value) => is.number(value, count) })
     };
   },
   
@@ -60,7 +104,8 @@ const GENERATORS = {
     const next = [start+step*4, start+step*5];
     return {
       q: `[REQ-${salt}] Next 2 numbers: [${seq.join(', ')}, ?, ?]\nFormat: {"salt":"${salt}","next":[n1,n2]}`,
-      v: (r) => r?.salt === salt && Array.isArray(r?.next) && r.next[0] === next[0] && r.next[1] === next[1]
+      expected: { salt, next: next },
+      fields: (is) => ({ next: (value) => is.list(value, next, { items: 'number' }) })
     };
   },
   
@@ -70,7 +115,8 @@ const GENERATORS = {
     const rev = word.split('').reverse().join('');
     return {
       q: `[REQ-${salt}] Reverse the string: "${word}"\nFormat: {"salt":"${salt}","result":"..."}`,
-      v: (r) => r?.salt === salt && r?.result === rev
+      expected: { salt, result: rev },
+      fields: (is) => ({ result: (value) => is.text(value, rev) })
     };
   },
   
@@ -81,7 +127,8 @@ const GENERATORS = {
     const noun = nouns[seed % nouns.length];
     return {
       q: `[REQ-${salt}] Extract the color: "The ${color} ${noun} moved quickly"\nFormat: {"salt":"${salt}","color":"..."}`,
-      v: (r) => r?.salt === salt && r?.color === color
+      expected: { salt, color: color },
+      fields: (is) => ({ color: (value) => is.text(value, color) })
     };
   },
   
@@ -95,19 +142,90 @@ const GENERATORS = {
     const longest = words.reduce((a, b) => a.length >= b.length ? a : b);
     return {
       q: `[REQ-${salt}] Find longest word: ${words.join(', ')}\nFormat: {"salt":"${salt}","answer":"..."}`,
-      v: (r) => r?.salt === salt && r?.answer === longest
+      expected: { salt, answer: longest },
+      fields: (is) => ({ answer: (value) => is.text(value, longest) })
     };
   }
 };
 
 const TYPES = Object.keys(GENERATORS);
 
-function generateChallenge(nonce, index) {
+/**
+ * Build one challenge of the simple set
+ * @param {string} nonce
+ * @param {number} index - Position in the batch
+ * @param {Object} [options]
+ * @param {string|Object} [options.strictness] - Answer strictness, one level or { [type]: level }
+ * @param {boolean} [options.paraphrase=true] - Reword the question (English paraphrase table)
+ * @param {string|Buffer} [options.secret] - PRNG secret for the paraphrase stream
+ */
+function generateChallenge(nonce, index, { strictness, paraphrase = true, secret } = {}) {
   const type = TYPES[index % TYPES.length];
   const salt = createHash('sha256').update(nonce + index).digest('hex').slice(0, 6).toUpperCase();
   const seed = parseInt(nonce.slice(index * 2, index * 2 + 8), 16) || (index * 17);
-  const { q, v } = GENERATORS[type](salt, seed);
-  return { id: index, type, challenge: q, validate: v };
+  const { q, expected, fields } = GENERATORS[type](salt, seed);
+  const challenge = paraphrase
+    ? rephrase(q, createPrng(nonce, { secret, label: `simple:${index}:paraphrase` }), { locale: DEFAULT_LOCALE })
+    : q;
+  const is = createAnswerMatcher({ strictness: strictnessFor(strictness, type) });
+  return { id: index, type, challenge, expected, validate: is.validator(salt, fields(is)) };
+}
+
+/**
+ * Resolve the `challengeSource` option into a batch generator
+ * @param {'simple'|'nlp'|Object} source - Built-in set name, a registry from
+ *   createChallengeRegistry(), or a plain map shaped like CHALLENGE_TYPES
+ * @param {Object} [options]
+ * @param {string|Object} [options.strictness] - Answer strictness, one level or { [type]: level }
+ * @param {boolean} [options.paraphrase=true] - Reword challenge instructions (see paraphrase.js)
+ * @param {string|Buffer} [options.secret] - PRNG secret (see prng.js)
+ * @returns {Object} { registry, generate: (nonce, count, difficulty, locale) => { challenges, validators, expected } }
+ *   (the simple set is English-only, has no difficulty levels and ignores both)
+ */
+function resolveChallengeSource(source, options = {}) {
+  const { strictness, paraphrase = true, secret } = options;
+  if (source === 'simple') {
+    return {
+      registry: null,
+      generate: (nonce, count) => {
+        const challenges = [];
+        const validators = [];
+        const expected = [];
+        for (let i = 0; i < count; i++) {
+          const ch = generateChallenge(nonce, i, { strictness, paraphrase, secret });
+          challenges.push({ id: ch.id, type: ch.type, challenge: ch.challenge });
+          validators.push(ch.validate);
+          expected.push(ch.expected);
+        }
+        return { challenges, validators, expected };
+      }
+    };
+  }
+
+  let registry = null;
+  if (source === 'nlp') {
+    registry = defaultRegistry;
+  } else if (isChallengeRegistry(source)) {
+    registry = source;
+  } else if (source && typeof source === 'object' && Object.keys(source).length > 0) {
+    registry = createChallengeRegistry({ builtins: false, types: source });
+  }
+
+  if (!registry || registry.getTypes().length === 0) {
+    throw new Error(`Unknown challengeSource. Use ${CHALLENGE_SOURCES.join(', ')} or a challenge registry`);
+  }
+
+  return {
+    registry,
+    generate: (nonce, count, difficulty, locale) => {
+      const batch = generateBatch(nonce, count, { registry, difficulty, locale, strictness, paraphrase, secret });
+      return {
+        challenges: batch.challenges.map(c => ({ id: c.id, type: c.type, version: c.version, challenge: c.challenge_string })),
+        validators: batch.validators,
+        expected: batch.expected
+      };
+    }
+  };
 }
 
 /**
@@ -124,16 +242,100 @@ function verifySignature(data, signature, publicKey) {
 }
 
 /**
- * Derive public ID from public key
+ * Client IP from the socket (override getIp behind a proxy)
+ */
+function defaultGetIp(req) {
+  return req?.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Resolve the `rateLimit` option (false, true, limiter options or a limiter)
+ */
+function resolveRateLimiter(rateLimit) {
+  if (!rateLimit) return null;
+  if (typeof rateLimit.checkConnection === 'function') return rateLimit;
+  return createRateLimiter(rateLimit === true ? {} : rateLimit);
+}
+
+/**
+ * Ask the limiter, failing open if its store is unreachable
+ */
+async function askLimiter(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error('[AAP] Rate limiter unavailable:', error.message);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Ask the difficulty policy, falling back to its base level if its store is unreachable
+ */
+async function askPolicy(fn, fallback) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error('[AAP] Difficulty policy unavailable:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Generate an ephemeral secp256k1 signing key for the verifier
  */
-function derivePublicId(publicKey) {
-  return createHash('sha256').update(publicKey).digest('hex').slice(0, 16);
+function generateSigningKey() {
+  return generateKeyPairSync('ec', {
+    namedCurve: 'secp256k1',
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
 }
 
 // ============== WEBSOCKET SERVER ==============
 
 /**
  * Create AAP WebSocket verification server
+ * @param {Object} [options]
+ * @param {'batch'|'sequential'} [options.mode='batch'] - Mode advertised in the handshake
+ * @param {string[]} [options.modes] - Modes clients may negotiate (both by default)
+ * @param {number} [options.stepTimeMs=3000] - Per-answer deadline in sequential mode
+ * @param {'simple'|'nlp'|Object} [options.challengeSource='simple'] - Built-in simple set,
+ *   the default challenges.js registry ('nlp'), a per-server registry from
+ *   createChallengeRegistry(), or a plain map shaped like CHALLENGE_TYPES
+ * @param {boolean} [options.paraphrase=true] - Reword each challenge's instruction from its nonce
+ *   (synonyms, clause order, number words, filler sentences; see paraphrase.js) so fixed-regex
+ *   solvers fail. Answers are unchanged; false sends the template wording.
+ * @param {string|Buffer} [options.secret] - PRNG secret for challenge generation (see prng.js).
+ *   Per-process random by default; share it with replicas that rebuild this server's records.
+ * @param {string|Object} [options.difficulty] - Difficulty level for every attempt, or a
+ *   createDifficultyPolicy() instance that picks one per IP / publicId. The level's
+ *   profile sets challengeCount and totalTimeMs unless those are given explicitly.
+ * @param {string} [options.locale] - Locale advertised in the handshake (first of `locales` by default)
+ * @param {string[]} [options.locales=['en']] - Locales clients may negotiate (see getLocales();
+ *   anything but 'en' needs a registry challengeSource)
+ * @param {string|Object} [options.strictness] - How answers may be written ('strict', 'standard',
+ *   'lenient'; see normalize.js), one level or { [type]: level }. Default: each type's own.
+ * @param {boolean|string} [options.diagnostics=false] - Explain failed answers in `results`:
+ *   true / 'codes' adds `reason` (see REASON_CODES) and `field`, 'debug' also the expected
+ *   answer. 'debug' is reduced to 'codes' when NODE_ENV is "production".
+ * @param {number|null} [options.passThreshold=null] - Challenges that must pass: a count of
+ *   passed challenges (capped at the batch size), a fraction of the weighted score, or null
+ *   for all of them
+ * @param {Object} [options.weights] - { [type]: weight } for the confidence score (default 1 each)
+ * @param {number} [options.timeWeight=0.25] - How much response time discounts the attestation
+ *   strength stored with the session (see scoring.js)
+ * @param {boolean|Object} [options.rateLimit=false] - Enable the built-in limiter:
+ *   `true`, createRateLimiter() options, or a limiter instance
+ * @param {Function} [options.getIp] - (req) => client IP (default: socket address)
+ * @param {Object} [options.whitelist] - createWhitelist() instance checked at `ready`
+ * @param {Object} [options.keyRotation] - createKeyRotation() instance; revoked keys are refused
+ * @param {Object} [options.signingKey] - Verifier key pair { publicKey, privateKey } (PEM).
+ *   An ephemeral key is generated when omitted, so tokens only verify while this process lives.
+ * @param {string} [options.issuer] - `iss` claim of issued tokens
+ * @param {Object} [options.sessionStore] - Store from persistence.js for verified sessions (memory by default)
+ * @param {number} [options.sessionTtlMs=3600000] - Session / token lifetime
+ * @param {number} [options.sweepIntervalMs=60000] - How often expired sessions are swept (0 disables)
  */
 export function createAAPWebSocket(options = {}) {
   const {
@@ -144,33 +346,145 @@ export function createAAPWebSocket(options = {}) {
     totalTimeMs = TOTAL_TIME_MS,
     connectionTimeoutMs = CONNECTION_TIMEOUT_MS,
     requireSignature = true,  // v3.2: signature required by default
+    mode: defaultMode = 'batch',
+    modes = MODES,
+    stepTimeMs = STEP_TIME_MS,
+    challengeSource = 'simple',
+    paraphrase = true,
+    secret,
+    difficulty = null,
+    locales = [DEFAULT_LOCALE],
+    locale: defaultLocale = locales[0],
+    strictness,
+    diagnostics: diagnosticsOption = false,
+    passThreshold = DEFAULT_PASS_THRESHOLD,
+    weights = {},
+    timeWeight = DEFAULT_TIME_WEIGHT,
+    rateLimit = false,
+    getIp = defaultGetIp,
+    whitelist = null,
+    keyRotation = null,
+    signingKey = generateSigningKey(),
+    issuer = TOKEN_ISSUER,
+    sessionStore = createMemoryStore(),
+    sessionTtlMs = SESSION_TTL_MS,
+    sweepIntervalMs = SESSION_SWEEP_INTERVAL_MS,
     onVerified,
     onFailed
   } = options;
 
+  if (!modes.includes(defaultMode)) {
+    throw new Error(`Default mode "${defaultMode}" must be one of: ${modes.join(', ')}`);
+  }
+
+  const { registry, generate: generateChallenges } = resolveChallengeSource(challengeSource, { strictness, paraphrase, secret });
+  const sourceName = typeof challengeSource === 'string' ? challengeSource : 'custom';
+
+  locales.forEach(code => getLocale(code));  // Fail fast on unknown locales
+  (typeof strictness === 'string' ? [strictness] : Object.values(strictness || {})).forEach(checkStrictness);
+  const diagnostics = resolveDiagnostics(diagnosticsOption);
+  checkPassThreshold(passThreshold);
+  checkWeights(weights);
+  checkTimeWeight(timeWeight);
+  if (!locales.includes(defaultLocale)) {
+    throw new Error(`Default locale "${defaultLocale}" must be one of: ${locales.join(', ')}`);
+  }
+  if (!registry && locales.some(code => code !== DEFAULT_LOCALE)) {
+    throw new Error('The simple challenge set is English-only; use a registry challengeSource for other locales');
+  }
+  const rateLimiter = resolveRateLimiter(rateLimit);
+
+  const difficultyPolicy = isDifficultyPolicy(difficulty) ? difficulty : null;
+  const baseDifficulty = difficultyPolicy ? difficultyPolicy.base : (difficulty || DEFAULT_DIFFICULTY);
+  difficultyIndex(baseDifficulty);  // Fail fast on unknown levels
+
+  /**
+   * Batch size and time budget for a level
+   * (explicit challengeCount / totalTimeMs options win over the profile)
+   */
+  const planFor = (level) => {
+    const profile = difficulty ? DIFFICULTY_PROFILES[level] : {};
+    return {
+      level,
+      count: options.challengeCount ?? profile.count ?? challengeCount,
+      timeMs: options.totalTimeMs ?? profile.totalTimeMs ?? totalTimeMs
+    };
+  };
+  const basePlan = planFor(baseDifficulty);
+
   const wssOptions = server ? { server, path } : { port };
   const wss = new WebSocketServer(wssOptions);
-  const verifiedTokens = new Map();
+  const jwks = createJwks(signingKey.publicKey);
+  const kid = jwks.keys[0].kid;
+
+  // Sweep expired sessions (Redis expires them by TTL on its own)
+  const sweepTimer = sweepIntervalMs > 0
+    ? setInterval(() => {
+        Promise.resolve(sessionStore.cleanup()).catch((error) => {
+          console.error('[AAP] Session sweep failed:', error.message);
+        });
+        if (rateLimiter) {
+          Promise.resolve(rateLimiter.cleanup()).catch((error) => {
+            console.error('[AAP] Rate limit sweep failed:', error.message);
+          });
+        }
+        if (difficultyPolicy?.cleanup) {
+          Promise.resolve(difficultyPolicy.cleanup()).catch((error) => {
+            console.error('[AAP] Difficulty sweep failed:', error.message);
+          });
+        }
+      }, sweepIntervalMs)
+    : null;
+  sweepTimer?.unref?.();
+
+  wss.on('connection', async (ws, req) => {
+    const ip = getIp(req);
+    let connTimer = null;
+    let stepTimer = null;
+
+    // Attached before any await so a socket that errors or closes early is handled
+    ws.on('close', () => {
+      clearTimeout(connTimer);
+      clearTimeout(stepTimer);
+    });
+    ws.on('error', () => {
+      clearTimeout(connTimer);
+      clearTimeout(stepTimer);
+    });
+
+    if (rateLimiter) {
+      const verdict = await askLimiter(() => rateLimiter.checkConnection(ip));
+      if (!verdict.allowed) {
+        sendRateLimited(ws, verdict);
+        return;
+      }
+    }
+    if (ws.readyState !== 1) return;
 
-  wss.on('connection', (ws) => {
     const sessionId = randomBytes(16).toString('hex');
     const nonce = randomBytes(16).toString('hex');
+    let plan = basePlan;
     let challenges = [];
     let validators = [];
+    let expected = [];
     let challengesSentAt = null;
     let publicKey = null;
     let publicId = null;
+    let agentId = null;
+    let keyProven = false;  // A signature from publicKey has verified
     let answered = false;
+    let readySeen = false;
+    let activeMode = null;
+    let activeLocale = defaultLocale;
 
-    // Generate challenges
-    for (let i = 0; i < challengeCount; i++) {
-      const ch = generateChallenge(nonce, i);
-      challenges.push({ id: ch.id, type: ch.type, challenge: ch.challenge });
-      validators.push(ch.validate);
-    }
+    // Sequential mode state
+    let step = 0;
+    let stepSentAt = null;
+    const stepResults = [];
+    const timings = [];
 
     // Connection timeout
-    const connTimer = setTimeout(() => {
+    connTimer = setTimeout(() => {
       send(ws, { type: 'error', code: 'TIMEOUT', message: 'Connection timeout' });
       ws.close();
     }, connectionTimeoutMs);
@@ -181,14 +495,208 @@ export function createAAPWebSocket(options = {}) {
       sessionId,
       protocol: 'AAP',
       version: PROTOCOL_VERSION,
-      mode: 'batch',
-      challengeCount,
-      totalTimeMs,
+      mode: defaultMode,
+      modes,
+      challengeCount: basePlan.count,
+      totalTimeMs: basePlan.timeMs,
+      stepTimeMs,
+      challengeSource: sourceName,
+      ...(difficulty && { difficulty: difficultyPolicy ? 'adaptive' : baseDifficulty }),
+      locale: defaultLocale,
+      locales,
       requireSignature,
-      message: 'Send {"type":"ready","publicKey":"..."} to receive challenges.'
+      message: 'Send {"type":"ready","publicKey":"...","mode":"batch|sequential","locale":"..."} to receive challenges.'
     });
 
-    ws.on('message', (data) => {
+    /**
+     * Send a failed result and close
+     */
+    const fail = (result) => {
+      answered = true;
+      clearTimeout(connTimer);
+      clearTimeout(stepTimer);
+      recordFailure();
+      if (onFailed) onFailed(result);
+      send(ws, result);
+      setTimeout(() => ws.close(), 300);
+    };
+
+    /**
+     * Send an error frame that ends the session before challenges
+     */
+    const refuse = (frame) => {
+      answered = true;
+      clearTimeout(connTimer);
+      send(ws, { type: 'error', ...frame });
+      setTimeout(() => ws.close(), 300);
+    };
+
+    /**
+     * Who the difficulty policy tracks (random anonymous IDs have no history)
+     */
+    const policySubject = () => ({ ip, publicId: publicKey ? publicId : undefined });
+
+    /**
+     * Who a verdict is charged to: the publicId only once its key has signed,
+     * since anyone can claim a public key in `ready`
+     */
+    const provenSubject = () => ({ ip, publicId: keyProven ? publicId : undefined });
+
+    /**
+     * Count a failed verification against this IP and, if proven, its publicId
+     */
+    const recordFailure = () => {
+      if (rateLimiter) askLimiter(() => rateLimiter.recordFailure(provenSubject()));
+      if (difficultyPolicy) askPolicy(() => difficultyPolicy.recordFailure(provenSubject()));
+    };
+
+    /**
+     * Check a signature over proof data, failing the session if it is bad
+     * @returns {boolean} True if the session may continue
+     */
+    const checkSignature = (proofData, signature) => {
+      if (!requireSignature) return true;
+
+      if (!signature) {
+        fail({ type: 'result', verified: false, message: 'Missing signature', code: 'MISSING_SIGNATURE', publicId });
+        return false;
+      }
+      if (!verifySignature(proofData, signature, publicKey)) {
+        fail({ type: 'result', verified: false, message: 'Invalid signature', code: 'INVALID_SIGNATURE', publicId });
+        return false;
+      }
+      keyProven = true;
+      return true;
+    };
+
+    /**
+     * `results` of a timed-out attempt: the given challenges fail with
+     * TIMEOUT after the ones already scored (only with diagnostics)
+     */
+    const timedOut = (ids, scored = []) => diagnostics
+      ? { results: [...scored, ...ids.map(id => ({ id, valid: false, reason: REASON_CODES.TIMEOUT }))] }
+      : {};
+
+    /**
+     * Score the answers, issue a session on success, send the result
+     */
+    const complete = async (results, elapsed, extra = {}) => {
+      answered = true;
+      clearTimeout(connTimer);
+
+      const { passed, confidence, verified: success } = scoreResults(results, {
+        types: challenges.map(c => c.type),
+        weights,
+        passThreshold
+      });
+      const timeBudgetMs = activeMode === 'sequential' ? stepTimeMs * plan.count : plan.timeMs;
+      const strength = attestationStrength({ confidence, responseTimeMs: elapsed, timeBudgetMs }, { timeWeight });
+      const result = {
+        type: 'result',
+        verified: success,
+        message: !success ? `Failed: ${passed}/${plan.count}`
+          : passed === plan.count ? 'All challenges passed' : `Passed: ${passed}/${plan.count}`,
+        publicId,
+        agentId,
+        mode: activeMode,
+        passed,
+        total: plan.count,
+        confidence,
+        ...(difficulty && { difficulty: plan.level }),
+        locale: activeLocale,
+        results,
+        responseTimeMs: elapsed,
+        ...extra
+      };
+      
+      if (success) {
+        const verifiedAt = Date.now();
+        const expiresAt = verifiedAt + sessionTtlMs;
+        
+        result.role = 'AI_AGENT';
+        result.strength = strength;
+        result.sessionToken = createAttestationToken({
+          iss: issuer,
+          sub: publicId,
+          iat: Math.floor(verifiedAt / 1000),
+          exp: Math.floor(expiresAt / 1000),
+          jti: randomBytes(16).toString('hex'),
+          role: 'AI_AGENT',
+          publicId,
+          agentId,
+          verifiedAt,
+          expiresAt,
+          responseTimeMs: elapsed,
+          mode: activeMode,
+          protocol: 'AAP',
+          version: PROTOCOL_VERSION
+        }, signingKey.privateKey, { kid });
+        result.expiresAt = expiresAt;
+        
+        try {
+          await sessionStore.set(result.sessionToken, {
+            publicId,
+            agentId,
+            publicKey,
+            nonce,
+            mode: activeMode,
+            verifiedAt,
+            expiresAt,
+            responseTimeMs: elapsed,
+            ...(difficulty && { difficulty: plan.level }),
+            locale: activeLocale,
+            confidence,
+            strength
+          }, sessionTtlMs);
+        } catch (error) {
+          console.error('[AAP] Could not store session:', error.message);
+        }
+        
+        if (difficultyPolicy) askPolicy(() => difficultyPolicy.recordSuccess(provenSubject()));
+        if (onVerified) onVerified(result);
+      } else {
+        recordFailure();
+        if (onFailed) onFailed(result);
+      }
+      
+      send(ws, result);
+      setTimeout(() => ws.close(), 300);
+    };
+
+    /**
+     * Sequential mode: send the current step with its own deadline
+     */
+    const sendStep = () => {
+      stepSentAt = Date.now();
+      send(ws, {
+        type: 'challenge',
+        nonce,
+        index: step,
+        total: plan.count,
+        challenge: challenges[step],
+        timeMs: stepTimeMs,
+        expiresAt: stepSentAt + stepTimeMs
+      });
+
+      stepTimer = setTimeout(() => {
+        fail({
+          type: 'result',
+          verified: false,
+          message: `Too slow: no answer to challenge ${step} within ${stepTimeMs}ms`,
+          code: 'TOO_SLOW',
+          publicId,
+          mode: activeMode,
+          step,
+          timings,
+          ...timedOut([challenges[step].id], stepResults)
+        });
+      }, stepTimeMs);
+    };
+
+    /**
+     * Handle one client frame
+     */
+    const handleMessage = async (data) => {
       let msg;
       try {
         msg = JSON.parse(data.toString());
@@ -197,29 +705,97 @@ export function createAAPWebSocket(options = {}) {
         return;
       }
 
-      if (msg.type === 'ready' && !challengesSentAt) {
+      if (msg.type === 'ready' && !readySeen) {
         // v3.2: publicKey required
         if (requireSignature && !msg.publicKey) {
           send(ws, { type: 'error', code: 'MISSING_PUBLIC_KEY', message: 'publicKey required for signature verification' });
           return;
         }
+
+        // Clients that predate mode negotiation only speak batch
+        const requestedMode = msg.mode || 'batch';
+        if (!modes.includes(requestedMode)) {
+          send(ws, {
+            type: 'error',
+            code: 'UNSUPPORTED_MODE',
+            message: `Mode "${requestedMode}" not supported. Supported: ${modes.join(', ')}`,
+            modes
+          });
+          return;
+        }
+        const requestedLocale = msg.locale || defaultLocale;
+        if (!locales.includes(requestedLocale)) {
+          send(ws, {
+            type: 'error',
+            code: 'UNSUPPORTED_LOCALE',
+            message: `Locale "${requestedLocale}" not supported. Supported: ${locales.join(', ')}`,
+            locales
+          });
+          return;
+        }
+        activeMode = requestedMode;
+        activeLocale = requestedLocale;
+        readySeen = true;
         
         publicKey = msg.publicKey || null;
         publicId = publicKey ? derivePublicId(publicKey) : 'anon-' + randomBytes(4).toString('hex');
+
+        // Locked-out agents get no challenges to farm
+        if (rateLimiter && publicKey) {
+          const verdict = await askLimiter(() => rateLimiter.checkPublicId(publicId));
+          if (!verdict.allowed) {
+            answered = true;
+            clearTimeout(connTimer);
+            sendRateLimited(ws, verdict);
+            return;
+          }
+        }
+
+        // Revoked keys and unknown agents are refused before any challenge
+        // (wait for stored entries on the first connections after a restart)
+        await Promise.all([whitelist?.ready, keyRotation?.ready]);
+
+        if (keyRotation && publicKey && await keyRotation.isRevoked(publicKey)) {
+          refuse({ code: 'KEY_REVOKED', message: 'Public key has been revoked', publicId });
+          return;
+        }
+
+        // Rotated keys keep the stable agent ID of their chain
+        agentId = (keyRotation && publicKey && await keyRotation.resolveAgent(publicKey)) || publicId;
+
+        if (whitelist && !(await whitelist.isAllowed(agentId))) {
+          await whitelist.recordAttempt(agentId, { ip, publicKey, timestamp: Date.now() });
+          refuse({ code: 'NOT_ALLOWED', message: 'Agent not in whitelist', publicId });
+          return;
+        }
+
+        // Level, size and time budget depend on the agent's recent history
+        if (difficultyPolicy) {
+          const level = await askPolicy(() => difficultyPolicy.resolve(policySubject()), baseDifficulty);
+          plan = planFor(level);
+        }
+        ({ challenges, validators, expected } = generateChallenges(nonce, plan.count, plan.level, activeLocale));
+
         challengesSentAt = Date.now();
+
+        if (activeMode === 'sequential') {
+          sendStep();
+          return;
+        }
         
         // Send all challenges at once
         send(ws, {
           type: 'challenges',
           nonce,
           challenges,
-          totalTimeMs,
-          expiresAt: challengesSentAt + totalTimeMs
+          totalTimeMs: plan.timeMs,
+          ...(difficulty && { difficulty: plan.level }),
+          locale: activeLocale,
+          expiresAt: challengesSentAt + plan.timeMs
         });
       }
-      else if (msg.type === 'answers' && challengesSentAt && !answered) {
+      else if (msg.type === 'answers' && activeMode === 'batch' && challengesSentAt && !answered) {
         answered = true;
-        clearTimeout(connTimer);
         
         const elapsed = Date.now() - challengesSentAt;
         const answers = msg.answers || [];
@@ -227,112 +803,166 @@ export function createAAPWebSocket(options = {}) {
         const timestamp = msg.timestamp;
 
         // v3.2: Verify signature first
-        if (requireSignature) {
-          if (!signature) {
-            const result = {
-              type: 'result',
-              verified: false,
-              message: 'Missing signature',
-              code: 'MISSING_SIGNATURE',
-              publicId
-            };
-            if (onFailed) onFailed(result);
-            send(ws, result);
-            setTimeout(() => ws.close(), 300);
-            return;
-          }
-          
-          // Create proof data for verification
-          const proofData = JSON.stringify({ nonce, answers, publicId, timestamp });
-          
-          if (!verifySignature(proofData, signature, publicKey)) {
-            const result = {
-              type: 'result',
-              verified: false,
-              message: 'Invalid signature',
-              code: 'INVALID_SIGNATURE',
-              publicId
-            };
-            if (onFailed) onFailed(result);
-            send(ws, result);
-            setTimeout(() => ws.close(), 300);
-            return;
-          }
-        }
+        const proofData = JSON.stringify({ nonce, answers, publicId, timestamp });
+        if (!checkSignature(proofData, signature)) return;
         
         // Too slow?
-        if (elapsed > totalTimeMs) {
-          const result = {
+        if (elapsed > plan.timeMs) {
+          fail({
             type: 'result',
             verified: false,
-            message: `Too slow: ${elapsed}ms > ${totalTimeMs}ms`,
+            message: `Too slow: ${elapsed}ms > ${plan.timeMs}ms`,
             code: 'TOO_SLOW',
             publicId,
-            responseTimeMs: elapsed
-          };
-          if (onFailed) onFailed(result);
-          send(ws, result);
-          setTimeout(() => ws.close(), 300);
+            responseTimeMs: elapsed,
+            ...timedOut(challenges.map(c => c.id))
+          });
           return;
         }
         
         // Validate all answers
-        let passed = 0;
-        const results = [];
-        for (let i = 0; i < challengeCount; i++) {
-          const valid = validators[i](answers[i]);
-          if (valid) passed++;
-          results.push({ id: i, valid });
+        const { results } = validateBatch(validators, answers, { diagnostics, expected });
+        await complete(results, elapsed);
+      }
+      else if (msg.type === 'answer' && activeMode === 'sequential' && stepSentAt && !answered) {
+        // Answers must arrive for the step that is currently open
+        if (msg.id !== challenges[step].id) {
+          send(ws, { type: 'error', code: 'UNEXPECTED_ANSWER', message: `Expected answer for challenge ${challenges[step].id}` });
+          return;
         }
+        clearTimeout(stepTimer);
         
-        const success = passed === challengeCount;
-        const result = {
-          type: 'result',
-          verified: success,
-          message: success ? 'All challenges passed' : `Failed: ${passed}/${challengeCount}`,
-          publicId,
-          passed,
-          total: challengeCount,
-          results,
-          responseTimeMs: elapsed
-        };
-        
-        if (success) {
-          result.role = 'AI_AGENT';
-          result.sessionToken = randomBytes(32).toString('hex');
-          
-          verifiedTokens.set(result.sessionToken, {
+        const receivedAt = Date.now();
+        const elapsed = receivedAt - stepSentAt;
+        const { id, answer, signature, timestamp } = msg;
+        timings.push({ id, sentAt: stepSentAt, receivedAt, responseTimeMs: elapsed });
+
+        // Each step is signed on its own
+        const proofData = JSON.stringify({ nonce, id, answer, publicId, timestamp });
+        if (!checkSignature(proofData, signature)) return;
+
+        if (elapsed > stepTimeMs) {
+          fail({
+            type: 'result',
+            verified: false,
+            message: `Too slow: challenge ${id} took ${elapsed}ms > ${stepTimeMs}ms`,
+            code: 'TOO_SLOW',
             publicId,
-            publicKey,
-            nonce,
-            verifiedAt: Date.now(),
-            expiresAt: Date.now() + 3600000,
-            responseTimeMs: elapsed
+            mode: activeMode,
+            step,
+            timings,
+            ...timedOut([id], stepResults)
           });
-          
-          if (onVerified) onVerified(result);
-        } else {
-          if (onFailed) onFailed(result);
+          return;
         }
-        
-        send(ws, result);
-        setTimeout(() => ws.close(), 300);
+
+        const [verdict] = validateBatch([validators[step]], [answer], {
+          diagnostics,
+          expected: [expected[step]]
+        }).results;
+        stepResults.push({ ...verdict, id });
+        step++;
+
+        if (step < plan.count) {
+          sendStep();
+          return;
+        }
+
+        const total = timings.reduce((sum, t) => sum + t.responseTimeMs, 0);
+        await complete(stepResults, total, { timings });
       }
-    });
+    };
 
-    ws.on('close', () => clearTimeout(connTimer));
-    ws.on('error', () => clearTimeout(connTimer));
+    // A frame that throws (a failing whitelist, key history or challenge
+    // generator) ends this session with an error frame, never the process
+    ws.on('message', async (data) => {
+      try {
+        await handleMessage(data);
+      } catch (error) {
+        console.error('[AAP] Could not handle message:', error.message);
+        clearTimeout(stepTimer);
+        refuse({ code: 'SERVER_ERROR', message: 'The verifier could not process this request' });
+      }
+    });
   });
 
+  /**
+   * Look up a live session (expired entries count as missing)
+   */
+  const getSessionAsync = async (token) => {
+    const session = await sessionStore.get(token);
+    if (!session) return null;
+    if (Date.now() >= session.expiresAt) {
+      await sessionStore.delete(token);
+      return null;
+    }
+    return session;
+  };
+
   return {
     wss,
-    verifiedTokens,
-    close: () => wss.close(),
-    isVerified: (token) => {
-      const session = verifiedTokens.get(token);
-      return session && Date.now() < session.expiresAt;
+    sessionStore,
+    rateLimiter,
+    registry,
+    difficultyPolicy,
+    close: () => {
+      if (sweepTimer) clearInterval(sweepTimer);
+      wss.close();
+    },
+    /**
+     * Whether a token belongs to a live session
+     * @param {string} token
+     * @returns {Promise<boolean>}
+     */
+    checkSession: async (token) => Boolean(await getSessionAsync(token)),
+    getSessionAsync,
+
+    // Removed in 4.0: sessions live in an async store. These throw so that an
+    // unawaited check such as `if (aap.isVerified(token))` cannot pass
+    isVerified: () => {
+      throw new Error('isVerified() was removed in 4.0; use `await aap.checkSession(token)`');
     },
-    getSession: (token) => verifiedTokens.get(token)
+    getSession: () => {
+      throw new Error('getSession() was removed in 4.0; use `await aap.getSessionAsync(token)`');
+    },
+    
+    /**
+     * Revoke a session on this verifier. The token itself stays a valid
+     * signature offline until it expires, so keep `sessionTtlMs` short
+     * when downstream services do not call back.
+     * @param {string} token
+     * @returns {Promise<boolean>} True if a session was removed
+     */
+    revokeSession: async (token) => {
+      if (!(await sessionStore.has(token))) return false;
+      await sessionStore.delete(token);
+      return true;
+    },
+    
+    /**
+     * List live sessions for an agent
+     * @param {string} publicId
+     * @returns {Promise<Object[]>} [{ token, ...session }]
+     */
+    listSessions: async (publicId) => {
+      const sessions = [];
+      for (const token of await sessionStore.keys()) {
+        const session = await getSessionAsync(token);
+        if (session && session.publicId === publicId) {
+          sessions.push({ token, ...session });
+        }
+      }
+      return sessions;
+    },
+    
+    /** Verifier public key (PEM) used to sign session tokens */
+    publicKey: signingKey.publicKey,
+    
+    /** JWKS document for offline token validation */
+    getJwks: () => jwks,
+    
+    /** Validate a session token signature and expiry */
+    verifyToken: (token) => verifyAttestationToken(token, jwks, { issuer })
   };
 }
 
@@ -340,4 +970,19 @@ function send(ws, data) {
   if (ws.readyState === 1) ws.send(JSON.stringify(data));
 }
 
-export default { createAAPWebSocket, PROTOCOL_VERSION, CHALLENGE_COUNT, TOTAL_TIME_MS };
+/**
+ * Send a structured RATE_LIMITED error frame and close
+ */
+function sendRateLimited(ws, verdict) {
+  send(ws, {
+    type: 'error',
+    code: 'RATE_LIMITED',
+    reason: verdict.reason,
+    message: 'Too many attempts. Try again later.',
+    retryAfterMs: verdict.retryAfterMs,
+    retryAfter: Math.ceil(verdict.retryAfterMs / 1000)
+  });
+  setTimeout(() => ws.close(), 300);
+}
+
+export default { createAAPWebSocket, PROTOCOL_VERSION, CHALLENGE_COUNT, TOTAL_TIME_MS, STEP_TIME_MS, MODES, CHALLENGE_SOURCES, SESSION_TTL_MS, SESSION_SWEEP_INTERVAL_MS };
@@ -2,26 +2,150 @@
  * AAP Whitelist & Key Management
  * 
  * Optional: Maintain list of trusted agent public IDs
+ *
+ * Both managers keep a synchronous in-memory view. With a `store` from
+ * createStore() they load it at startup (`ready`) and write every change
+ * through to it, so approvals and key history survive restarts.
  */
 
+import { createHash } from 'node:crypto';
+import { verifyRotationStatement } from 'aap-agent-core/crypto';
+
+export const WHITELIST_DOCUMENT_VERSION = 1;
+export const MAX_PENDING = 1000;
+export const PENDING_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // 7 days
+export const PENDING_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Public ID of a key as the WebSocket server derives it (16 hex chars of its
+ * SHA-256). Whitelist entries and agent IDs all use this form.
+ * @param {string} publicKey - PEM-encoded public key
+ * @returns {string}
+ */
+export function derivePublicId(publicKey) {
+  return createHash('sha256').update(publicKey).digest('hex').slice(0, 16);
+}
+
+/**
+ * Write-through helper around a persistence store.
+ * Writes run in the background; flush() waits for the ones in flight.
+ */
+function createWriteThrough(store, label) {
+  const inFlight = new Set();
+
+  const track = (promise) => {
+    const tracked = promise
+      .catch(error => console.error(`[AAP] Could not persist ${label}:`, error.message))
+      .finally(() => inFlight.delete(tracked));
+    inFlight.add(tracked);
+  };
+
+  return {
+    write(key, data, ttlMs = 0) {
+      // ttlMs 0 = keep until deleted
+      if (store) track(Promise.resolve().then(() => store.set(key, data, ttlMs)));
+    },
+
+    remove(key) {
+      if (store) track(Promise.resolve().then(() => store.delete(key)));
+    },
+
+    async load(prefix) {
+      if (!store) return [];
+      const keys = (await store.keys()).filter(key => key.startsWith(prefix));
+      const entries = await Promise.all(keys.map(async key => [key.slice(prefix.length), await store.get(key)]));
+      return entries.filter(([, data]) => data);
+    },
+
+    async flush() {
+      while (inFlight.size > 0) {
+        await Promise.all(inFlight);
+      }
+    }
+  };
+}
+
 /**
  * Create a whitelist manager
  * @param {Object} options
  * @param {boolean} [options.enabled=false] - Enable whitelist enforcement
  * @param {string[]} [options.allowedIds=[]] - Pre-approved public IDs
+ * @param {Object} [options.store] - Persistence store (createStore()); use a dedicated one
  * @param {Function} [options.onNewAgent] - Callback when new agent attempts verification
+ * @param {number} [options.maxPending=1000] - Pending approvals kept; the oldest make room
+ * @param {number} [options.pendingTtlMs=604800000] - Pending approvals expire this long after the last attempt
+ * @param {number} [options.pendingWriteIntervalMs=60000] - Repeat attempts are written to the store at most this often
  */
 export function createWhitelist(options = {}) {
   const {
     enabled = false,
     allowedIds = [],
-    onNewAgent = null
+    store = null,
+    onNewAgent = null,
+    maxPending = MAX_PENDING,
+    pendingTtlMs = PENDING_TTL_MS,
+    pendingWriteIntervalMs = PENDING_WRITE_INTERVAL_MS
   } = options;
 
   const whitelist = new Set(allowedIds);
-  const pendingApproval = new Map();  // publicId -> { firstSeen, attempts }
+  const pendingApproval = new Map();  // publicId -> { firstSeen, lastSeen, expiresAt, attempts }, oldest first
+  const savedAt = new Map();          // publicId -> when its pending record was last written
+  const persist = createWriteThrough(store, 'whitelist');
+
+  const dropPending = (publicId) => {
+    pendingApproval.delete(publicId);
+    savedAt.delete(publicId);
+    persist.remove(`pending:${publicId}`);
+  };
+
+  const sweepPending = (now) => {
+    for (const [publicId, record] of pendingApproval) {
+      if (now >= record.expiresAt) dropPending(publicId);
+    }
+  };
+
+  const ready = (async () => {
+    try {
+      for (const [publicId] of await persist.load('allowed:')) {
+        whitelist.add(publicId);
+      }
+      const now = Date.now();
+      const stored = (await persist.load('pending:'))
+        .map(([publicId, record]) => [publicId, {
+          ...record,
+          expiresAt: record.expiresAt ?? (record.lastSeen ?? record.firstSeen) + pendingTtlMs
+        }])
+        .sort(([, a], [, b]) => a.firstSeen - b.firstSeen);
+      for (const [publicId, record] of stored) {
+        if (whitelist.has(publicId)) continue;
+        if (now >= record.expiresAt) {
+          persist.remove(`pending:${publicId}`);
+          continue;
+        }
+        pendingApproval.set(publicId, record);
+        savedAt.set(publicId, now);
+      }
+      while (pendingApproval.size > maxPending) {
+        dropPending(pendingApproval.keys().next().value);
+      }
+    } catch (error) {
+      console.warn('[AAP] Could not load whitelist:', error.message);
+    }
+  })();
 
   return {
+    /**
+     * Resolves once stored entries are loaded
+     */
+    ready,
+
+    /**
+     * Wait for pending writes to reach the store
+     */
+    flush() {
+      return persist.flush();
+    },
+
     /**
      * Check if agent is allowed
      * @param {string} publicId
@@ -38,7 +162,11 @@ export function createWhitelist(options = {}) {
      */
     add(publicId) {
       whitelist.add(publicId);
-      pendingApproval.delete(publicId);
+      persist.write(`allowed:${publicId}`, { publicId, addedAt: Date.now() });
+
+      if (pendingApproval.has(publicId)) {
+        dropPending(publicId);
+      }
     },
 
     /**
@@ -47,6 +175,7 @@ export function createWhitelist(options = {}) {
      */
     remove(publicId) {
       whitelist.delete(publicId);
+      persist.remove(`allowed:${publicId}`);
     },
 
     /**
@@ -58,16 +187,26 @@ export function createWhitelist(options = {}) {
     },
 
     /**
-     * Record attempt from unknown agent
+     * Record attempt from unknown agent. New agents are stored right away;
+     * repeat attempts at most every `pendingWriteIntervalMs`.
      * @param {string} publicId
      * @param {Object} details
      */
     recordAttempt(publicId, details = {}) {
       if (!enabled) return;
+      const now = Date.now();
       
       let record = pendingApproval.get(publicId);
+      if (record && now >= record.expiresAt) {
+        dropPending(publicId);
+        record = null;
+      }
       if (!record) {
-        record = { firstSeen: Date.now(), attempts: 0, lastDetails: null };
+        sweepPending(now);
+        while (pendingApproval.size >= maxPending) {
+          dropPending(pendingApproval.keys().next().value);
+        }
+        record = { firstSeen: now, attempts: 0, lastDetails: null };
         pendingApproval.set(publicId, record);
         
         if (onNewAgent) {
@@ -77,19 +216,73 @@ export function createWhitelist(options = {}) {
       
       record.attempts++;
       record.lastDetails = details;
+      record.lastSeen = now;
+      record.expiresAt = now + pendingTtlMs;
+
+      if (!savedAt.has(publicId) || now - savedAt.get(publicId) >= pendingWriteIntervalMs) {
+        savedAt.set(publicId, now);
+        persist.write(`pending:${publicId}`, { ...record }, pendingTtlMs);
+      }
     },
 
     /**
-     * Get pending approvals
+     * Get pending approvals (expired ones are dropped)
      * @returns {Object[]}
      */
     getPending() {
+      sweepPending(Date.now());
       return [...pendingApproval.entries()].map(([id, data]) => ({
         publicId: id,
         ...data
       }));
     },
 
+    /**
+     * Export the whitelist as a JSON document (sorted, stable for diffs)
+     * @param {Object} [options]
+     * @param {boolean} [options.includePending=false] - Also export pending approvals
+     * @returns {string}
+     */
+    exportJSON(options = {}) {
+      const document = {
+        version: WHITELIST_DOCUMENT_VERSION,
+        allowed: [...whitelist].sort()
+      };
+
+      if (options.includePending) {
+        document.pending = this.getPending().sort((a, b) => a.publicId.localeCompare(b.publicId));
+      }
+
+      return JSON.stringify(document, null, 2) + '\n';
+    },
+
+    /**
+     * Import a whitelist JSON document
+     * @param {string|Object} json - Document from exportJSON()
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Remove IDs missing from the document
+     * @returns {Object} { added, removed }
+     */
+    importJSON(json, options = {}) {
+      const document = typeof json === 'string' ? JSON.parse(json) : json;
+
+      if (document?.version !== WHITELIST_DOCUMENT_VERSION) {
+        throw new Error(`Unsupported whitelist document version: ${document?.version}`);
+      }
+      if (!Array.isArray(document.allowed) || !document.allowed.every(id => typeof id === 'string')) {
+        throw new Error('Whitelist document needs an "allowed" array of public IDs');
+      }
+
+      const incoming = new Set(document.allowed);
+      const added = [...incoming].filter(id => !whitelist.has(id));
+      const removed = options.replace ? [...whitelist].filter(id => !incoming.has(id)) : [];
+
+      added.forEach(id => this.add(id));
+      removed.forEach(id => this.remove(id));
+
+      return { added, removed };
+    },
+
     /**
      * Middleware to enforce whitelist
      */
@@ -140,36 +333,165 @@ export function createWhitelist(options = {}) {
 /**
  * Key rotation helper for agents
  * 
- * Tracks key history and provides rotation utilities
+ * Tracks key history and provides rotation utilities.
+ * One stable agent ID (the server publicId of the agent's first key, see
+ * derivePublicId) maps to a chain of keys; each link is proven by a
+ * rotation statement signed with the outgoing key (see createRotationStatement in @aap/core).
  */
 export function createKeyRotation(options = {}) {
   const {
     maxKeyAge = 30 * 24 * 60 * 60 * 1000,  // 30 days default
-    onRotationNeeded = null
+    verifiedOnly = false,                    // Refuse unsigned registerKey() on known agents
+    allowGenesis = true,                     // Let rotate() start a chain for an unknown key
+    store = null,                            // Persistence store (createStore())
+    onRotationNeeded = null,
+    onRotated = null
   } = options;
 
-  const keyHistory = new Map();  // publicId -> { keys: [], currentIndex }
+  const keyHistory = new Map();  // agentId -> { keys: [], currentIndex }
+  const keyOwners = new Map();   // publicKey -> agentId
+  const revokedKeys = new Map(); // publicKey -> revokedAt
+  const persist = createWriteThrough(store, 'key history');
+
+  const save = (agentId) => persist.write(`agent:${agentId}`, keyHistory.get(agentId));
+
+  // Owners and revocations are derived from the stored histories
+  const ready = (async () => {
+    try {
+      for (const [agentId, history] of await persist.load('agent:')) {
+        keyHistory.set(agentId, history);
+        for (const record of history.keys) {
+          keyOwners.set(record.publicKey, agentId);
+          if (record.revokedAt !== null) revokedKeys.set(record.publicKey, record.revokedAt);
+        }
+      }
+    } catch (error) {
+      console.warn('[AAP] Could not load key history:', error.message);
+    }
+  })();
+
+  const addKey = (agentId, record) => {
+    let history = keyHistory.get(agentId);
+    if (!history) {
+      history = { keys: [], currentIndex: 0 };
+      keyHistory.set(agentId, history);
+    }
+
+    history.keys.push(record);
+    history.currentIndex = history.keys.length - 1;
+    keyOwners.set(record.publicKey, agentId);
+  };
+
+  const applyRotation = (statement, now) => {
+    const check = verifyRotationStatement(statement);
+    if (!check.valid) {
+      return { accepted: false, error: check.error };
+    }
+
+    const { oldPublicKey, newPublicKey, effectiveAt } = statement;
+
+    let agentId = keyOwners.get(oldPublicKey);
+    if (!agentId) {
+      // The statement's oldPublicId is the longer core ID; chains are keyed by the server's
+      agentId = derivePublicId(oldPublicKey);
+      if (!allowGenesis || keyHistory.has(agentId)) {
+        return { accepted: false, error: 'Unknown signing key' };
+      }
+      addKey(agentId, { publicKey: oldPublicKey, createdAt: effectiveAt, revokedAt: null });
+    }
+
+    const history = keyHistory.get(agentId);
+    const current = history.keys[history.currentIndex];
+
+    if (current.publicKey !== oldPublicKey) {
+      return { accepted: false, agentId, error: 'Signing key is not the current key' };
+    }
+    if (revokedKeys.has(oldPublicKey) && revokedKeys.get(oldPublicKey) <= now) {
+      return { accepted: false, agentId, error: 'Signing key is revoked' };
+    }
+    if (keyOwners.has(newPublicKey)) {
+      return { accepted: false, agentId, error: 'New key already registered' };
+    }
+    if (effectiveAt < current.createdAt) {
+      return { accepted: false, agentId, error: 'Rotation predates current key' };
+    }
+
+    // Archive the old key: it stops authenticating once the new one takes over
+    current.revokedAt = effectiveAt;
+    current.revokedReason = 'rotated';
+    revokedKeys.set(oldPublicKey, effectiveAt);
+
+    addKey(agentId, { publicKey: newPublicKey, createdAt: effectiveAt, revokedAt: null, statement });
+    save(agentId);
+
+    if (onRotated) {
+      onRotated(agentId, statement);
+    }
+
+    return { accepted: true, agentId };
+  };
 
   return {
     /**
-     * Register a key
-     * @param {string} publicId
+     * Resolves once stored key histories are loaded
+     */
+    ready,
+
+    /**
+     * Wait for pending writes to reach the store
+     */
+    flush() {
+      return persist.flush();
+    },
+
+    /**
+     * Register a key (trusted path: no proof is checked)
+     * @param {string} publicId - Agent ID
      * @param {string} publicKey
      * @param {number} [createdAt]
      */
     registerKey(publicId, publicKey, createdAt = Date.now()) {
-      let history = keyHistory.get(publicId);
-      if (!history) {
-        history = { keys: [], currentIndex: 0 };
-        keyHistory.set(publicId, history);
+      if (verifiedOnly && keyHistory.get(publicId)?.keys.length) {
+        throw new Error('Agent already has a key; rotate with a signed statement');
+      }
+
+      addKey(publicId, { publicKey, createdAt, revokedAt: null });
+      save(publicId);
+    },
+
+    /**
+     * Apply one or more rotation statements (oldest first)
+     * @param {Object|Object[]} statements - From Identity#rotate() / createRotationStatement()
+     * @param {number} [now]
+     * @returns {Object} { accepted, agentId?, error? } of the last statement applied
+     */
+    rotate(statements, now = Date.now()) {
+      const list = Array.isArray(statements) ? statements : [statements];
+      let result = { accepted: false, error: 'No rotation statement' };
+
+      for (const statement of list) {
+        // Replaying an already-applied link is harmless
+        const owner = keyOwners.get(statement?.newPublicKey);
+        if (owner && keyOwners.get(statement.oldPublicKey) === owner) {
+          result = { accepted: true, agentId: owner };
+          continue;
+        }
+
+        result = applyRotation(statement, now);
+        if (!result.accepted) break;
       }
 
-      history.keys.push({
-        publicKey,
-        createdAt,
-        revokedAt: null
-      });
-      history.currentIndex = history.keys.length - 1;
+      return result;
+    },
+
+    /**
+     * Resolve the stable agent ID for a key or agent ID
+     * @param {string} publicKeyOrId
+     * @returns {string|null}
+     */
+    resolveAgent(publicKeyOrId) {
+      if (keyOwners.has(publicKeyOrId)) return keyOwners.get(publicKeyOrId);
+      return keyHistory.has(publicKeyOrId) ? publicKeyOrId : null;
     },
 
     /**
@@ -214,7 +536,21 @@ export function createKeyRotation(options = {}) {
       const history = keyHistory.get(publicId);
       if (!history || !history.keys[keyIndex]) return;
       
-      history.keys[keyIndex].revokedAt = Date.now();
+      const now = Date.now();
+      history.keys[keyIndex].revokedAt = now;
+      revokedKeys.set(history.keys[keyIndex].publicKey, now);
+      save(publicId);
+    },
+
+    /**
+     * Check if a public key has been revoked or rotated out (under any agent)
+     * @param {string} publicKey
+     * @param {number} [now]
+     * @returns {boolean}
+     */
+    isRevoked(publicKey, now = Date.now()) {
+      const revokedAt = revokedKeys.get(publicKey);
+      return revokedAt !== undefined && revokedAt <= now;
     },
 
     /**
@@ -228,4 +564,11 @@ export function createKeyRotation(options = {}) {
   };
 }
 
-export default { createWhitelist, createKeyRotation };
+export default {
+  createWhitelist,
+  createKeyRotation,
+  WHITELIST_DOCUMENT_VERSION,
+  MAX_PENDING,
+  PENDING_TTL_MS,
+  PENDING_WRITE_INTERVAL_MS
+};
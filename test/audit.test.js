@@ -0,0 +1,274 @@
+/**
+ * AAP Answerability Audit Tests
+ *
+ * Built-in audits on crafted instances, redraws during generation and the
+ * auditGenerators() sweep
+ */
+
+import { randomBytes } from 'node:crypto';
+import { AUDIT_CODES, BUILTIN_AUDITS, sequenceRules, shapeCount } from '../packages/server/audit.js';
+import {
+  generate,
+  generateBatch,
+  rebuildValidators,
+  validateBatch,
+  drawChallenge,
+  createChallengeRegistry,
+  defaultRegistry,
+  MAX_DRAWS
+} from '../packages/server/challenges.js';
+import { auditGenerators, formatAuditReport } from '../packages/server/calibration.js';
+import { LOCALES, getLocales } from '../packages/server/locales/index.js';
+import { lit, op, assign, runProgram } from '../packages/server/programs.js';
+
+console.log('🧪 AAP Answerability Audit Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const codes = (issues) => issues.map(i => i.code);
+
+// ============== BUILT-IN AUDIT TESTS ==============
+console.log('\n📦 Built-in Audit Tests\n');
+
+await test('Extract and count flag words that belong to two categories', () => {
+  const { words } = LOCALES.en;
+  const orange = words.fruits.indexOf('orange');
+  const apple = words.fruits.indexOf('apple');
+  assert(orange >= 0 && words.colors.includes('orange'), 'Fixture: orange is a fruit and a color');
+
+  const extract = (targets, distractorCategory) => BUILTIN_AUDITS.nlp_extract({
+    facts: { category: 'fruits', distractorCategory, targets }
+  });
+  assert(codes(extract([apple, orange], 'colors')).includes(AUDIT_CODES.CATEGORY_COLLISION), 'Orange among colors');
+  assert(extract([apple, orange], 'animals').length === 0, 'Orange among animals is fine');
+  assert(extract([apple], 'colors').length === 0, 'Apple among colors is fine');
+
+  const count = BUILTIN_AUDITS.nlp_count({
+    facts: { category: 'fruits', categories: ['animals', 'colors'], targets: [orange] }
+  });
+  assert(codes(count).includes(AUDIT_CODES.CATEGORY_COLLISION), 'Count checks every distractor category');
+});
+
+await test('Math and logic flag fractions and rounding ties', () => {
+  const math = (template, value) => codes(BUILTIN_AUDITS.nlp_math({ facts: { template, value } }));
+  assert(math(0, 12.5).includes(AUDIT_CODES.NON_INTEGER), 'Fraction without rounding');
+  assert(math(0, 12).length === 0, 'Integer without rounding');
+  assert(math(1, 3.125).includes(AUDIT_CODES.ROUNDING_TIE), 'Two decimal places on .5');
+  assert(math(1, 3.127).length === 0, 'Two decimal places, no tie');
+  assert(math(3, 7.5).includes(AUDIT_CODES.ROUNDING_TIE), 'Nearest integer on .5');
+
+  const logic = (template, threshold) => codes(BUILTIN_AUDITS.nlp_logic({ facts: { template, threshold } }));
+  assert(logic(3, 41).includes(AUDIT_CODES.NON_INTEGER), 'Half of an odd threshold');
+  assert(logic(3, 40).length === 0 && logic(0, 41).length === 0, 'Even threshold or no halving');
+});
+
+await test('Multistep, pattern, transform and analysis flag ambiguous answers', () => {
+  const multistep = BUILTIN_AUDITS.nlp_multistep({ facts: { template: 1, numbers: [3, 3, 5, 8] } });
+  assert(codes(multistep).includes(AUDIT_CODES.DUPLICATE_ITEMS), 'Second-smallest of repeated numbers');
+  const rounded = BUILTIN_AUDITS.nlp_multistep({ facts: { template: 2, value: 10.5 } });
+  assert(codes(rounded).includes(AUDIT_CODES.ROUNDING_TIE), 'Rounded sum on .5');
+
+  assert(Object.keys(sequenceRules([1, 2, 3, 4])).length === 1, 'Arithmetic only');
+  const pattern = (sequence) => codes(BUILTIN_AUDITS.nlp_pattern({ facts: { sequence } }));
+  assert(pattern([2, 4, 6, 8]).length === 0, 'One rule');
+  // 0, 0, 0, 0 is arithmetic and Fibonacci with the same continuation
+  assert(pattern([0, 0, 0, 0]).length === 0, 'Two rules, one continuation');
+  assert(Object.keys(sequenceRules([1, 1, 2, 3])).length === 1, 'Fibonacci only');
+
+  const transform = BUILTIN_AUDITS.nlp_transform({ facts: { template: 0, input: 'abc' }, expected: { output: '' } });
+  assert(codes(transform).includes(AUDIT_CODES.EMPTY_ANSWER), 'Empty output');
+
+  const { animals } = LOCALES.en.words;
+  const a = animals.findIndex((w, i) => animals.some((v, j) => j !== i && v.length === w.length));
+  const tie = animals.findIndex((w, i) => i !== a && w.length === animals[a].length);
+  assert(a >= 0 && tie >= 0, 'Fixture: two animals of the same length');
+  const analysis = BUILTIN_AUDITS.nlp_analysis({ facts: { template: 0, positions: [a, tie] } });
+  assert(codes(analysis).includes(AUDIT_CODES.TIED_ANSWER), 'Two words tie for longest');
+  const repeated = BUILTIN_AUDITS.nlp_analysis({ facts: { template: 2, positions: [a, a] } });
+  assert(codes(repeated).includes(AUDIT_CODES.DUPLICATE_ITEMS), 'Repeated word');
+});
+
+await test('Table questions flag fruit-colored filters and tied item totals', () => {
+  const { colors } = LOCALES.en.words;
+  const table = (facts) => codes(BUILTIN_AUDITS.nlp_table({ facts }));
+  const rows = [{ item: 0, qty: 5 }, { item: 1, qty: 3 }, { item: 1, qty: 2 }];
+  assert(table({ template: 0, color: colors.indexOf('orange'), rows }).includes(AUDIT_CODES.CATEGORY_COLLISION), '"orange items"');
+  assert(table({ template: 0, color: colors.indexOf('red'), rows }).length === 0, '"red items"');
+  assert(table({ template: 1, color: colors.indexOf('orange'), rows }).length === 0, 'Count filters on country');
+  assert(table({ template: 2, color: 0, rows }).includes(AUDIT_CODES.TIED_ANSWER), 'Two items total 5');
+  assert(table({ template: 2, color: 0, rows: rows.slice(0, 2) }).length === 0, 'One largest total');
+});
+
+await test('Code snippets flag steps whose result depends on the language', () => {
+  const hazards = (program) => runProgram(program).hazards;
+  const snippet = (program, expected) => codes(BUILTIN_AUDITS.nlp_code({ facts: { hazards: hazards(program) }, expected }));
+
+  assert(snippet([assign('x', op('/', lit(7), lit(2)))], { answer: 3.5 }).includes(AUDIT_CODES.NON_INTEGER), '7 / 2');
+  assert(snippet([assign('x', op('%', lit(-7), lit(2)))], { answer: -1 }).includes(AUDIT_CODES.NEGATIVE_MODULO), '-7 % 2');
+  assert(snippet([assign('x', op('/', lit(8), lit(2)))], { answer: 4 }).length === 0, '8 / 2');
+  assert(snippet([assign('x', lit(''))], { answer: '' }).includes(AUDIT_CODES.EMPTY_ANSWER), 'Empty string');
+});
+
+await test('Instruction tasks flag words that fit the target and the distractor category', () => {
+  const { fruits, colors, animals } = LOCALES.en.words;
+  const instruct = (facts) => codes(BUILTIN_AUDITS.nlp_instruct({ facts }));
+  const tally = (distractorCategory, distractors) => instruct({
+    template: 1, category: 'colors', targets: [colors.indexOf('red')], distractorCategory, distractors
+  });
+  assert(tally('fruits', [fruits.indexOf('orange')]).includes(AUDIT_CODES.CATEGORY_COLLISION), 'Orange mentioned as a fruit');
+  assert(tally('fruits', [fruits.indexOf('apple')]).length === 0, 'Apple mentioned');
+  const pick = instruct({
+    template: 2, category: 'colors', targets: [colors.indexOf('orange')], distractorCategory: 'animals', distractors: [animals.indexOf('cat')]
+  });
+  assert(pick.length === 0, 'Orange among animals is fine');
+  assert(instruct({ template: 0 }).length === 0 && instruct({ template: 3 }).length === 0, 'Initials and multiples use no word pools');
+});
+
+await test('Grid questions flag diagonal ties and shapes that meet at a corner', () => {
+  const grid = (facts) => codes(BUILTIN_AUDITS.nlp_grid({ facts }));
+  assert(grid({ template: 2, diagonal: ['A', 'B', 'A', 'B'] }).includes(AUDIT_CODES.TIED_ANSWER), 'A and B twice each');
+  assert(grid({ template: 2, diagonal: ['A', 'B', 'A', 'A'] }).length === 0, 'A three times');
+
+  const corner = ['##..', '##..', '..#.', '....'];
+  assert(shapeCount(corner) === 2 && shapeCount(corner, { corners: true }) === 1, 'Two shapes, or one through the corner');
+  assert(grid({ template: 3, rows: corner }).includes(AUDIT_CODES.CORNER_CONTACT), 'Corner contact');
+  assert(grid({ template: 3, rows: ['##..', '....', '..##', '...#'] }).length === 0, 'Apart');
+  assert(grid({ template: 0 }).length === 0 && grid({ template: 4 }).length === 0, 'Counts and mazes are exact');
+});
+
+// ============== GENERATION TESTS ==============
+console.log('\n📦 Generation Tests\n');
+
+await test('Served instances pass their audit in every locale', () => {
+  for (let i = 0; i < 40; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    for (const type of defaultRegistry.getTypes()) {
+      const definition = defaultRegistry.get(type);
+      for (const locale of getLocales()) {
+        const { result } = drawChallenge(definition, nonce, { locale });
+        assert(definition.audit(result, { locale }).length === 0, `${type} (${locale}) clean`);
+        assert(generate(nonce, type, { locale }).challenge_string === result.challenge_string, `${type} (${locale}) served`);
+      }
+    }
+  }
+});
+
+await test('A flagged draw is replaced and validators rebuild to the replacement', () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('halves', {
+    generate: (nonce, rng) => {
+      const n = rng.int(1, 99);
+      return {
+        challenge_string: `What is half of ${n}?`,
+        expected: { answer: n / 2 },
+        validate: (solution) => JSON.parse(solution).answer === n / 2
+      };
+    },
+    audit: ({ expected }) => (Number.isInteger(expected.answer) ? [] : [{ code: AUDIT_CODES.NON_INTEGER }])
+  });
+
+  let redrawn = 0;
+  for (let i = 0; i < 20; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    const { result, rejected } = drawChallenge(registry.get('halves'), nonce);
+    redrawn += rejected.length > 0 ? 1 : 0;
+    assert(Number.isInteger(result.expected.answer), 'Served answer is whole');
+    assert(rejected.every(r => !Number.isInteger(r.instance.expected.answer)), 'Rejected answers are fractions');
+
+    const again = generate(nonce, 'halves', { registry });
+    assert(again.challenge_string === result.challenge_string, 'Same nonce, same served instance');
+  }
+  assert(redrawn > 0, 'Some first draws were odd');
+
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 5, { registry, secret: 's' });
+  const answers = batch.expected.map(expected => JSON.stringify(expected));
+  const validators = rebuildValidators(batch.record, { registry, secret: 's' });
+  assert(validateBatch(validators, answers).allPassed, 'Rebuilt validators accept the served answers');
+});
+
+await test(`Generation throws after ${MAX_DRAWS} flagged draws`, () => {
+  let draws = 0;
+  const registry = createChallengeRegistry({ builtins: false }).register('hopeless', {
+    generate: () => {
+      draws++;
+      return { challenge_string: 'Nothing', validate: () => false };
+    },
+    audit: () => [{ code: AUDIT_CODES.EMPTY_ANSWER }]
+  });
+
+  let error = null;
+  try {
+    generate('abc', 'hopeless', { registry });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /hopeless/.test(error.message) && /EMPTY_ANSWER/.test(error.message), error?.message);
+  assert(draws === MAX_DRAWS, `${draws} draws`);
+});
+
+await test('An audit that is not a function is rejected at registration', () => {
+  let error = null;
+  try {
+    createChallengeRegistry({ builtins: false }).register('bad', { generate: () => ({}), audit: 'yes' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /audit/.test(error.message), 'Throws');
+});
+
+// ============== SWEEP TESTS ==============
+console.log('\n📦 Sweep Tests\n');
+
+await test('auditGenerators() reports flag rates and no exhausted nonces', () => {
+  const report = auditGenerators({ nonces: 60, seed: 'sweep' });
+  assert(Object.keys(report.types).length === 12, 'Every built-in type');
+  for (const [type, stats] of Object.entries(report.types)) {
+    assert(stats.audited, `${type} has an audit`);
+    assert(stats.exhausted === 0, `${type} never exhausted`);
+    assert(stats.maxDraws >= 1 && stats.maxDraws < MAX_DRAWS, `${type} max draws ${stats.maxDraws}`);
+    const templateDraws = Object.values(stats.templates).reduce((sum, t) => sum + t.draws, 0);
+    assert(templateDraws === stats.draws, `${type} draws split by template`);
+  }
+  assert(report.types.nlp_analysis.flagged > 0, 'Ties are common in analysis');
+  assert(report.types.nlp_analysis.sample.issues.length > 0, 'With a sample');
+
+  const again = auditGenerators({ nonces: 60, seed: 'sweep' });
+  assert(JSON.stringify(again) === JSON.stringify(report), 'Same seed, same report');
+
+  const text = formatAuditReport(report);
+  assert(text.includes('nlp_analysis') && text.includes('TIED_ANSWER'), 'Formatted');
+});
+
+await test('Types without an audit are reported as such', () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('plain', {
+    generate: (nonce, rng) => ({ challenge_string: `Say ${rng.int(1, 9)}`, validate: () => true })
+  });
+  const report = auditGenerators({ registry, nonces: 5, seed: 'plain' });
+  assert(!report.types.plain.audited && report.types.plain.flagged === 0, 'Never flagged');
+  assert(formatAuditReport(report).includes('(no audit)'), 'Formatted');
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
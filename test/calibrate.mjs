@@ -0,0 +1,112 @@
+/**
+ * AAP Challenge Calibration (offline)
+ *
+ * Runs generated batches through a solver and prints per-type pass rates,
+ * answer lengths and ambiguous templates. No network access needed.
+ *
+ * Usage:
+ *   node test/calibrate.mjs [--batches 100] [--solver oracle|reference|noisy|replay]
+ *     [--error-rate 0.2] [--transcript answers.json] [--record out.json]
+ *     [--difficulty extreme] [--locale en] [--seed abc] [--json]
+ *   node test/calibrate.mjs --audit [--nonces 500] [--difficulty extreme] [--locale en] [--seed abc] [--json]
+ *
+ * --record saves the run's challenges and answers. Replace the answers with
+ * a model's and replay them with --solver replay --transcript <file>: the
+ * file's seed, batches, difficulty and locale regenerate the same challenges.
+ *
+ * oracle answers with the generator's expected answers; reference parses
+ * the challenge text (packages/server/solver.js).
+ *
+ * Exits with 1 when the oracle or reference solver fails anything or an
+ * ambiguous template is found, so it can gate generator changes in CI.
+ *
+ * --audit sweeps the generators' answerability audits instead (see
+ * packages/server/audit.js) and exits with 1 when a nonce could not be
+ * redrawn into an answerable instance.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+  runCalibration,
+  formatReport,
+  createOracleSolver,
+  createNoisySolver,
+  createReplaySolver,
+  auditGenerators,
+  formatAuditReport
+} from '../packages/server/calibration.js';
+import { createReferenceSolver } from '../packages/server/solver.js';
+
+// ============== ARGUMENTS ==============
+const args = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  const key = argv[i].replace(/^--/, '');
+  const next = argv[i + 1];
+  args[key] = next === undefined || next.startsWith('--') ? true : (i++, next);
+}
+
+// ============== AUDIT ==============
+if (args.audit) {
+  const report = auditGenerators({
+    nonces: Number(args.nonces || 500),
+    difficulty: args.difficulty,
+    locale: args.locale,
+    seed: args.seed
+  });
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatAuditReport(report));
+  process.exit(Object.values(report.types).some(stats => stats.exhausted > 0) ? 1 : 0);
+}
+
+// A recorded run supplies the settings that regenerate its challenges
+const recorded = args.transcript ? JSON.parse(readFileSync(args.transcript, 'utf8')) : null;
+const settings = Array.isArray(recorded) ? {} : { ...recorded, entries: undefined };
+
+function solverFrom(name) {
+  switch (name) {
+    case 'oracle':
+      return createOracleSolver();
+    case 'reference': {
+      const solve = createReferenceSolver({ testOnly: true, locale: args.locale ?? settings.locale });
+      return {
+        name: 'reference',
+        solve: async (challenge) => (await solve([{ type: challenge.type, challenge: challenge.challenge_string }]))[0]
+      };
+    }
+    case 'noisy':
+      return createNoisySolver(createOracleSolver(), { errorRate: Number(args['error-rate'] ?? 0.2), seed: args.seed });
+    case 'replay':
+      if (!args.transcript) {
+        console.error('❌ --solver replay needs --transcript <file>');
+        process.exit(1);
+      }
+      return createReplaySolver(Array.isArray(recorded) ? recorded : recorded.entries);
+    default:
+      console.error(`❌ Unknown solver: ${name}. Use oracle, reference, noisy or replay`);
+      process.exit(1);
+  }
+}
+
+// ============== RUN ==============
+const solverName = args.solver || 'oracle';
+const report = await runCalibration({
+  solver: solverFrom(solverName),
+  batches: Number(args.batches || settings.batches || 50),
+  difficulty: args.difficulty ?? settings.difficulty,
+  locale: args.locale ?? settings.locale,
+  seed: args.seed ?? settings.seed,
+  record: Boolean(args.record)
+});
+
+if (args.record) {
+  const { seed, batches, difficulty, locale, transcript: entries } = report;
+  writeFileSync(args.record, JSON.stringify({ seed, batches, difficulty, locale, entries }, null, 2));
+  console.error(`[AAP] Transcript written to ${args.record}`);
+  delete report.transcript;
+}
+
+console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+if (['oracle', 'reference'].includes(solverName) && (report.passRate < 1 || report.ambiguous.length > 0)) {
+  process.exit(1);
+}
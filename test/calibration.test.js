@@ -0,0 +1,143 @@
+/**
+ * AAP Calibration Tests
+ *
+ * Offline calibration harness: oracle, noisy and replay solvers,
+ * per-type reports and ambiguous template detection
+ */
+
+import {
+  runCalibration,
+  formatReport,
+  templateSignature,
+  createOracleSolver,
+  createNoisySolver,
+  createReplaySolver
+} from '../packages/server/calibration.js';
+import { createChallengeRegistry } from '../packages/server/challenges.js';
+import { getLocales } from '../packages/server/locales/index.js';
+
+console.log('🧪 AAP Calibration Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ============== SOLVER TESTS ==============
+console.log('\n📦 Solver Tests\n');
+
+await test('Oracle solver passes every built-in type in every locale', async () => {
+  for (const locale of getLocales()) {
+    const report = await runCalibration({ batches: 10, locale, seed: 'oracle' });
+    assert(report.passRate === 1, `${locale}: ${report.passed}/${report.challenges}`);
+    assert(Object.keys(report.types).length === 12, `${locale}: all types drawn`);
+    assert(report.ambiguous.length === 0, `${locale}: no ambiguous templates`);
+  }
+});
+
+await test('Noisy solver fails about errorRate of the answers, with reasons', async () => {
+  const solver = createNoisySolver(createOracleSolver(), { errorRate: 0.5, seed: 'noisy' });
+  const report = await runCalibration({ solver, batches: 20, seed: 'noisy' });
+  assert(report.passRate > 0.3 && report.passRate < 0.7, `Pass rate ${report.passRate}`);
+
+  const reasons = new Set(Object.values(report.types).flatMap(stats => Object.keys(stats.reasons)));
+  for (const code of ['PARSE_ERROR', 'MISSING_FIELD', 'WRONG_VALUE']) {
+    assert(reasons.has(code), `${code} reported`);
+  }
+  assert(report.ambiguous.length > 0, 'Low pass rates flag templates');
+
+  const clean = await runCalibration({ solver: createNoisySolver(createOracleSolver(), { errorRate: 0 }), batches: 3 });
+  assert(clean.passRate === 1, 'errorRate 0 changes nothing');
+
+  let error = null;
+  try {
+    createNoisySolver(createOracleSolver(), { errorRate: 2 });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /errorRate/.test(error.message), 'Invalid errorRate throws');
+});
+
+await test('Recorded transcripts replay against the same seed', async () => {
+  const recorded = await runCalibration({ batches: 5, seed: 'replay', record: true });
+  assert(recorded.transcript.length === recorded.challenges, 'Every challenge recorded');
+
+  const replayed = await runCalibration({ solver: createReplaySolver(recorded.transcript), batches: 5, seed: 'replay' });
+  assert(replayed.passRate === 1, `Replayed ${replayed.passed}/${replayed.challenges}`);
+
+  const partial = recorded.transcript.slice(1);
+  const missing = await runCalibration({ solver: createReplaySolver(partial), batches: 5, seed: 'replay' });
+  const parseErrors = Object.values(missing.types).reduce((sum, stats) => sum + (stats.reasons.PARSE_ERROR || 0), 0);
+  assert(missing.passed === recorded.challenges - 1 && parseErrors === 1, 'Unrecorded challenges get no answer');
+
+  const other = await runCalibration({ solver: createReplaySolver(recorded.transcript), batches: 5, seed: 'other' });
+  assert(other.passed === 0, 'Another seed draws other challenges');
+});
+
+// ============== REPORT TESTS ==============
+console.log('\n📦 Report Tests\n');
+
+await test('Reports are repeatable and summarize answer lengths', async () => {
+  const a = await runCalibration({ batches: 4, seed: 'same', difficulty: 'easy' });
+  const b = await runCalibration({ batches: 4, seed: 'same', difficulty: 'easy' });
+  assert(JSON.stringify(a) === JSON.stringify(b), 'Same seed, same report');
+  assert(a.challenges === 16, 'Easy batches have 4 challenges');
+
+  for (const [type, stats] of Object.entries(a.types)) {
+    const { min, p50, p90, max } = stats.answerLength;
+    assert(min > 0 && min <= p50 && p50 <= p90 && p90 <= max, `${type} length distribution`);
+  }
+
+  const text = formatReport(a);
+  assert(text.includes('Overall: 16/16') && text.includes(Object.keys(a.types)[0]), 'Formatted');
+});
+
+await test('Template signatures mask salts, numbers and pool words', () => {
+  const one = templateSignature('[REQ-A1B2C3] Start with 42. Subtract 7 from the cat, dog and fox.\nResponse format: {...}');
+  const two = templateSignature('[REQ-ZZ9911] Start with 130. Subtract 12 from the owl and bear.\nResponse format: {...}');
+  assert(one === two, `Same template (${one} / ${two})`);
+  assert(!one.includes('REQ') && !one.includes('Response format'), 'Salt and format line dropped');
+  assert(templateSignature('Reverse "abc1"') === templateSignature('Reverse "zz9x"'), 'Quoted inputs masked');
+});
+
+await test('A template whose validator disagrees is reported as ambiguous', async () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('parity', {
+    generate: (nonce, rng) => {
+      const n = rng.int(1, 99);
+      const odd = n % 2 === 1;
+      return {
+        challenge_string: odd ? `Is ${n} odd?` : `Is ${n} even?`,
+        // Bug: odd numbers expect "yes" but the validator wants "no"
+        validate: (solution) => JSON.parse(solution).answer === (odd ? 'no' : 'yes'),
+        expected: { answer: 'yes' }
+      };
+    }
+  });
+
+  const report = await runCalibration({ registry, batches: 20, count: 3, seed: 'parity' });
+  assert(report.templates === 2, `Two templates (${report.templates})`);
+  assert(report.ambiguous.length === 1 && report.ambiguous[0].template === 'Is # odd?', 'Odd template flagged');
+  assert(report.ambiguous[0].passRate === 0 && report.ambiguous[0].sample.reason === 'WRONG_VALUE', 'With a sample');
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -1,11 +1,30 @@
 /**
  * AAP Challenge Type Tests
  * 
- * Tests all 8 challenge types with valid and invalid responses
+ * Tests all 12 challenge types with valid and invalid responses
  */
 
 import { randomBytes } from 'node:crypto';
-import { generateBatch, generate, CHALLENGE_TYPES, getTypes } from '../packages/server/challenges.js';
+import {
+  generateBatch,
+  generate,
+  validateBatch,
+  rebuildValidators,
+  CHALLENGE_TYPES,
+  GENERATOR_VERSION,
+  DIFFICULTY_LEVELS,
+  DIFFICULTY_PROFILES,
+  getTypes,
+  defaultRegistry,
+  drawChallenge,
+  createChallengeRegistry,
+  registerChallengeType,
+  unregisterChallengeType
+} from '../packages/server/challenges.js';
+import { createPrng } from '../packages/server/prng.js';
+import { lit, ref, op, length, charAt, assign, loop, when, print, runProgram, renderProgram } from '../packages/server/programs.js';
+import { LOCALES, getLocales, parseNumber, normalizeWord } from '../packages/server/locales/index.js';
+import { shapeCount } from '../packages/server/audit.js';
 
 console.log('🧪 AAP Challenge Type Tests\n');
 console.log('='.repeat(60));
@@ -144,6 +163,668 @@ test('Batch is deterministic with same nonce', () => {
   }
 });
 
+// ============== STORED RECORD TESTS ==============
+console.log('\n📦 Stored Record Tests\n');
+
+test('Validators rebuilt from a serialized record match the originals', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 7);
+  const record = JSON.parse(JSON.stringify(batch.record));
+
+  assert(record.generatorVersion === GENERATOR_VERSION, 'Version stamped');
+  assert(record.types.join() === batch.challenges.map(c => c.type).join(), 'Types recorded');
+
+  const validators = rebuildValidators(record);
+  assert(validateBatch(validators, batch.expected).allPassed, 'Expected answers pass');
+
+  const wrong = batch.expected.map(e => ({ ...e, salt: 'WRONG1' }));
+  assert(validateBatch(validators, wrong).passed === 0, 'Wrong answers fail');
+});
+
+test('Records from other generator versions are refused', () => {
+  const { record } = generateBatch(randomBytes(16).toString('hex'), 7);
+  let error = null;
+  try {
+    rebuildValidators({ ...record, generatorVersion: '0.0' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /version/.test(error.message), 'Version mismatch rejected');
+});
+
+// ============== PRNG TESTS ==============
+console.log('\n📦 Keyed PRNG Tests\n');
+
+test('PRNG is deterministic per secret, seed and label', () => {
+  const draw = (seed, options) => {
+    const rng = createPrng(seed, options);
+    return Array.from({ length: 16 }, () => rng.uint32()).join();
+  };
+
+  assert(draw('n1', { secret: 's' }) === draw('n1', { secret: 's' }), 'Same inputs, same stream');
+  assert(draw('n1', { secret: 's' }) !== draw('n1', { secret: 't' }), 'Secret changes the stream');
+  assert(draw('n1', { secret: 's' }) !== draw('n2', { secret: 's' }), 'Seed changes the stream');
+  assert(draw('n1', { secret: 's', label: 'a' }) !== draw('n1', { secret: 's', label: 'b' }), 'Label separates streams');
+});
+
+test('PRNG integers are uniform', () => {
+  const rng = createPrng('uniformity', { secret: 'test' });
+  const counts = new Array(10).fill(0);
+  const draws = 20000;
+  for (let i = 0; i < draws; i++) counts[rng.int(0, 9)]++;
+
+  // Chi-square with 9 degrees of freedom; 27.88 is the 0.1% critical value
+  const expectedCount = draws / 10;
+  const chi2 = counts.reduce((sum, n) => sum + (n - expectedCount) ** 2 / expectedCount, 0);
+  assert(chi2 < 27.88, `chi2 = ${chi2.toFixed(2)}`);
+});
+
+test('PRNG sample returns distinct elements', () => {
+  const rng = createPrng('sample', { secret: 'test' });
+  for (let i = 0; i < 50; i++) {
+    const picked = rng.sample(['a', 'b', 'c', 'd', 'e'], 3);
+    assert(new Set(picked).size === 3, 'Distinct');
+  }
+});
+
+test('Shared secret lets another replica validate; other secrets fail', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 7, { secret: 'shared' });
+
+  assert(validateBatch(rebuildValidators(batch.record, { secret: 'shared' }), batch.expected).allPassed, 'Same secret');
+  assert(!validateBatch(rebuildValidators(batch.record, { secret: 'other' }), batch.expected).allPassed, 'Different secret');
+});
+
+test('Challenge text does not leak the nonce', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const { challenges } = generateBatch(nonce, 7, { secret: 'hidden' });
+
+  for (const { challenge_string } of challenges) {
+    const salt = challenge_string.match(/\[REQ-([A-F0-9]+)\]/)[1];
+    assert(!nonce.toUpperCase().includes(salt), 'Salt is not a nonce slice');
+  }
+});
+
+// ============== REGISTRY TESTS ==============
+console.log('\n📦 Challenge Registry Tests\n');
+
+const echoType = (version = '1') => ({
+  version,
+  difficulty: 'easy',
+  tags: ['test'],
+  generate: (nonce, rng) => {
+    const code = rng.string(6);
+    return {
+      challenge_string: `[REQ-${code.toUpperCase()}] Echo ${code}`,
+      expected: { code },
+      validate: (solution) => solution.includes(code)
+    };
+  }
+});
+
+test('Registered types are drawn by generateBatch and getTypes', () => {
+  registerChallengeType('test_echo', echoType());
+  try {
+    assert(getTypes().includes('test_echo'), 'Listed');
+    const nonce = randomBytes(16).toString('hex');
+    const batch = generateBatch(nonce, getTypes().length);
+    const echo = batch.challenges.find(c => c.type === 'test_echo');
+    assert(echo, 'Drawn into a batch with one of each type');
+    assert(echo.version === '1', 'Version stamped on the challenge');
+  } finally {
+    unregisterChallengeType('test_echo');
+  }
+  assert(!getTypes().includes('test_echo'), 'Unregistered');
+});
+
+test('Registries are independent per instance', () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('echo', echoType());
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 3, { registry });
+
+  assert(batch.challenges.every(c => c.type === 'echo'), 'Only the instance types');
+  assert(!getTypes().includes('echo'), 'Default registry untouched');
+  assert(registry.list()[0].difficulty === 'easy', 'Metadata listed');
+});
+
+test('Duplicate and malformed registrations are rejected', () => {
+  const registry = createChallengeRegistry();
+  const attempts = [
+    () => registry.register('nlp_math', echoType()),
+    () => registry.register('bad name', echoType()),
+    () => registry.register('no_generate', { version: '1' })
+  ];
+  for (const attempt of attempts) {
+    let error = null;
+    try {
+      attempt();
+    } catch (e) {
+      error = e;
+    }
+    assert(error, 'Rejected');
+  }
+  registry.register('nlp_math', echoType(), { replace: true });
+  assert(registry.get('nlp_math').tags[0] === 'test', 'Replace allowed explicitly');
+});
+
+test('Records from an older type version are refused', () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('echo', echoType('1'));
+  const { record, expected } = generateBatch(randomBytes(16).toString('hex'), 3, { registry });
+  assert(record.versions.every(v => v === '1'), 'Versions recorded');
+  assert(validateBatch(rebuildValidators(record, { registry }), expected.map(e => e.code)).allPassed, 'Same version verifies');
+
+  registry.register('echo', echoType('2'), { replace: true });
+  let error = null;
+  try {
+    rebuildValidators(record, { registry });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /version/.test(error.message), 'Version bump invalidates old records');
+});
+
+// ============== DIFFICULTY TESTS ==============
+console.log('\n📦 Difficulty Level Tests\n');
+
+test('Every level produces answerable batches of its profile size', () => {
+  for (const difficulty of DIFFICULTY_LEVELS) {
+    for (let i = 0; i < 10; i++) {
+      const batch = generateBatch(randomBytes(16).toString('hex'), undefined, { difficulty });
+      assert(batch.challenges.length === DIFFICULTY_PROFILES[difficulty].count, `${difficulty}: profile count`);
+      assert(batch.totalTimeMs === DIFFICULTY_PROFILES[difficulty].totalTimeMs, `${difficulty}: profile time`);
+      assert(validateBatch(batch.validators, batch.expected).allPassed, `${difficulty}: expected answers pass`);
+    }
+  }
+});
+
+test('Default level is extreme with the v2.6 burst size', () => {
+  const batch = generateBatch(randomBytes(16).toString('hex'));
+  assert(batch.difficulty === 'extreme', 'Default level');
+  assert(batch.challenges.length === 7, 'BATCH_SIZE challenges');
+});
+
+test('Levels scale operands, distractors and steps', () => {
+  const numbersIn = (text) => (text.match(/\[([\d, ]+)\]/)?.[1] || '').split(', ').map(Number);
+  const stats = (difficulty) => {
+    let maxOperand = 0, steps = 0, listed = 0;
+    for (let i = 0; i < 40; i++) {
+      const nonce = randomBytes(16).toString('hex');
+      const multistep = generate(nonce, 'nlp_multistep', { difficulty }).challenge_string;
+      steps = Math.max(steps, multistep.split('\n').filter(line => /^\d+\./.test(line)).length);
+      maxOperand = Math.max(maxOperand, ...numbersIn(multistep));
+      const count = generate(nonce, 'nlp_count', { difficulty }).challenge_string;
+      listed = Math.max(listed, count.match(/: ([^.]+)\./)[1].split(', ').length);
+    }
+    return { maxOperand, steps, listed };
+  };
+
+  const easy = stats('easy');
+  const extreme = stats('extreme');
+  assert(easy.maxOperand <= 12 && extreme.maxOperand > 12, 'Operand sizes');
+  assert(easy.steps < extreme.steps, 'Step counts');
+  assert(easy.listed < extreme.listed, 'Distractor counts');
+});
+
+test('Records keep the level and rebuild at it', () => {
+  const batch = generateBatch(randomBytes(16).toString('hex'), 5, { difficulty: 'easy' });
+  const record = JSON.parse(JSON.stringify(batch.record));
+  assert(record.difficulty === 'easy', 'Level recorded');
+  assert(validateBatch(rebuildValidators(record), batch.expected).allPassed, 'Rebuilt at the same level');
+  assert(!validateBatch(rebuildValidators({ ...record, difficulty: 'extreme' }), batch.expected).allPassed, 'Other level differs');
+});
+
+test('Unknown levels are rejected', () => {
+  let error = null;
+  try {
+    generateBatch(randomBytes(16).toString('hex'), 3, { difficulty: 'brutal' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /difficulty/.test(error.message), 'Rejected');
+});
+
+// ============== LOCALE TESTS ==============
+console.log('\n📦 Locale Tests\n');
+
+test('Every locale pack covers every template', () => {
+  const en = LOCALES.en;
+  for (const pack of Object.values(LOCALES)) {
+    for (const pool of Object.keys(en.words)) {
+      assert(pack.words[pool].length === en.words[pool].length, `${pack.code} ${pool} aligned`);
+    }
+    assert(pack.math.length === en.math.length, `${pack.code} math templates`);
+    assert(pack.transform.length === en.transform.length, `${pack.code} transform templates`);
+    assert(pack.logic.length === en.logic.length, `${pack.code} logic templates`);
+    assert(pack.analysis.length === en.analysis.length, `${pack.code} analysis templates`);
+    assert(pack.table.questions.length === en.table.questions.length, `${pack.code} table questions`);
+    assert(Object.keys(pack.program.languages).join() === Object.keys(en.program.languages).join(), `${pack.code} program languages`);
+    assert(pack.grid.questions.length === en.grid.questions.length, `${pack.code} grid questions`);
+  }
+});
+
+test('Batches in every locale pass with their expected answers', () => {
+  for (const locale of getLocales()) {
+    for (const difficulty of DIFFICULTY_LEVELS) {
+      for (let i = 0; i < 20; i++) {
+        const batch = generateBatch(randomBytes(16).toString('hex'), 8, { locale, difficulty });
+        assert(batch.locale === locale && batch.record.locale === locale, 'Locale recorded');
+        assert(validateBatch(batch.validators, batch.expected).allPassed, `${locale}/${difficulty} expected answers pass`);
+      }
+    }
+  }
+});
+
+test('Challenge text is localized', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const en = generate(nonce, 'nlp_count', { locale: 'en' }).challenge_string;
+  assert(/Response format/.test(en), 'English');
+  assert(/응답 형식/.test(generate(nonce, 'nlp_count', { locale: 'ko' }).challenge_string), 'Korean');
+  assert(/回答形式/.test(generate(nonce, 'nlp_count', { locale: 'ja' }).challenge_string), 'Japanese');
+  assert(/Formato de respuesta/.test(generate(nonce, 'nlp_count', { locale: 'es' }).challenge_string), 'Spanish');
+});
+
+test('Same nonce asks about the same concepts in every locale', () => {
+  for (let i = 0; i < 20; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    const en = generate(nonce, 'nlp_math', { locale: 'en' }).expected;
+    const ja = generate(nonce, 'nlp_math', { locale: 'ja' }).expected;
+    assert(en.salt === ja.salt && en.result === ja.result, 'Same numbers');
+
+    const enItems = generate(nonce, 'nlp_extract', { locale: 'en' }).expected.items;
+    const koItems = generate(nonce, 'nlp_extract', { locale: 'ko' }).expected.items;
+    // Korean words at the same pool positions ('orange' is in two pools)
+    const translations = (word) => ['animals', 'fruits', 'colors']
+      .filter(pool => LOCALES.en.words[pool].includes(word))
+      .map(pool => LOCALES.ko.words[pool][LOCALES.en.words[pool].indexOf(word)]);
+    assert(enItems.length === koItems.length, 'Same number of items');
+    assert(koItems.every(w => enItems.some(en => translations(en).includes(w))), 'Same words, translated');
+  }
+});
+
+test('Numeric answers are read the way the locale writes them', () => {
+  assert(parseNumber('１２', LOCALES.ja) === 12, 'Full-width digits');
+  assert(parseNumber('3개', LOCALES.ko) === 3, 'Korean counter');
+  assert(parseNumber('세 마리', LOCALES.ko) === 3, 'Korean native numeral with counter');
+  assert(parseNumber('ふたつ', LOCALES.ja) === 2, 'Japanese number word');
+  assert(parseNumber('5個', LOCALES.ja) === 5, 'Japanese counter');
+  assert(parseNumber('cinco', LOCALES.es) === 5, 'Spanish number word');
+  assert(parseNumber('3,5', LOCALES.es) === 3.5, 'Spanish decimal comma');
+  assert(parseNumber('seven', LOCALES.en) === 7, 'English number word');
+  assert(Number.isNaN(parseNumber('many', LOCALES.en)), 'Unreadable is NaN');
+  assert(parseNumber(' -4.5 ', LOCALES.en) === -4.5, 'Signed decimal');
+  for (const text of ['12 or 13', '12abc', '12, 13', '3.5.1', '', '.']) {
+    assert(Number.isNaN(parseNumber(text, LOCALES.en)), `"${text}" is NaN`);
+  }
+  assert(Number.isNaN(parseNumber('3개 또는 4개', LOCALES.ko)), 'Counter after a second number');
+});
+
+test('Localized answers pass the validators', () => {
+  let checked = 0;
+  for (let i = 0; i < 50 && checked < 5; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    const ko = generate(nonce, 'nlp_count', { locale: 'ko' });
+    const { salt, count } = ko.expected;
+    assert(ko.validate(JSON.stringify({ salt, count: `${count}개` })), 'Counter suffix');
+    const ja = generate(nonce, 'nlp_count', { locale: 'ja' });
+    assert(ja.validate(JSON.stringify({ salt, count: String(count).replace(/\d/g, d => String.fromCharCode(0xFF10 + +d)) })), 'Full-width digits');
+    assert(!ja.validate(JSON.stringify({ salt, count: count + 1 })), 'Wrong count fails');
+
+    const es = generate(nonce, 'nlp_analysis', { locale: 'es' });
+    const bare = es.expected.answer.normalize('NFD').replace(/\p{M}/gu, '');
+    assert(es.validate(JSON.stringify({ salt: es.expected.salt, answer: bare.toUpperCase() })), 'Accents and case folded');
+    checked++;
+  }
+  assert(normalizeWord('Pingüino', LOCALES.es) === 'pinguino', 'Spanish folds accents');
+  assert(normalizeWord('Pingüino', LOCALES.en) === 'pingüino', 'Other locales keep them');
+});
+
+test('Records keep the locale and rebuild in it', () => {
+  const batch = generateBatch(randomBytes(16).toString('hex'), 8, { locale: 'es' });
+  const record = JSON.parse(JSON.stringify(batch.record));
+  assert(record.locale === 'es', 'Locale recorded');
+  assert(validateBatch(rebuildValidators(record), batch.expected).allPassed, 'Rebuilt in the same locale');
+
+  let error = null;
+  try {
+    rebuildValidators({ ...record, locale: 'xx' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /Invalid challenge record/.test(error.message), 'Unknown locale in record rejected');
+});
+
+test('Unknown locales are rejected', () => {
+  let error = null;
+  try {
+    generateBatch(randomBytes(16).toString('hex'), 3, { locale: 'xx' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /locale/.test(error.message), 'Rejected');
+});
+
+// ============== TABLE TESTS ==============
+console.log('\n📦 Table Challenge Tests\n');
+
+/**
+ * Orders and customers tables of an English nlp_table challenge, as records
+ */
+function tablesOf(challenge) {
+  const tables = {};
+  for (const block of challenge.split(/^(?=(?:Orders|Customers) \()/m).slice(1)) {
+    const [label, ...lines] = block.split('\n');
+    const body = lines.filter(line => line && !line.startsWith('Response format'));
+    const name = label.startsWith('Orders') ? 'orders' : 'customers';
+    if (label.includes('(JSON)')) {
+      tables[name] = JSON.parse(body.join('\n'));
+    } else {
+      const [header, ...rows] = body.map(line => line.split(','));
+      tables[name] = rows.map(cells => Object.fromEntries(header.map((key, i) => [key, key === 'qty' ? Number(cells[i]) : cells[i]])));
+    }
+  }
+  return tables;
+}
+
+test('Tables come as JSON records or CSV and answers follow from them', () => {
+  const formats = new Set();
+  for (let i = 0; i < 60; i++) {
+    const { challenge_string, expected } = generate(randomBytes(16).toString('hex'), 'nlp_table');
+    formats.add(challenge_string.match(/^Orders \((\w+)\):/m)[1]);
+    const { orders } = tablesOf(challenge_string);
+    assert(orders.length === 10 && orders.every(row => row.qty >= 5 && row.qty <= 99), 'Extreme: 10 rows, qty 5-99');
+
+    const color = challenge_string.match(/total quantity \(qty\) of (\w+) items\?/)?.[1];
+    if (color) {
+      const total = orders.filter(row => row.color === color).reduce((sum, row) => sum + row.qty, 0);
+      assert(total === expected.answer && total > 0, `Sum of ${color}: ${total} vs ${expected.answer}`);
+    }
+  }
+  assert(formats.has('JSON') && formats.has('CSV'), 'Both formats drawn');
+});
+
+test('Join questions keep countries in a customers table', () => {
+  let joins = 0;
+  for (let i = 0; i < 60; i++) {
+    const { challenge_string, expected } = generate(randomBytes(16).toString('hex'), 'nlp_table');
+    const { orders, customers } = tablesOf(challenge_string);
+    if (!customers) {
+      assert(orders.every(row => row.country), 'Countries on the orders');
+      continue;
+    }
+    joins++;
+    const [, color, country] = challenge_string.match(/of (\w+) items shipped to customers in (.+?)\?/);
+    assert(orders.every(row => !row.country && /^C\d+$/.test(row.customer)), 'Orders only name the customer');
+    const countryOf = (row) => customers.find(c => c.customer === row.customer).country;
+    const total = orders.filter(row => row.color === color && countryOf(row) === country).reduce((sum, row) => sum + row.qty, 0);
+    assert(total === expected.answer && total > 0, `Joined sum ${total} vs ${expected.answer}`);
+  }
+  assert(joins > 0, 'Join questions drawn at extreme');
+});
+
+test('Easy tables are smaller and skip group-by and join questions', () => {
+  for (let i = 0; i < 40; i++) {
+    const { challenge_string } = generate(randomBytes(16).toString('hex'), 'nlp_table', { difficulty: 'easy' });
+    const { orders, customers } = tablesOf(challenge_string);
+    assert(orders.length === 4 && !customers, 'Four orders, no customers table');
+    assert(!/which item/.test(challenge_string), 'No group-by question');
+  }
+});
+
+test('Table answers match across locales', () => {
+  for (let i = 0; i < 20; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    const en = generate(nonce, 'nlp_table', { locale: 'en' }).expected.answer;
+    for (const locale of ['ko', 'ja', 'es']) {
+      const answer = generate(nonce, 'nlp_table', { locale }).expected.answer;
+      const same = typeof en === 'number'
+        ? answer === en
+        : LOCALES[locale].words.fruits.indexOf(answer) === LOCALES.en.words.fruits.indexOf(en);
+      assert(same, `${locale}: ${answer} vs ${en}`);
+    }
+  }
+});
+
+// ============== CODE TESTS ==============
+console.log('\n📦 Code Challenge Tests\n');
+
+test('JavaScript snippets print what the interpreter computed', () => {
+  // Draw until enough programs are JavaScript (the template mix is random)
+  let checked = 0;
+  for (let i = 0; i < 1000 && checked < 20; i++) {
+    const { challenge_string, expected } = generate(randomBytes(16).toString('hex'), 'nlp_code');
+    const lines = challenge_string.split('\n');
+    if (!/JavaScript program print\?$/.test(lines[0])) continue;
+
+    // Test-only: the generator never evaluates source text
+    const printed = [];
+    new Function('console', lines.slice(1, -1).join('\n'))({ log: (value) => printed.push(String(value)) });
+    assert(printed.join('\n') === String(expected.answer), `${printed} vs ${expected.answer}`);
+    checked++;
+  }
+  assert(checked === 20, `Checked ${checked} programs`);
+});
+
+test('One program renders as JavaScript and pseudo-code', () => {
+  const program = [
+    assign('s', lit('ab3')),
+    assign('out', lit('')),
+    loop('i', lit(0), length(ref('s')), [
+      when(op('===', op('%', ref('i'), lit(2)), lit(0)),
+        [assign('out', op('+', charAt(ref('s'), ref('i')), ref('out')))],
+        [assign('out', op('+', ref('out'), lit('-')))])
+    ], { below: true }),
+    print(op('*', op('+', length(ref('out')), lit(1)), lit(2)))
+  ];
+
+  assert(renderProgram(program, 'javascript') === [
+    'let s = "ab3";',
+    'let out = "";',
+    'for (let i = 0; i < s.length; i++) {',
+    '  if (i % 2 === 0) {',
+    '    out = s[i] + out;',
+    '  } else {',
+    '    out = out + "-";',
+    '  }',
+    '}',
+    'console.log((out.length + 1) * 2);'
+  ].join('\n'), 'JavaScript');
+  assert(renderProgram(program, 'pseudo') === [
+    's ← "ab3"',
+    'out ← ""',
+    'FOR i FROM 0 TO LENGTH(s) - 1',
+    '    IF i MOD 2 = 0 THEN',
+    '        out ← s[i] + out',
+    '    ELSE',
+    '        out ← out + "-"',
+    '    END IF',
+    'END FOR',
+    'PRINT (LENGTH(out) + 1) * 2'
+  ].join('\n'), 'Pseudo-code');
+
+  const { output, vars, hazards } = runProgram(program);
+  assert(vars.out === '3a-' && output[0] === '8' && hazards.length === 0, `${vars.out} / ${output}`);
+});
+
+test('Easy snippets skip the recurrence and halving templates', () => {
+  const definition = defaultRegistry.get('nlp_code');
+  const templates = new Set();
+  for (let i = 0; i < 40; i++) {
+    templates.add(drawChallenge(definition, randomBytes(16).toString('hex'), { difficulty: 'easy' }).result.facts.template);
+  }
+  assert([...templates].every(t => t < 3) && templates.size === 3, `Templates ${[...templates]}`);
+});
+
+console.log('\n📦 Instruction Challenge Tests\n');
+
+/**
+ * First nlp_instruct instance of a task template
+ */
+function instructTask(template, options = {}) {
+  const definition = defaultRegistry.get('nlp_instruct');
+  for (;;) {
+    const { result } = drawChallenge(definition, randomBytes(16).toString('hex'), options);
+    if (result.facts.template === template) return result;
+  }
+}
+
+test('Different answers that keep the constraints all pass', () => {
+  const words = instructTask(0);
+  const { salt, answer } = words.expected;
+  const other = answer.map(word => `${word[0]}${word.slice(1).split('').reverse().join('')}x`);
+  const sorted = [...other].sort();
+  const expectedOrder = answer[0] < answer[answer.length - 1] ? sorted : sorted.reverse();
+  assert(words.validate(JSON.stringify({ salt, answer })), 'Expected words');
+  assert(words.validate(JSON.stringify({ salt, answer: expectedOrder })), `Other words ${expectedOrder}`);
+
+  const multiples = instructTask(3, { paraphrase: false });
+  const { divisor, min, max, count, desc } = (() => {
+    const [, n, lo, hi, d] = multiples.challenge_string.match(/exactly (\d+) .* from (\d+) to (\d+) .* of (\d+)/);
+    return { count: Number(n), min: Number(lo), max: Number(hi), divisor: Number(d), desc: /largest to smallest/.test(multiples.challenge_string) };
+  })();
+  const all = [];
+  for (let k = Math.ceil(min / divisor) * divisor; k <= max; k += divisor) all.push(k);
+  assert(all.length > count, 'More multiples than asked for');
+  const last = all.slice(-count);
+  assert(multiples.validate(JSON.stringify({ salt: multiples.expected.salt, answer: desc ? last.reverse() : last })), 'Largest multiples');
+});
+
+test('Broken constraints are named in the diagnosis', () => {
+  const words = instructTask(0);
+  const { salt, answer } = words.expected;
+  const diagnose = (value) => words.validate.diagnose(JSON.stringify({ salt, answer: value }));
+  assert(diagnose([...answer].reverse()).constraint === 'order', 'Reversed');
+  assert(diagnose(answer.slice(1)).constraint === 'count', 'One short');
+  assert(diagnose([...answer.slice(0, -1), 'zz']).constraint === 'initials', 'Wrong letter');
+  assert(diagnose(answer.map(() => answer[0])).constraint === 'distinct', 'Repeated word');
+
+  const tally = instructTask(1);
+  const counts = tally.expected.answer;
+  const [first] = Object.keys(counts);
+  const tallied = (value) => tally.validate.diagnose(JSON.stringify({ salt: tally.expected.salt, answer: value }));
+  assert(tallied(Object.fromEntries(Object.entries(counts).reverse())).valid, 'Keys in any order');
+  assert(tallied({ ...counts, [first]: counts[first] + 1 }).constraint === 'entries', 'Wrong count');
+  assert(tallied({ ...counts, cat: 1 }).constraint === 'keys', 'Not a color mentioned');
+  assert(tallied(Object.keys(counts)).reason === 'WRONG_VALUE', 'A list is not an object');
+});
+
+test('Picks come from the listed items of the asked category', () => {
+  for (const locale of getLocales()) {
+    const pick = instructTask(2, { locale });
+    const pack = LOCALES[locale];
+    const listed = pick.challenge_string.split('\n')[1].slice(pack.instruct.list.length + 2).split(pack.separator);
+    const { salt, answer } = pick.expected;
+    assert(answer.every(word => listed.includes(word)), `${locale}: answer is listed`);
+    const unlisted = pack.words[pick.facts.category].find(word => !listed.includes(word));
+    const swapped = [...answer.slice(0, -1), unlisted];
+    assert(pick.validate.diagnose(JSON.stringify({ salt, answer: swapped })).constraint === 'oneOf', `${locale}: unlisted word rejected`);
+  }
+});
+
+test('Easy instruction tasks skip picking from a list and multiples', () => {
+  const definition = defaultRegistry.get('nlp_instruct');
+  const templates = new Set();
+  for (let i = 0; i < 40; i++) {
+    templates.add(drawChallenge(definition, randomBytes(16).toString('hex'), { difficulty: 'easy' }).result.facts.template);
+  }
+  assert([...templates].every(t => t < 2) && templates.size === 2, `Templates ${[...templates]}`);
+});
+
+// ============== GRID TESTS ==============
+console.log('\n📦 Grid Challenge Tests\n');
+
+/**
+ * First nlp_grid instance of a question template, with its grid lines
+ */
+function gridQuestion(template, options = {}) {
+  const definition = defaultRegistry.get('nlp_grid');
+  for (let i = 0; i < 200; i++) {
+    const { result } = drawChallenge(definition, randomBytes(16).toString('hex'), { paraphrase: false, ...options });
+    if (result.facts.template === template) {
+      const lines = result.challenge_string.split('\n');
+      return { ...result, grid: lines.slice(1, -1) };
+    }
+  }
+  throw new Error(`No grid question ${template} drawn`);
+}
+
+test('Letter grids are numbered and counts follow from the cells', () => {
+  for (const template of [0, 1]) {
+    const { challenge_string, expected, grid } = gridQuestion(template);
+    const [, symbol, line] = challenge_string.match(/"(\w)" appear in (?:column|row) (\d+)\?/);
+    assert(grid[0].trim() === '1 2 3 4 5 6 7', 'Extreme: 7 numbered columns');
+    const rows = grid.slice(1).map(row => row.split(' ').slice(1));
+    assert(rows.length === 7 && grid.slice(1).every((row, r) => row.startsWith(`${r + 1} `)), 'Numbered rows');
+    const cells = template === 0 ? rows.map(row => row[line - 1]) : rows[line - 1];
+    assert(cells.filter(cell => cell === symbol).length === expected.answer, `Template ${template}: ${expected.answer}`);
+  }
+});
+
+test('The asked diagonal letter is a strict majority', () => {
+  for (let i = 0; i < 10; i++) {
+    const { expected, grid } = gridQuestion(2, { difficulty: 'easy' });
+    const diagonal = grid.slice(1).map((row, r) => row.split(' ')[r + 1]);
+    assert(diagonal.filter(cell => cell === expected.answer).length > diagonal.length / 2, `${diagonal.join('')}: ${expected.answer}`);
+  }
+});
+
+test('Shapes never touch, not even at a corner', () => {
+  for (let i = 0; i < 10; i++) {
+    const { expected, grid, facts } = gridQuestion(3);
+    assert(grid.length === 8 && grid.every(row => /^[#.]{12}$/.test(row)), 'Extreme: 8 x 12');
+    assert(shapeCount(grid) === expected.answer && shapeCount(grid, { corners: true }) === expected.answer, `${expected.answer} shapes`);
+    assert(facts.rows.join('\n') === grid.join('\n'), 'Rows in the facts');
+  }
+});
+
+test('Mazes connect S to E and the answer is the shortest path', () => {
+  for (let i = 0; i < 10; i++) {
+    const { expected, grid } = gridQuestion(4);
+    assert(grid.length === 9 && grid.every(row => row.length === 11), 'Extreme: 4 x 5 rooms');
+    const start = grid.findIndex(row => row.startsWith('S'));
+    const end = grid.findIndex(row => row.endsWith('E'));
+    assert(start !== end, 'S and E in different rows');
+    // Breadth-first, one ring of cells at a time
+    let frontier = new Set([`${start},0`]);
+    const seen = new Set(frontier);
+    let steps = 0;
+    while (frontier.size > 0 && !frontier.has(`${end},${grid[0].length - 1}`)) {
+      const next = new Set();
+      for (const key of frontier) {
+        const [r, c] = key.split(',').map(Number);
+        for (const [y, x] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+          if (grid[y]?.[x] && grid[y][x] !== '#' && !seen.has(`${y},${x}`)) {
+            seen.add(`${y},${x}`);
+            next.add(`${y},${x}`);
+          }
+        }
+      }
+      frontier = next;
+      steps++;
+    }
+    assert(frontier.size > 0 && steps === expected.answer, `${steps} vs ${expected.answer}`);
+  }
+});
+
+test('Easy grids skip shapes and mazes', () => {
+  const definition = defaultRegistry.get('nlp_grid');
+  const templates = new Set();
+  for (let i = 0; i < 40; i++) {
+    templates.add(drawChallenge(definition, randomBytes(16).toString('hex'), { difficulty: 'easy' }).result.facts.template);
+  }
+  assert([...templates].every(t => t < 3) && templates.size === 3, `Templates ${[...templates]}`);
+});
+
+test('Grid answers match across locales', () => {
+  for (let i = 0; i < 20; i++) {
+    const nonce = randomBytes(16).toString('hex');
+    const en = generate(nonce, 'nlp_grid', { locale: 'en' }).expected.answer;
+    for (const locale of ['ko', 'ja', 'es']) {
+      const answer = generate(nonce, 'nlp_grid', { locale }).expected.answer;
+      assert(answer === en, `${locale}: ${answer} vs ${en}`);
+    }
+  }
+});
+
 // ============== RESULTS ==============
 console.log('\n' + '='.repeat(60));
 console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
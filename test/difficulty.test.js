@@ -0,0 +1,172 @@
+/**
+ * AAP Adaptive Difficulty Tests
+ *
+ * Policy escalation / relaxation and per-attempt levels over a real socket
+ */
+
+import { createDifficultyPolicy } from '../packages/server/difficulty.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { createChallengeRegistry, DIFFICULTY_PROFILES } from '../packages/server/challenges.js';
+import { AAPClient } from '../packages/client/index.js';
+
+console.log('🧪 AAP Adaptive Difficulty Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ============== POLICY TESTS ==============
+console.log('\n📦 Policy Tests\n');
+
+await test('Agents without history get the base level', async () => {
+  const policy = createDifficultyPolicy({ base: 'normal' });
+  assert(await policy.resolve({ ip: '1.1.1.1', publicId: 'agent-a' }) === 'normal', 'Base level');
+  assert(await createDifficultyPolicy().resolve({}) === 'hard', 'Default base');
+});
+
+await test('Failures escalate per IP and publicId, capped at max', async () => {
+  const policy = createDifficultyPolicy({ base: 'easy', min: 'easy', max: 'hard', escalateAfter: 2 });
+  await policy.recordFailure({ ip: '1.1.1.1', publicId: 'agent-a' });
+  assert(await policy.resolve({ publicId: 'agent-a' }) === 'easy', 'One failure is below escalateAfter');
+
+  await policy.recordFailure({ ip: '1.1.1.1', publicId: 'agent-a' });
+  assert(await policy.resolve({ publicId: 'agent-a' }) === 'normal', 'Escalated one level');
+  assert(await policy.resolve({ ip: '1.1.1.1', publicId: 'agent-b' }) === 'normal', 'Same IP escalates other agents');
+  assert(await policy.resolve({ ip: '2.2.2.2', publicId: 'agent-b' }) === 'easy', 'Other subjects unaffected');
+
+  for (let i = 0; i < 10; i++) await policy.recordFailure({ publicId: 'agent-a' });
+  assert(await policy.resolve({ publicId: 'agent-a' }) === 'hard', 'Capped at max');
+});
+
+await test('Failures stop counting after the window', async () => {
+  const policy = createDifficultyPolicy({ base: 'normal', failureWindowMs: 1000 });
+  const now = Date.now();
+  await policy.recordFailure({ ip: '3.3.3.3' }, now);
+  assert(await policy.resolve({ ip: '3.3.3.3' }, now + 999) === 'hard', 'Escalated inside the window');
+  assert(await policy.resolve({ ip: '3.3.3.3' }, now + 1000) === 'normal', 'Back to base after it');
+});
+
+await test('A clean streak relaxes down to min and a failure resets it', async () => {
+  const policy = createDifficultyPolicy({ base: 'extreme', min: 'normal', relaxAfter: 3 });
+  for (let i = 0; i < 3; i++) await policy.recordSuccess({ publicId: 'agent-c' });
+  assert(await policy.resolve({ publicId: 'agent-c' }) === 'hard', 'Relaxed one level');
+
+  for (let i = 0; i < 30; i++) await policy.recordSuccess({ publicId: 'agent-c' });
+  assert(await policy.resolve({ publicId: 'agent-c' }) === 'normal', 'Floored at min');
+  assert(await policy.resolve({ ip: '4.4.4.4' }) === 'extreme', 'IPs do not relax');
+
+  await policy.recordFailure({ publicId: 'agent-c' });
+  await policy.reset({ publicId: 'agent-c' });
+  await policy.recordSuccess({ publicId: 'agent-c' });
+  assert(await policy.resolve({ publicId: 'agent-c' }) === 'extreme', 'Streak starts over');
+});
+
+await test('Invalid levels are rejected', async () => {
+  for (const options of [{ base: 'brutal' }, { min: 'extreme', max: 'easy' }]) {
+    let error = null;
+    try {
+      createDifficultyPolicy(options);
+    } catch (e) {
+      error = e;
+    }
+    assert(error, `Rejected ${JSON.stringify(options)}`);
+  }
+});
+
+// ============== WEBSOCKET TESTS ==============
+console.log('\n📦 WebSocket Tests\n');
+
+/**
+ * Echo type whose prompt names the level it was generated at
+ */
+const registry = createChallengeRegistry({ builtins: false }).register('echo', {
+  generate: (nonce, rng, { difficulty }) => {
+    const code = rng.string(6);
+    return {
+      challenge_string: `[REQ-${code.toUpperCase()}] (${difficulty}) Echo ${code}`,
+      validate: (solution) => solution.includes(code)
+    };
+  }
+});
+const solver = (challenges) => challenges.map(c => ({ code: c.challenge.split(' ').pop() }));
+const wrongSolver = (challenges) => challenges.map(() => ({ code: 'nope' }));
+
+let port;  // Port of the server under test (listening on port 0)
+
+await test('Fixed level sets the batch size, time budget and generator level', async () => {
+  const aap = createAAPWebSocket({ port: 0, challengeSource: registry, difficulty: 'easy' });
+  port = aap.wss.address().port;
+  try {
+    let seen = null;
+    const client = new AAPClient({
+      serverUrl: `ws://localhost:${port}`,
+      solver: (challenges) => {
+        seen = challenges;
+        return solver(challenges);
+      }
+    });
+    const result = await client.verify();
+
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.difficulty === 'easy', 'Level in result');
+    assert(seen.length === DIFFICULTY_PROFILES.easy.count, 'Profile count');
+    assert(seen.every(c => c.challenge.includes('(easy)')), 'Generated at the level');
+    assert((await aap.getSessionAsync(result.sessionToken)).difficulty === 'easy', 'Level in session');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Explicit challengeCount wins over the profile', async () => {
+  const aap = createAAPWebSocket({ port: 0, challengeSource: registry, difficulty: 'easy', challengeCount: 2 });
+  port = aap.wss.address().port;
+  try {
+    const result = await new AAPClient({ serverUrl: `ws://localhost:${port}`, solver }).verify();
+    assert(result.verified && result.total === 2, 'Two challenges');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Policy escalates an agent after a failed attempt', async () => {
+  const difficulty = createDifficultyPolicy({ base: 'normal' });
+  const aap = createAAPWebSocket({ port: 0, challengeSource: registry, difficulty });
+  port = aap.wss.address().port;
+  try {
+    const identity = new AAPClient({ serverUrl: `ws://localhost:${port}` }).identity;
+    const clientWith = (solve) => new AAPClient({ serverUrl: `ws://localhost:${port}`, solver: solve, identity });
+
+    const first = await clientWith(wrongSolver).verify();
+    assert(!first.verified && first.difficulty === 'normal', 'First attempt at base level');
+
+    const second = await clientWith(solver).verify();
+    assert(second.verified, `Verified (${second.message})`);
+    assert(second.difficulty === 'hard', 'Escalated after the failure');
+    assert(second.total === DIFFICULTY_PROFILES.hard.count, 'Escalated batch size');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
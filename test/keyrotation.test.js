@@ -0,0 +1,225 @@
+/**
+ * AAP Key Rotation Tests
+ *
+ * Rotation statements, signature chains and stable agent IDs
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { Identity } from '../packages/core/identity.js';
+import { generateKeyPair, createRotationStatement, verifyRotationStatement } from '../packages/core/crypto.js';
+import { createKeyRotation, createWhitelist, derivePublicId } from '../packages/server/whitelist.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { AAPClient } from '../packages/client/index.js';
+
+console.log('🧪 AAP Key Rotation Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'aap-rotation-'));
+const newIdentity = (name) => {
+  const identity = new Identity({ storagePath: join(dir, `${name}.json`) });
+  identity.init();
+  return identity;
+};
+
+// ============== STATEMENT TESTS ==============
+console.log('\n📦 Rotation Statement Tests\n');
+
+await test('Identity.rotate() produces a verifiable statement', () => {
+  const identity = newIdentity('a');
+  const before = identity.getPublic();
+  const statement = identity.rotate();
+  const after = identity.getPublic();
+
+  assert(verifyRotationStatement(statement).valid, 'Statement verifies');
+  assert(statement.oldPublicId === before.publicId, 'Old ID');
+  assert(statement.newPublicKey === after.publicKey, 'New key');
+  assert(after.publicId !== before.publicId, 'Key changed');
+  assert(after.agentId === before.publicId, 'Stable agent ID');
+});
+
+await test('Rotation archives the old key and persists', () => {
+  const identity = newIdentity('b');
+  const first = identity.getPublic();
+  identity.rotate();
+  identity.rotate();
+
+  const reloaded = new Identity({ storagePath: join(dir, 'b.json') });
+  reloaded.init();
+  assert(reloaded.identity.archivedKeys.length === 2, 'Two archived keys');
+  assert(reloaded.identity.archivedKeys[0].publicKey === first.publicKey, 'Oldest first');
+  assert(!('privateKey' in reloaded.identity.archivedKeys[0]), 'Archive keeps no private key');
+  assert(reloaded.getRotations().length === 2, 'Statements kept');
+  assert(reloaded.getPublic().agentId === first.publicId, 'agentId survives reload');
+});
+
+await test('Tampered or foreign-signed statements are rejected', () => {
+  const identity = newIdentity('c');
+  const statement = identity.rotate();
+  const attacker = generateKeyPair();
+
+  const swapped = { ...statement, newPublicKey: attacker.publicKey };
+  assert(!verifyRotationStatement(swapped).valid, 'Swapped new key rejected');
+
+  const forged = createRotationStatement({
+    oldPublicKey: attacker.publicKey,
+    oldPrivateKey: attacker.privateKey,
+    newPublicKey: generateKeyPair().publicKey
+  });
+  const claimed = { ...forged, oldPublicId: statement.oldPublicId };
+  assert(!verifyRotationStatement(claimed).valid, 'Foreign oldPublicId rejected');
+});
+
+// ============== SERVER CHAIN TESTS ==============
+console.log('\n📦 Server Key Chain Tests\n');
+
+await test('Server follows a chain of rotations under one agent ID', () => {
+  const identity = newIdentity('d');
+  const genesis = identity.getPublic();
+  const rotation = createKeyRotation();
+  rotation.registerKey(genesis.publicId, genesis.publicKey);
+
+  identity.rotate();
+  identity.rotate();
+  const result = rotation.rotate(identity.getRotations());
+
+  assert(result.accepted, `Accepted (${result.error})`);
+  assert(result.agentId === genesis.publicId, 'Same agent');
+  assert(rotation.getCurrentKey(genesis.publicId) === identity.getPublic().publicKey, 'Current key updated');
+  assert(rotation.resolveAgent(identity.getPublic().publicKey) === genesis.publicId, 'New key resolves to agent');
+  assert(rotation.isRevoked(genesis.publicKey), 'Old key archived');
+  assert(rotation.getHistory(genesis.publicId).length === 3, 'Three keys in history');
+  assert(rotation.rotate(identity.getRotations()).accepted, 'Replay is harmless');
+});
+
+await test('Server rejects forks from archived keys', () => {
+  const identity = newIdentity('e');
+  const genesis = { publicKey: identity.getPublic().publicKey, privateKey: identity.identity.privateKey };
+  const rotation = createKeyRotation();
+  rotation.rotate(identity.rotate());
+
+  const fork = createRotationStatement({
+    oldPublicKey: genesis.publicKey,
+    oldPrivateKey: genesis.privateKey,
+    newPublicKey: generateKeyPair().publicKey
+  });
+  const result = rotation.rotate(fork);
+  assert(!result.accepted, 'Fork rejected');
+  assert(result.error === 'Signing key is not the current key', result.error);
+});
+
+await test('verifiedOnly refuses unsigned key changes', () => {
+  const rotation = createKeyRotation({ verifiedOnly: true });
+  const { publicKey } = generateKeyPair();
+  rotation.registerKey('agent', publicKey);
+  let error = null;
+  try {
+    rotation.registerKey('agent', generateKeyPair().publicKey);
+  } catch (e) {
+    error = e;
+  }
+  assert(error, 'Second unsigned key refused');
+});
+
+const echoSource = { echo: {
+  generate: (nonce) => ({
+    challenge_string: `[REQ-${nonce.slice(0, 6).toUpperCase()}] Echo ${nonce.slice(6, 12)}`,
+    validate: (solution) => solution.includes(nonce.slice(6, 12))
+  })
+} };
+const echoSolver = (challenges) => challenges.map(c => ({ code: c.challenge.split(' ').pop() }));
+const clientFor = (port, { publicKey, privateKey }) => new AAPClient({
+  serverUrl: `ws://localhost:${port}`,
+  solver: echoSolver,
+  identity: { publicKey, privateKey, publicId: createHash('sha256').update(publicKey).digest('hex').slice(0, 16) }
+});
+
+await test('Genesis rotations key the chain by the server publicId', () => {
+  const identity = newIdentity('g');
+  const genesisKey = identity.getPublic().publicKey;
+  const rotation = createKeyRotation();
+  const result = rotation.rotate(identity.rotate());
+  assert(result.accepted, `Accepted (${result.error})`);
+  assert(result.agentId === derivePublicId(genesisKey) && result.agentId.length === 16, `Server ID (${result.agentId})`);
+  assert(rotation.resolveAgent(identity.getPublic().publicKey) === result.agentId, 'New key resolves to it');
+});
+
+await test('WebSocket refuses the rotated-out key and keeps the agent ID', async () => {
+  const identity = newIdentity('f');
+  const keyRotation = createKeyRotation();
+  const aap = createAAPWebSocket({ port: 0, keyRotation, challengeSource: echoSource });
+  const { port } = aap.wss.address();
+
+  try {
+    const oldKeys = { publicKey: identity.getPublic().publicKey, privateKey: identity.identity.privateKey };
+    const agentId = derivePublicId(oldKeys.publicKey);
+    assert(keyRotation.rotate(identity.rotate()).accepted, 'Rotation accepted');
+
+    let error = null;
+    try {
+      await clientFor(port, oldKeys).verify();
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'KEY_REVOKED', 'Old key refused');
+
+    const result = await clientFor(port, { publicKey: identity.getPublic().publicKey, privateKey: identity.identity.privateKey }).verify();
+    assert(result.verified, `New key verified (${result.message})`);
+    assert(result.agentId === agentId, 'Stable agentId in result');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('A whitelisted agent still passes the handshake after rotating', async () => {
+  const identity = newIdentity('h');
+  const keyRotation = createKeyRotation();
+  const whitelist = createWhitelist();
+  const aap = createAAPWebSocket({ port: 0, keyRotation, whitelist, challengeSource: echoSource });
+  const { port } = aap.wss.address();
+
+  try {
+    const genesis = { publicKey: identity.getPublic().publicKey, privateKey: identity.identity.privateKey };
+    whitelist.add(derivePublicId(genesis.publicKey));
+    assert((await clientFor(port, genesis).verify()).verified, 'Approved before rotating');
+
+    const rotated = keyRotation.rotate(identity.rotate());
+    assert(rotated.accepted && whitelist.isAllowed(rotated.agentId), `Chain keyed by the approved ID (${rotated.agentId})`);
+
+    const result = await clientFor(port, { publicKey: identity.getPublic().publicKey, privateKey: identity.identity.privateKey }).verify();
+    assert(result.verified, `Rotated key verified (${result.message})`);
+    assert(result.agentId === rotated.agentId, 'Same agent ID');
+  } finally {
+    aap.close();
+  }
+});
+
+rmSync(dir, { recursive: true, force: true });
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,464 @@
+/**
+ * AAP Answer Normalization Tests
+ *
+ * JSON extraction, number / text / list comparison per strictness level,
+ * constraint checks, the same answer formats passing in both challenge
+ * sources, and the reason codes reported behind `diagnostics`
+ */
+
+import { randomBytes } from 'node:crypto';
+import WebSocket from 'ws';
+import {
+  extractJson,
+  createAnswerMatcher,
+  strictnessFor,
+  diagnoseAnswer,
+  resolveDiagnostics,
+  REASON_CODES
+} from '../packages/server/normalize.js';
+import {
+  generate,
+  generateBatch,
+  validateBatch,
+  rebuildValidators,
+  createChallengeRegistry
+} from '../packages/server/challenges.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { canonicalize } from '../packages/server/paraphrase.js';
+
+console.log('🧪 AAP Answer Normalization Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ============== EXTRACTION TESTS ==============
+console.log('\n📦 JSON Extraction Tests\n');
+
+await test('Bare, embedded and fenced answers', () => {
+  assert(extractJson('{"a":1}').a === 1, 'Bare');
+  assert(extractJson('Sure! {"a":1} Hope that helps.').a === 1, 'Embedded in prose');
+  assert(extractJson('Here you go:\n```json\n{"a":1}\n```\nThe {braces} above are it.').a === 1, 'Fenced block');
+  assert(extractJson('```\n{"a":1}\n```').a === 1, 'Fence without a language');
+  assert(extractJson({ a: 1 }).a === 1, 'Objects pass through');
+  assert(extractJson('no json here') === null, 'Nothing to extract');
+  assert(extractJson('[1, 2]') === null, 'Arrays are not answers');
+  assert(extractJson(null) === null, 'Null');
+});
+
+await test('Exact mode refuses prose and fences', () => {
+  assert(extractJson(' {"a":1}\n', { json: 'exact' }).a === 1, 'Whitespace is fine');
+  assert(extractJson('Answer: {"a":1}', { json: 'exact' }) === null, 'Prose refused');
+  assert(extractJson('```json\n{"a":1}\n```', { json: 'exact' }) === null, 'Fence refused');
+});
+
+// ============== COMPARISON TESTS ==============
+console.log('\n📦 Comparison Tests\n');
+
+await test('Numbers: strings, full-width digits and tolerance', () => {
+  const is = createAnswerMatcher();
+  assert(is.number(42, 42) && is.number('42', 42) && is.number(' 42 ', 42), '"42" and 42');
+  assert(is.number('４２', 42), 'Full-width digits');
+  assert(is.number(7.333, 7.33) && !is.number(7.35, 7.33), 'Tolerance 0.01');
+  assert(!is.number('forty-two', 42) && !is.number(null, 0) && !is.number([42], 42), 'Non-numbers');
+  assert(is.number('cinco', 5) === false, 'English matcher ignores Spanish words');
+  assert(createAnswerMatcher({ locale: 'es' }).number('3,5', 3.5), 'Locale decimal comma');
+
+  const strict = createAnswerMatcher({ strictness: 'strict' });
+  assert(strict.number(42, 42) && !strict.number('42', 42), 'Strict wants JSON numbers');
+  assert(!strict.number(7.333, 7.33), 'Strict has no tolerance');
+});
+
+await test('Text: NFKC, whitespace and case', () => {
+  const is = createAnswerMatcher();
+  assert(is.text(' CONSISTENT \n', 'CONSISTENT'), 'Trailing whitespace');
+  assert(is.text('consistent', 'CONSISTENT'), 'Case folded');
+  assert(is.text('ＣＯＮＳＩＳＴＥＮＴ', 'CONSISTENT'), 'Full-width letters');
+  assert(is.text(2, '2'), 'Numbers as text');
+  assert(!is.text('CROSSED', 'CONSISTENT') && !is.text(undefined, 'x'), 'Different values');
+  assert(!is.text('pingüino', 'pinguino'), 'Accents count by default');
+  assert(createAnswerMatcher({ locale: 'es' }).text('pinguino', 'pingüino'), 'Spanish folds accents');
+  assert(createAnswerMatcher({ strictness: 'lenient' }).text('cafe', 'café'), 'Lenient folds accents');
+
+  const strict = createAnswerMatcher({ strictness: 'strict' });
+  assert(strict.text('CONSISTENT', 'CONSISTENT'), 'Exact');
+  assert(!strict.text('consistent ', 'CONSISTENT') && !strict.text(2, '2'), 'Strict is exact');
+});
+
+await test('Lists: ordered lists and sets', () => {
+  const is = createAnswerMatcher();
+  assert(is.list([1, 2], [1, 2], { items: 'number' }), 'Ordered');
+  assert(!is.list([2, 1], [1, 2], { items: 'number' }), 'Order matters');
+  assert(is.list(['Dog', 'cat'], ['cat', 'dog'], { ordered: false }), 'Set in any order');
+  assert(!is.list(['cat', 'cat'], ['cat', 'dog'], { ordered: false }), 'Multiset, not set');
+  assert(!is.list(['cat'], ['cat', 'dog'], { ordered: false }), 'Missing item');
+  assert(!is.list('cat, dog', ['cat', 'dog'], { ordered: false }), 'Standard wants an array');
+
+  const lenient = createAnswerMatcher({ strictness: 'lenient' });
+  assert(lenient.list('dog, cat', ['cat', 'dog'], { ordered: false }), 'Lenient reads "a, b"');
+  assert(!lenient.list('1, 2', [1, 2], { items: 'number' }), 'Never for ordered lists');
+});
+
+await test('Constraints: any answer that keeps the rules', () => {
+  const is = createAnswerMatcher();
+  const words = [
+    { type: 'count', n: 2 },
+    { type: 'word' },
+    { type: 'distinct' },
+    { type: 'initials', letters: ['B', 'T'] },
+    { type: 'order', direction: 'desc' }
+  ];
+  assert(is.constraints(['tiger', 'bread'], words) === true, 'One answer');
+  assert(is.constraints(['Tunnel', 'Boat'], words) === true, 'Another answer');
+  assert(is.constraints(['bread', 'tiger'], words).constraint === 'order', 'Wrong order');
+  assert(is.constraints(['tiger', 'apple'], words).constraint === 'initials', 'Wrong initial');
+  assert(is.constraints(['t1ger', 'bread'], words).constraint === 'word', 'Not a word');
+  assert(is.constraints(['tiger'], words).constraint === 'count', 'Too few');
+  assert(is.constraints('tiger, bread', words) === false, 'Not a list');
+
+  const multiples = [{ type: 'integer' }, { type: 'range', min: 10, max: 30 }, { type: 'multipleOf', n: 5 }];
+  assert(is.constraints(['15', 30], multiples, { items: 'number' }) === true, 'Numeric strings');
+  assert(is.constraints([35], multiples, { items: 'number' }).constraint === 'range', 'Out of range');
+  assert(createAnswerMatcher({ strictness: 'strict' }).constraints(['15'], multiples).constraint === 'integer', 'Strict wants numbers');
+
+  const tally = [{ type: 'keys', values: ['red', 'blue'] }, { type: 'entries', expected: { red: 2, blue: 1 } }];
+  assert(is.constraints({ Blue: 1, red: '2' }, tally) === true, 'Keys in any order and case');
+  assert(is.constraints({ red: 2, blue: 1, cat: 1 }, tally).constraint === 'keys', 'Extra key');
+  assert(is.constraints({ red: 1, blue: 1 }, tally).constraint === 'entries', 'Wrong count');
+  assert(is.constraints(['red', 'blue'], tally) === false, 'Not an object');
+
+  let error = null;
+  try {
+    is.constraints([], [{ type: 'palindrome' }]);
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /palindrome/.test(error.message), 'Unknown constraint rejected');
+});
+
+await test('Strictness resolution per type', () => {
+  assert(strictnessFor(undefined, 'nlp_math') === 'standard', 'Default');
+  assert(strictnessFor('strict', 'nlp_math') === 'strict', 'One level for all');
+  assert(strictnessFor({ nlp_math: 'strict' }, 'nlp_math') === 'strict', 'Per type');
+  assert(strictnessFor({ nlp_math: 'strict' }, 'nlp_count', 'lenient') === 'lenient', 'Fallback');
+  let error = null;
+  try {
+    strictnessFor('loose', 'nlp_math');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /strictness/.test(error.message), 'Unknown level rejected');
+});
+
+// ============== VALIDATOR TESTS ==============
+console.log('\n📦 Validator Tests\n');
+
+/**
+ * Fresh challenge of one type
+ */
+function challengeWith(type, options = {}) {
+  return generate(randomBytes(16).toString('hex'), type, options);
+}
+
+await test('NLP validators accept fenced, string and whitespace answers', () => {
+  const math = challengeWith('nlp_math');
+  const { salt, result } = math.expected;
+  assert(math.validate('```json\n' + JSON.stringify({ salt, result: String(result) }) + '\n```'), 'Fenced, numeric string');
+  assert(math.validate(JSON.stringify({ salt: ` ${salt.toLowerCase()} `, result })), 'Salt whitespace and case');
+
+  const logic = challengeWith('nlp_logic');
+  assert(logic.validate(JSON.stringify({ salt: logic.expected.salt, answer: `${logic.expected.answer.toLowerCase()}\n` })), 'Keyword answer');
+  assert(!logic.validate(JSON.stringify({ salt: 'ZZZZZZ', answer: logic.expected.answer })), 'Wrong salt');
+});
+
+await test('Strictness is configurable per challenge type', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const options = { strictness: { nlp_math: 'strict' } };
+  const math = generate(nonce, 'nlp_math', options);
+  const count = generate(nonce, 'nlp_count', options);
+  assert(math.strictness === 'strict' && count.strictness === 'standard', 'Levels reported');
+
+  const { salt, result } = math.expected;
+  assert(math.validate(JSON.stringify({ salt, result })), 'Strict accepts the exact answer');
+  assert(!math.validate(JSON.stringify({ salt, result: String(result) })), 'Strict refuses a numeric string');
+  assert(!math.validate('Answer: ' + JSON.stringify({ salt, result })), 'Strict refuses prose');
+  assert(count.validate(JSON.stringify({ salt: count.expected.salt, count: String(count.expected.count) })), 'Other types stay standard');
+});
+
+await test('Registry types carry their own strictness', () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('echo', {
+    strictness: 'strict',
+    generate: (nonce, rng, { strictness }) => {
+      const code = rng.string(6);
+      const is = createAnswerMatcher({ strictness });
+      return { challenge_string: `Echo ${code}`, validate: (s) => is.text(is.parse(s)?.code, code), expected: { code } };
+    }
+  });
+  assert(registry.list()[0].strictness === 'strict', 'Listed');
+
+  const batch = generateBatch(randomBytes(16).toString('hex'), 3, { registry });
+  assert(batch.record.strictness.every(level => level === 'strict'), 'Recorded per challenge');
+  const loose = batch.expected.map(e => `code: ${JSON.stringify(e)}`);
+  assert(!validateBatch(batch.validators, loose).allPassed, 'Strict type refuses prose');
+  assert(validateBatch(batch.validators, batch.expected).allPassed, 'Exact answers pass');
+
+  const record = JSON.parse(JSON.stringify(batch.record));
+  const relaxed = generateBatch(batch.record.nonce, 3, { registry, strictness: 'standard' });
+  assert(validateBatch(relaxed.validators, loose).allPassed, 'Option overrides the type');
+  assert(!validateBatch(rebuildValidators(record, { registry, strictness: 'standard' }), loose).allPassed, 'Records keep their level');
+});
+
+// ============== DIAGNOSTICS TESTS ==============
+console.log('\n📦 Diagnostics Tests\n');
+
+await test('Validators report a reason code per failure', () => {
+  const math = challengeWith('nlp_math');
+  const { salt, result } = math.expected;
+  const reason = (solution) => diagnoseAnswer(math.validate, solution);
+
+  assert(reason(JSON.stringify({ salt, result })).valid, 'Correct answer');
+  assert(reason('I think it is 12').reason === REASON_CODES.PARSE_ERROR, 'No JSON');
+  const noSalt = reason(JSON.stringify({ result }));
+  assert(noSalt.reason === REASON_CODES.MISSING_FIELD && noSalt.field === 'salt', 'Missing salt');
+  assert(reason(JSON.stringify({ salt: 'ZZZZZZ', result })).reason === REASON_CODES.SALT_MISMATCH, 'Wrong salt');
+  const noResult = reason(JSON.stringify({ salt }));
+  assert(noResult.reason === REASON_CODES.MISSING_FIELD && noResult.field === 'result', 'Missing field');
+  const wrong = reason(JSON.stringify({ salt, result: result + 1 }));
+  assert(wrong.reason === REASON_CODES.WRONG_VALUE && wrong.field === 'result', 'Wrong value');
+
+  const extract = challengeWith('nlp_extract');
+  const field = Object.keys(extract.expected).find(key => key !== 'salt');
+  const wrongItems = diagnoseAnswer(extract.validate, JSON.stringify({ salt: extract.expected.salt, [field]: ['nothing'] }));
+  assert(wrongItems.field === field, `Alias reported as written (${wrongItems.field})`);
+
+  assert(diagnoseAnswer(() => false, '{}').reason === REASON_CODES.WRONG_VALUE, 'Plain validators report WRONG_VALUE');
+
+  const is = createAnswerMatcher();
+  const pair = is.validator('ABC123', { answer: (value) => is.constraints(value, [{ type: 'count', n: 2 }, { type: 'distinct' }]) });
+  const broken = pair.diagnose(JSON.stringify({ salt: 'ABC123', answer: ['a', 'a'] }));
+  assert(broken.reason === REASON_CODES.CONSTRAINT_FAILED && broken.field === 'answer' && broken.constraint === 'distinct', 'Broken constraint named');
+  assert(pair.diagnose(JSON.stringify({ salt: 'ABC123', answer: 'ab' })).reason === REASON_CODES.WRONG_VALUE, 'Wrong shape');
+});
+
+await test('validateBatch shows reasons only behind diagnostics', () => {
+  const batch = generateBatch(randomBytes(16).toString('hex'), 3);
+  const answers = [batch.expected[0], 'no idea', { ...batch.expected[2], salt: 'ZZZZZZ' }];
+
+  const plain = validateBatch(batch.validators, answers);
+  assert(plain.results.every(r => Object.keys(r).join() === 'id,valid'), 'Off by default');
+
+  const codes = validateBatch(batch.validators, answers, { diagnostics: true, expected: batch.expected });
+  assert(codes.results[0].valid && codes.results[0].reason === undefined, 'Passing answers carry no reason');
+  assert(codes.results[1].reason === 'PARSE_ERROR' && codes.results[2].reason === 'SALT_MISMATCH', 'Codes');
+  assert(codes.results.every(r => r.expected === undefined), 'No expected answers at "codes"');
+
+  const debug = validateBatch(batch.validators, answers, { diagnostics: 'debug', expected: batch.expected });
+  assert(debug.results[1].expected === batch.expected[1], '"debug" adds the expected answer');
+  assert(validateBatch(batch.validators, [], { diagnostics: true }).results.every(r => r.reason === 'PARSE_ERROR'), 'Missing answers');
+
+  const rebuilt = validateBatch(rebuildValidators(batch.record), answers, { diagnostics: true });
+  assert(rebuilt.results[2].reason === 'SALT_MISMATCH', 'Rebuilt validators keep their reasons');
+});
+
+await test('Expected answers never leak in production', () => {
+  const previous = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    assert(resolveDiagnostics('debug') === 'codes', '"debug" drops to "codes"');
+    const batch = generateBatch(randomBytes(16).toString('hex'), 2);
+    const { results } = validateBatch(batch.validators, ['x', 'y'], { diagnostics: 'debug', expected: batch.expected });
+    assert(results.every(r => r.reason === 'PARSE_ERROR' && !('expected' in r)), 'Codes only');
+  } finally {
+    if (previous === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = previous;
+  }
+
+  assert(resolveDiagnostics(false) === null && resolveDiagnostics(true) === 'codes', 'Levels');
+  let error = null;
+  try {
+    resolveDiagnostics('verbose');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /diagnostics/.test(error.message), 'Unknown level throws');
+});
+
+// ============== SERVER TESTS ==============
+console.log('\n📦 Server Tests\n');
+
+/**
+ * Run a batch session, answering with a function of the challenges
+ */
+function runRaw(url, answerFor) {
+  const ws = new WebSocket(url);
+  return new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'handshake') {
+        ws.send(JSON.stringify({ type: 'ready' }));
+      } else if (msg.type === 'challenges') {
+        ws.send(JSON.stringify({ type: 'answers', answers: answerFor(msg) }));
+      } else {
+        ws.close();
+        resolve(msg);
+      }
+    });
+  });
+}
+
+/**
+ * Answers for the simple set, written the way a chatty model would
+ */
+function chattySimple({ challenges }) {
+  return challenges.map(({ type, challenge: text }) => {
+    const challenge = canonicalize(text);
+    const salt = challenge.match(/\[REQ-([A-Z0-9]+)\]/)[1];
+    let answer;
+    switch (type) {
+      case 'math': {
+        const [, a, op, b] = challenge.match(/What is (\d+) ([+\-*]) (\d+)/);
+        answer = { result: String(op === '+' ? +a + +b : op === '-' ? a - b : a * b) };
+        break;
+      }
+      case 'logic': {
+        const [, x, y] = challenge.match(/X=(\d+), Y=(\d+)/).map(Number);
+        answer = { answer: x > y ? 'greater' : x < y ? 'less' : 'equal' };
+        break;
+      }
+      case 'count': {
+        const animals = ['cat', 'dog', 'bird', 'fish', 'lion'];
+        const items = challenge.match(/Count animals: (.*)\n/)[1].split(', ');
+        answer = { count: `${items.filter(i => animals.includes(i)).length} ` };
+        break;
+      }
+      case 'pattern': {
+        const seq = challenge.match(/\[([\d, ]+), \?, \?\]/)[1].split(', ').map(Number);
+        const step = seq[1] - seq[0];
+        answer = { next: [String(seq[3] + step), seq[3] + step * 2] };
+        break;
+      }
+      case 'reverse':
+        answer = { result: challenge.match(/"([a-z]+)"/)[1].split('').reverse().join('').toUpperCase() };
+        break;
+      case 'extract':
+        answer = { color: ` ${challenge.match(/"The (\w+) /)[1]} ` };
+        break;
+      case 'longest': {
+        const words = challenge.match(/Find longest word: (.*)\n/)[1].split(', ');
+        answer = { answer: words.reduce((a, b) => a.length >= b.length ? a : b) };
+        break;
+      }
+    }
+    return '```json\n' + JSON.stringify({ salt, ...answer }) + '\n```';
+  });
+}
+
+let port;  // Port of the server under test (listening on port 0)
+
+await test('Simple set accepts the same answer formats as the NLP set', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false });
+  port = aap.wss.address().port;
+  try {
+    const result = await runRaw(`ws://localhost:${port}`, chattySimple);
+    assert(result.verified, `Verified (${result.message})`);
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Simple set honours the strictness option', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false, strictness: 'strict' });
+  port = aap.wss.address().port;
+  try {
+    const result = await runRaw(`ws://localhost:${port}`, chattySimple);
+    assert(!result.verified && result.passed === 0, 'Strict refuses fenced answers');
+  } finally {
+    aap.close();
+  }
+
+  let error = null;
+  try {
+    createAAPWebSocket({ noServer: true, strictness: { math: 'loose' } });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /strictness/.test(error.message), 'Unknown level throws');
+});
+
+await test('NLP source honours per-type strictness', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false, challengeSource: 'nlp', strictness: { nlp_math: 'strict' } });
+  port = aap.wss.address().port;
+  try {
+    let types = [];
+    const result = await runRaw(`ws://localhost:${port}`, ({ nonce, challenges }) => {
+      types = challenges.map(c => c.type);
+      return generateBatch(nonce, challenges.length).expected.map(e => '```json\n' + JSON.stringify(e) + '\n```');
+    });
+    const refused = result.results.filter(r => !r.valid).map(r => types[r.id]);
+    assert(refused.every(type => type === 'nlp_math'), 'Only the strict type refuses fences');
+    assert(refused.length === types.filter(type => type === 'nlp_math').length, 'Every math answer refused');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Server results carry reason codes with diagnostics', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false, diagnostics: 'debug' });
+  port = aap.wss.address().port;
+  try {
+    const result = await runRaw(`ws://localhost:${port}`, (msg) => {
+      const answers = chattySimple(msg);
+      answers[0] = 'no idea';
+      return answers;
+    });
+    const [first, ...rest] = result.results;
+    assert(!first.valid && first.reason === 'PARSE_ERROR', `First answer refused (${first.reason})`);
+    assert(first.expected && typeof first.expected.salt === 'string', 'Expected answer in debug');
+    assert(rest.every(r => r.valid && r.reason === undefined), 'Others pass without reasons');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Missed sequential deadlines report TIMEOUT', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false, mode: 'sequential', stepTimeMs: 150, diagnostics: true });
+  port = aap.wss.address().port;
+  try {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.type === 'handshake') ws.send(JSON.stringify({ type: 'ready', mode: 'sequential' }));
+        else if (msg.type === 'result') resolve(msg);
+      });
+    });
+    ws.close();
+    assert(result.code === 'TOO_SLOW', 'Too slow');
+    assert(result.results.length === 1 && result.results[0].reason === 'TIMEOUT', 'Open step timed out');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
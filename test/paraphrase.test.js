@@ -0,0 +1,299 @@
+/**
+ * AAP Paraphrase Tests
+ *
+ * Nonce-seeded rewording of challenge instructions: determinism, the
+ * canonical round trip in every locale, untouched data and answers, and a
+ * fixed-regex solver that stops passing once paraphrasing is on
+ */
+
+import { randomBytes } from 'node:crypto';
+import WebSocket from 'ws';
+import { paraphrase, canonicalize } from '../packages/server/paraphrase.js';
+import { createPrng } from '../packages/server/prng.js';
+import {
+  generate,
+  generateBatch,
+  rebuildValidators,
+  validateBatch,
+  getTypes,
+  createChallengeRegistry,
+  DIFFICULTY_LEVELS
+} from '../packages/server/challenges.js';
+import { runCalibration } from '../packages/server/calibration.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { createReferenceSolver } from '../packages/server/solver.js';
+import { LOCALES, getLocales } from '../packages/server/locales/index.js';
+
+console.log('🧪 AAP Paraphrase Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const SAMPLE = '[REQ-ABC123] Compute: ((37 + 12) × 3 - 5) ÷ 4. Give the result rounded to 2 decimal places.\n' +
+  'Response format: {"salt": "ABC123", "result": number}';
+
+const rngFor = (nonce) => createPrng(nonce, { label: 'paraphrase' });
+const firstLine = (text) => text.split('\n')[0];
+
+// ============== ENGINE TESTS ==============
+console.log('\n📦 Engine Tests\n');
+
+await test('Same nonce, same wording; other nonces vary it', () => {
+  assert(paraphrase(SAMPLE, rngFor('a')) === paraphrase(SAMPLE, rngFor('a')), 'Deterministic');
+
+  const surfaces = new Set();
+  for (let i = 0; i < 50; i++) surfaces.add(paraphrase(SAMPLE, rngFor(`n${i}`)));
+  assert(surfaces.size >= 30, `${surfaces.size} distinct wordings of 50`);
+});
+
+await test('Synonyms, clause order, number words, punctuation, fillers and lead-ins all show up', () => {
+  const pack = LOCALES.en.paraphrase;
+  const outputs = Array.from({ length: 80 }, (_, i) => firstLine(paraphrase(SAMPLE, rngFor(`v${i}`))));
+  const seen = (predicate) => outputs.some(predicate);
+  assert(seen(line => /\b(Calculate|Work out)\b/.test(line)), 'Synonym');
+  assert(seen(line => /^\[REQ-ABC123\] (.+\. )?Give the result rounded.*Compute/.test(line)), 'Moved clause');
+  assert(seen(line => line.includes('two decimal places')), 'Number word');
+  assert(seen(line => line.includes(' — ')), 'Punctuation');
+  assert(seen(line => pack.fillers.some(filler => line.includes(filler))), 'Filler sentence');
+  assert(seen(line => pack.leads.some(lead => line.startsWith(`[REQ-ABC123] ${lead}`))), 'Lead-in');
+  assert(outputs.every(line => line.includes('((37 + 12) × 3 - 5) ÷ 4')), 'Expression left alone');
+});
+
+await test('Canonical round trip for every type, locale and difficulty', () => {
+  for (const locale of getLocales()) {
+    for (const type of getTypes()) {
+      for (const difficulty of DIFFICULTY_LEVELS) {
+        const nonce = randomBytes(16).toString('hex');
+        const text = generate(nonce, type, { locale, difficulty, paraphrase: false }).challenge_string;
+        for (let i = 0; i < 3; i++) {
+          const reworded = paraphrase(text, rngFor(`${nonce}${i}`), { locale });
+          assert(canonicalize(reworded, { locale }) === canonicalize(text, { locale }),
+            `${locale}/${type}: ${firstLine(reworded)}`);
+        }
+      }
+    }
+  }
+});
+
+await test('Data lines, quotes and bracketed lists are left alone', () => {
+  for (const locale of getLocales()) {
+    for (const type of getTypes()) {
+      const nonce = randomBytes(16).toString('hex');
+      const text = generate(nonce, type, { locale, paraphrase: false }).challenge_string;
+      const reworded = generate(nonce, type, { locale }).challenge_string;
+      assert(reworded.split('\n').slice(1).join('\n') === text.split('\n').slice(1).join('\n'), `${locale}/${type}: data lines`);
+      assert(reworded.startsWith(text.match(/^\[REQ-\w+\] /)[0]), `${locale}/${type}: salt first`);
+      for (const segment of firstLine(text).match(/"[^"]*"|\[[^\]]*\]/g) ?? []) {
+        assert(firstLine(reworded).includes(segment), `${locale}/${type}: ${segment}`);
+      }
+    }
+  }
+});
+
+await test('Fillers and lead-ins carry no numbers, pool words or template phrases', () => {
+  for (const locale of getLocales()) {
+    const pack = LOCALES[locale];
+    const { synonyms, fillers, leads } = pack.paraphrase;
+    const words = Object.values(pack.words).flat();
+    const numbers = pack.paraphrase.numberWords ? Object.keys(pack.numbers) : [];
+    // Same word boundaries the engine uses, so "answering" does not count as "answer"
+    const phrases = synonyms.flat()
+      .filter(phrase => phrase.trim().length > 1)
+      .map(phrase => pack.paraphrase.boundaries
+        ? new RegExp(`(?<!\\p{L})${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\p{L})`, 'u')
+        : { test: (text) => text.includes(phrase) });
+    for (const text of [...fillers, ...leads]) {
+      const tokens = text.toLowerCase().split(/[^\p{L}]+/u);
+      assert(!/\d/.test(text), `${locale}: digits in "${text}"`);
+      assert(!numbers.some(word => tokens.includes(word)), `${locale}: number word in "${text}"`);
+      assert(!words.some(word => locale === 'en' || locale === 'es' ? tokens.includes(word.toLowerCase()) : text.includes(word)),
+        `${locale}: pool word in "${text}"`);
+      assert(!phrases.some(phrase => phrase.test(text)), `${locale}: template phrase in "${text}"`);
+    }
+  }
+});
+
+// ============== CHALLENGE TESTS ==============
+console.log('\n📦 Challenge Tests\n');
+
+await test('Paraphrased batches keep their answers and rebuilt validators', () => {
+  const nonce = randomBytes(16).toString('hex');
+  const plain = generateBatch(nonce, 11, { locale: 'es', paraphrase: false });
+  const batch = generateBatch(nonce, 11, { locale: 'es' });
+
+  assert(JSON.stringify(batch.expected) === JSON.stringify(plain.expected), 'Same expected answers');
+  assert(batch.challenges.some((c, i) => c.challenge_string !== plain.challenges[i].challenge_string), 'Reworded');
+  assert(validateBatch(batch.validators, batch.expected).allPassed, 'Expected answers pass');
+  assert(validateBatch(rebuildValidators(batch.record), batch.expected).allPassed, 'Rebuilt validators pass');
+});
+
+await test('Custom types keep their wording unless they opt in', () => {
+  const definition = {
+    generate: (nonce, rng) => {
+      const n = rng.int(2, 9);
+      return {
+        challenge_string: `[REQ-ABC123] Compute: ${n} + 1. Give the result rounded to 2 decimal places.\nFormat: {"result": number}`,
+        validate: () => true
+      };
+    }
+  };
+  const registry = createChallengeRegistry({
+    builtins: false,
+    types: { plain: definition, reworded: { ...definition, paraphrase: true } }
+  });
+  assert(registry.get('plain').paraphrase === false && registry.get('reworded').paraphrase === true, 'Flag stored');
+
+  const template = /^\[REQ-ABC123\] Compute: \d \+ 1\. Give the result rounded to 2 decimal places\.\n/;
+  const texts = (type, options = {}) => Array.from({ length: 10 }, (_, i) =>
+    generate(`nonce-${i}`, type, { registry, ...options }).challenge_string);
+  assert(texts('plain').every(text => template.test(text)), 'Opted out: template wording');
+  assert(texts('reworded').some(text => !template.test(text)), 'Opted in: reworded');
+  assert(texts('reworded', { paraphrase: false }).every(text => template.test(text)), 'paraphrase: false wins');
+});
+
+// ============== FIXED-REGEX SOLVER TESTS ==============
+console.log('\n📦 Fixed-Regex Solver Tests\n');
+
+// One regex per template, the way a scripted solver reads the simple set
+const SIMPLE_PATTERNS = {
+  math: /What is (\d+) ([+\-*]) (\d+)\?/,
+  logic: /X=(\d+), Y=(\d+)\. Answer "GREATER"/,
+  count: /Count animals: (.+)\n/,
+  pattern: /Next 2 numbers: \[([\d, ]+), \?, \?\]/,
+  reverse: /Reverse the string: "([a-z]+)"/,
+  extract: /Extract the color: "The (\w+) /,
+  longest: /Find longest word: (.+)\n/
+};
+
+function solveFixed(type, challenge) {
+  const salt = challenge.match(/\[REQ-([A-Z0-9]+)\]/)[1];
+  const match = challenge.match(SIMPLE_PATTERNS[type]);
+  if (!match) return '';
+  const answers = {
+    math: ([, a, op, b]) => ({ result: op === '+' ? +a + +b : op === '-' ? a - b : a * b }),
+    logic: ([, x, y]) => ({ answer: +x > +y ? 'GREATER' : +x < +y ? 'LESS' : 'EQUAL' }),
+    count: ([, items]) => ({ count: items.split(', ').filter(i => ['cat', 'dog', 'bird', 'fish', 'lion'].includes(i)).length }),
+    pattern: ([, seq]) => {
+      const [s0, s1, , s3] = seq.split(', ').map(Number);
+      return { next: [s3 + (s1 - s0), s3 + 2 * (s1 - s0)] };
+    },
+    reverse: ([, word]) => ({ result: word.split('').reverse().join('') }),
+    extract: ([, color]) => ({ color }),
+    longest: ([, words]) => ({ answer: words.split(', ').reduce((a, b) => a.length >= b.length ? a : b) })
+  };
+  return JSON.stringify({ salt, ...answers[type](match) });
+}
+
+/**
+ * Run one unsigned batch session against a local server
+ */
+function runSession(url, answer) {
+  const ws = new WebSocket(url);
+  return new Promise((resolve) => {
+    ws.on('message', async (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'handshake') {
+        ws.send(JSON.stringify({ type: 'ready' }));
+      } else if (msg.type === 'challenges') {
+        ws.send(JSON.stringify({ type: 'answers', answers: await answer(msg.challenges) }));
+      } else {
+        ws.close();
+        resolve(msg);
+      }
+    });
+  });
+}
+
+let port;  // Port of the server under test (listening on port 0)
+
+await test('Fixed-regex solver passes the simple set only without paraphrasing', async () => {
+  const fixed = (challenges) => challenges.map(({ type, challenge }) => solveFixed(type, challenge));
+  const sessions = 12;
+  const rates = {};
+  for (const paraphraseOption of [false, true]) {
+    const aap = createAAPWebSocket({ port: 0, requireSignature: false, paraphrase: paraphraseOption });
+    port = aap.wss.address().port;
+    try {
+      let valid = 0;
+      let total = 0;
+      let verified = 0;
+      for (let s = 0; s < sessions; s++) {
+        const result = await runSession(`ws://localhost:${port}`, fixed);
+        valid += result.results.filter(r => r.valid).length;
+        total += result.results.length;
+        if (result.verified) verified++;
+      }
+      rates[paraphraseOption] = { rate: valid / total, verified };
+    } finally {
+      aap.close();
+    }
+  }
+  assert(rates.false.rate === 1 && rates.false.verified === sessions, `Template wording: ${rates.false.rate}`);
+  assert(rates.true.rate < 0.5, `Paraphrased: ${rates.true.rate} of answers pass`);
+  assert(rates.true.verified === 0, `Paraphrased: ${rates.true.verified} sessions verified`);
+});
+
+await test('Reference solver still passes the paraphrased simple set', async () => {
+  const solve = createReferenceSolver({ testOnly: true });
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false });
+  port = aap.wss.address().port;
+  try {
+    for (let s = 0; s < 3; s++) {
+      const result = await runSession(`ws://localhost:${port}`, solve);
+      assert(result.verified, `Session ${s}: ${result.message}`);
+    }
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Fixed template regexes collapse on paraphrased NLP challenges', async () => {
+  // Exact English template wording, answered with the expected answer when it matches
+  const TEMPLATE_PATTERNS = {
+    nlp_extract: /^Extract ONLY the (animals|fruits|colors) from this sentence \(ignore other categories\)\.$/,
+    nlp_count: /^Count ONLY the (animals|fruits|colors) in this text\. Ignore all other categories \(other nouns are distractors\)\.$/,
+    nlp_pattern: /^Find the pattern and provide the next 2 numbers: \[[-\d, ]+, \?, \?\]$/,
+    nlp_analysis: /^Find the (longest word|shortest word|word that comes first alphabetically) from the following list: .+$/,
+    nlp_code: /^What (does this|is the value of \w+ after this) (JavaScript|pseudo-code \(.*\)) program (print|runs)\?$/
+  };
+  const solver = {
+    name: 'fixed-regex',
+    solve: ({ type, challenge_string, expected }) => {
+      const line = firstLine(challenge_string).replace(/^\[REQ-\w+\] /, '');
+      return TEMPLATE_PATTERNS[type]?.test(line) ? JSON.stringify(expected) : '';
+    }
+  };
+  const rate = (report) => {
+    const stats = Object.keys(TEMPLATE_PATTERNS).map(type => report.types[type]);
+    return stats.reduce((sum, s) => sum + s.passed, 0) / stats.reduce((sum, s) => sum + s.attempts, 0);
+  };
+
+  const plain = await runCalibration({ solver, batches: 12, count: 11, seed: 'fixed', paraphrase: false });
+  const reworded = await runCalibration({ solver, batches: 12, count: 11, seed: 'fixed' });
+  assert(rate(plain) === 1, `Template wording: ${rate(plain)}`);
+  assert(rate(reworded) < 0.25, `Paraphrased: ${rate(reworded)}`);
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
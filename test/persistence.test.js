@@ -0,0 +1,183 @@
+/**
+ * AAP Persistence Tests
+ *
+ * Single-use challenge consumption across memory, file and Redis stores
+ */
+
+import { rmSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { createMemoryStore, createFileStore, createRedisStore } from '../packages/server/persistence.js';
+import { generateBatch, rebuildValidators, validateBatch } from '../packages/server/challenges.js';
+
+console.log('🧪 AAP Persistence Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+/**
+ * Minimal ioredis stand-in. Every command yields to the event loop like a
+ * network round trip, so get-then-delete races show up.
+ */
+function createFakeRedis({ getdel = true } = {}) {
+  const data = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const client = {
+    calls: [],
+    async get(key) { await tick(); return data.get(key) ?? null; },
+    async set(key, value) { await tick(); data.set(key, value); return 'OK'; },
+    async del(key) { await tick(); return data.delete(key) ? 1 : 0; },
+    async eval(script, numKeys, key) {
+      client.calls.push('eval');
+      await tick();
+      const value = data.get(key) ?? null;
+      data.delete(key);
+      return value;
+    }
+  };
+  if (getdel) {
+    client.getdel = async (key) => {
+      client.calls.push('getdel');
+      await tick();
+      const value = data.get(key) ?? null;
+      data.delete(key);
+      return value;
+    };
+  }
+  return client;
+}
+
+/**
+ * Fire concurrent consumers at one nonce and count the winners
+ */
+async function race(store, attempts = 10) {
+  await store.set('nonce-1', { validators: [], expiresAt: Date.now() + 60000 }, 60000);
+  const results = await Promise.all(Array.from({ length: attempts }, () => store.consume('nonce-1')));
+  return results.filter(Boolean).length;
+}
+
+// ============== CONSUME TESTS ==============
+console.log('\n📦 Single-Use Consume Tests\n');
+
+await test('Memory store: consume returns the data once', async () => {
+  const store = createMemoryStore();
+  await store.set('n', { expiresAt: 1 });
+  assert((await store.consume('n'))?.expiresAt === 1, 'First consume gets data');
+  assert(await store.consume('n') === null, 'Second consume gets null');
+  assert(!(await store.has('n')), 'Entry removed');
+});
+
+await test('Memory store: only one concurrent consumer wins', async () => {
+  assert(await race(createMemoryStore()) === 1, 'Exactly one winner');
+});
+
+await test('File store: consume persists the deletion', async () => {
+  rmSync('.aap-test', { recursive: true, force: true });
+  const store = createFileStore('.aap-test/challenges.json');
+  assert(await race(store) === 1, 'Exactly one winner');
+  store.close();
+
+  const reopened = createFileStore('.aap-test/challenges.json');
+  assert(!(await reopened.has('nonce-1')), 'Not restored after restart');
+  reopened.close();
+  rmSync('.aap-test', { recursive: true, force: true });
+});
+
+await test('Redis store: uses GETDEL, only one replica wins', async () => {
+  const redis = createFakeRedis();
+  const replicas = [createRedisStore(redis), createRedisStore(redis)];
+  await replicas[0].set('nonce-1', { expiresAt: Date.now() + 60000 }, 60000);
+
+  const results = await Promise.all([0, 1, 0, 1].map(i => replicas[i].consume('nonce-1')));
+  assert(results.filter(Boolean).length === 1, 'Exactly one winner');
+  assert(redis.calls.every(c => c === 'getdel'), 'GETDEL used');
+});
+
+await test('Redis store: falls back to Lua without GETDEL', async () => {
+  const redis = createFakeRedis({ getdel: false });
+  assert(await race(createRedisStore(redis)) === 1, 'Exactly one winner');
+  assert(redis.calls.length > 0 && redis.calls.every(c => c === 'eval'), 'Lua script used');
+});
+
+await test('Redis store: falls back to Lua on servers before 6.2', async () => {
+  const redis = createFakeRedis();
+  redis.getdel = async () => { throw new Error("ERR unknown command 'getdel'"); };
+  const store = createRedisStore(redis);
+  await store.set('n', { ok: true }, 60000);
+  assert((await store.consume('n'))?.ok === true, 'Consumed via Lua');
+  assert(await store.consume('n') === null, 'Gone afterwards');
+});
+
+// ============== CROSS-REPLICA TESTS ==============
+console.log('\n📦 Cross-Replica Verification Tests\n');
+
+const secret = randomBytes(32);  // Shared by the replicas
+
+await test('A challenge issued on one replica verifies on another (Redis)', async () => {
+  const redis = createFakeRedis();
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 7, { secret });
+
+  await createRedisStore(redis).set(nonce, { ...batch.record, expiresAt: Date.now() + 60000 }, 60000);
+
+  const record = await createRedisStore(redis).consume(nonce);
+  assert(record, 'Record found on the other replica');
+  assert(validateBatch(rebuildValidators(record, { secret }), batch.expected).allPassed, 'Answers verify');
+});
+
+await test('A challenge survives a restart (file store)', async () => {
+  rmSync('.aap-test', { recursive: true, force: true });
+  const nonce = randomBytes(16).toString('hex');
+  const batch = generateBatch(nonce, 7, { secret });
+
+  const store = createFileStore('.aap-test/challenges.json');
+  await store.set(nonce, { ...batch.record, validators: batch.validators, expiresAt: Date.now() + 60000 });
+  assert((await store.get(nonce)).validators, 'Saving keeps validators on the live entry');
+  store.close();
+
+  const reopened = createFileStore('.aap-test/challenges.json');
+  const record = await reopened.consume(nonce);
+  reopened.close();
+  rmSync('.aap-test', { recursive: true, force: true });
+
+  assert(!('validators' in record), 'Functions not persisted');
+  assert(validateBatch(rebuildValidators(record, { secret }), batch.expected).allPassed, 'Answers verify after restart');
+});
+
+await test('Rebuilding without a secret warns once', async () => {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    const batch = generateBatch(randomBytes(16).toString('hex'), 3);
+    assert(validateBatch(rebuildValidators(batch.record), batch.expected).allPassed, 'Same process still verifies');
+    rebuildValidators(batch.record);
+    rebuildValidators(batch.record, { secret });
+  } finally {
+    console.warn = warn;
+  }
+  assert(warnings.length === 1 && warnings[0].includes('without a secret'), `Warned once (${warnings.length})`);
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
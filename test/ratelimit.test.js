@@ -0,0 +1,148 @@
+/**
+ * AAP Rate Limiter Tests
+ *
+ * Connection / failure limits, escalating lockout, memory and Redis stores
+ */
+
+import { createRateLimiter, createMemoryLimitStore, createRedisLimitStore } from '../packages/server/ratelimit.js';
+
+console.log('🧪 AAP Rate Limiter Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+/**
+ * Minimal ioredis stand-in with millisecond TTLs
+ * (eval runs the limit store's count-and-expire script)
+ */
+function createFakeRedis() {
+  const data = new Map();  // key -> { value, expiresAt }
+  const calls = [];
+  const alive = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && Date.now() >= entry.expiresAt) data.delete(key);
+    return data.get(key) || null;
+  };
+  return {
+    async get(key) { return alive(key)?.value ?? null; },
+    async set(key, value, px, ttl) { data.set(key, { value, expiresAt: px === 'PX' ? Date.now() + ttl : null }); return 'OK'; },
+    async incr(key) {
+      const entry = alive(key) || { value: '0', expiresAt: null };
+      entry.value = String(parseInt(entry.value, 10) + 1);
+      data.set(key, entry);
+      return parseInt(entry.value, 10);
+    },
+    async pexpire(key, ttl) { const e = alive(key); if (e) e.expiresAt = Date.now() + ttl; return e ? 1 : 0; },
+    async pttl(key) { const e = alive(key); return !e ? -2 : e.expiresAt === null ? -1 : e.expiresAt - Date.now(); },
+    async del(...keys) { keys.forEach(k => data.delete(k)); return keys.length; },
+    async eval(script, numKeys, key, windowMs) {
+      calls.push('eval');
+      const count = await this.incr(key);
+      let ttl = await this.pttl(key);
+      if (ttl < 0) {
+        await this.pexpire(key, windowMs);
+        ttl = windowMs;
+      }
+      return [count, ttl];
+    },
+    calls,
+    data
+  };
+}
+
+for (const [name, makeStore] of [
+  ['memory', () => createMemoryLimitStore()],
+  ['redis', () => createRedisLimitStore(createFakeRedis())]
+]) {
+  console.log(`\n📦 Limiter (${name} store)\n`);
+
+  await test(`${name}: connections per IP are capped`, async () => {
+    const limiter = createRateLimiter({ store: makeStore(), maxConnectionsPerIp: 3 });
+    for (let i = 0; i < 3; i++) {
+      assert((await limiter.checkConnection('1.2.3.4')).allowed, `Connection ${i + 1} allowed`);
+    }
+    const verdict = await limiter.checkConnection('1.2.3.4');
+    assert(!verdict.allowed, 'Fourth connection refused');
+    assert(verdict.reason === 'TOO_MANY_CONNECTIONS', 'Reason');
+    assert(verdict.retryAfterMs > 0, 'Retry-after given');
+    assert((await limiter.checkConnection('5.6.7.8')).allowed, 'Other IPs unaffected');
+  });
+
+  await test(`${name}: failures lock out the publicId and the IP`, async () => {
+    const limiter = createRateLimiter({ store: makeStore(), maxFailuresPerPublicId: 2, maxFailuresPerIp: 3 });
+    await limiter.recordFailure({ ip: '1.1.1.1', publicId: 'agent-a' });
+    assert((await limiter.checkPublicId('agent-a')).allowed, 'One failure is fine');
+
+    const locks = await limiter.recordFailure({ ip: '1.1.1.1', publicId: 'agent-a' });
+    assert(locks.length === 1 && locks[0].subject === 'id:agent-a', 'publicId locked');
+    assert(!(await limiter.checkPublicId('agent-a')).allowed, 'publicId refused');
+    assert((await limiter.checkConnection('1.1.1.1')).allowed, 'IP still allowed');
+
+    await limiter.recordFailure({ ip: '1.1.1.1', publicId: 'agent-b' });
+    const ipVerdict = await limiter.checkConnection('1.1.1.1');
+    assert(!ipVerdict.allowed && ipVerdict.reason === 'LOCKED_OUT', 'IP locked after 3 failures');
+  });
+
+  await test(`${name}: lockouts escalate and can be reset`, async () => {
+    const limiter = createRateLimiter({ store: makeStore(), maxFailuresPerPublicId: 1, lockoutMs: 1000 });
+    const now = Date.now();
+    const [first] = await limiter.recordFailure({ publicId: 'agent-c' }, now);
+    const [second] = await limiter.recordFailure({ publicId: 'agent-c' }, now);
+    const [third] = await limiter.recordFailure({ publicId: 'agent-c' }, now);
+    assert(first.retryAfterMs === 1000, 'First lockout');
+    assert(second.retryAfterMs === 2000, 'Doubled');
+    assert(third.retryAfterMs === 4000, 'Doubled again');
+
+    await limiter.reset({ publicId: 'agent-c' });
+    assert((await limiter.checkPublicId('agent-c')).allowed, 'Reset lifts the lockout');
+    const [again] = await limiter.recordFailure({ publicId: 'agent-c' });
+    assert(again.retryAfterMs === 1000, 'Strikes cleared');
+  });
+}
+
+console.log('\n📦 Lockout Expiry\n');
+
+await test('memory: lockout expires', async () => {
+  const limiter = createRateLimiter({ maxFailuresPerPublicId: 1, lockoutMs: 1000 });
+  const now = Date.now();
+  await limiter.recordFailure({ publicId: 'agent-d' }, now);
+  assert(!(await limiter.checkPublicId('agent-d', now + 999)).allowed, 'Locked');
+  assert((await limiter.checkPublicId('agent-d', now + 1000)).allowed, 'Unlocked');
+});
+
+await test('redis: hits count and expire in one script', async () => {
+  const redis = createFakeRedis();
+  const store = createRedisLimitStore(redis, 'rl:');
+  const first = await store.hit('ip', 5000);
+  assert(first.count === 1 && (await redis.pttl('rl:ip')) > 0, 'First hit sets the TTL');
+  assert(redis.calls.length === 1, 'One round trip per hit');
+
+  // A counter left without a TTL (e.g. a crash between INCR and PEXPIRE) is repaired
+  redis.data.set('rl:stuck', { value: '4', expiresAt: null });
+  const stuck = await store.hit('stuck', 5000);
+  assert(stuck.count === 5 && (await redis.pttl('rl:stuck')) > 0, 'TTL restored');
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
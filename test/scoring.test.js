@@ -0,0 +1,224 @@
+/**
+ * AAP Batch Scoring Tests
+ *
+ * Pass thresholds, per-type weights, confidence and attestation strength,
+ * in validateBatch and over a real socket
+ */
+
+import { randomBytes } from 'node:crypto';
+import WebSocket from 'ws';
+import {
+  requiredScore,
+  scoreResults,
+  attestationStrength,
+  DEFAULT_PASS_THRESHOLD
+} from '../packages/server/scoring.js';
+import { generateBatch, validateBatch, createChallengeRegistry } from '../packages/server/challenges.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+
+console.log('🧪 AAP Batch Scoring Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Results with the given ids failing
+ */
+function resultsWith(total, failing = []) {
+  return Array.from({ length: total }, (_, id) => ({ id, valid: !failing.includes(id) }));
+}
+
+// ============== THRESHOLD TESTS ==============
+console.log('\n📦 Threshold Tests\n');
+
+await test('Default threshold is the whole batch, whatever its size', () => {
+  assert(DEFAULT_PASS_THRESHOLD === null && requiredScore(undefined, 10) === 1, 'All by default');
+  assert(scoreResults(resultsWith(7)).verified, 'All pass');
+  assert(!scoreResults(resultsWith(7, [3])).verified, 'One failure fails by default');
+  assert(scoreResults(resultsWith(4)).verified && !scoreResults(resultsWith(4, [0])).verified, 'Smaller batches need all');
+  assert(scoreResults(resultsWith(10)).verified, 'Larger batches pass with all');
+  assert(!scoreResults(resultsWith(10, [9])).verified, 'Larger batches fail on one miss');
+  assert(!scoreResults(resultsWith(10, [7, 8, 9])).verified, '7 of 10 is not enough');
+  assert(!scoreResults([]).verified, 'Empty batches never pass');
+});
+
+await test('Counts and fractions', () => {
+  assert(requiredScore(6, 7) === 6 / 7 && requiredScore(0.8, 7) === 0.8, 'Required score');
+  assert(scoreResults(resultsWith(7, [2]), { passThreshold: 6 }).verified, '6 of 7');
+  assert(!scoreResults(resultsWith(7, [2, 5]), { passThreshold: 6 }).verified, '5 of 7');
+  assert(scoreResults(resultsWith(5, [0]), { passThreshold: 0.8 }).verified, 'Exactly 80%');
+  assert(!scoreResults(resultsWith(7, [0, 1]), { passThreshold: 0.8 }).verified, '71% < 80%');
+  assert(scoreResults(resultsWith(7, [0, 1, 2, 3, 4, 5]), { passThreshold: 1 }).verified, 'A count of 1');
+
+  for (const bad of [0, -1, 1.5, '6', NaN]) {
+    assert(throws(() => scoreResults(resultsWith(7), { passThreshold: bad })), `Refuses ${bad}`);
+  }
+});
+
+// ============== WEIGHT TESTS ==============
+console.log('\n📦 Weight Tests\n');
+
+await test('Weights shape the confidence score', () => {
+  const types = ['hard', 'easy', 'easy', 'easy'];
+  const weights = { hard: 3 };
+  const missedEasy = scoreResults(resultsWith(4, [1]), { types, weights });
+  const missedHard = scoreResults(resultsWith(4, [0]), { types, weights });
+  assert(missedEasy.confidence === 0.833 && missedHard.confidence === 0.5, `Weighted (${missedEasy.confidence}, ${missedHard.confidence})`);
+  assert(scoreResults(resultsWith(4, [1]), { types }).confidence === 0.75, 'Unweighted');
+
+  assert(scoreResults(resultsWith(4, [1]), { types, weights, passThreshold: 0.8 }).verified, 'Easy miss passes 80%');
+  assert(!scoreResults(resultsWith(4, [0]), { types, weights, passThreshold: 0.8 }).verified, 'Hard miss fails 80%');
+  assert(throws(() => scoreResults(resultsWith(4), { types, weights: { hard: -1 } })), 'Negative weights refused');
+});
+
+await test('Count thresholds ignore weights', () => {
+  const types = ['nlp_multistep', ...Array(6).fill('nlp_math')];
+  const weights = { nlp_multistep: 2 };
+  const missedHeavy = scoreResults(resultsWith(7, [0]), { types, weights, passThreshold: 6 });
+  assert(missedHeavy.confidence === 0.75 && missedHeavy.verified, `6 of 7 passed (${missedHeavy.confidence})`);
+  assert(!scoreResults(resultsWith(7, [0, 1]), { types, weights, passThreshold: 6 }).verified, '5 of 7 passed');
+  assert(!scoreResults(resultsWith(7, [0]), { types, weights, passThreshold: 0.8 }).verified, 'Fractions stay weighted');
+  assert(!scoreResults(resultsWith(7, [0]), { types, weights }).verified, 'Default still needs all');
+});
+
+await test('validateBatch reports confidence and the threshold verdict', () => {
+  const batch = generateBatch(randomBytes(16).toString('hex'), 5);
+  const answers = ['nope', ...batch.expected.slice(1)];
+  const strict = validateBatch(batch.validators, answers);
+  assert(!strict.allPassed && !strict.verified && strict.confidence === 0.8, 'Default needs all');
+
+  const lenient = validateBatch(batch.validators, answers, { passThreshold: 4 });
+  assert(lenient.verified && !lenient.allPassed, 'Partial credit');
+
+  const weighted = validateBatch(batch.validators, answers, {
+    passThreshold: 0.8,
+    weights: { [batch.record.types[0]]: 2 },
+    types: batch.record.types
+  });
+  assert(weighted.confidence === 0.667 && !weighted.verified, `Weighted by record types (${weighted.confidence})`);
+});
+
+// ============== STRENGTH TESTS ==============
+console.log('\n📦 Strength Tests\n');
+
+await test('Strength discounts confidence by response time', () => {
+  assert(attestationStrength({ confidence: 1, responseTimeMs: 0, timeBudgetMs: 6000 }) === 1, 'Instant');
+  assert(attestationStrength({ confidence: 1, responseTimeMs: 6000, timeBudgetMs: 6000 }) === 0.75, 'Whole budget');
+  assert(attestationStrength({ confidence: 0.8, responseTimeMs: 3000, timeBudgetMs: 6000 }) === 0.7, 'Half budget');
+  assert(attestationStrength({ confidence: 1, responseTimeMs: 9000, timeBudgetMs: 6000 }) === 0.75, 'Capped at the budget');
+  assert(attestationStrength({ confidence: 0.9, responseTimeMs: 6000, timeBudgetMs: 6000 }, { timeWeight: 0 }) === 0.9, 'Time ignored');
+  assert(throws(() => attestationStrength({ confidence: 1, responseTimeMs: 0, timeBudgetMs: 1 }, { timeWeight: 2 })), 'timeWeight above 1');
+});
+
+// ============== SERVER TESTS ==============
+console.log('\n📦 Server Tests\n');
+
+/**
+ * Registry whose answers are readable from the challenge text
+ */
+function echoRegistry() {
+  const echo = {
+    generate: (nonce, rng) => {
+      const code = rng.string(6);
+      return {
+        challenge_string: `Echo ${code} as {"code": "..."}`,
+        validate: (solution) => JSON.parse(solution).code === code,
+        expected: { code }
+      };
+    }
+  };
+  return createChallengeRegistry({ builtins: false, types: { echo, echo_hard: echo } });
+}
+
+/**
+ * Run a batch session, answering every challenge but `miss`
+ */
+function runEcho(url, miss = []) {
+  const ws = new WebSocket(url);
+  return new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'handshake') {
+        ws.send(JSON.stringify({ type: 'ready' }));
+      } else if (msg.type === 'challenges') {
+        const answers = msg.challenges.map(({ id, challenge }) =>
+          JSON.stringify({ code: miss.includes(id) ? 'WRONG' : challenge.match(/Echo (\S+)/)[1] }));
+        ws.send(JSON.stringify({ type: 'answers', answers }));
+      } else {
+        ws.close();
+        resolve(msg);
+      }
+    });
+  });
+}
+
+let port;  // Port of the server under test (listening on port 0)
+
+await test('Server fails on one miss by default', async () => {
+  const aap = createAAPWebSocket({ port: 0, requireSignature: false, challengeSource: echoRegistry() });
+  port = aap.wss.address().port;
+  try {
+    const result = await runEcho(`ws://localhost:${port}`, [0]);
+    assert(!result.verified && result.passed === 6, result.message);
+    assert(result.confidence === 0.857 && result.strength === undefined, 'Confidence without strength');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Partial credit verifies and stores strength in the session', async () => {
+  const aap = createAAPWebSocket({
+    port: 0,
+    requireSignature: false,
+    challengeSource: echoRegistry(),
+    passThreshold: 0.8
+  });
+  port = aap.wss.address().port;
+  try {
+    const result = await runEcho(`ws://localhost:${port}`, [0]);
+    assert(result.verified, result.message);
+    assert(result.message === 'Passed: 6/7', result.message);
+    assert(result.confidence >= 0.8 && result.strength > 0 && result.strength <= result.confidence, 'Scores');
+
+    const session = await aap.getSessionAsync(result.sessionToken);
+    assert(session.confidence === result.confidence && session.strength === result.strength, 'Session record');
+  } finally {
+    aap.close();
+  }
+
+  assert(throws(() => createAAPWebSocket({ noServer: true, passThreshold: 2.5 })), 'Invalid threshold throws');
+  assert(throws(() => createAAPWebSocket({ noServer: true, timeWeight: -0.1 })), 'Invalid timeWeight throws');
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,171 @@
+/**
+ * AAP Reference Solver Tests
+ *
+ * Text-parsing solver for the built-in challenges: every type, locale and
+ * difficulty, the simple set, the AAPClient and prover adapters and the
+ * test-only gate
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createReferenceSolver, createReferenceLlm } from '../packages/server/solver.js';
+import { generateBatch, validateBatch, DIFFICULTY_PROFILES } from '../packages/server/challenges.js';
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { getLocales } from '../packages/server/locales/index.js';
+import { AAPClient, createSolver } from '../packages/client/index.js';
+
+console.log('🧪 AAP Reference Solver Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const solve = createReferenceSolver({ testOnly: true });
+
+// ============== SOLVING TESTS ==============
+console.log('\n📦 Solving Tests\n');
+
+await test('Solves every built-in type in every locale and difficulty', async () => {
+  for (const locale of getLocales()) {
+    for (const difficulty of Object.keys(DIFFICULTY_PROFILES)) {
+      const seen = new Set();
+      for (let i = 0; i < 8; i++) {
+        const batch = generateBatch(randomBytes(16).toString('hex'), undefined, { difficulty, locale });
+        // Without the type: the solver has to recognize the template
+        const frames = batch.challenges.map(({ id, challenge_string }) => ({ id, challenge: challenge_string }));
+        const { results } = validateBatch(batch.validators, await solve(frames), { diagnostics: true });
+        const failure = results.find(r => !r.valid);
+        assert(!failure, `${locale}/${difficulty} ${batch.record.types[failure?.id]}: ${failure?.reason}`);
+        batch.record.types.forEach(type => seen.add(type));
+      }
+      assert(seen.size >= 6, `${locale}/${difficulty}: most types drawn (${seen.size})`);
+    }
+  }
+});
+
+await test('Unreadable challenges get an empty answer', async () => {
+  const answers = await solve([
+    { id: 0, challenge: 'What is the meaning of life?' },
+    { id: 1, challenge: '[REQ-ABC123] Write a haiku.\nResponse format: {"salt": "ABC123", "poem": "..."}' }
+  ]);
+  assert(answers.length === 2 && answers.every(a => a === ''), JSON.stringify(answers));
+});
+
+// ============== CLIENT TESTS ==============
+console.log('\n📦 Client Tests\n');
+
+let port;  // Port of the server under test (listening on port 0)
+
+await test('AAPClient passes the simple set in batch and sequential mode', async () => {
+  const aap = createAAPWebSocket({ port: 0 });
+  port = aap.wss.address().port;
+  try {
+    for (const mode of ['batch', 'sequential']) {
+      const result = await new AAPClient({ serverUrl: `ws://localhost:${port}`, solver: solve, mode }).verify();
+      assert(result.verified, `${mode}: ${result.message}`);
+    }
+  } finally {
+    aap.close();
+  }
+});
+
+await test('AAPClient passes built-in batches in a negotiated locale', async () => {
+  const aap = createAAPWebSocket({ port: 0, challengeSource: 'nlp', locales: ['en', 'ko'] });
+  port = aap.wss.address().port;
+  try {
+    const client = new AAPClient({ serverUrl: `ws://localhost:${port}`, solver: solve, locale: 'ko' });
+    const result = await client.verify();
+    assert(result.verified, result.message);
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Works as an LLM behind the client\'s createSolver()', async () => {
+  const aap = createAAPWebSocket({ port: 0, challengeSource: 'nlp', locales: ['en', 'es'] });
+  port = aap.wss.address().port;
+  try {
+    const solver = createSolver(createReferenceLlm({ testOnly: true }));
+    const result = await new AAPClient({ serverUrl: `ws://localhost:${port}`, solver, locale: 'es' }).verify();
+    assert(result.verified, result.message);
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== PROVER TESTS ==============
+console.log('\n📦 Prover Tests\n');
+
+await test('Works as the prover\'s llmCallback', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'aap-solver-'));
+  process.env.AAP_IDENTITY_PATH = join(dir, 'identity.json');
+  try {
+    const { generateBatchProof } = await import('../lib/prover.js');
+    const { checkAndCreate } = await import('../lib/identity.js');
+    checkAndCreate();
+
+    const nonce = randomBytes(16).toString('hex');
+    const batch = generateBatch(nonce, undefined, { locale: 'ja' });
+    const proof = await generateBatchProof(
+      { nonce, challenges: batch.challenges },
+      createReferenceLlm({ testOnly: true })
+    );
+    const { allPassed } = validateBatch(batch.validators, proof.solutions);
+    assert(allPassed && proof.signature, 'Signed, valid solutions');
+  } finally {
+    delete process.env.AAP_IDENTITY_PATH;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============== GATE TESTS ==============
+console.log('\n📦 Gate Tests\n');
+
+await test('Needs testOnly and refuses production', () => {
+  const refuses = (fn, pattern) => {
+    try {
+      fn();
+      return false;
+    } catch (e) {
+      return pattern.test(e.message);
+    }
+  };
+
+  assert(refuses(() => createReferenceSolver(), /testOnly/), 'Solver without opt-in');
+  assert(refuses(() => createReferenceLlm({ testOnly: 'yes' }), /testOnly/), 'LLM without a strict opt-in');
+
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    assert(refuses(() => createReferenceSolver({ testOnly: true }), /production/), 'Solver in production');
+    assert(refuses(() => createReferenceLlm({ testOnly: true }), /production/), 'LLM in production');
+  } finally {
+    if (env === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = env;
+  }
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,732 @@
+/**
+ * AAP WebSocket Server Tests
+ *
+ * Full handshake → challenges → signed answers → result over a real socket
+ */
+
+import { createAAPWebSocket } from '../packages/server/websocket.js';
+import { AAPClient, sign } from '../packages/client/index.js';
+import WebSocket from 'ws';
+import { createMemoryStore } from '../packages/server/persistence.js';
+import { createRateLimiter } from '../packages/server/ratelimit.js';
+import { generateBatch, createChallengeRegistry } from '../packages/server/challenges.js';
+import { createWhitelist, createKeyRotation } from '../packages/server/whitelist.js';
+import { canonicalize } from '../packages/server/paraphrase.js';
+import { verifyAttestationToken, decodeAttestationToken } from '../packages/core/token.js';
+
+console.log('🧪 AAP WebSocket Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Answers the built-in simple challenge set by parsing the challenge text
+ * (back in template wording, see paraphrase.js)
+ */
+function solveSimple(challenges) {
+  return challenges.map(({ type, challenge: text }) => {
+    const challenge = canonicalize(text);
+    const salt = challenge.match(/\[REQ-([A-Z0-9]+)\]/)[1];
+    switch (type) {
+      case 'math': {
+        const [, a, op, b] = challenge.match(/What is (\d+) ([+\-*]) (\d+)/);
+        const x = +a, y = +b;
+        return { salt, result: op === '+' ? x + y : op === '-' ? x - y : x * y };
+      }
+      case 'logic': {
+        const [, x, y] = challenge.match(/X=(\d+), Y=(\d+)/).map(Number);
+        return { salt, answer: x > y ? 'GREATER' : x < y ? 'LESS' : 'EQUAL' };
+      }
+      case 'count': {
+        const animals = ['cat', 'dog', 'bird', 'fish', 'lion'];
+        const items = challenge.match(/Count animals: (.*)\n/)[1].split(', ');
+        return { salt, count: items.filter(i => animals.includes(i)).length };
+      }
+      case 'pattern': {
+        const seq = challenge.match(/\[([\d, ]+), \?, \?\]/)[1].split(', ').map(Number);
+        const step = seq[1] - seq[0];
+        return { salt, next: [seq[3] + step, seq[3] + step * 2] };
+      }
+      case 'reverse':
+        return { salt, result: challenge.match(/"([a-z]+)"/)[1].split('').reverse().join('') };
+      case 'extract':
+        return { salt, color: challenge.match(/"The (\w+) /)[1] };
+      case 'longest': {
+        const words = challenge.match(/Find longest word: (.*)\n/)[1].split(', ');
+        return { salt, answer: words.reduce((a, b) => a.length >= b.length ? a : b) };
+      }
+    }
+  });
+}
+
+/**
+ * Start a server on a free port
+ */
+function startServer(options = {}) {
+  const aap = createAAPWebSocket({ port: 0, ...options });
+  return { aap, url: `ws://localhost:${aap.wss.address().port}` };
+}
+
+// ============== ATTESTATION TOKEN TESTS ==============
+console.log('\n📦 Attestation Token Tests\n');
+
+await test('Successful verification issues a signed token', async () => {
+  const { aap, url } = startServer();
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: solveSimple });
+    const result = await client.verify();
+
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.sessionToken.split('.').length === 3, 'Token is a compact JWS');
+
+    const { header, payload } = decodeAttestationToken(result.sessionToken);
+    assert(header.alg === 'ES256K', 'ES256K algorithm');
+    assert(payload.publicId === client.publicId, 'publicId claim');
+    assert(payload.sub === client.publicId, 'sub claim');
+    assert(typeof payload.verifiedAt === 'number', 'verifiedAt claim');
+    assert(payload.expiresAt > payload.verifiedAt, 'expiresAt claim');
+    assert(typeof payload.responseTimeMs === 'number', 'responseTimeMs claim');
+    assert(payload.version === '3.2.0', 'Protocol version claim');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Token validates offline with the JWKS and PEM key', async () => {
+  const { aap, url } = startServer();
+  try {
+    const result = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    const jwks = JSON.parse(JSON.stringify(aap.getJwks()));
+
+    assert(verifyAttestationToken(result.sessionToken, jwks).valid, 'Valid with JWKS');
+    assert(verifyAttestationToken(result.sessionToken, aap.publicKey).valid, 'Valid with PEM');
+    assert(aap.verifyToken(result.sessionToken).valid, 'Valid via server helper');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Token from another verifier is rejected', async () => {
+  const a = startServer();
+  const b = startServer();
+  try {
+    const result = await new AAPClient({ serverUrl: a.url, solver: solveSimple }).verify();
+    const check = verifyAttestationToken(result.sessionToken, b.aap.publicKey);
+    assert(!check.valid, 'Rejected');
+    assert(check.error === 'Invalid signature', 'Signature error');
+  } finally {
+    a.aap.close();
+    b.aap.close();
+  }
+});
+
+await test('Tampered and expired tokens are rejected', async () => {
+  const { aap, url } = startServer();
+  try {
+    const { sessionToken } = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    const [h, p, s] = sessionToken.split('.');
+    const payload = JSON.parse(Buffer.from(p, 'base64url').toString());
+    payload.publicId = 'attacker';
+    const forged = `${h}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${s}`;
+
+    assert(!verifyAttestationToken(forged, aap.getJwks()).valid, 'Forged payload rejected');
+
+    const later = verifyAttestationToken(sessionToken, aap.getJwks(), { now: Date.now() + 2 * 3600000 });
+    assert(!later.valid && later.error === 'Token expired', 'Expired token rejected');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Failed verification issues no token', async () => {
+  const { aap, url } = startServer();
+  try {
+    const result = await new AAPClient({ serverUrl: url, solver: async () => [] }).verify();
+    assert(!result.verified, 'Not verified');
+    assert(!result.sessionToken, 'No token');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== SESSION STORE TESTS ==============
+console.log('\n📦 Session Store Tests\n');
+
+await test('Verified session lands in the configured store', async () => {
+  const sessionStore = createMemoryStore();
+  const { aap, url } = startServer({ sessionStore });
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: solveSimple });
+    const { sessionToken } = await client.verify();
+
+    assert(await sessionStore.has(sessionToken), 'Stored');
+    assert(await aap.checkSession(sessionToken), 'checkSession');
+    assert((await aap.getSessionAsync(sessionToken)).publicId === client.publicId, 'getSessionAsync');
+    assert(throws(() => aap.isVerified(sessionToken)) && throws(() => aap.getSession(sessionToken)), 'Removed sync lookups throw');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('listSessions and revokeSession', async () => {
+  const { aap, url } = startServer();
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: solveSimple });
+    const first = await client.verify();
+    const second = await client.verify();
+
+    const sessions = await aap.listSessions(client.publicId);
+    assert(sessions.length === 2, 'Two sessions listed');
+    assert((await aap.listSessions('someone-else')).length === 0, 'Filtered by publicId');
+
+    assert(await aap.revokeSession(first.sessionToken), 'Revoked');
+    assert(!(await aap.revokeSession(first.sessionToken)), 'Second revoke is a no-op');
+    assert(!(await aap.checkSession(first.sessionToken)), 'Revoked token no longer verified');
+    assert(await aap.checkSession(second.sessionToken), 'Other session untouched');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Session lifetime is configurable and expired sessions are swept', async () => {
+  const sessionStore = createMemoryStore();
+  const { aap, url } = startServer({ sessionStore, sessionTtlMs: 150, sweepIntervalMs: 50 });
+  try {
+    const { sessionToken, expiresAt } = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    const { payload } = decodeAttestationToken(sessionToken);
+    assert(expiresAt - payload.verifiedAt === 150, 'Custom lifetime applied');
+
+    await new Promise(r => setTimeout(r, 300));
+    assert(await sessionStore.size() === 0, 'Swept from store');
+    assert(!(await aap.checkSession(sessionToken)), 'Expired');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== SEQUENTIAL MODE TESTS ==============
+console.log('\n📦 Sequential Mode Tests\n');
+
+await test('Sequential mode verifies one challenge at a time', async () => {
+  const { aap, url } = startServer({ mode: 'sequential' });
+  try {
+    const seen = [];
+    const solver = (challenges) => {
+      seen.push(challenges.length);
+      return solveSimple(challenges);
+    };
+    const result = await new AAPClient({ serverUrl: url, solver }).verify();
+
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.mode === 'sequential', 'Sequential mode used');
+    assert(seen.length === 7 && seen.every(n => n === 1), 'Solver saw one challenge per step');
+    assert(result.timings.length === 7, 'Timing record per step');
+    assert(result.timings.every(t => t.responseTimeMs >= 0), 'Step timings recorded');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Client without mode negotiation still gets batch', async () => {
+  const { aap, url } = startServer({ mode: 'sequential' });
+  try {
+    const ws = new WebSocket(url);
+    const messages = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        messages.push(msg);
+        if (msg.type === 'handshake') ws.send(JSON.stringify({ type: 'ready', publicKey: 'legacy' }));
+        else { ws.close(); resolve(); }
+      });
+    });
+    assert(messages[0].modes.includes('sequential'), 'Handshake lists modes');
+    assert(messages[1].type === 'challenges', 'Batch challenges sent');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Sequential answer past its deadline fails with TOO_SLOW', async () => {
+  const { aap, url } = startServer({ stepTimeMs: 100 });
+  try {
+    const solver = async (challenges) => {
+      await new Promise(r => setTimeout(r, 200));
+      return solveSimple(challenges);
+    };
+    const result = await new AAPClient({ serverUrl: url, solver, mode: 'sequential' }).verify();
+    assert(!result.verified, 'Not verified');
+    assert(result.code === 'TOO_SLOW', 'TOO_SLOW');
+    assert(result.step === 0, 'Failed on first step');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Sequential answer with a bad signature is rejected', async () => {
+  const { aap, url } = startServer({ mode: 'sequential' });
+  try {
+    const client = new AAPClient({ serverUrl: url });
+    const ws = new WebSocket(url);
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.type === 'handshake') {
+          ws.send(JSON.stringify({ type: 'ready', publicKey: client.publicKey, mode: 'sequential' }));
+        } else if (msg.type === 'challenge') {
+          const [answer] = solveSimple([msg.challenge]);
+          const timestamp = Date.now();
+          const signature = sign('not the proof data', client.identity.privateKey);
+          ws.send(JSON.stringify({ type: 'answer', id: msg.challenge.id, answer, signature, timestamp }));
+        } else {
+          resolve(msg);
+        }
+      });
+    });
+    assert(result.code === 'INVALID_SIGNATURE', 'INVALID_SIGNATURE');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('A sequential answer sent with ready does not crash the server', async () => {
+  const { aap, url } = startServer({ rateLimit: true });
+  try {
+    const ws = new WebSocket(url);
+    const frames = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        frames.push(msg);
+        if (msg.type === 'handshake') {
+          // Both frames at once: the answer lands while ready is still awaiting
+          ws.send(JSON.stringify({ type: 'ready', publicKey: 'early', mode: 'sequential' }));
+          ws.send(JSON.stringify({ type: 'answer', id: 0, answer: '{}' }));
+        } else {
+          ws.close();
+          resolve();
+        }
+      });
+    });
+    assert(frames[1].type === 'challenge' && frames[1].index === 0, `First step still sent (${frames[1].type})`);
+
+    const result = await new AAPClient({ serverUrl: url, solver: solveSimple, mode: 'sequential' }).verify();
+    assert(result.verified, 'Server still verifies');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Unsupported mode is refused', async () => {
+  const { aap, url } = startServer({ modes: ['batch'] });
+  try {
+    let error = null;
+    try {
+      await new AAPClient({ serverUrl: url, solver: solveSimple, mode: 'sequential' }).verify();
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /sequential/.test(error.message), 'Client refuses unsupported mode');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== CHALLENGE SOURCE TESTS ==============
+console.log('\n📦 Challenge Source Tests\n');
+
+/**
+ * Run a batch session by hand, answering with a function of the nonce
+ */
+function runRaw(url, publicKey, answerFor) {
+  const ws = new WebSocket(url);
+  const seen = {};
+  return new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'handshake') {
+        seen.handshake = msg;
+        ws.send(JSON.stringify({ type: 'ready', publicKey }));
+      } else if (msg.type === 'challenges') {
+        seen.challenges = msg.challenges;
+        ws.send(JSON.stringify({ type: 'answers', answers: answerFor(msg.nonce, msg.challenges) }));
+      } else {
+        ws.close();
+        resolve({ ...seen, result: msg });
+      }
+    });
+  });
+}
+
+await test('challengeSource "nlp" serves challenges.js generators', async () => {
+  const { aap, url } = startServer({ challengeSource: 'nlp', requireSignature: false });
+  try {
+    const { handshake, challenges, result } = await runRaw(url, null, (nonce) => generateBatch(nonce, 7).expected);
+    assert(handshake.challengeSource === 'nlp', 'Handshake names the source');
+    assert(challenges.every(c => c.type.startsWith('nlp_')), 'NLP challenge types');
+    assert(challenges.every(c => c.challenge.includes('[REQ-')), 'Challenge text under `challenge`');
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.results.every(r => r.valid === true), 'validateBatch result format');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('challengeSource "nlp" rejects wrong answers', async () => {
+  const { aap, url } = startServer({ challengeSource: 'nlp', requireSignature: false });
+  try {
+    const { result } = await runRaw(url, null, (nonce) =>
+      generateBatch(nonce, 7).expected.map(e => ({ ...e, salt: 'WRONG1' })));
+    assert(!result.verified, 'Not verified');
+    assert(result.passed === 0, 'Nothing passed');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('The secret option seeds challenge generation', async () => {
+  const { aap, url } = startServer({ challengeSource: 'nlp', requireSignature: false, secret: 'shared' });
+  try {
+    const { result } = await runRaw(url, null, (nonce) => generateBatch(nonce, 7, { secret: 'shared' }).expected);
+    assert(result.verified, `Answers from the shared secret verify (${result.message})`);
+
+    const other = await runRaw(url, null, (nonce) => generateBatch(nonce, 7).expected);
+    assert(!other.result.verified, 'The per-process secret differs');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('challengeSource accepts a custom generator registry', async () => {
+  const registry = {
+    echo: {
+      generate: (nonce) => ({
+        challenge_string: `[REQ-${nonce.slice(0, 6).toUpperCase()}] Echo the code ${nonce.slice(6, 12)}`,
+        validate: (solution) => solution.includes(nonce.slice(6, 12))
+      })
+    }
+  };
+  const { aap, url } = startServer({ challengeSource: registry });
+  try {
+    const solver = (challenges) => challenges.map(c => ({ code: c.challenge.split(' ').pop() }));
+    const result = await new AAPClient({ serverUrl: url, solver, mode: 'sequential' }).verify();
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.results.length === 7, 'All steps scored');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('challengeSource accepts a per-server registry instance', async () => {
+  const registry = createChallengeRegistry({ builtins: false }).register('echo', {
+    version: '3',
+    generate: (nonce, rng) => {
+      const code = rng.string(6);
+      return { challenge_string: `[REQ-${code.toUpperCase()}] Echo ${code}`, validate: (solution) => solution.includes(code) };
+    }
+  });
+  const { aap, url } = startServer({ challengeSource: registry, requireSignature: false });
+  try {
+    assert(aap.registry === registry, 'Registry exposed on the server');
+    const { challenges, result } = await runRaw(url, null, (nonce, list) =>
+      list.map(c => ({ code: c.challenge.split(' ').pop() })));
+    assert(challenges.every(c => c.type === 'echo' && c.version === '3'), 'Version stamped on each challenge');
+    assert(result.verified, `Verified (${result.message})`);
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Unknown challengeSource throws', () => {
+  let error = null;
+  try {
+    createAAPWebSocket({ noServer: true, challengeSource: 'nope' });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /challengeSource/.test(error.message), 'Throws');
+});
+
+// ============== LOCALE TESTS ==============
+console.log('\n📦 Locale Tests\n');
+
+await test('Locale negotiated in ready localizes the batch', async () => {
+  const { aap, url } = startServer({ challengeSource: 'nlp', locales: ['en', 'ko'], requireSignature: false });
+  try {
+    const ws = new WebSocket(url);
+    const frames = {};
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        frames[msg.type] = msg;
+        if (msg.type === 'handshake') {
+          ws.send(JSON.stringify({ type: 'ready', locale: 'ko' }));
+        } else if (msg.type === 'challenges') {
+          const { expected } = generateBatch(msg.nonce, msg.challenges.length, { locale: 'ko' });
+          ws.send(JSON.stringify({ type: 'answers', answers: expected }));
+        } else {
+          ws.close();
+          resolve();
+        }
+      });
+    });
+    const { challenges, result } = frames;
+    assert(challenges.locale === 'ko', 'Challenges frame carries the locale');
+    assert(challenges.challenges.every(c => c.challenge.includes('응답 형식')), 'Korean challenges');
+    assert(result.verified, `Verified (${result.message})`);
+    assert(result.locale === 'ko', 'Result carries the locale');
+    const session = await aap.getSessionAsync(result.sessionToken);
+    assert(session.locale === 'ko', 'Session carries the locale');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Unsupported locale is refused', async () => {
+  const { aap, url } = startServer({ challengeSource: 'nlp', locales: ['en', 'ja'], requireSignature: false });
+  try {
+    const ws = new WebSocket(url);
+    const frames = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        frames.push(msg);
+        if (msg.type === 'handshake') {
+          ws.send(JSON.stringify({ type: 'ready', locale: 'es' }));
+        } else {
+          ws.close();
+          resolve();
+        }
+      });
+    });
+    assert(frames[0].locale === 'en' && frames[0].locales.join() === 'en,ja', 'Handshake lists locales');
+    assert(frames[1].code === 'UNSUPPORTED_LOCALE', 'UNSUPPORTED_LOCALE');
+    assert(frames[1].locales.includes('ja'), 'Error lists supported locales');
+
+    let error = null;
+    try {
+      await new AAPClient({ serverUrl: url, solver: () => [], locale: 'es' }).verify();
+    } catch (e) {
+      error = e;
+    }
+    assert(error && /locale "es"/.test(error.message), 'Client refuses unsupported locale');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Non-English locales need a registry source', () => {
+  let error = null;
+  try {
+    createAAPWebSocket({ noServer: true, locales: ['en', 'ko'] });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /English-only/.test(error.message), 'Throws');
+});
+
+// ============== RATE LIMIT TESTS ==============
+console.log('\n📦 Rate Limit Tests\n');
+
+await test('Connection flood gets a RATE_LIMITED frame', async () => {
+  const { aap, url } = startServer({ rateLimit: { maxConnectionsPerIp: 1 } });
+  try {
+    const ok = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    assert(ok.verified, 'First connection verified');
+
+    let error = null;
+    try {
+      await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'RATE_LIMITED', 'RATE_LIMITED');
+    assert(error.retryAfterMs > 0, 'retryAfterMs in frame');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Failing publicId is locked out before challenges', async () => {
+  const { aap, url } = startServer({ rateLimit: { maxFailuresPerPublicId: 2, maxFailuresPerIp: 100 } });
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: async () => [] });
+    assert(!(await client.verify()).verified, 'First failure');
+    assert(!(await client.verify()).verified, 'Second failure');
+    await new Promise(r => setTimeout(r, 50));
+
+    let error = null;
+    try {
+      await client.verify(solveSimple);
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'RATE_LIMITED', 'Locked out even with correct answers');
+
+    const other = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+    assert(other.verified, 'Other agents unaffected');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Unsigned answers under a claimed key do not lock out its owner', async () => {
+  const { aap, url } = startServer({ rateLimit: { maxFailuresPerPublicId: 2, maxFailuresPerIp: 100 } });
+  try {
+    const victim = new AAPClient({ serverUrl: url, solver: solveSimple });
+    const impersonate = (signature) => new Promise((resolve) => {
+      const ws = new WebSocket(url);
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.type === 'handshake') ws.send(JSON.stringify({ type: 'ready', publicKey: victim.publicKey }));
+        else if (msg.type === 'challenges') ws.send(JSON.stringify({ type: 'answers', answers: [], signature, timestamp: Date.now() }));
+        else { ws.close(); resolve(msg); }
+      });
+    });
+
+    const codes = [];
+    for (const signature of [undefined, 'x'.repeat(64), 'x'.repeat(64)]) {
+      codes.push((await impersonate(signature)).code);
+    }
+    assert(codes.join() === 'MISSING_SIGNATURE,INVALID_SIGNATURE,INVALID_SIGNATURE', codes.join());
+    await new Promise(r => setTimeout(r, 50));
+
+    const result = await victim.verify();
+    assert(result.verified, 'Owner still verifies');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Sockets that fail during a slow limiter check are handled', async () => {
+  let release;
+  const gate = new Promise(r => { release = r; });
+  const limiter = createRateLimiter();
+  const slowLimiter = { ...limiter, checkConnection: async (ip) => { await gate; return limiter.checkConnection(ip); } };
+  const { aap, url } = startServer({ rateLimit: slowLimiter });
+  try {
+    const accepted = new Promise(r => aap.wss.once('connection', r));
+    const client = new WebSocket(url);
+    const frames = [];
+    client.on('message', (data) => frames.push(JSON.parse(data.toString())));
+    await new Promise(r => client.once('open', r));
+
+    const socket = await accepted;
+    assert(socket.listenerCount('error') > 0 && socket.listenerCount('close') > 0, 'Listeners attached before the limiter answers');
+    socket.emit('error', new Error('ECONNRESET'));  // Would crash without a listener
+    client.close();
+    await new Promise(r => client.once('close', r));
+
+    release();
+    await new Promise(r => setTimeout(r, 50));
+    assert(frames.length === 0, 'No handshake to a closed socket');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== WHITELIST & REVOCATION TESTS ==============
+console.log('\n📦 Whitelist & Revocation Tests\n');
+
+await test('A throwing whitelist or key history gets SERVER_ERROR', async () => {
+  const broken = () => { throw new Error('store down'); };
+  for (const options of [
+    { whitelist: { ...createWhitelist({ enabled: true }), isAllowed: broken } },
+    { keyRotation: { ...createKeyRotation(), isRevoked: async () => broken() } }
+  ]) {
+    const { aap, url } = startServer(options);
+    try {
+      let error = null;
+      try {
+        await new AAPClient({ serverUrl: url, solver: solveSimple }).verify();
+      } catch (e) {
+        error = e;
+      }
+      assert(error?.code === 'SERVER_ERROR', `SERVER_ERROR (${error?.code ?? error?.message})`);
+
+      const ok = await new AAPClient({ serverUrl: url, solver: solveSimple }).verify().catch(e => e);
+      assert(ok.code === 'SERVER_ERROR', 'Server still answers');
+    } finally {
+      aap.close();
+    }
+  }
+});
+
+/**
+ * Verify and capture either the result or the error frame
+ */
+async function attempt(client) {
+  try {
+    return await client.verify();
+  } catch (e) {
+    return { error: e };
+  }
+}
+
+await test('Non-whitelisted agent gets NOT_ALLOWED and is recorded', async () => {
+  const seen = [];
+  const whitelist = createWhitelist({ enabled: true, onNewAgent: (id) => seen.push(id) });
+  const { aap, url } = startServer({ whitelist });
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: solveSimple });
+    const { error } = await attempt(client);
+    assert(error?.code === 'NOT_ALLOWED', 'NOT_ALLOWED');
+    assert(seen[0] === client.publicId, 'onNewAgent fired');
+    assert(whitelist.getPending()[0].attempts === 1, 'Attempt recorded');
+
+    whitelist.add(client.publicId);
+    const result = await attempt(client);
+    assert(result.verified, 'Verified once whitelisted');
+  } finally {
+    aap.close();
+  }
+});
+
+await test('Revoked key gets KEY_REVOKED', async () => {
+  const keyRotation = createKeyRotation();
+  const { aap, url } = startServer({ keyRotation });
+  try {
+    const client = new AAPClient({ serverUrl: url, solver: solveSimple });
+    keyRotation.registerKey(client.publicId, client.publicKey);
+    assert((await attempt(client)).verified, 'Verified before revocation');
+
+    keyRotation.revokeKey(client.publicId, 0);
+    const { error } = await attempt(client);
+    assert(error?.code === 'KEY_REVOKED', 'KEY_REVOKED');
+  } finally {
+    aap.close();
+  }
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,220 @@
+/**
+ * AAP Whitelist Tests
+ *
+ * Store-backed whitelist / key history and JSON import/export
+ */
+
+import { rmSync } from 'node:fs';
+import { generateKeyPair, createRotationStatement } from '../packages/core/crypto.js';
+import { createWhitelist, createKeyRotation } from '../packages/server/whitelist.js';
+import { createMemoryStore, createFileStore, createRedisStore } from '../packages/server/persistence.js';
+
+console.log('🧪 AAP Whitelist Tests\n');
+console.log('='.repeat(60));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+/**
+ * Minimal ioredis stand-in (records TTL arguments)
+ */
+function createFakeRedis() {
+  const data = new Map();
+  const ttls = new Map();
+  return {
+    ttls,
+    async get(key) { return data.get(key) ?? null; },
+    async set(key, value, mode, ttl) {
+      data.set(key, value);
+      ttls.set(key, mode === 'PX' ? ttl : null);
+      return 'OK';
+    },
+    async del(...keys) { keys.forEach(k => data.delete(k)); return keys.length; },
+    async exists(key) { return data.has(key) ? 1 : 0; },
+    async keys(pattern) {
+      const prefix = pattern.replace(/\*$/, '');
+      return [...data.keys()].filter(k => k.startsWith(prefix));
+    }
+  };
+}
+
+const FILE_PATH = '.aap-test/whitelist.json';
+
+// ============== WHITELIST PERSISTENCE ==============
+console.log('\n📦 Whitelist Persistence Tests\n');
+
+await test('Approvals and pending requests survive a restart (file store)', async () => {
+  rmSync('.aap-test', { recursive: true, force: true });
+
+  const store = createFileStore(FILE_PATH);
+  const whitelist = createWhitelist({ enabled: true, store });
+  await whitelist.ready;
+  whitelist.add('agent-a');
+  whitelist.recordAttempt('agent-b', { ip: '10.0.0.1' });
+  await whitelist.flush();
+  store.close();
+
+  const reopened = createFileStore(FILE_PATH);
+  const restored = createWhitelist({ enabled: true, store: reopened });
+  await restored.ready;
+  reopened.close();
+  rmSync('.aap-test', { recursive: true, force: true });
+
+  assert(restored.isAllowed('agent-a'), 'Approval restored');
+  assert(!restored.isAllowed('agent-b'), 'Pending agent still refused');
+  const [pending] = restored.getPending();
+  assert(pending?.publicId === 'agent-b' && pending.attempts === 1, 'Pending restored');
+});
+
+await test('Approving clears the stored pending record; removing deletes it', async () => {
+  const store = createMemoryStore();
+  const whitelist = createWhitelist({ enabled: true, store });
+  whitelist.recordAttempt('agent-c');
+  whitelist.add('agent-c');
+  whitelist.add('agent-d');
+  whitelist.remove('agent-d');
+  await whitelist.flush();
+
+  const keys = (await store.keys()).sort();
+  assert(JSON.stringify(keys) === JSON.stringify(['allowed:agent-c']), `Keys: ${keys}`);
+});
+
+await test('Pending requests are capped and expire', async () => {
+  const whitelist = createWhitelist({ enabled: true, maxPending: 3, pendingTtlMs: 50 });
+  for (const id of ['p1', 'p2', 'p3', 'p4']) whitelist.recordAttempt(id);
+  assert(whitelist.getPending().map(p => p.publicId).join() === 'p2,p3,p4', 'Oldest made room');
+
+  await new Promise(r => setTimeout(r, 60));
+  assert(whitelist.getPending().length === 0 && whitelist.stats().pendingCount === 0, 'Expired');
+});
+
+await test('Repeat attempts are written through at most once per interval', async () => {
+  const store = createMemoryStore();
+  const writes = [];
+  const set = store.set;
+  store.set = (key, data, ttlMs) => { writes.push([key, ttlMs]); return set(key, data, ttlMs); };
+  const whitelist = createWhitelist({ enabled: true, store, pendingTtlMs: 60000, pendingWriteIntervalMs: 60000 });
+  await whitelist.ready;
+
+  for (let i = 0; i < 20; i++) whitelist.recordAttempt('noisy');
+  whitelist.recordAttempt('other');
+  await whitelist.flush();
+
+  assert(writes.length === 2, `One write per new agent (${writes.length})`);
+  assert(writes.every(([, ttlMs]) => ttlMs === 60000), 'Written with the pending TTL');
+  assert(whitelist.getPending().find(p => p.publicId === 'noisy').attempts === 20, 'Attempts still counted in memory');
+});
+
+await test('Expired pending requests are dropped on load', async () => {
+  const store = createMemoryStore();
+  await store.set('pending:stale', { firstSeen: 1, lastSeen: 1, expiresAt: 2, attempts: 1, lastDetails: null });
+  await store.set('pending:fresh', { firstSeen: Date.now(), expiresAt: Date.now() + 60000, attempts: 1, lastDetails: null });
+  const whitelist = createWhitelist({ enabled: true, store });
+  await whitelist.ready;
+  await whitelist.flush();
+
+  assert(whitelist.getPending().map(p => p.publicId).join() === 'fresh', 'Only the live request loaded');
+  assert(!(await store.has('pending:stale')), 'Stale record removed from the store');
+});
+
+await test('Redis entries are written without expiry', async () => {
+  const redis = createFakeRedis();
+  const whitelist = createWhitelist({ enabled: true, store: createRedisStore(redis, 'aap:whitelist:') });
+  whitelist.add('agent-e');
+  await whitelist.flush();
+
+  assert(redis.ttls.get('aap:whitelist:allowed:agent-e') === null, 'No TTL');
+
+  const restored = createWhitelist({ enabled: true, store: createRedisStore(redis, 'aap:whitelist:') });
+  await restored.ready;
+  assert(restored.isAllowed('agent-e'), 'Loaded from Redis');
+});
+
+// ============== IMPORT / EXPORT ==============
+console.log('\n📦 Import / Export Tests\n');
+
+await test('Export is sorted and round-trips through import', () => {
+  const whitelist = createWhitelist({ enabled: true, allowedIds: ['zeta', 'alpha'] });
+  const json = whitelist.exportJSON();
+
+  assert(JSON.parse(json).allowed.join(',') === 'alpha,zeta', 'Sorted');
+  assert(json.endsWith('\n'), 'Trailing newline');
+
+  const copy = createWhitelist({ enabled: true });
+  const { added } = copy.importJSON(json);
+  assert(added.length === 2 && copy.isAllowed('alpha') && copy.isAllowed('zeta'), 'Imported');
+});
+
+await test('Import with replace removes IDs missing from the document', () => {
+  const whitelist = createWhitelist({ enabled: true, allowedIds: ['keep', 'drop'] });
+  const { added, removed } = whitelist.importJSON({ version: 1, allowed: ['keep', 'new'] }, { replace: true });
+
+  assert(added.join() === 'new' && removed.join() === 'drop', 'Diff reported');
+  assert(whitelist.list().sort().join() === 'keep,new', 'Applied');
+});
+
+await test('Malformed documents are rejected', () => {
+  const whitelist = createWhitelist({ enabled: true });
+  for (const document of [{ allowed: [] }, { version: 1, allowed: 'x' }, { version: 1, allowed: [1] }]) {
+    let error = null;
+    try {
+      whitelist.importJSON(document);
+    } catch (e) {
+      error = e;
+    }
+    assert(error, `Rejected ${JSON.stringify(document)}`);
+  }
+});
+
+// ============== KEY HISTORY PERSISTENCE ==============
+console.log('\n📦 Key History Persistence Tests\n');
+
+await test('Key chains and revocations survive a restart', async () => {
+  const store = createMemoryStore();
+  const keys = generateKeyPair();
+  const next = generateKeyPair();
+  const other = generateKeyPair();
+
+  const rotation = createKeyRotation({ store });
+  rotation.registerKey('agent-1', keys.publicKey);
+  rotation.rotate(createRotationStatement({
+    oldPublicKey: keys.publicKey,
+    oldPrivateKey: keys.privateKey,
+    newPublicKey: next.publicKey
+  }));
+  rotation.registerKey('agent-2', other.publicKey);
+  rotation.revokeKey('agent-2', 0);
+  await rotation.flush();
+
+  const restored = createKeyRotation({ store });
+  await restored.ready;
+
+  assert(restored.getCurrentKey('agent-1') === next.publicKey, 'Current key restored');
+  assert(restored.resolveAgent(next.publicKey) === 'agent-1', 'Owner restored');
+  assert(restored.isRevoked(keys.publicKey), 'Rotated key still refused');
+  assert(restored.isRevoked(other.publicKey), 'Revocation restored');
+  assert(restored.getHistory('agent-1')[1].statement, 'Statement kept');
+});
+
+// ============== RESULTS ==============
+console.log('\n' + '='.repeat(60));
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+if (failed > 0) {
+  process.exit(1);
+}